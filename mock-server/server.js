@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+// Stand-in for the analyzer backend, for working on the frontend without it.
+// Serves /health, the synchronous /analyze-upload and the job protocol
+// (POST /jobs, GET /jobs/:id, GET /jobs/:id/events, DELETE /jobs/:id) with
+// made-up but stable metrics per file name. No dependencies beyond Node.
+//
+//   npm run mock-server                        jobs with events, port 8000
+//   MOCK_FEATURES=jobs npm run mock-server     jobs, polling only
+//   MOCK_FEATURES= npm run mock-server         synchronous /analyze-upload only
+//
+// Any username and password are accepted. File names containing "mix" come back
+// as full tracks and "broken" as decode failures.
+const http = require("http");
+const crypto = require("crypto");
+
+const PORT = Number(process.env.PORT) || 8000;
+const SECONDS_PER_FILE = Number(process.env.MOCK_SECONDS_PER_FILE ?? 3);
+const FEATURES = (process.env.MOCK_FEATURES ?? "jobs,job_events").split(",").filter(Boolean);
+const VERSION = "mock-1";
+
+const jobs = new Map();
+let nextJobId = 1;
+
+const send = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+
+// Good enough for a mock: the file names are all we look at
+const uploadedNames = (body) =>
+  Array.from(body.toString("latin1").matchAll(/filename="([^"]*)"/g), (match) =>
+    Buffer.from(match[1], "latin1").toString("utf8")
+  );
+
+// Deterministic numbers in [0, 1) per file name and field
+const seeded = (name, field) =>
+  crypto.createHash("sha1").update(`${name}:${field}`).digest().readUInt32BE(0) / 2 ** 32;
+
+const analyze = (filename, fileIndex) => {
+  if (/mix/i.test(filename)) {
+    return {
+      filename,
+      file_index: fileIndex,
+      error: { code: "full_track", message: "Instrumentation detected." },
+    };
+  }
+  if (/broken/i.test(filename)) {
+    return {
+      filename,
+      file_index: fileIndex,
+      error: { code: "decode_error", message: "Could not decode the audio." },
+    };
+  }
+
+  const r = (field) => seeded(filename, field);
+  const songMinutes = 2 + r("minutes") * 3;
+  const totalPhrases = Math.round(40 + r("phrases") * 60);
+  const promptable = Math.round(totalPhrases * (0.15 + r("promptable") * 0.4));
+  const near = Math.round((totalPhrases - promptable) * r("near") * 0.5);
+  const coverage = 0.2 + r("coverage") * 0.5;
+  const gaps = 0.4 + r("gaps") * 1.4;
+  const score = coverage > 0.45 && gaps > 1.2 ? 3 : coverage > 0.3 ? 2 : 1;
+
+  return {
+    filename,
+    file_index: fileIndex,
+    score,
+    explanation: `Mock analysis: ${promptable} of ${totalPhrases} phrases leave room for a prompt.`,
+    metrics: {
+      song_minutes: Number(songMinutes.toFixed(2)),
+      total_phrases: totalPhrases,
+      num_promptable_phrases: promptable,
+      near_promptable_phrases: near,
+      promptable_phrases_per_minute: Number((promptable / songMinutes).toFixed(2)),
+      near_promptable_phrases_per_minute: Number((near / songMinutes).toFixed(2)),
+      promptable_phrase_coverage: Number(coverage.toFixed(3)),
+      comfortable_gaps_per_minute: Number(gaps.toFixed(2)),
+      comfortable_gap_coverage: Number((coverage * 0.7).toFixed(3)),
+      total_gaps_per_minute: Number((gaps * 2.5).toFixed(2)),
+      avg_phrase_duration_sec: Number((1 + r("phrase") * 2).toFixed(2)),
+      usable_density: Number((0.4 + r("density") * 0.5).toFixed(3)),
+    },
+  };
+};
+
+const jobState = (job) => ({
+  job_id: job.id,
+  status: job.status,
+  total: job.files.length,
+  results: job.results,
+  analyzer_version: VERSION,
+});
+
+const emit = (job, event, data) => {
+  job.listeners.forEach((res) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+};
+
+const finish = (job, status) => {
+  job.status = status;
+  clearTimeout(job.timer);
+  emit(job, "end", jobState(job));
+  job.listeners.forEach((res) => res.end());
+  job.listeners.clear();
+};
+
+// One file every SECONDS_PER_FILE, like a backend working through its queue
+const runJob = (job) => {
+  job.status = "running";
+  const step = () => {
+    const index = job.results.length;
+    const result = analyze(job.files[index], index);
+    job.results.push(result);
+    emit(job, "result", result);
+    if (job.results.length === job.files.length) {
+      finish(job, "done");
+    } else {
+      job.timer = setTimeout(step, SECONDS_PER_FILE * 1000);
+    }
+  };
+  job.timer = setTimeout(step, SECONDS_PER_FILE * 1000);
+};
+
+const streamJob = (req, res, job) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    // no-transform keeps the dev server's compression from buffering the stream
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+  });
+  job.results.forEach((result) => res.write(`event: result\ndata: ${JSON.stringify(result)}\n\n`));
+  if (job.status !== "queued" && job.status !== "running") {
+    res.end(`event: end\ndata: ${JSON.stringify(jobState(job))}\n\n`);
+    return;
+  }
+  job.listeners.add(res);
+  const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+  req.on("close", () => {
+    clearInterval(keepAlive);
+    job.listeners.delete(res);
+  });
+};
+
+const handle = async (req, res) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+  const jobMatch = pathname.match(/^\/jobs\/([^/]+)(\/events)?$/);
+
+  if (req.method === "GET" && pathname === "/health") {
+    send(res, 200, { status: "ok", analyzer_version: VERSION, features: FEATURES });
+    return;
+  }
+  if (!req.headers.authorization) {
+    send(res, 401, { error: { code: "unauthorized", message: "Sign in first." } });
+    return;
+  }
+
+  if (req.method === "POST" && pathname === "/analyze-upload") {
+    const names = uploadedNames(await readBody(req));
+    await new Promise((resolve) => setTimeout(resolve, SECONDS_PER_FILE * 1000 * names.length));
+    send(res, 200, { analyzer_version: VERSION, results: names.map(analyze) });
+    return;
+  }
+
+  if (req.method === "POST" && pathname === "/jobs" && FEATURES.includes("jobs")) {
+    const names = uploadedNames(await readBody(req));
+    if (!names.length) {
+      send(res, 400, { error: { code: "no_files", message: "No files in the upload." } });
+      return;
+    }
+    const job = {
+      id: `job-${nextJobId++}`,
+      status: "queued",
+      files: names,
+      results: [],
+      listeners: new Set(),
+    };
+    jobs.set(job.id, job);
+    runJob(job);
+    send(res, 202, { job_id: job.id, status: job.status, total: names.length });
+    return;
+  }
+
+  if (jobMatch && FEATURES.includes("jobs")) {
+    const job = jobs.get(decodeURIComponent(jobMatch[1]));
+    if (!job) {
+      send(res, 404, { error: { code: "job_not_found", message: "Unknown job." } });
+    } else if (req.method === "GET" && jobMatch[2]) {
+      if (FEATURES.includes("job_events")) streamJob(req, res, job);
+      else send(res, 404, { error: "Events are not enabled." });
+    } else if (req.method === "GET") {
+      send(res, 200, jobState(job));
+    } else if (req.method === "DELETE") {
+      if (job.status === "queued" || job.status === "running") finish(job, "cancelled");
+      send(res, 200, jobState(job));
+    } else {
+      send(res, 405, { error: "Method not allowed." });
+    }
+    return;
+  }
+
+  send(res, 404, { error: "Not found." });
+};
+
+http
+  .createServer((req, res) => {
+    // Lets the app call the mock directly (REACT_APP_API_URL) as well as through the dev proxy
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Headers", "Authorization, Content-Type");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
+    if (req.method === "OPTIONS") {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    handle(req, res).catch((err) => send(res, 500, { error: err.message }));
+  })
+  .listen(PORT, () => {
+    console.log(`Mock analyzer on http://127.0.0.1:${PORT} (features: ${FEATURES.join(", ")})`);
+  });
@@ -1,6 +1,90 @@
-import React, { useState } from "react";
+import React, { useCallback, useEffect, useRef, useState } from "react";
 import "./App.css";
 import config from "./config";
+import {
+  analyzeUpload,
+  cancelAnalysisJob,
+  followAnalysisJob,
+  submitAnalysisJob,
+} from "./apiClient";
+import { forgetJob, loadPendingJobs, rememberJob, shouldUseJobs } from "./jobs";
+import { normalizeResultItem } from "./resultSchema";
+import UploadQueueList, { isActiveStatus, isHeldBack, itemsToStart } from "./UploadQueueList";
+import DropZone from "./DropZone";
+import SelectionReport from "./SelectionReport";
+import { fileForUpload, planSelection } from "./fileSelection";
+import { decodeAudioFile } from "./audio/decode";
+import { isLocalEstimate } from "./audio/localAnalysis";
+import { precheckFile } from "./audio/precheck";
+import { readAudioTags } from "./audio/tags";
+import { reducedFileName } from "./audio/reduce";
+import { formatRegions, trimAudio } from "./audio/trim";
+import { encodeWav } from "./audio/wav";
+import RegionEditor from "./RegionEditor";
+import SongTimeline from "./SongTimeline";
+import PromptEditor from "./PromptEditor";
+import { downloadFile } from "./download";
+import ResultsTable from "./ResultsTable";
+import ComparisonView, { MAX_COMPARE } from "./ComparisonView";
+import RunDiffView from "./RunDiffView";
+import BatchDashboard from "./BatchDashboard";
+import { isAnalyzed } from "./batchStats";
+import LoginView from "./LoginView";
+import { clearSession, loadSession, saveSession, signIn } from "./auth";
+import BackendStatus from "./BackendStatus";
+import { HEALTH_STATE, warmUpBackend } from "./backendHealth";
+import {
+  loadRuntimeConfig,
+  loadSelectedBackendId,
+  pickProfile,
+  saveSelectedBackendId,
+} from "./runtimeConfig";
+import { METRICS, formatMetricCell, formatSeconds, isNumber } from "./metrics";
+import { scoreToClass, scoreToLabel } from "./scores";
+import { generateInsightBullets, getDecidingFactor, targetsFromRules } from "./insights";
+import {
+  activeInsightProfile,
+  loadInsightProfiles,
+  saveInsightProfiles,
+} from "./insightProfiles";
+import InsightRulesPanel from "./InsightRulesPanel";
+import {
+  annotationKey,
+  deleteAnnotation,
+  exportedAnnotation,
+  findAnnotation,
+  isEmptyAnnotation,
+  listAnnotations,
+  saveAnnotation,
+} from "./annotations";
+import SongAnnotationEditor, { AnnotationBadges } from "./SongAnnotationEditor";
+import { EMPTY_PLAYLIST, playlistSongs } from "./playlist";
+import PlaylistBuilder from "./PlaylistBuilder";
+import HistoryPanel from "./HistoryPanel";
+import { estimateStorage, isDatabaseAvailable, isQuotaError } from "./db";
+import { sha256File } from "./hash";
+import {
+  cacheNamespace,
+  getCachedResult,
+  knownBackendVersion,
+  putCachedResult,
+  resultCacheHash,
+  rememberBackendVersion,
+} from "./resultCache";
+import {
+  defaultRunName,
+  deleteRuns,
+  exportRunsJSON,
+  fileMatches,
+  listRuns,
+  pendingRunFiles,
+  renameRun,
+  saveRun,
+} from "./historyStore";
+import { RESULT_STATUS, classifyError, describeError } from "./errorClassification";
+import { buildResultsCSV, buildResultsJSON, readResultsFile } from "./resultsFile";
+import { buildTrackInfo, describeTrack } from "./trackInfo";
+import { resultKey } from "./tableRows";
 
 // Demo results so users can see how the tool works without uploading audio
 const DEMO_RESULTS = [
@@ -22,484 +106,1215 @@ const DEMO_RESULTS = [
     total_gaps_per_minute: 3.2,
     avg_phrase_duration_sec: 1.8,
     usable_density: 0.73,
+    status: "ok",
+    status_message: "",
   },
 ];
 
-// Simple heuristics to detect "full track uploaded" scenarios
-const looksLikeFullTrackError = (text) => {
-  if (!text) return false;
-  const t = String(text).toLowerCase();
-  return (
-    t.includes("full track") ||
-    t.includes("full-track") ||
-    t.includes("full mix") ||
-    t.includes("full-mix") ||
-    t.includes("mix") ||
-    t.includes("instrumental") ||
-    t.includes("backing track") ||
-    t.includes("stereo") ||
-    t.includes("not acapella") ||
-    t.includes("not a cappella") ||
-    t.includes("acapella only") ||
-    t.includes("a cappella only") ||
-    t.includes("vocals only") ||
-    t.includes("vocal only")
-  );
-};
-
-const ACAPELLA_ONLY_MESSAGE =
-  "This analyzer only supports acapella (vocal-only) files. Full songs with instrumentation will return incomplete results. Please upload an acapella stem (for example, a file ending in _vocals.wav).";
-
-const itemLooksLikeFullTrackResult = (item) => {
-  // If the score is missing or non-numeric AND key metrics are missing, treat as a likely full track
-  const scoreIsNumeric = typeof item.score === "number" && !Number.isNaN(item.score);
-
-  // "Key table metrics" used in your results grid:
-  const hasKeyMetrics =
-    item.promptable_phrases_per_minute !== undefined ||
-    item.promptable_phrase_coverage !== undefined ||
-    item.comfortable_gaps_per_minute !== undefined;
-
-  // If it looks like "Unknown" behavior: score missing/invalid AND no key metrics
-  if (!scoreIsNumeric && !hasKeyMetrics) return true;
-
-  // Also catch explicit "Unknown" label if backend ever sends it as a string
-  if (typeof item.score === "string" && item.score.toLowerCase() === "unknown" && !hasKeyMetrics) {
-    return true;
-  }
-
-  return false;
-};
+// A results row for a file that produced no usable analysis
+const createFailedResult = (file, status, message) => ({
+  filename: file.name,
+  status,
+  status_message: describeError(status, message),
+});
+
+let nextQueueId = 1;
+
+// path is where the file was picked or dropped from, e.g. "Song/vocals.wav"
+const createQueueItem = (file, path = file.name) => ({
+  id: `upload-${nextQueueId++}`,
+  file,
+  path,
+  status: "ready",
+  loaded: 0,
+  total: file.size,
+  error: "",
+  // Transient progress notes, e.g. a pending retry
+  note: "",
+  precheck: { state: config.PRECHECK_ENABLED ? "pending" : "off" },
+  forceUpload: false,
+  // undefined until hashed, then the SHA-256 (or null when hashing is unavailable)
+  hash: undefined,
+  cachedResult: null,
+  forceReanalyze: false,
+  cached: false,
+  // Whether to send a reduced copy, fixed when the item is queued; reduction
+  // then tracks { state, size, sampleRate, format, error }
+  reduce: false,
+  reduction: null,
+  // { regions, source_seconds } when only parts of the file are to be analyzed
+  trim: null,
+  // Analyzed in the browser instead of uploaded, fixed when the item is queued
+  local: false,
+  // Analysis job on the server, while one is running
+  jobId: null,
+  // undefined until the file's tags are read, then its track_info (or null)
+  trackInfo: undefined,
+});
+
+// Stands in for a file whose analysis job outlived the page; only its name and
+// size are known, so it can be followed to the end but not uploaded again
+const createReattachedItem = (job) => ({
+  ...createQueueItem({ name: job.filename, size: job.size }),
+  status: "queued",
+  precheck: { state: "off" },
+  hash: job.hash || null,
+  trim: job.trim || null,
+  jobId: job.jobId,
+  trackInfo: buildTrackInfo({}, job.filename),
+});
+
+// The filename's guess stands in while the tags are still being read
+const trackInfoOf = (item) =>
+  item.trackInfo === undefined ? buildTrackInfo({}, item.file.name) : item.trackInfo;
+
+// The reduction an upload is sent with, as the result cache tells them apart
+const reduceSettings = (reduce) =>
+  reduce ? { sampleRate: config.REDUCE_SAMPLE_RATE, format: config.REDUCE_FORMAT } : null;
+
+const canSend = (item) => Boolean(item.jobId) || item.file instanceof Blob;
 
 function App() {
-  const [files, setFiles] = useState([]);
+  const [queue, setQueue] = useState([]);
+  const [concurrency, setConcurrency] = useState(config.UPLOAD_CONCURRENCY);
   const [results, setResults] = useState([]);
-  const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
   const [statusMessage, setStatusMessage] = useState("");
   const [selectedSong, setSelectedSong] = useState(null);
-  const [authHeader, setAuthHeader] = useState(null); // cached Basic Auth header
+  const [trimItemId, setTrimItemId] = useState(null);
+  // Saved run waiting for its files to be selected again
+  const [resumeRun, setResumeRun] = useState(null);
+  const [selection, setSelection] = useState(null); // { total, skipped } of the last pick or drop
+  const [compareKeys, setCompareKeys] = useState([]); // songs ticked for side-by-side view
+  const [showCompare, setShowCompare] = useState(false);
+  const [showRunDiff, setShowRunDiff] = useState(false);
+  const [insightProfiles, setInsightProfiles] = useState(loadInsightProfiles);
+  const [showInsightRules, setShowInsightRules] = useState(false);
+  const [annotations, setAnnotations] = useState([]);
+  const [playlist, setPlaylist] = useState(EMPTY_PLAYLIST);
+  const [showPlaylist, setShowPlaylist] = useState(false);
+  const [showDashboard, setShowDashboard] = useState(true);
+  // Backend profiles from public/config.json; null until loaded
+  const [runtime, setRuntime] = useState(null);
+  const [backendId, setBackendId] = useState(loadSelectedBackendId);
+  const [health, setHealth] = useState({ state: HEALTH_STATE.CHECKING });
+  const [warmupRequest, setWarmupRequest] = useState(0);
+  // Signed-in backend session; uploads wait in the queue while there is none
+  const [session, setSession] = useState(null);
+  const [loginRequested, setLoginRequested] = useState(false);
+  const [authReason, setAuthReason] = useState("");
+  const [promptsBySong, setPromptsBySong] = useState({});
+  const [wordsPerMinute, setWordsPerMinute] = useState(config.SPEAKING_RATE_WPM);
+  const [runs, setRuns] = useState([]);
+  const [storage, setStorage] = useState(null);
+  const [historyError, setHistoryError] = useState("");
+  const [backendVersion, setBackendVersion] = useState(null);
+  const [forceReanalyzeAll, setForceReanalyzeAll] = useState(false);
+  const [reduceUploads, setReduceUploads] = useState(config.REDUCE_BEFORE_UPLOAD);
+  const [analyzeLocally, setAnalyzeLocally] = useState(config.LOCAL_ANALYSIS);
+  const abortControllers = useRef({});
+  const precheckRunning = useRef(false);
+  const tagsRunning = useRef(false);
+  const hashRunning = useRef(false);
+  // Hash promises per queue id, shared by the cache lookup and run history
+  const fileHashes = useRef({});
+  // Trimmed audio as it was sent, by queue item, so the timeline lines up with the results
+  const trimmedFiles = useRef({});
+  // The saved run the current batch belongs to; retries update it in place
+  const currentRun = useRef(null);
+
+  const loading = queue.some((item) => item.status === "queued" || isActiveStatus(item.status));
+
+  const updateQueueItem = useCallback((id, patch) => {
+    setQueue((prev) => prev.map((item) => (item.id === id ? { ...item, ...patch } : item)));
+  }, []);
+
+  const backend = runtime ? pickProfile(runtime, backendId) : null;
+  const insightProfile = activeInsightProfile(insightProfiles);
+  const insightRules = insightProfile.rules;
+  const apiBaseUrl = backend ? backend.url : config.API_BASE_URL;
+  const namespace = cacheNamespace(apiBaseUrl, backendVersion);
+  const jobMode = shouldUseJobs(config.ANALYSIS_MODE, health.jobs);
+  const jobEvents = Boolean(health.jobs && health.jobs.events);
+
+  const hashQueueItem = useCallback((item) => {
+    if (!fileHashes.current[item.id]) {
+      fileHashes.current[item.id] = sha256File(item.file).catch(() => null);
+    }
+    return fileHashes.current[item.id];
+  }, []);
+
+  // Only the selected regions, rendered to a WAV on the way out
+  const trimQueueItem = useCallback(
+    async (item, signal) => {
+      updateQueueItem(item.id, { status: "trimming" });
+      const decoded = await decodeAudioFile(item.file);
+      if (signal.aborted) {
+        const err = new Error("Trimming was cancelled");
+        err.name = "AbortError";
+        throw err;
+      }
+      const { sampleRate, channels } = trimAudio(decoded, item.trim.regions);
+      const name = reducedFileName(item.file.name, ".wav");
+      const file = new File([encodeWav(channels, sampleRate)], name, {
+        type: "audio/wav",
+        lastModified: item.file.lastModified,
+      });
+      trimmedFiles.current[item.id] = file;
+      return file;
+    },
+    [updateQueueItem]
+  );
 
-  const handleFileChange = (event) => {
-    const selectedFiles = Array.from(event.target.files || []);
-    setFiles(selectedFiles);
-    setResults([]);
-    setError("");
-    setSelectedSong(null);
-    if (selectedFiles.length > 0) {
-      setStatusMessage(`${selectedFiles.length} file(s) selected`);
-    } else {
-      setStatusMessage("");
+  // The file to send for an item queued with "reduce": a mono copy at the
+  // configured rate, or the file as it was when that fails or saves nothing.
+  // The reducer and its worker are only loaded once someone turns this on.
+  const reduceQueueItem = useCallback(
+    async (item, file, signal) => {
+      const { REDUCE_SAMPLE_RATE: sampleRate, REDUCE_FORMAT: format } = config;
+      updateQueueItem(item.id, { status: "reducing", reduction: { state: "running" } });
+      try {
+        const { reduceFile } = await import("./audio/reduceFile");
+        const reduced = await reduceFile(file, { sampleRate, format, signal });
+        if (reduced.size >= file.size) {
+          updateQueueItem(item.id, { reduction: { state: "unchanged", size: reduced.size } });
+          return file;
+        }
+        updateQueueItem(item.id, {
+          reduction: { state: "done", size: reduced.size, sampleRate, format },
+        });
+        return reduced;
+      } catch (err) {
+        if (err.name === "AbortError") throw err;
+        updateQueueItem(item.id, { reduction: { state: "error", error: err.message } });
+        return file;
+      }
+    },
+    [updateQueueItem]
+  );
+
+  // Show a cached result in the table as if it had just been analyzed
+  const applyCachedResult = useCallback(
+    (item, cachedResult) => {
+      const result = {
+        ...cachedResult,
+        filename: item.file.name,
+        source_path: item.path,
+        upload_id: item.id,
+        track_info: trackInfoOf(item),
+        cached: true,
+      };
+      setResults((prev) => [...prev.filter((entry) => entry.upload_id !== item.id), result]);
+      updateQueueItem(item.id, { status: "done", cached: true, error: "" });
+    },
+    [updateQueueItem]
+  );
+
+  const refreshRuns = useCallback(async () => {
+    if (!isDatabaseAvailable()) return;
+    try {
+      setRuns(await listRuns());
+      setStorage(await estimateStorage());
+    } catch (err) {
+      setHistoryError(`Could not load saved runs: ${err.message}`);
     }
-  };
+  }, []);
+
+  useEffect(() => {
+    refreshRuns();
+  }, [refreshRuns]);
+
+  useEffect(() => {
+    if (!isDatabaseAvailable()) return;
+    listAnnotations()
+      .then(setAnnotations)
+      .catch((err) => setHistoryError(`Could not load notes: ${err.message}`));
+  }, []);
+
+  // Saves run one at a time so progress saves can't race and create duplicates
+  const persistChain = useRef(Promise.resolve());
+
+  const saveRunNow = useCallback(
+    async (batchQueue, batchResults, complete) => {
+      if (!isDatabaseAvailable() || !batchResults.length) return;
+
+      // Every file sent in this batch, plus those analyzed before a resume
+      const files = currentRun.current ? [...(currentRun.current.priorFiles || [])] : [];
+      for (const item of batchQueue) {
+        if (item.status === "ready" || item.status === "skipped") continue;
+        files.push({
+          name: item.file.name,
+          size: item.file.size,
+          hash: await hashQueueItem(item),
+        });
+      }
 
-  const handleUpload = async () => {
-    if (!files.length) {
-      setError("Please select at least one audio file.");
+      const createdAt = currentRun.current
+        ? currentRun.current.created_at
+        : new Date().toISOString();
+      const { priorFiles, ...savedRun } = currentRun.current || {
+        name: defaultRunName(createdAt, files.length),
+      };
+      const run = {
+        ...savedRun,
+        created_at: createdAt,
+        backend_url: apiBaseUrl,
+        files,
+        results: batchResults,
+        complete,
+      };
+
+      try {
+        const id = await saveRun(run);
+        currentRun.current = { id, name: run.name, created_at: createdAt, priorFiles };
+        setHistoryError("");
+      } catch (err) {
+        setHistoryError(
+          isQuotaError(err)
+            ? "This run could not be saved because browser storage is full. Export and delete older runs to free space."
+            : `This run could not be saved: ${err.message}`
+        );
+      }
+      refreshRuns();
+    },
+    [refreshRuns, hashQueueItem, apiBaseUrl]
+  );
+
+  const persistRun = useCallback(
+    (batchQueue, batchResults, { complete = true } = {}) => {
+      persistChain.current = persistChain.current.then(() =>
+        saveRunNow(batchQueue, batchResults, complete)
+      );
+      return persistChain.current;
+    },
+    [saveRunNow]
+  );
+
+  // Replaces the list with the files a selection or drop planned to upload
+  const handleSelectFiles = (entries) => {
+    const plan = planSelection(entries);
+    const picks = plan.files.map((entry) => ({ file: fileForUpload(entry), path: entry.path }));
+    Object.values(abortControllers.current).forEach((controller) => controller.abort());
+    setSelection({ total: entries.length, skipped: plan.skipped });
+    if (resumeRun && picks.length) {
+      resumeFromFiles(resumeRun, picks);
       return;
     }
-
+    currentRun.current = null;
+    setResumeRun(null);
+    setQueue(picks.map(({ file, path }) => createQueueItem(file, path)));
+    setResults([]);
     setError("");
+    setSelectedSong(null);
+    setCompareKeys([]);
+    setStatusMessage(
+      plan.skipped.length
+        ? `${picks.length} file(s) selected, ${plan.skipped.length} left out (see below).`
+        : `${picks.length} file(s) selected`
+    );
+  };
 
-    // Ask for password once per page load
-    let header = authHeader;
-    if (!header) {
-      const password = window.prompt("Enter Lyric Coach Analyzer password:");
-      if (!password) {
-        setStatusMessage("Upload cancelled.");
-        return;
-      }
-      const username = "singfit"; // must match BASIC_AUTH_USERNAME on the server
-      header = "Basic " + btoa(`${username}:${password}`);
-      setAuthHeader(header);
-    }
+  // A stem the selection left out, added to the list by hand
+  const handleAddSkipped = (entry) => {
+    setQueue((prev) => [...prev, createQueueItem(fileForUpload(entry), entry.path)]);
+    setSelection((prev) => ({
+      ...prev,
+      skipped: prev.skipped.filter((skipped) => skipped !== entry),
+    }));
+  };
 
-    setLoading(true);
-    setStatusMessage("Uploading and analyzing songs. Please wait...");
-    setSelectedSong(null);
+  const handleRemoveItem = (id) => {
+    setQueue((prev) => prev.filter((item) => item.id !== id));
+  };
 
-    try {
-      const formData = new FormData();
-      files.forEach((file) => {
-        formData.append("files", file);
-      });
+  // Continue a saved run: files that already have a result stay as they are,
+  // only the rest are queued for upload
+  const resumeFromFiles = (run, picks) => {
+    const pending = pendingRunFiles(run);
+    const analyzed = run.files.filter((entry) => !pending.includes(entry));
+    const toSend = picks.filter(({ file }) => !analyzed.some((entry) => fileMatches(file, entry)));
+    const missing = pending.filter(
+      (entry) => !toSend.some(({ file }) => fileMatches(file, entry))
+    );
+
+    currentRun.current = {
+      id: run.id,
+      name: run.name,
+      created_at: run.created_at,
+      priorFiles: analyzed,
+    };
+    setResumeRun(null);
+    setQueue(toSend.map(({ file, path }) => createQueueItem(file, path)));
+    setResults(run.results.filter(isAnalyzed));
+    setError("");
+    setSelectedSong(null);
+    setCompareKeys([]);
+    setStatusMessage(
+      `Resuming "${run.name}": ${toSend.length} file(s) to send, ` +
+        `${picks.length - toSend.length} already analyzed` +
+        (missing.length ? `, ${missing.length} still missing from the selection.` : ".")
+    );
+  };
 
-      const response = await fetch(`${config.API_BASE_URL}/analyze-upload`, {
-        method: "POST",
-        body: formData,
-        headers: {
-          Authorization: header,
-        },
-      });
+  const uploadQueueItem = useCallback(
+    async (item, header) => {
+      const controller = new AbortController();
+      abortControllers.current[item.id] = controller;
+      // Set once the backend has accepted the file as a job; a reloaded page starts here
+      let jobId = item.jobId;
+      let hash = item.hash;
+      let keepJob = false;
+      updateQueueItem(item.id, { status: jobId ? "analyzing" : "uploading", loaded: 0, error: "" });
+
+      // A trimmed file's results are cached apart from the whole file's
+      const cacheHash = () =>
+        resultCacheHash(hash, { trim: item.trim, reduce: reduceSettings(item.reduce) });
+      // Name the file went out under, when a trimmed or reduced copy was sent
+      let sentName = item.file.name;
+      const toResultRow = (result) => {
+        const isItem = !result.filename || result.filename === sentName;
+        return {
+          ...result,
+          filename: isItem ? item.file.name : result.filename,
+          ...(isItem ? { source_path: item.path } : {}),
+          track_info: isItem ? trackInfoOf(item) : buildTrackInfo({}, result.filename),
+          upload_id: item.id,
+          // The hash is the uploaded file's, so other files it returned results for go without
+          content_hash: isItem ? hash : null,
+          ...(item.trim ? { trim: item.trim } : {}),
+        };
+      };
+
+      try {
+        let analysis;
+        if (!jobId) {
+          hash = await hashQueueItem(item);
+          if (!item.forceReanalyze) {
+            const cachedResult = await getCachedResult(cacheHash(), namespace).catch(() => null);
+            if (cachedResult) {
+              applyCachedResult(item, cachedResult);
+              return;
+            }
+          }
+          if (controller.signal.aborted) {
+            updateQueueItem(item.id, { status: "cancelled", error: "" });
+            return;
+          }
+
+          let file = item.trim ? await trimQueueItem(item, controller.signal) : item.file;
+          if (item.reduce) file = await reduceQueueItem(item, file, controller.signal);
+          if (item.trim || item.reduce) {
+            updateQueueItem(item.id, { status: "uploading", total: file.size });
+          }
+          sentName = file.name;
+          const send = {
+            baseUrl: apiBaseUrl,
+            header,
+            file,
+            signal: controller.signal,
+            onProgress: (loaded, total) => updateQueueItem(item.id, { loaded, total }),
+            onUploaded: () => updateQueueItem(item.id, { status: "analyzing", note: "" }),
+            onResend: () => updateQueueItem(item.id, { status: "uploading", loaded: 0 }),
+            onRetry: ({ attempt, retries, delayMs, reason }) => {
+              const seconds = Math.ceil(delayMs / 1000);
+              updateQueueItem(item.id, {
+                status: "retrying",
+                note: `${reason}; retry ${attempt} of ${retries} in ${seconds} s`,
+              });
+            },
+          };
+          if (jobMode) {
+            jobId = await submitAnalysisJob(send);
+            rememberJob({
+              baseUrl: apiBaseUrl,
+              jobId,
+              filename: item.file.name,
+              size: item.file.size,
+              hash,
+              trim: item.trim,
+              runId: currentRun.current ? currentRun.current.id : undefined,
+            });
+            updateQueueItem(item.id, { jobId, note: "" });
+          } else {
+            analysis = await analyzeUpload(send);
+            updateQueueItem(item.id, { note: "" });
+          }
+        }
 
-      if (!response.ok) {
-        if (response.status === 401) {
-          // Auth failed: clear cached header so we re-prompt next time
-          setAuthHeader(null);
-          throw new Error("Unauthorized. Check your password and try again.");
+        if (jobId) {
+          // Rows show up as the job reports them instead of all at the end
+          const rows = [];
+          analysis = await followAnalysisJob({
+            baseUrl: apiBaseUrl,
+            header,
+            jobId,
+            signal: controller.signal,
+            events: jobEvents,
+            onResult: (result) => {
+              rows.push(toResultRow(result));
+              setResults((prev) => [
+                ...prev.filter((entry) => entry.upload_id !== item.id),
+                ...rows,
+              ]);
+            },
+          });
         }
-        throw new Error(`Server responded with status ${response.status}`);
-      }
 
-      const data = await response.json();
+        const version = analysis.analyzerVersion;
+        if (version && version !== backendVersion) {
+          rememberBackendVersion(apiBaseUrl, version);
+          setBackendVersion(version);
+        }
 
-      // If backend returned an error string, inspect it
-      if (data.error) {
-        if (looksLikeFullTrackError(data.error)) {
-          setError(ACAPELLA_ONLY_MESSAGE);
+        // Each item keeps its own status, so a likely full track no longer
+        // discards the results of other songs
+        const normalizedResults = analysis.results.map((result) => ({
+          ...toResultRow(result),
+          schema_issues: [...analysis.issues, ...result.schema_issues],
+        }));
+        setResults((prev) => [
+          ...prev.filter((result) => result.upload_id !== item.id),
+          ...normalizedResults,
+        ]);
+
+        const failed = normalizedResults.find((result) => result.status !== RESULT_STATUS.OK);
+        if (failed) {
+          updateQueueItem(item.id, { status: "failed", error: failed.status_message, jobId: null });
+        } else {
+          updateQueueItem(item.id, { status: "done", cached: false, jobId: null });
+          if (normalizedResults.length === 1) {
+            const resultNamespace = cacheNamespace(apiBaseUrl, version || backendVersion);
+            putCachedResult(cacheHash(), resultNamespace, normalizedResults[0]).catch(() => {});
+          }
+        }
+      } catch (err) {
+        if (err.name === "AbortError") {
+          if (jobId) cancelAnalysisJob({ baseUrl: apiBaseUrl, header, jobId });
+          updateQueueItem(item.id, { status: "cancelled", error: "", note: "", jobId: null });
+        } else if (err.status === RESULT_STATUS.AUTH) {
+          // Session rejected: drop it (unless the user already signed in again)
+          // and put the file back in line. Queued uploads wait for a new
+          // session and this one is retried with it, picking its job up again.
+          keepJob = true;
+          setSession((prev) => (prev && prev.header === header ? null : prev));
+          clearSession(apiBaseUrl, header);
+          setAuthReason("Your session was rejected or has expired. Sign in again to continue.");
+          updateQueueItem(item.id, { status: "queued", loaded: 0, error: "", note: "" });
         } else {
-          setError(data.error);
+          const status = err.status || classifyError({ message: err.message, name: err.name });
+          const failedResult = {
+            ...createFailedResult(item.file, status, err.message),
+            source_path: item.path,
+            upload_id: item.id,
+            track_info: trackInfoOf(item),
+          };
+          setResults((prev) => [
+            ...prev.filter((result) => result.upload_id !== item.id),
+            failedResult,
+          ]);
+          updateQueueItem(item.id, {
+            status: "failed",
+            error: failedResult.status_message,
+            note: "",
+            jobId: null,
+          });
         }
-        setResults([]);
-        return;
+      } finally {
+        delete abortControllers.current[item.id];
+        if (jobId && !keepJob) forgetJob(jobId);
       }
+    },
+    [
+      updateQueueItem,
+      hashQueueItem,
+      trimQueueItem,
+      reduceQueueItem,
+      applyCachedResult,
+      namespace,
+      backendVersion,
+      apiBaseUrl,
+      jobMode,
+      jobEvents,
+    ]
+  );
 
-      if (Array.isArray(data.results)) {
-        const normalizedResults = data.results.map((item) => {
-          const metrics = item.metrics || {};
-          const songMinutes = metrics.song_minutes;
-          const durationSeconds =
-            typeof songMinutes === "number" ? songMinutes * 60 : undefined;
-
-          return {
-            ...item,
-            ...metrics,
-            duration_seconds: durationSeconds,
-          };
+  // The offline path: no backend, no sign-in and no result cache, just the
+  // in-browser estimate. Its worker is only loaded when it's first used.
+  const analyzeQueueItemLocally = useCallback(
+    async (item) => {
+      const controller = new AbortController();
+      abortControllers.current[item.id] = controller;
+      updateQueueItem(item.id, { status: "analyzing", loaded: 0, error: "", note: "" });
+
+      try {
+        const hash = await hashQueueItem(item);
+        const file = item.trim ? await trimQueueItem(item, controller.signal) : item.file;
+        updateQueueItem(item.id, { status: "analyzing" });
+        const { analyzeFileLocally } = await import("./audio/analyzeFileLocally");
+        const raw = await analyzeFileLocally(file, {
+          filename: item.file.name,
+          targets: targetsFromRules(insightRules),
+          signal: controller.signal,
         });
-
-        // If results imply a full track upload, show an error instead of Unknown/n.a
-        const likelyFullTrack = normalizedResults.some(itemLooksLikeFullTrackResult);
-
-        if (likelyFullTrack) {
-          setError(ACAPELLA_ONLY_MESSAGE);
-          setResults([]);
-          setStatusMessage("");
+        const result = {
+          ...normalizeResultItem(raw),
+          source_path: item.path,
+          upload_id: item.id,
+          track_info: trackInfoOf(item),
+          content_hash: hash,
+          ...(item.trim ? { trim: item.trim } : {}),
+        };
+        setResults((prev) => [...prev.filter((entry) => entry.upload_id !== item.id), result]);
+        updateQueueItem(item.id, { status: "done", cached: false });
+      } catch (err) {
+        if (err.name === "AbortError") {
+          updateQueueItem(item.id, { status: "cancelled", error: "" });
           return;
         }
-
-        setResults(normalizedResults);
-        setStatusMessage(`Processed ${normalizedResults.length} file(s).`);
-      } else {
-        setError("Unexpected response format from server.");
-        setResults([]);
+        const failedResult = {
+          ...createFailedResult(item.file, RESULT_STATUS.DECODE_FAILURE, err.message),
+          source_path: item.path,
+          upload_id: item.id,
+          track_info: trackInfoOf(item),
+        };
+        setResults((prev) => [
+          ...prev.filter((entry) => entry.upload_id !== item.id),
+          failedResult,
+        ]);
+        updateQueueItem(item.id, { status: "failed", error: failedResult.status_message });
+      } finally {
+        delete abortControllers.current[item.id];
       }
-    } catch (err) {
-      setError(`Upload or analysis failed: ${err.message}`);
-      setResults([]);
-    } finally {
-      setLoading(false);
+    },
+    [updateQueueItem, hashQueueItem, trimQueueItem, insightRules]
+  );
+
+  // Hash selected files in the background and look them up in the result cache
+  useEffect(() => {
+    if (hashRunning.current) return;
+    const next = queue.find((item) => item.hash === undefined);
+    if (!next) return;
+
+    hashRunning.current = true;
+    hashQueueItem(next).then(async (hash) => {
+      // Queueing sends the file with the reduce setting of the moment
+      const cacheHash = resultCacheHash(hash, {
+        trim: next.trim,
+        reduce: reduceSettings(reduceUploads),
+      });
+      const cachedResult = await getCachedResult(cacheHash, namespace).catch(() => null);
+      hashRunning.current = false;
+      updateQueueItem(next.id, { hash, cachedResult });
+    });
+  }, [queue, namespace, reduceUploads, hashQueueItem, updateQueueItem]);
+
+  // Cache hits are per backend, version and reduce setting; look files up again
+  // when any of them changes
+  useEffect(() => {
+    setQueue((prev) =>
+      prev.map((item) =>
+        item.status === "ready" && item.hash !== undefined
+          ? { ...item, hash: undefined, cachedResult: null }
+          : item
+      )
+    );
+  }, [namespace, reduceUploads]);
+
+  // Run the local acapella check on one file at a time to keep memory use bounded
+  useEffect(() => {
+    if (precheckRunning.current) return;
+    const next = queue.find((item) => item.precheck.state === "pending");
+    if (!next) return;
+
+    precheckRunning.current = true;
+    updateQueueItem(next.id, { precheck: { state: "running" } });
+    precheckFile(next.file, { maxSeconds: config.PRECHECK_MAX_SECONDS })
+      .then((result) => {
+        precheckRunning.current = false;
+        updateQueueItem(next.id, { precheck: { state: "done", ...result } });
+      })
+      .catch((err) => {
+        precheckRunning.current = false;
+        updateQueueItem(next.id, { precheck: { state: "error", error: err.message } });
+      });
+  }, [queue, updateQueueItem]);
+
+  // Read title, artist, tempo and key from each file's tags, one file at a time.
+  // Rows that arrived before the tags were read pick them up here.
+  useEffect(() => {
+    if (tagsRunning.current) return;
+    const next = queue.find((item) => item.trackInfo === undefined);
+    if (!next) return;
+
+    tagsRunning.current = true;
+    const tags = next.file instanceof Blob ? readAudioTags(next.file) : Promise.resolve({});
+    tags.then((found) => {
+      tagsRunning.current = false;
+      const trackInfo = buildTrackInfo(found, next.file.name);
+      updateQueueItem(next.id, { trackInfo });
+      setResults((prev) =>
+        prev.map((result) =>
+          result.upload_id === next.id && result.filename === next.file.name
+            ? { ...result, track_info: trackInfo }
+            : result
+        )
+      );
+    });
+  }, [queue, updateQueueItem]);
+
+  useEffect(() => {
+    loadRuntimeConfig().then(setRuntime);
+  }, []);
+
+  // Each backend has its own session and analyzer version
+  useEffect(() => {
+    if (!backend) return;
+    setSession(loadSession(backend.url));
+    setBackendVersion(knownBackendVersion(backend.url));
+  }, [backend]);
+
+  // Follow analysis jobs that a previous page load left running on this backend
+  useEffect(() => {
+    if (!backend) return;
+    const pending = loadPendingJobs(backend.url);
+    if (!pending.length) return;
+
+    setQueue((prev) => [
+      ...prev,
+      ...pending
+        .filter((job) => !prev.some((item) => item.jobId === job.jobId))
+        .map(createReattachedItem),
+    ]);
+    setStatusMessage(`Picking up ${pending.length} analysis job(s) that were still running.`);
+
+    // Results then land in the run the files were part of
+    const runId = pending.map((job) => job.runId).find(Boolean);
+    if (!runId || !isDatabaseAvailable()) return;
+    listRuns()
+      .then((saved) => {
+        const run = saved.find((entry) => entry.id === runId);
+        if (!run || currentRun.current) return;
+        currentRun.current = {
+          id: run.id,
+          name: run.name,
+          created_at: run.created_at,
+          priorFiles: run.files.filter(
+            (entry) => !pending.some((job) => job.filename === entry.name)
+          ),
+        };
+        setResults((prev) => [...run.results.filter(isAnalyzed), ...prev]);
+      })
+      .catch(() => {});
+  }, [backend]);
+
+  // Ping the selected backend, waiting out a cold start if it is asleep
+  const healthUrl = backend && runtime ? `${backend.url}${runtime.healthPath}` : null;
+  const coldStart = Boolean(backend && backend.coldStart);
+  useEffect(() => {
+    if (!healthUrl) return undefined;
+    const controller = new AbortController();
+    setHealth({ state: HEALTH_STATE.CHECKING });
+    warmUpBackend({
+      url: healthUrl,
+      coldStart,
+      signal: controller.signal,
+      onWaking: () => setHealth({ state: HEALTH_STATE.WAKING }),
+      timeoutMs: config.WARMUP_PING_TIMEOUT_MS,
+      maxSeconds: config.WARMUP_MAX_SECONDS,
+      retryDelayMs: config.WARMUP_RETRY_MS,
+    })
+      .then(setHealth)
+      .catch(() => {
+        // Superseded by a newer check
+      });
+    return () => controller.abort();
+  }, [healthUrl, coldStart, warmupRequest]);
+
+  useEffect(() => {
+    if (backend && health.version && health.version !== backendVersion) {
+      rememberBackendVersion(backend.url, health.version);
+      setBackendVersion(health.version);
+    }
+  }, [backend, health.version, backendVersion]);
+
+  // Hold uploads until the backend has answered, so a cold start isn't a failure
+  const backendReady =
+    health.state === HEALTH_STATE.ONLINE || health.state === HEALTH_STATE.OFFLINE;
+
+  // Start queued uploads whenever a slot frees up; local analysis needs no backend
+  useEffect(() => {
+    const canUpload = Boolean(session) && backendReady;
+    itemsToStart(queue, { concurrency, canUpload }).forEach((item) =>
+      item.local ? analyzeQueueItemLocally(item) : uploadQueueItem(item, session.header)
+    );
+  }, [queue, concurrency, session, backendReady, uploadQueueItem, analyzeQueueItemLocally]);
+
+  // Save progress as files finish, so a closed tab leaves a run that can be resumed
+  const settledCount = queue.filter(
+    (item) => item.status === "done" || item.status === "failed"
+  ).length;
+  const savedCount = useRef(0);
+  useEffect(() => {
+    // Between batches the count follows the queue, so each batch starts from
+    // what had already settled rather than where the last one ended
+    if (!loading) {
+      savedCount.current = settledCount;
+      return;
+    }
+    if (settledCount === savedCount.current) return;
+    savedCount.current = settledCount;
+    if (settledCount > 0) persistRun(queue, results, { complete: false });
+  }, [loading, settledCount, queue, results, persistRun]);
+
+  // Files already handed to a job keep going on the server, so only warn about the rest
+  const leavingLosesWork = queue.some(
+    (item) => (item.status === "queued" || isActiveStatus(item.status)) && !item.jobId
+  );
+  useEffect(() => {
+    if (!leavingLosesWork) return undefined;
+    const warn = (event) => {
+      event.preventDefault();
+      event.returnValue = "";
+    };
+    window.addEventListener("beforeunload", warn);
+    return () => window.removeEventListener("beforeunload", warn);
+  }, [leavingLosesWork]);
+
+  // Summarize the batch once nothing is left to upload
+  const wasLoading = useRef(false);
+  useEffect(() => {
+    if (loading) {
+      wasLoading.current = true;
+      return;
+    }
+    if (!wasLoading.current) return;
+    wasLoading.current = false;
+
+    const done = queue.filter((item) => item.status === "done").length;
+    const failed = queue.filter((item) => item.status === "failed").length;
+    const cached = queue.filter((item) => item.status === "done" && item.cached).length;
+    const cachedNote = cached > 0 ? ` (${cached} from cache)` : "";
+    setStatusMessage(
+      failed > 0
+        ? `Processed ${done} file(s)${cachedNote}, ${failed} failed.`
+        : `Processed ${done} file(s)${cachedNote}.`
+    );
+    persistRun(queue, results);
+  }, [loading, queue, results, persistRun]);
+
+  const awaitingSignIn =
+    !session && queue.some((item) => item.status === "queued" && !item.local);
+  const showLogin = loginRequested || awaitingSignIn;
+
+  const handleSignIn = async ({ username, password, remember }) => {
+    const nextSession = await signIn({
+      baseUrl: apiBaseUrl,
+      tokenPath: config.AUTH_TOKEN_PATH,
+      mode: config.AUTH_MODE,
+      username,
+      password,
+    });
+    // Only sessions the user asked to remember outlive a reload
+    if (remember) {
+      saveSession(nextSession);
+    } else {
+      clearSession(apiBaseUrl);
     }
+    setSession(nextSession);
+    setLoginRequested(false);
+    setAuthReason("");
   };
 
-  // Shorter labels to keep the table visually balanced
-  const scoreToLabel = (score) => {
-    if (score === 3) return "Strong";
-    if (score === 2) return "Maybe";
-    if (score === 1) return "Probably not";
-    return "Unknown";
+  const handleCancelSignIn = () => {
+    setLoginRequested(false);
+    setAuthReason("");
+    if (awaitingSignIn) {
+      setQueue((prev) =>
+        prev.map((item) =>
+          item.status === "queued" ? { ...item, status: "cancelled", error: "" } : item
+        )
+      );
+      setStatusMessage("Upload cancelled.");
+    }
   };
 
-  const scoreToClass = (score) => {
-    if (score === 3) return "score-badge score-strong";
-    if (score === 2) return "score-badge score-maybe";
-    if (score === 1) return "score-badge score-weak";
-    return "score-badge";
+  // Uploads already running keep their header; anything queued waits for a new sign-in
+  const handleSignOut = () => {
+    clearSession(apiBaseUrl);
+    setSession(null);
   };
 
-  const scoreNumberClass = (score) => {
-    if (score === 3) return "score-number-badge score-number-strong";
-    if (score === 2) return "score-number-badge score-number-maybe";
-    if (score === 1) return "score-number-badge score-number-weak";
-    return "score-number-badge";
+  const handleSelectBackend = (id) => {
+    saveSelectedBackendId(id);
+    setBackendId(id);
   };
 
-  const escapeCSV = (value) => {
-    if (value === null || value === undefined) return "";
-    const str = String(value);
-    const escaped = str.replace(/"/g, '""');
-    const needsQuotes = /[",\n]/.test(escaped);
-    return needsQuotes ? `"${escaped}"` : escaped;
+  const handleRecheckBackend = () => {
+    setWarmupRequest((prev) => prev + 1);
   };
 
-  const handleDownloadCSV = () => {
-    if (!results.length) {
+  // Queued items start once there is a session; without one the sign-in view opens
+  const enqueue = (shouldQueue) => {
+    // A sleeping host goes idle again after a while, so wake it before uploading
+    const staleAfter = config.WARMUP_STALE_MINUTES * 60 * 1000;
+    if (coldStart && health.checkedAt && Date.now() - health.checkedAt > staleAfter) {
+      handleRecheckBackend();
+    }
+    setQueue((prev) =>
+      prev.map((item) =>
+        shouldQueue(item)
+          ? {
+              ...item,
+              status: "queued",
+              loaded: 0,
+              error: "",
+              forceReanalyze: item.forceReanalyze || forceReanalyzeAll,
+              reduce: reduceUploads,
+              reduction: null,
+              local: analyzeLocally,
+            }
+          : item
+      )
+    );
+  };
+
+  const handleUpload = () => {
+    if (!queue.length) {
+      setError("Please select at least one audio file.");
       return;
     }
 
-    const headers = [
-      "Filename",
-      "Score",
-      "Score label",
-      "Explanation",
-      "Song minutes",
-      "Duration seconds",
-      "Total phrases",
-      "Promptable phrase count",
-      "Near promptable phrase count",
-      "Promptable phrases per min",
-      "Near promptable phrases per min",
-      "Promptable phrase coverage",
-      "Comfortable gaps per min",
-      "Comfortable gap coverage",
-      "Total gaps per min",
-      "Avg phrase duration sec",
-      "Usable density",
-    ];
-
-    const rows = results.map((item) => [
-      item.filename,
-      item.score,
-      scoreToLabel(item.score),
-      item.explanation ?? "",
-      item.song_minutes !== undefined ? item.song_minutes.toFixed(3) : "",
-      item.duration_seconds !== undefined ? item.duration_seconds.toFixed(3) : "",
-      item.total_phrases ?? "",
-      item.num_promptable_phrases ?? "",
-      item.near_promptable_phrases ?? "",
-      item.promptable_phrases_per_minute !== undefined
-        ? item.promptable_phrases_per_minute.toFixed(4)
-        : "",
-      item.near_promptable_phrases_per_minute !== undefined
-        ? item.near_promptable_phrases_per_minute.toFixed(4)
-        : "",
-      item.promptable_phrase_coverage !== undefined
-        ? item.promptable_phrase_coverage.toFixed(4)
-        : "",
-      item.comfortable_gaps_per_minute !== undefined
-        ? item.comfortable_gaps_per_minute.toFixed(4)
-        : "",
-      item.comfortable_gap_coverage !== undefined
-        ? item.comfortable_gap_coverage.toFixed(4)
-        : "",
-      item.total_gaps_per_minute !== undefined
-        ? item.total_gaps_per_minute.toFixed(4)
-        : "",
-      item.avg_phrase_duration_sec !== undefined
-        ? item.avg_phrase_duration_sec.toFixed(4)
-        : "",
-      item.usable_density !== undefined ? item.usable_density.toFixed(4) : "",
-    ]);
+    const uploadable = (item) =>
+      item.status !== "done" &&
+      item.status !== "skipped" &&
+      !isActiveStatus(item.status) &&
+      !isHeldBack(item) &&
+      canSend(item);
+    const heldBack = queue.filter(
+      (item) => item.status === "ready" && isHeldBack(item)
+    ).length;
+
+    if (!queue.some(uploadable)) {
+      setError(
+        heldBack
+          ? "All remaining files look like full mixes. Choose \"Upload anyway\" or \"Skip\" for each."
+          : "Nothing left to upload."
+      );
+      return;
+    }
 
-    const csvLines = [
-      headers.map(escapeCSV).join(","),
-      ...rows.map((row) => row.map(escapeCSV).join(",")),
-    ];
-    const csvContent = csvLines.join("\r\n");
+    setError("");
+    setSelectedSong(null);
 
-    const blob = new Blob([csvContent], {
-      type: "text/csv;charset=utf-8;",
-    });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement("a");
-    link.href = url;
-    link.setAttribute("download", "lyric_coach_results.csv");
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+    // Files already known to the cache don't need the backend (or a sign-in)
+    const fromCache = forceReanalyzeAll
+      ? []
+      : queue.filter((item) => uploadable(item) && item.cachedResult && !item.forceReanalyze);
+    fromCache.forEach((item) => applyCachedResult(item, item.cachedResult));
+    if (fromCache.length === queue.filter(uploadable).length) {
+      // Nothing to upload; let the batch summary save the run on the next render
+      wasLoading.current = true;
+      return;
+    }
+
+    const working = analyzeLocally
+      ? "Analyzing songs in this browser..."
+      : "Uploading and analyzing songs...";
+    setStatusMessage(
+      heldBack ? `${working} ${heldBack} file(s) held back as likely full mixes.` : working
+    );
+    enqueue((item) => uploadable(item) && !fromCache.includes(item));
   };
 
-  const handleRowClick = (song) => {
-    setSelectedSong(song);
+  // Some files have results and others were interrupted or cancelled
+  const canResume =
+    queue.some((item) => item.status === "done") &&
+    queue.some((item) => item.status === "failed" || item.status === "cancelled");
+
+  const handleToggleReanalyze = (id) => {
+    setQueue((prev) =>
+      prev.map((item) =>
+        item.id === id ? { ...item, forceReanalyze: !item.forceReanalyze } : item
+      )
+    );
   };
 
-  const handleCloseModal = () => {
-    setSelectedSong(null);
+  // A new trim means a different cache entry, so the file is looked up again
+  const handleSaveTrim = (id, trim) => {
+    updateQueueItem(id, { trim, hash: undefined, cachedResult: null, forceReanalyze: false });
+    setTrimItemId(null);
   };
 
-  // New: load the demo results without hitting the backend
-  const handleLoadDemo = () => {
-    setFiles([]);
+  const handleForceUpload = (id) => {
+    updateQueueItem(id, { forceUpload: true });
+  };
+
+  const handleSkipItem = (id) => {
+    updateQueueItem(id, { status: "skipped" });
+  };
+
+  const handleIncludeItem = (id) => {
+    updateQueueItem(id, { status: "ready", forceUpload: true });
+  };
+
+  const handleRetryItem = (id) => {
     setError("");
-    setSelectedSong(null);
-    setResults(DEMO_RESULTS);
-    setStatusMessage("Showing demo results (no files uploaded).");
+    setStatusMessage("Uploading and analyzing songs...");
+    enqueue((item) => item.id === id);
   };
 
-  const formatSeconds = (sec) => {
-    if (sec === null || sec === undefined || Number.isNaN(sec)) return "";
-    const total = Number(sec);
-    const minutes = Math.floor(total / 60);
-    const seconds = Math.round(total - minutes * 60);
-    const padded = String(seconds).padStart(2, "0");
-    return `${minutes}:${padded}`;
+  const canRetryUpload = (id) => {
+    const item = queue.find((entry) => entry.id === id);
+    return (
+      Boolean(item) && (item.status === "failed" || item.status === "cancelled") && canSend(item)
+    );
   };
 
-  const formatCoveragePercent = (value) => {
-    if (value === null || value === undefined || Number.isNaN(value)) {
-      return "n/a";
+  const handleCancelItem = (id) => {
+    const controller = abortControllers.current[id];
+    if (controller) {
+      controller.abort();
+      return;
     }
-    return `${(Number(value) * 100).toFixed(0)}%`;
+    updateQueueItem(id, { status: "cancelled" });
   };
 
-  // Generate song specific insight bullets based on real metrics
-  const generateInsightBullets = (song) => {
-    if (!song) return [];
-    const bullets = [];
+  const handleCancelAll = () => {
+    setQueue((prev) =>
+      prev.map((item) => (item.status === "queued" ? { ...item, status: "cancelled" } : item))
+    );
+    Object.values(abortControllers.current).forEach((controller) => controller.abort());
+  };
 
-    const cov = song.promptable_phrase_coverage;
-    const gaps = song.comfortable_gaps_per_minute;
-    const density = song.usable_density;
-    const ppm = song.promptable_phrases_per_minute;
+  const annotationFor = (result) => findAnnotation(annotations, result);
 
-    if (cov !== null && cov !== undefined && !Number.isNaN(cov)) {
-      const pct = (cov * 100).toFixed(0);
-      if (cov >= 0.55) {
-        bullets.push(
-          `Promptable phrase coverage is high at about ${pct} percent of the song.`
-        );
-      } else if (cov >= 0.35) {
-        bullets.push(
-          `Promptable phrase coverage is moderate at around ${pct} percent.`
-        );
-      } else {
-        bullets.push(
-          `Promptable phrase coverage is relatively low at about ${pct} percent.`
-        );
-      }
+  // Results as exported: each with its notes, tags and override, if any
+  const exportedResults = () =>
+    results.map((result) => {
+      const annotation = annotationFor(result);
+      return annotation ? { ...result, annotation: exportedAnnotation(annotation) } : result;
+    });
+
+  const handleDownloadCSV = () => {
+    if (!results.length) {
+      return;
     }
+    downloadFile(
+      buildResultsCSV(exportedResults()),
+      "lyric_coach_results.csv",
+      "text/csv;charset=utf-8;"
+    );
+  };
 
-    if (gaps !== null && gaps !== undefined && !Number.isNaN(gaps)) {
-      if (gaps >= 1.6) {
-        bullets.push(
-          `Comfortable gaps appear fairly often at roughly ${gaps.toFixed(1)} per minute.`
-        );
-      } else if (gaps >= 0.8) {
-        bullets.push(
-          `Comfortable gaps are present but not frequent at about ${gaps.toFixed(1)} per minute.`
-        );
-      } else {
-        bullets.push(
-          `Comfortable gaps are scarce at roughly ${gaps.toFixed(1)} per minute.`
-        );
-      }
+  const handleDownloadJSON = () => {
+    if (!results.length) {
+      return;
+    }
+    const json = buildResultsJSON(exportedResults(), {
+      run: currentRun.current,
+      appVersion: config.APP_VERSION,
+      backend,
+      backendVersion,
+    });
+    downloadFile(json, "lyric_coach_results.json", "application/json;charset=utf-8;");
+  };
+
+  // Shows an exported CSV or JSON file the way a finished batch looks
+  const handleImportResults = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+    try {
+      const imported = readResultsFile(await file.text());
+      const name = imported.run ? imported.run.name : file.name;
+      handleReopenRun({ name, results: imported.results });
+      const versions = [
+        imported.appVersion && `app v${imported.appVersion}`,
+        imported.backendVersion && `analyzer v${imported.backendVersion}`,
+      ].filter(Boolean);
+      setStatusMessage(
+        `Showing ${imported.results.length} result(s) imported from "${file.name}"` +
+          `${versions.length ? ` (exported by ${versions.join(", ")})` : ""}.` +
+          `${imported.issues.length ? ` ${imported.issues.join(" ")}` : ""}`
+      );
+    } catch (err) {
+      setError(`Could not import "${file.name}": ${err.message}`);
     }
+  };
 
-    if (ppm !== null && ppm !== undefined && !Number.isNaN(ppm)) {
-      if (ppm >= 6) {
-        bullets.push(
-          `Promptable phrases per minute are high at about ${ppm.toFixed(1)}, which increases opportunity.`
-        );
-      } else if (ppm >= 3) {
-        bullets.push(
-          `Promptable phrases per minute are in a middle range at about ${ppm.toFixed(1)}.`
-        );
-      } else {
-        bullets.push(
-          `Promptable phrases per minute are on the low side at about ${ppm.toFixed(1)}.`
-        );
+  const handleRowClick = (song) => {
+    setSelectedSong(song);
+  };
+
+  const handleCloseModal = () => {
+    setSelectedSong(null);
+  };
+
+  // Shows a saved run's results in place of the current batch
+  const handleReopenRun = (run) => {
+    handleCancelAll();
+    setQueue([]);
+    currentRun.current = null;
+    setResumeRun(null);
+    setSelection(null);
+    setError("");
+    setSelectedSong(null);
+    setCompareKeys([]);
+    setResults(run.results);
+    setStatusMessage(`Showing saved run "${run.name}".`);
+  };
+
+  // The audio isn't stored, so resuming asks for the same files again
+  const handleResumeRun = (run) => {
+    handleReopenRun(run);
+    setResults(run.results.filter(isAnalyzed));
+    setResumeRun(run);
+    setStatusMessage(
+      `Select the files of "${run.name}" again to resume; ` +
+        `${pendingRunFiles(run).length} file(s) still need analysis.`
+    );
+  };
+
+  const handleRenameRun = async (id, name) => {
+    try {
+      await renameRun(id, name);
+      if (currentRun.current && currentRun.current.id === id) {
+        currentRun.current = { ...currentRun.current, name };
       }
+    } catch (err) {
+      setHistoryError(`Could not rename run: ${err.message}`);
     }
+    refreshRuns();
+  };
 
-    if (density !== null && density !== undefined && !Number.isNaN(density)) {
-      if (density >= 0.75) {
-        bullets.push(
-          `Usable density is strong, indicating a good balance of phrases and gaps.`
-        );
-      } else if (density >= 0.5) {
-        bullets.push(
-          `Usable density is moderate, which can support some prompting.`
-        );
-      } else {
-        bullets.push(
-          `Usable density is relatively low, which limits how often prompts can fit.`
-        );
+  const handleDeleteRuns = async (ids) => {
+    try {
+      await deleteRuns(ids);
+      if (currentRun.current && ids.includes(currentRun.current.id)) {
+        currentRun.current = null;
       }
+    } catch (err) {
+      setHistoryError(`Could not delete runs: ${err.message}`);
     }
+    refreshRuns();
+  };
 
-    // Keep it concise
-    return bullets.slice(0, 3);
+  const handleExportRuns = (selectedRuns) => {
+    downloadFile(
+      exportRunsJSON(selectedRuns),
+      "lyric_coach_history.json",
+      "application/json;charset=utf-8;"
+    );
   };
 
-  // Pick one metric as the deciding factor relative to a simple reference band
-  const getDecidingFactor = (song) => {
-    if (!song) return null;
+  // New: load the demo results without hitting the backend
+  const handleLoadDemo = () => {
+    handleCancelAll();
+    setQueue([]);
+    currentRun.current = null;
+    setResumeRun(null);
+    setSelection(null);
+    setError("");
+    setSelectedSong(null);
+    setCompareKeys([]);
+    setResults(DEMO_RESULTS.map(normalizeResultItem));
+    setStatusMessage("Showing demo results (no files uploaded).");
+  };
 
-    const candidates = [];
+  const trimItem = trimItemId && queue.find((item) => item.id === trimItemId);
 
-    const cov = song.promptable_phrase_coverage;
-    if (cov !== null && cov !== undefined && !Number.isNaN(cov)) {
-      candidates.push({ key: "coverage", value: cov, target: 0.45 });
-    }
+  // The local file behind a result, if it was uploaded in this session
+  const fileForResult = (song) => {
+    if (song && song.trim) return trimmedFiles.current[song.upload_id] || null;
+    const item = song && queue.find((entry) => entry.id === song.upload_id);
+    return item && item.file instanceof Blob ? item.file : null;
+  };
 
-    const gaps = song.comfortable_gaps_per_minute;
-    if (gaps !== null && gaps !== undefined && !Number.isNaN(gaps)) {
-      candidates.push({ key: "gaps", value: gaps, target: 1.2 });
-    }
+  // Prompts are kept per result so switching songs in the modal doesn't lose them
+  const songKey = resultKey;
 
-    const density = song.usable_density;
-    if (density !== null && density !== undefined && !Number.isNaN(density)) {
-      candidates.push({ key: "density", value: density, target: 0.7 });
-    }
+  const handleChangePrompt = (song, index, text) => {
+    const key = songKey(song);
+    setPromptsBySong((prev) => ({ ...prev, [key]: { ...prev[key], [index]: text } }));
+  };
 
-    const ppm = song.promptable_phrases_per_minute;
-    if (ppm !== null && ppm !== undefined && !Number.isNaN(ppm)) {
-      candidates.push({ key: "ppm", value: ppm, target: 5.0 });
-    }
+  // Selection is kept in click order so the comparison columns match it
+  const compareSongs = compareKeys
+    .map((key) => results.find((song) => songKey(song) === key))
+    .filter(Boolean);
 
-    if (!candidates.length) return null;
+  const handleToggleCompare = (song) => {
+    const key = songKey(song);
+    setCompareKeys((prev) =>
+      prev.includes(key) ? prev.filter((entry) => entry !== key) : [...prev, key]
+    );
+  };
 
-    // Find the metric that deviates most from its reference target
-    let best = candidates[0];
-    let bestDiff = Math.abs(best.value - best.target);
+  const handleOpenFromCompare = (song) => {
+    setShowCompare(false);
+    setSelectedSong(song);
+  };
 
-    for (let i = 1; i < candidates.length; i += 1) {
-      const diff = Math.abs(candidates[i].value - candidates[i].target);
-      if (diff > bestDiff) {
-        best = candidates[i];
-        bestDiff = diff;
-      }
-    }
+  const handleOpenFromRunDiff = (song) => {
+    setShowRunDiff(false);
+    setSelectedSong(song);
+  };
 
-    const isAbove = best.value >= best.target;
+  const handleOpenFromPlaylist = (song) => {
+    setShowPlaylist(false);
+    setSelectedSong(song);
+  };
 
-    if (best.key === "coverage") {
-      const pct = (best.value * 100).toFixed(0);
-      if (isAbove) {
-        return `strong promptable phrase coverage at about ${pct} percent of the song, which supports this score.`;
-      }
-      return `lower promptable phrase coverage at about ${pct} percent of the song, which limits how high this song can score.`;
+  // Stored under this song's own key; anything it came with in an imported file
+  // is dropped from the row so removing notes really removes them
+  const handleSaveAnnotation = async (song, draft) => {
+    const stored = annotationFor(song);
+    const staleKeys = [stored && stored.key, annotationKey(song)].filter(Boolean);
+    if (isEmptyAnnotation(draft)) {
+      await Promise.all(staleKeys.map(deleteAnnotation));
+      setAnnotations((prev) => prev.filter((entry) => !staleKeys.includes(entry.key)));
+    } else {
+      const annotation = {
+        key: annotationKey(song),
+        content_hash: song.content_hash || null,
+        filename: song.filename,
+        ...draft,
+        updated_at: new Date().toISOString(),
+      };
+      await saveAnnotation(annotation);
+      setAnnotations((prev) => [
+        annotation,
+        ...prev.filter((entry) => entry.key !== annotation.key),
+      ]);
     }
-
-    if (best.key === "gaps") {
-      if (isAbove) {
-        return `a relatively high rate of comfortable gaps at about ${best.value.toFixed(
-          1
-        )} per minute, which creates more workable moments.`;
-      }
-      return `a relatively low rate of comfortable gaps at about ${best.value.toFixed(
-        1
-      )} per minute, which limits the number of workable moments.`;
+    if (song.annotation) {
+      const { annotation: imported, ...rest } = song;
+      setResults((prev) => prev.map((entry) => (entry === song ? rest : entry)));
+      setSelectedSong(rest);
     }
+  };
 
-    if (best.key === "density") {
-      if (isAbove) {
-        return `strong usable density around ${best.value.toFixed(
-          2
-        )}, indicating many workable spots for prompts.`;
-      }
-      return `lower usable density around ${best.value.toFixed(
-        2
-      )}, which reduces how often prompts can comfortably fit.`;
-    }
+  const knownTags = [...new Set(annotations.flatMap((entry) => entry.tags))].sort();
 
-    if (best.key === "ppm") {
-      if (isAbove) {
-        return `a higher than usual number of promptable phrases per minute at about ${best.value.toFixed(
-          1
-        )}, which supports this score.`;
-      }
-      return `a lower than usual number of promptable phrases per minute at about ${best.value.toFixed(
-        1
-      )}, which limits how high this song can score.`;
-    }
+  // The score a song counts with when building a set: the clinician's, if overridden
+  const sessionScore = (song) => {
+    const annotation = annotationFor(song);
+    return annotation && annotation.override ? annotation.override.score : song.score;
+  };
+  const playlistCount = playlistSongs(playlist.keys, results, songKey).length;
 
-    return null;
+  const handleChangeInsightProfiles = (next) => {
+    setInsightProfiles(next);
+    saveInsightProfiles(next);
   };
 
-  const insightBullets = selectedSong ? generateInsightBullets(selectedSong) : [];
-  const decidingFactor = selectedSong ? getDecidingFactor(selectedSong) : null;
+  const selectedAnnotation = annotationFor(selectedSong);
+  // Remounts the notes editor when its annotation is saved, removed or replaced
+  const annotationVersion = selectedAnnotation
+    ? selectedAnnotation.updated_at || "imported"
+    : "none";
+  const insightBullets = selectedSong ? generateInsightBullets(selectedSong, insightRules) : [];
+  const decidingFactor = selectedSong ? getDecidingFactor(selectedSong, insightRules) : null;
 
   return (
     <div className="app-root">
@@ -514,7 +1329,42 @@ function App() {
               </p>
             </div>
           </div>
-          <div className="app-tag">Internal tool</div>
+          <div className="top-bar-actions">
+            <div className="app-tag">Internal tool</div>
+            <BackendStatus
+              profiles={runtime ? runtime.profiles : []}
+              backend={backend}
+              health={health}
+              version={backendVersion}
+              disabled={loading}
+              onSelect={handleSelectBackend}
+              onRecheck={handleRecheckBackend}
+            />
+            <button
+              type="button"
+              className="secondary-button"
+              title="Thresholds, targets and wording of the song insights"
+              onClick={() => setShowInsightRules(true)}
+            >
+              Insight rules: {insightProfile.name}
+            </button>
+            {session ? (
+              <div className="session-indicator">
+                Signed in as <strong>{session.username || "guest"}</strong>
+                <button type="button" className="link-button" onClick={handleSignOut}>
+                  Sign out
+                </button>
+              </div>
+            ) : (
+              <button
+                type="button"
+                className="secondary-button"
+                onClick={() => setLoginRequested(true)}
+              >
+                Sign in
+              </button>
+            )}
+          </div>
         </div>
       </header>
 
@@ -525,30 +1375,100 @@ function App() {
             <p className="hint">
               Supported formats: MP3, WAV, M4A, and FLAC.{" "}
               <strong>Acapella (vocal only) files are required.</strong>{" "}
-              Full tracks with instrumentation are not supported.
+              Full tracks with instrumentation are not supported. Song folders with stems work
+              too: the vocal stem of each song is picked and the other stems are left out.
             </p>
 
-            <label className="file-input-label">
-              <span className="file-input-button">Choose files</span>
-              <input
-                type="file"
-                multiple
-                accept=".mp3,.wav,.m4a,.flac"
-                onChange={handleFileChange}
-              />
-            </label>
+            <DropZone disabled={loading} onFiles={handleSelectFiles} onError={setError} />
+            <SelectionReport
+              selection={selection}
+              onAdd={handleAddSkipped}
+              onDismiss={() => setSelection(null)}
+            />
 
             <div className="actions">
               <button
                 className="primary-button"
                 onClick={handleUpload}
-                disabled={loading || !files.length}
+                disabled={loading || !queue.length}
               >
-                {loading ? "Analyzing..." : "Upload and Analyze"}
+                {loading
+                  ? "Analyzing..."
+                  : canResume
+                  ? "Resume batch"
+                  : "Upload and Analyze"}
               </button>
+              <label className="concurrency-input">
+                Parallel uploads
+                <input
+                  type="number"
+                  min="1"
+                  max="8"
+                  value={concurrency}
+                  onChange={(e) =>
+                    setConcurrency(Math.min(Math.max(Number(e.target.value) || 1, 1), 8))
+                  }
+                />
+              </label>
+              <label className="concurrency-input">
+                <input
+                  type="checkbox"
+                  checked={forceReanalyzeAll}
+                  onChange={(e) => setForceReanalyzeAll(e.target.checked)}
+                />
+                Force re-analyze
+              </label>
+              <label
+                className="concurrency-input"
+                title={
+                  `Convert each file to mono ${config.REDUCE_SAMPLE_RATE / 1000} kHz ` +
+                  `${config.REDUCE_FORMAT.toUpperCase()} in the browser before sending it. ` +
+                  "Applies to the files queued next."
+                }
+              >
+                <input
+                  type="checkbox"
+                  checked={reduceUploads}
+                  onChange={(e) => setReduceUploads(e.target.checked)}
+                />
+                Reduce before upload
+              </label>
+              <label
+                className="concurrency-input"
+                title={
+                  "Estimate the metrics from loudness in this browser instead of uploading. " +
+                  "Works without the server, but is much less accurate. " +
+                  "Applies to the files queued next."
+                }
+              >
+                <input
+                  type="checkbox"
+                  checked={analyzeLocally}
+                  onChange={(e) => setAnalyzeLocally(e.target.checked)}
+                />
+                Analyze in this browser
+              </label>
             </div>
 
+            <UploadQueueList
+              queue={queue}
+              onCancel={handleCancelItem}
+              onRetry={handleRetryItem}
+              onCancelAll={handleCancelAll}
+              onForceUpload={handleForceUpload}
+              onSkip={handleSkipItem}
+              onInclude={handleIncludeItem}
+              onRemove={handleRemoveItem}
+              onToggleReanalyze={handleToggleReanalyze}
+              onTrim={setTrimItemId}
+            />
+
             {statusMessage && <div className="status status-info">{statusMessage}</div>}
+            {loading && health.state === HEALTH_STATE.WAKING && (
+              <div className="status status-info">
+                The server is waking up after being idle. Uploads start as soon as it responds.
+              </div>
+            )}
             {error && <div className="status status-error">{error}</div>}
           </section>
 
@@ -563,6 +1483,50 @@ function App() {
                 >
                   Load demo
                 </button>
+                <label className="file-input-label results-import">
+                  <span className="secondary-button">Import results</span>
+                  <input type="file" accept=".csv,.json" onChange={handleImportResults} />
+                </label>
+                {results.length > 0 && (
+                  <button
+                    type="button"
+                    className="secondary-button"
+                    onClick={() => setShowDashboard((prev) => !prev)}
+                  >
+                    {showDashboard ? "Hide summary" : "Show summary"}
+                  </button>
+                )}
+                {results.length > 0 && (
+                  <button
+                    type="button"
+                    className="secondary-button"
+                    disabled={compareSongs.length < 2}
+                    title="Tick two or more rows to compare them"
+                    onClick={() => setShowCompare(true)}
+                  >
+                    Compare{compareSongs.length ? ` (${compareSongs.length})` : ""}
+                  </button>
+                )}
+                {(results.length > 0 || runs.length > 0) && (
+                  <button
+                    type="button"
+                    className="secondary-button"
+                    title="See which scores and metrics changed between two result sets"
+                    onClick={() => setShowRunDiff(true)}
+                  >
+                    Compare runs
+                  </button>
+                )}
+                {results.length > 0 && (
+                  <button
+                    type="button"
+                    className="secondary-button"
+                    title="Put analyzed songs in order for a session"
+                    onClick={() => setShowPlaylist(true)}
+                  >
+                    Build playlist{playlistCount ? ` (${playlistCount})` : ""}
+                  </button>
+                )}
                 {results.length > 0 && (
                   <button
                     type="button"
@@ -572,13 +1536,19 @@ function App() {
                     Download CSV
                   </button>
                 )}
+                {results.length > 0 && (
+                  <button type="button" className="secondary-button" onClick={handleDownloadJSON}>
+                    Download JSON
+                  </button>
+                )}
               </div>
             </div>
 
             {!results.length && (
               <p className="hint">
                 After you upload songs, results will appear here with scores and key metrics.{" "}
-                You can also load a demo result to see how the analyzer works.{" "}
+                You can also load a demo result to see how the analyzer works, or import{" "}
+                results someone exported as CSV or JSON.{" "}
                 Click a row to open a detailed explanation and full metrics.
               </p>
             )}
@@ -592,64 +1562,70 @@ function App() {
                   <span className="legend-pill legend-weak">1 Probably not</span>
                 </div>
 
-                <div className="results-table-wrapper">
-                  <table className="results-table">
-                    <thead>
-                      <tr>
-                        <th className="col-filename">Filename</th>
-                        <th className="col-score-number">Score</th>
-                        <th className="col-score-label">Score label</th>
-                        <th className="col-metric">Promptable phrases per min</th>
-                        <th className="col-metric">Promptable phrase coverage</th>
-                        <th className="col-metric">Comfortable gaps per min</th>
-                      </tr>
-                    </thead>
-                    <tbody>
-                      {results.map((item, index) => (
-                        <tr
-                          key={index}
-                          className="clickable-row"
-                          onClick={() => handleRowClick(item)}
+                {showDashboard && (
+                  <BatchDashboard results={results} onOpenSong={handleRowClick} />
+                )}
+
+                <ResultsTable
+                  results={results}
+                  onRowClick={handleRowClick}
+                  onRetry={handleRetryItem}
+                  canRetry={canRetryUpload}
+                  isSelected={(item) => compareKeys.includes(songKey(item))}
+                  onToggleSelect={handleToggleCompare}
+                  canSelectMore={compareSongs.length < MAX_COMPARE}
+                  renderFilenameExtras={(item) => (
+                    <>
+                      {item.cached && (
+                        <span
+                          className="cached-badge"
+                          title="Reused from an earlier analysis of the same file"
                         >
-                          <td className="filename-cell">{item.filename}</td>
-                          <td className="score-number-cell">
-                            {item.score != null ? (
-                              <span className={scoreNumberClass(item.score)}>{item.score}</span>
-                            ) : (
-                              "?"
-                            )}
-                          </td>
-                          <td>
-                            <span className={scoreToClass(item.score)}>{scoreToLabel(item.score)}</span>
-                          </td>
-                          <td>
-                            {item.promptable_phrases_per_minute !== undefined
-                              ? item.promptable_phrases_per_minute.toFixed(2)
-                              : "n/a"}
-                          </td>
-                          <td>
-                            {item.promptable_phrase_coverage !== undefined
-                              ? formatCoveragePercent(item.promptable_phrase_coverage)
-                              : "n/a"}
-                          </td>
-                          <td>
-                            {item.comfortable_gaps_per_minute !== undefined
-                              ? item.comfortable_gaps_per_minute.toFixed(2)
-                              : "n/a"}
-                          </td>
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
-
-                  <div className="results-note">
-                    <strong>General note:</strong>{" "}
-                    The metrics in this table are summaries. The analyzer also looks at timing patterns and other details not shown here, so songs with similar numbers can still receive different scores. Click a row to see a song specific explanation.
-                  </div>
+                          cached
+                        </span>
+                      )}
+                      {isLocalEstimate(item) && (
+                        <span
+                          className="local-badge"
+                          title="Estimated in this browser from loudness alone, not by the analyzer"
+                        >
+                          local estimate
+                        </span>
+                      )}
+                      {item.schema_issues && item.schema_issues.length > 0 && (
+                        <span className="schema-badge" title={item.schema_issues.join("\n")}>
+                          check data
+                        </span>
+                      )}
+                      <AnnotationBadges annotation={annotationFor(item)} />
+                    </>
+                  )}
+                  overrideFor={(item) => {
+                    const annotation = annotationFor(item);
+                    return annotation ? annotation.override : null;
+                  }}
+                />
+
+                <div className="results-note">
+                  <strong>General note:</strong>{" "}
+                  The metrics in this table are summaries. The analyzer also looks at timing patterns and other details not shown here, so songs with similar numbers can still receive different scores. The scatter plot in the summary makes those cases easy to spot. Click a row to see a song specific explanation.
                 </div>
               </>
             )}
           </section>
+
+          {isDatabaseAvailable() && (
+            <HistoryPanel
+              runs={runs}
+              storage={storage}
+              error={historyError}
+              onReopen={handleReopenRun}
+              onResume={handleResumeRun}
+              onRename={handleRenameRun}
+              onDelete={handleDeleteRuns}
+              onExport={handleExportRuns}
+            />
+          )}
         </div>
       </main>
 
@@ -657,22 +1633,105 @@ function App() {
         <div className="app-footer-inner">
           <span>© 2025 Musical Health Technologies. All rights reserved.</span>
           <span className="app-footer-meta">
-            Lyric Coach Analyzer · Internal use only · v1.0
+            Lyric Coach Analyzer · Internal use only · v{config.APP_VERSION}
           </span>
         </div>
       </footer>
 
+      {trimItem && (
+        <RegionEditor
+          key={trimItem.id}
+          item={trimItem}
+          onSave={(trim) => handleSaveTrim(trimItem.id, trim)}
+          onCancel={() => setTrimItemId(null)}
+        />
+      )}
+
+      {showLogin && (
+        <LoginView
+          defaultUsername={config.AUTH_USERNAME}
+          reason={authReason}
+          onSignIn={handleSignIn}
+          onCancel={handleCancelSignIn}
+        />
+      )}
+
+      {showCompare && compareSongs.length > 0 && (
+        <ComparisonView
+          songs={compareSongs}
+          ruleSet={insightRules}
+          onClose={() => setShowCompare(false)}
+          onOpenSong={handleOpenFromCompare}
+          onRemoveSong={handleToggleCompare}
+        />
+      )}
+
+      {showInsightRules && (
+        <InsightRulesPanel
+          profilesState={insightProfiles}
+          results={results}
+          onChange={handleChangeInsightProfiles}
+          onClose={() => setShowInsightRules(false)}
+        />
+      )}
+
+      {showRunDiff && (
+        <RunDiffView
+          currentResults={results}
+          runs={runs}
+          onClose={() => setShowRunDiff(false)}
+          onOpenSong={handleOpenFromRunDiff}
+        />
+      )}
+
+      {showPlaylist && (
+        <PlaylistBuilder
+          results={results}
+          playlist={playlist}
+          keyOf={songKey}
+          scoreOf={sessionScore}
+          onChange={setPlaylist}
+          onOpenSong={handleOpenFromPlaylist}
+          onClose={() => setShowPlaylist(false)}
+        />
+      )}
+
       {selectedSong && (
         <div className="modal-backdrop" onClick={handleCloseModal}>
           <div className="modal" onClick={(e) => e.stopPropagation()}>
             <div className="modal-header">
               <div>
                 <div className="modal-title">{selectedSong.filename}</div>
+                {selectedSong.track_info && (
+                  <div className="modal-track-info">
+                    {describeTrack(selectedSong.track_info)}
+                    {selectedSong.track_info.guessed.length > 0 && (
+                      <span
+                        className="hint"
+                        title={`Guessed: ${selectedSong.track_info.guessed.join(", ")}`}
+                      >
+                        {" "}
+                        (partly from the filename)
+                      </span>
+                    )}
+                  </div>
+                )}
                 <div className="modal-subtitle">
                   <span className={scoreToClass(selectedSong.score)}>
                     {scoreToLabel(selectedSong.score)}
                   </span>
                   <span className="modal-score-text">Score {selectedSong.score}</span>
+                  {selectedAnnotation && selectedAnnotation.override && (
+                    <span
+                      className="override-badge"
+                      title={`Overridden: ${selectedAnnotation.override.reason}`}
+                    >
+                      clinician: {scoreToLabel(selectedAnnotation.override.score)}
+                    </span>
+                  )}
+                  {isLocalEstimate(selectedSong) && (
+                    <span className="local-badge">local estimate</span>
+                  )}
                 </div>
               </div>
               <button className="modal-close" type="button" onClick={handleCloseModal}>
@@ -703,113 +1762,75 @@ function App() {
                 <p className="modal-explanation">{selectedSong.explanation}</p>
               )}
 
-              <div className="detail-grid">
-                <div className="detail-item">
-                  <div className="detail-label">Duration</div>
-                  <div className="detail-value">
-                    {formatSeconds(selectedSong.duration_seconds)}{" "}
-                    {selectedSong.duration_seconds
-                      ? `(${selectedSong.duration_seconds.toFixed(1)} sec)`
-                      : ""}
-                  </div>
-                </div>
-
-                <div className="detail-item">
-                  <div className="detail-label">Song minutes</div>
-                  <div className="detail-value">
-                    {selectedSong.song_minutes !== undefined
-                      ? selectedSong.song_minutes.toFixed(2)
-                      : "n/a"}
-                  </div>
-                </div>
-
-                <div className="detail-item">
-                  <div className="detail-label">Total phrases</div>
-                  <div className="detail-value">{selectedSong.total_phrases ?? "n/a"}</div>
-                </div>
-
-                <div className="detail-item">
-                  <div className="detail-label">Promptable phrase count</div>
-                  <div className="detail-value">{selectedSong.num_promptable_phrases ?? "n/a"}</div>
-                </div>
-
-                <div className="detail-item">
-                  <div className="detail-label">Near promptable phrase count</div>
-                  <div className="detail-value">{selectedSong.near_promptable_phrases ?? "n/a"}</div>
-                </div>
-
-                <div className="detail-item">
-                  <div className="detail-label">Promptable phrases per min</div>
-                  <div className="detail-value">
-                    {selectedSong.promptable_phrases_per_minute !== undefined
-                      ? selectedSong.promptable_phrases_per_minute.toFixed(2)
-                      : "n/a"}
-                  </div>
-                </div>
-
-                <div className="detail-item">
-                  <div className="detail-label">Near promptable phrases per min</div>
-                  <div className="detail-value">
-                    {selectedSong.near_promptable_phrases_per_minute !== undefined
-                      ? selectedSong.near_promptable_phrases_per_minute.toFixed(2)
-                      : "n/a"}
-                  </div>
-                </div>
+              <SongAnnotationEditor
+                key={`${songKey(selectedSong)}-${annotationVersion}`}
+                song={selectedSong}
+                annotation={selectedAnnotation}
+                knownTags={knownTags}
+                onSave={(draft) => handleSaveAnnotation(selectedSong, draft)}
+                onClear={() =>
+                  handleSaveAnnotation(selectedSong, { notes: "", tags: [], override: null })
+                }
+              />
 
-                <div className="detail-item">
-                  <div className="detail-label">Promptable coverage</div>
-                  <div className="detail-value">
-                    {selectedSong.promptable_phrase_coverage !== undefined
-                      ? formatCoveragePercent(selectedSong.promptable_phrase_coverage)
-                      : "n/a"}
-                  </div>
-                </div>
+              <SongTimeline
+                key={songKey(selectedSong)}
+                song={selectedSong}
+                file={fileForResult(selectedSong)}
+              />
 
-                <div className="detail-item">
-                  <div className="detail-label">Avg phrase duration</div>
-                  <div className="detail-value">
-                    {selectedSong.avg_phrase_duration_sec !== undefined
-                      ? `${selectedSong.avg_phrase_duration_sec.toFixed(2)} sec`
-                      : "n/a"}
-                  </div>
-                </div>
+              <PromptEditor
+                song={selectedSong}
+                prompts={promptsBySong[songKey(selectedSong)] || {}}
+                onChangePrompt={(index, text) => handleChangePrompt(selectedSong, index, text)}
+                wordsPerMinute={wordsPerMinute}
+                onChangeWordsPerMinute={setWordsPerMinute}
+              />
 
+              <div className="detail-grid">
                 <div className="detail-item">
-                  <div className="detail-label">Comfortable gaps per min</div>
+                  <div className="detail-label">Duration</div>
                   <div className="detail-value">
-                    {selectedSong.comfortable_gaps_per_minute !== undefined
-                      ? selectedSong.comfortable_gaps_per_minute.toFixed(2)
+                    {isNumber(selectedSong.duration_seconds)
+                      ? `${formatSeconds(selectedSong.duration_seconds)} ` +
+                        `(${selectedSong.duration_seconds.toFixed(1)} sec)`
                       : "n/a"}
                   </div>
                 </div>
 
-                <div className="detail-item">
-                  <div className="detail-label">Total gaps per min</div>
-                  <div className="detail-value">
-                    {selectedSong.total_gaps_per_minute !== undefined
-                      ? selectedSong.total_gaps_per_minute.toFixed(2)
-                      : "n/a"}
+                {selectedSong.trim && (
+                  <div className="detail-item">
+                    <div className="detail-label">Analyzed regions</div>
+                    <div className="detail-value">
+                      {formatRegions(selectedSong.trim.regions)}
+                      {selectedSong.trim.source_seconds > 0 &&
+                        ` (of ${formatSeconds(selectedSong.trim.source_seconds)})`}
+                    </div>
                   </div>
-                </div>
+                )}
 
-                <div className="detail-item">
-                  <div className="detail-label">Comfortable gap coverage</div>
-                  <div className="detail-value">
-                    {selectedSong.comfortable_gap_coverage !== undefined
-                      ? formatCoveragePercent(selectedSong.comfortable_gap_coverage)
-                      : "n/a"}
+                {METRICS.filter((metric) => metric.key !== "duration_seconds").map((metric) => (
+                  <div key={metric.key} className="detail-item">
+                    <div className="detail-label">{metric.label}</div>
+                    <div className="detail-value">
+                      {formatMetricCell(metric, selectedSong[metric.key])}
+                    </div>
                   </div>
-                </div>
+                ))}
+              </div>
 
-                <div className="detail-item">
-                  <div className="detail-label">Usable density</div>
-                  <div className="detail-value">
-                    {selectedSong.usable_density !== undefined
-                      ? selectedSong.usable_density.toFixed(2)
-                      : "n/a"}
+              {selectedSong.schema_issues && selectedSong.schema_issues.length > 0 && (
+                <div className="schema-issues">
+                  <div className="detail-label">
+                    The server sent some fields in an unexpected form
                   </div>
+                  <ul>
+                    {selectedSong.schema_issues.map((issue) => (
+                      <li key={issue}>{issue}</li>
+                    ))}
+                  </ul>
                 </div>
-              </div>
+              )}
             </div>
           </div>
         </div>
@@ -0,0 +1,52 @@
+import React from "react";
+import { HEALTH_LABELS, HEALTH_STATE } from "./backendHealth";
+
+function BackendStatus({ profiles, backend, health, version, disabled, onSelect, onRecheck }) {
+  const busy = health.state === HEALTH_STATE.CHECKING || health.state === HEALTH_STATE.WAKING;
+  const details = [
+    version && `v${version}`,
+    health.state === HEALTH_STATE.ONLINE && health.latencyMs != null && `${health.latencyMs} ms`,
+    health.state === HEALTH_STATE.OFFLINE &&
+      (health.error || (health.httpStatus && `HTTP ${health.httpStatus}`)),
+  ].filter(Boolean);
+
+  return (
+    <div className="backend-status">
+      {profiles.length > 1 ? (
+        <select
+          className="backend-select"
+          value={backend ? backend.id : ""}
+          disabled={disabled}
+          title={
+            disabled
+              ? "Wait for uploads to finish before switching backends"
+              : backend && backend.url
+          }
+          onChange={(e) => onSelect(e.target.value)}
+        >
+          {profiles.map((profile) => (
+            <option key={profile.id} value={profile.id}>
+              {profile.label}
+            </option>
+          ))}
+        </select>
+      ) : (
+        <span className="backend-name" title={backend && backend.url}>
+          {backend ? backend.label : "Backend"}
+        </span>
+      )}
+      <span className={`health-dot health-${health.state}`} />
+      <span className="health-label">
+        {HEALTH_LABELS[health.state]}
+        {details.length > 0 && <span className="health-details"> · {details.join(" · ")}</span>}
+      </span>
+      {!busy && (
+        <button type="button" className="link-button" onClick={onRecheck}>
+          Recheck
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default BackendStatus;
@@ -0,0 +1,255 @@
+import React, { useMemo, useState } from "react";
+import { histogram, isAnalyzed, summarizeBatch } from "./batchStats";
+import { METRICS, METRICS_BY_KEY, formatMetricCell, isNumber } from "./metrics";
+
+const SCORE_COLORS = { 3: "#16a34a", 2: "#f59e0b", 1: "#fb7185" };
+const UNKNOWN_COLOR = "#9ca3af";
+const scoreColor = (score) => SCORE_COLORS[score] || UNKNOWN_COLOR;
+
+const HIST_WIDTH = 180;
+const HIST_HEIGHT = 56;
+
+const SCATTER_WIDTH = 480;
+const SCATTER_HEIGHT = 280;
+const SCATTER_PAD = 36;
+
+const formatPercent = (share) => `${Math.round(share * 100)}%`;
+
+const binRange = (metric, bin) =>
+  `${formatMetricCell(metric, bin.start)} – ${formatMetricCell(metric, bin.end)}`;
+
+function MetricHistogram({ metric, values }) {
+  const { min, max, bins } = histogram(values);
+  const tallest = Math.max(1, ...bins.map((bin) => bin.count));
+  const barWidth = bins.length ? HIST_WIDTH / bins.length : 0;
+
+  return (
+    <div className="dashboard-histogram">
+      <div className="dashboard-histogram-label">{metric.shortLabel || metric.label}</div>
+      <svg
+        viewBox={`0 0 ${HIST_WIDTH} ${HIST_HEIGHT}`}
+        width="100%"
+        height={HIST_HEIGHT}
+        preserveAspectRatio="none"
+      >
+        {bins.map((bin, index) => {
+          const height = (bin.count / tallest) * (HIST_HEIGHT - 2);
+          return (
+            <rect
+              key={index}
+              x={index * barWidth + 1}
+              y={HIST_HEIGHT - height}
+              width={Math.max(barWidth - 2, 1)}
+              height={height}
+              className="dashboard-histogram-bar"
+            >
+              <title>{`${binRange(metric, bin)}: ${bin.count} song(s)`}</title>
+            </rect>
+          );
+        })}
+      </svg>
+      <div className="dashboard-histogram-range">
+        <span>{min === null ? "n/a" : formatMetricCell(metric, min)}</span>
+        <span>{max === null ? "" : formatMetricCell(metric, max)}</span>
+      </div>
+    </div>
+  );
+}
+
+function ScatterPlot({ songs, xKey, yKey, onOpenSong }) {
+  const xMetric = METRICS_BY_KEY[xKey];
+  const yMetric = METRICS_BY_KEY[yKey];
+  const points = songs.filter((song) => isNumber(song[xKey]) && isNumber(song[yKey]));
+
+  if (!points.length) {
+    return <p className="hint">No songs have both of these metrics.</p>;
+  }
+
+  const extent = (key) => {
+    const values = points.map((song) => song[key]);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    // Pad a flat range so the points don't sit on the axis
+    return min === max ? [min - 1, max + 1] : [min, max];
+  };
+  const [xMin, xMax] = extent(xKey);
+  const [yMin, yMax] = extent(yKey);
+  const plotWidth = SCATTER_WIDTH - SCATTER_PAD * 2;
+  const plotHeight = SCATTER_HEIGHT - SCATTER_PAD * 2;
+  const toX = (value) => SCATTER_PAD + ((value - xMin) / (xMax - xMin)) * plotWidth;
+  const pointLabel = (song) =>
+    `${song.filename} · score ${song.score ?? "?"} · ` +
+    `${formatMetricCell(xMetric, song[xKey])}, ${formatMetricCell(yMetric, song[yKey])}`;
+  const toY = (value) =>
+    SCATTER_HEIGHT - SCATTER_PAD - ((value - yMin) / (yMax - yMin)) * plotHeight;
+
+  return (
+    <svg
+      className="dashboard-scatter"
+      viewBox={`0 0 ${SCATTER_WIDTH} ${SCATTER_HEIGHT}`}
+      width="100%"
+      role="img"
+      aria-label={`${yMetric.label} against ${xMetric.label}`}
+    >
+      <line
+        className="dashboard-axis"
+        x1={SCATTER_PAD}
+        y1={SCATTER_HEIGHT - SCATTER_PAD}
+        x2={SCATTER_WIDTH - SCATTER_PAD}
+        y2={SCATTER_HEIGHT - SCATTER_PAD}
+      />
+      <line
+        className="dashboard-axis"
+        x1={SCATTER_PAD}
+        y1={SCATTER_PAD}
+        x2={SCATTER_PAD}
+        y2={SCATTER_HEIGHT - SCATTER_PAD}
+      />
+      <text className="dashboard-tick" x={SCATTER_PAD} y={SCATTER_HEIGHT - SCATTER_PAD + 14}>
+        {formatMetricCell(xMetric, xMin)}
+      </text>
+      <text
+        className="dashboard-tick"
+        x={SCATTER_WIDTH - SCATTER_PAD}
+        y={SCATTER_HEIGHT - SCATTER_PAD + 14}
+        textAnchor="end"
+      >
+        {formatMetricCell(xMetric, xMax)}
+      </text>
+      <text
+        className="dashboard-tick"
+        x={SCATTER_PAD - 4}
+        y={SCATTER_HEIGHT - SCATTER_PAD}
+        textAnchor="end"
+      >
+        {formatMetricCell(yMetric, yMin)}
+      </text>
+      <text className="dashboard-tick" x={SCATTER_PAD - 4} y={SCATTER_PAD + 4} textAnchor="end">
+        {formatMetricCell(yMetric, yMax)}
+      </text>
+      <text
+        className="dashboard-axis-label"
+        x={SCATTER_WIDTH / 2}
+        y={SCATTER_HEIGHT - 6}
+        textAnchor="middle"
+      >
+        {xMetric.label}
+      </text>
+      <text className="dashboard-axis-label" x={SCATTER_PAD} y={SCATTER_PAD - 12}>
+        {yMetric.label}
+      </text>
+      {points.map((song, index) => (
+        <circle
+          key={song.upload_id || `${song.filename}-${index}`}
+          className="dashboard-point"
+          cx={toX(song[xKey])}
+          cy={toY(song[yKey])}
+          r={5}
+          fill={scoreColor(song.score)}
+          onClick={() => onOpenSong(song)}
+        >
+          <title>{pointLabel(song)}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
+
+function BatchDashboard({ results, onOpenSong }) {
+  const [xKey, setXKey] = useState("promptable_phrase_coverage");
+  const [yKey, setYKey] = useState("comfortable_gaps_per_minute");
+  const summary = useMemo(() => summarizeBatch(results), [results]);
+  const analyzed = useMemo(() => results.filter(isAnalyzed), [results]);
+
+  return (
+    <div className="batch-dashboard">
+      <div className="dashboard-summary">
+        <div className="dashboard-stat">
+          <div className="detail-label">Songs analyzed</div>
+          <div className="dashboard-stat-value">
+            {summary.analyzedCount}
+            {summary.failedCount > 0 && (
+              <span className="dashboard-stat-note"> · {summary.failedCount} failed</span>
+            )}
+          </div>
+        </div>
+        <div className="dashboard-stat">
+          <div className="detail-label">Total song minutes</div>
+          <div className="dashboard-stat-value">{summary.totalMinutes.toFixed(1)}</div>
+        </div>
+        <div className="dashboard-stat">
+          <div className="detail-label">Average song minutes</div>
+          <div className="dashboard-stat-value">
+            {summary.averageMinutes === null ? "n/a" : summary.averageMinutes.toFixed(2)}
+          </div>
+        </div>
+      </div>
+
+      <div className="dashboard-distribution">
+        <div className="dashboard-distribution-bar">
+          {summary.scores
+            .filter((entry) => entry.count > 0)
+            .map((entry) => (
+              <div
+                key={String(entry.value)}
+                style={{ flexGrow: entry.count, backgroundColor: scoreColor(entry.value) }}
+                title={`${entry.label}: ${entry.count}`}
+              />
+            ))}
+        </div>
+        <div className="dashboard-distribution-legend">
+          {summary.scores.map((entry) => (
+            <span key={String(entry.value)} className="dashboard-distribution-item">
+              <span
+                className="compare-swatch"
+                style={{ backgroundColor: scoreColor(entry.value) }}
+              />
+              {entry.label}: <strong>{entry.count}</strong> ({formatPercent(entry.share)})
+            </span>
+          ))}
+        </div>
+      </div>
+
+      <div className="dashboard-charts">
+        <div className="dashboard-scatter-block">
+          <div className="dashboard-scatter-controls">
+            <label>
+              X
+              <select value={xKey} onChange={(e) => setXKey(e.target.value)}>
+                {METRICS.map((metric) => (
+                  <option key={metric.key} value={metric.key}>
+                    {metric.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Y
+              <select value={yKey} onChange={(e) => setYKey(e.target.value)}>
+                {METRICS.map((metric) => (
+                  <option key={metric.key} value={metric.key}>
+                    {metric.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <span className="hint">Click a point to open the song.</span>
+          </div>
+          <ScatterPlot songs={analyzed} xKey={xKey} yKey={yKey} onOpenSong={onOpenSong} />
+        </div>
+
+        <div className="dashboard-histograms">
+          {METRICS.map((metric) => (
+            <MetricHistogram
+              key={metric.key}
+              metric={metric}
+              values={analyzed.map((song) => song[metric.key])}
+            />
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default BatchDashboard;
@@ -0,0 +1,140 @@
+import React from "react";
+import { METRICS, METRICS_BY_KEY, bestIndexes, formatMetricCell, isNumber } from "./metrics";
+import { getDecidingFactor, targetsFromRules } from "./insights";
+import { scoreToClass, scoreToLabel } from "./scores";
+
+export const MAX_COMPARE = 4;
+
+const SONG_COLORS = ["#f97316", "#2563eb", "#16a34a", "#9333ea"];
+
+// Bars are drawn relative to the reference target; the target sits at the
+// middle of the track and anything beyond twice the target is clipped
+const CHART_MAX_RATIO = 2;
+
+function ComparisonView({ songs, ruleSet, onClose, onOpenSong, onRemoveSong }) {
+  const rows = [
+    { key: "score", label: "Score", format: (value) => String(value), higherIsBetter: true },
+    ...METRICS,
+  ];
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal modal-wide" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div>
+            <div className="modal-title">Compare songs</div>
+            <div className="modal-subtitle">
+              Best value per metric is highlighted. Bars are scaled to the reference targets.
+            </div>
+          </div>
+          <button className="modal-close" type="button" onClick={onClose}>
+            ✕
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <div className="compare-table-wrapper">
+            <table className="compare-table">
+              <thead>
+                <tr>
+                  <th>Metric</th>
+                  {songs.map((song, index) => (
+                    <th key={song.upload_id || song.filename}>
+                      <span
+                        className="compare-swatch"
+                        style={{ backgroundColor: SONG_COLORS[index] }}
+                      />
+                      <button
+                        type="button"
+                        className="link-button compare-song-name"
+                        onClick={() => onOpenSong(song)}
+                      >
+                        {song.filename}
+                      </button>
+                      <button
+                        type="button"
+                        className="link-button"
+                        title="Remove from comparison"
+                        onClick={() => onRemoveSong(song)}
+                      >
+                        ✕
+                      </button>
+                      <div>
+                        <span className={scoreToClass(song.score)}>{scoreToLabel(song.score)}</span>
+                      </div>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((metric) => {
+                  const values = songs.map((song) => song[metric.key]);
+                  const best = bestIndexes(values, metric.higherIsBetter);
+                  return (
+                    <tr key={metric.key}>
+                      <td className="compare-metric-label">{metric.label}</td>
+                      {values.map((value, index) => (
+                        <td
+                          key={index}
+                          className={
+                            best.includes(index) ? "compare-value is-best" : "compare-value"
+                          }
+                        >
+                          {isNumber(value) ? metric.format(value) : "n/a"}
+                        </td>
+                      ))}
+                    </tr>
+                  );
+                })}
+                <tr>
+                  <td className="compare-metric-label">Deciding factor</td>
+                  {songs.map((song, index) => (
+                    <td key={index} className="compare-deciding">
+                      {getDecidingFactor(song, ruleSet) || "n/a"}
+                    </td>
+                  ))}
+                </tr>
+              </tbody>
+            </table>
+          </div>
+
+          <div className="compare-chart">
+            <div className="detail-label">Against reference targets</div>
+            {targetsFromRules(ruleSet).map(({ metric, target }) => {
+              const info = METRICS_BY_KEY[metric];
+              return (
+                <div key={metric} className="compare-chart-group">
+                  <div className="compare-chart-label">
+                    {info.shortLabel || info.label}
+                    <span className="compare-chart-target">
+                      target {formatMetricCell(info, target)}
+                    </span>
+                  </div>
+                  {songs.map((song, index) => {
+                    const value = song[metric];
+                    const ratio = isNumber(value) ? Math.min(value / target, CHART_MAX_RATIO) : 0;
+                    return (
+                      <div key={index} className="compare-bar-track">
+                        <div
+                          className="compare-bar"
+                          style={{
+                            width: `${(ratio / CHART_MAX_RATIO) * 100}%`,
+                            backgroundColor: SONG_COLORS[index],
+                          }}
+                        />
+                        <div className="compare-bar-target" />
+                        <span className="compare-bar-value">{formatMetricCell(info, value)}</span>
+                      </div>
+                    );
+                  })}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ComparisonView;
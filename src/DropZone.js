@@ -0,0 +1,73 @@
+import React, { useState } from "react";
+import { AUDIO_ACCEPT, collectDroppedFiles, entriesFromFileList } from "./fileSelection";
+
+// File and folder pickers plus a drop target for both. onFiles gets
+// [{ file, path }] with paths relative to what was picked or dropped;
+// onError gets a message when a dropped folder can't be read.
+function DropZone({ disabled, onFiles, onError }) {
+  const [dragging, setDragging] = useState(false);
+  const [reading, setReading] = useState(false);
+
+  const handleInput = (event) => {
+    const entries = entriesFromFileList(event.target.files);
+    // Cleared so picking the same files again still counts as a change
+    event.target.value = "";
+    if (entries.length) onFiles(entries);
+  };
+
+  const handleDragOver = (event) => {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = disabled ? "none" : "copy";
+    if (!disabled) setDragging(true);
+  };
+
+  const handleDrop = async (event) => {
+    event.preventDefault();
+    setDragging(false);
+    if (disabled) return;
+    setReading(true);
+    try {
+      const entries = await collectDroppedFiles(event.dataTransfer);
+      if (entries.length) onFiles(entries);
+    } catch (err) {
+      onError(`Could not read the dropped files: ${err.message}`);
+    } finally {
+      setReading(false);
+    }
+  };
+
+  const className = ["drop-zone", dragging && "is-dragging", disabled && "is-disabled"]
+    .filter(Boolean)
+    .join(" ");
+
+  return (
+    <div
+      className={className}
+      onDragOver={handleDragOver}
+      onDragLeave={() => setDragging(false)}
+      onDrop={handleDrop}
+    >
+      <div className="drop-zone-text">
+        {reading ? "Reading folders…" : "Drop audio files or song folders here, or"}
+      </div>
+      <div className="drop-zone-buttons">
+        <label className="file-input-label">
+          <span className="file-input-button">Choose files</span>
+          <input
+            type="file"
+            multiple
+            accept={AUDIO_ACCEPT}
+            disabled={disabled}
+            onChange={handleInput}
+          />
+        </label>
+        <label className="file-input-label">
+          <span className="file-input-button">Choose folder</span>
+          <input type="file" webkitdirectory="" disabled={disabled} onChange={handleInput} />
+        </label>
+      </div>
+    </div>
+  );
+}
+
+export default DropZone;
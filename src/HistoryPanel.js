@@ -0,0 +1,171 @@
+import React, { useState } from "react";
+import { pendingRunFiles, runMatchesQuery } from "./historyStore";
+import { formatBytes } from "./upload";
+
+const scoreSummary = (run) => {
+  const counts = { 3: 0, 2: 0, 1: 0 };
+  run.results.forEach((result) => {
+    if (counts[result.score] !== undefined) counts[result.score] += 1;
+  });
+  return `${counts[3]} strong · ${counts[2]} maybe · ${counts[1]} probably not`;
+};
+
+function HistoryPanel({ runs, storage, error, onReopen, onResume, onRename, onDelete, onExport }) {
+  const [query, setQuery] = useState("");
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [editingId, setEditingId] = useState(null);
+  const [draftName, setDraftName] = useState("");
+
+  const visibleRuns = runs.filter((run) => runMatchesQuery(run, query));
+  const selectedRuns = runs.filter((run) => selectedIds.includes(run.id));
+
+  const toggleSelected = (id) => {
+    setSelectedIds((prev) =>
+      prev.includes(id) ? prev.filter((selected) => selected !== id) : [...prev, id]
+    );
+  };
+
+  const startRename = (run) => {
+    setEditingId(run.id);
+    setDraftName(run.name);
+  };
+
+  const commitRename = () => {
+    const name = draftName.trim();
+    if (name) onRename(editingId, name);
+    setEditingId(null);
+  };
+
+  const handleDeleteSelected = () => {
+    if (!window.confirm(`Delete ${selectedIds.length} saved run(s)? This cannot be undone.`)) {
+      return;
+    }
+    onDelete(selectedIds);
+    setSelectedIds([]);
+  };
+
+  const usageRatio = storage && storage.quota ? storage.usage / storage.quota : 0;
+
+  return (
+    <section className="panel history-panel">
+      <div className="results-header-row">
+        <h2 className="panel-title">History</h2>
+        <div className="results-header-actions">
+          <input
+            type="search"
+            className="history-search"
+            placeholder="Search runs or file names"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+          <button
+            type="button"
+            className="secondary-button"
+            disabled={!selectedRuns.length}
+            onClick={() => onExport(selectedRuns)}
+          >
+            Export selected
+          </button>
+          <button
+            type="button"
+            className="secondary-button"
+            disabled={!selectedRuns.length}
+            onClick={handleDeleteSelected}
+          >
+            Delete selected
+          </button>
+        </div>
+      </div>
+
+      {storage && storage.quota > 0 && (
+        <p className={usageRatio > 0.8 ? "hint history-storage-warning" : "hint"}>
+          Local storage used: {formatBytes(storage.usage)} of {formatBytes(storage.quota)}
+          {usageRatio > 0.8 ? ". Storage is almost full; export and delete old runs." : ""}
+        </p>
+      )}
+      {error && <div className="status status-error">{error}</div>}
+
+      {!runs.length ? (
+        <p className="hint">
+          Each analysis is saved in this browser. Past runs will appear here so you can reopen them
+          without uploading the audio again.
+        </p>
+      ) : (
+        <ul className="history-list">
+          {visibleRuns.map((run) => {
+            const pendingCount = pendingRunFiles(run).length;
+            return (
+              <li key={run.id} className="history-row">
+                <input
+                  type="checkbox"
+                  checked={selectedIds.includes(run.id)}
+                  onChange={() => toggleSelected(run.id)}
+                  aria-label={`Select ${run.name}`}
+                />
+                <div className="history-row-main">
+                  {editingId === run.id ? (
+                    <input
+                      className="history-rename-input"
+                      value={draftName}
+                      autoFocus
+                      onChange={(e) => setDraftName(e.target.value)}
+                      onBlur={commitRename}
+                      onKeyDown={(e) => {
+                        if (e.key === "Enter") commitRename();
+                        if (e.key === "Escape") setEditingId(null);
+                      }}
+                    />
+                  ) : (
+                    <div className="history-name">
+                      {run.name}
+                      {run.complete === false && <span className="history-badge">interrupted</span>}
+                    </div>
+                  )}
+                  <div className="history-meta">
+                    {new Date(run.created_at).toLocaleString()} · {run.files.length} file(s) ·{" "}
+                    {scoreSummary(run)}
+                  </div>
+                  <div className="history-meta" title={run.files.map((f) => f.name).join("\n")}>
+                    {run.files.map((f) => f.name).join(", ")}
+                  </div>
+                </div>
+                <div className="history-row-actions">
+                  <button type="button" className="link-button" onClick={() => onReopen(run)}>
+                    Open
+                  </button>
+                  {pendingCount > 0 && (
+                    <button
+                      type="button"
+                      className="link-button"
+                      title="Select the same files again; only those without a result are sent"
+                      onClick={() => onResume(run)}
+                    >
+                      Resume ({pendingCount} left)
+                    </button>
+                  )}
+                  <button type="button" className="link-button" onClick={() => startRename(run)}>
+                    Rename
+                  </button>
+                  <button
+                    type="button"
+                    className="link-button"
+                    onClick={() => {
+                      if (window.confirm(`Delete "${run.name}"? This cannot be undone.`)) {
+                        onDelete([run.id]);
+                      }
+                    }}
+                  >
+                    Delete
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+          {!visibleRuns.length && <li className="history-empty">No runs match your search.</li>}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+export default HistoryPanel;
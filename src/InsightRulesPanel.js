@@ -0,0 +1,406 @@
+import React, { useState } from "react";
+import { downloadFile } from "./download";
+import {
+  TEMPLATE_FIELDS,
+  generateInsightBullets,
+  getDecidingFactor,
+  validateRuleSet,
+} from "./insights";
+import { createProfileId, exportProfileJSON, readProfileFile } from "./insightProfiles";
+import { METRICS, METRICS_BY_KEY, isNumber } from "./metrics";
+
+const copyRules = (rules) => JSON.parse(JSON.stringify(rules));
+
+// Number inputs hand back text; an empty field is kept as null so validation can flag it
+const toNumber = (text) => (text.trim() === "" ? null : Number(text));
+
+const newRule = (metric) => ({
+  metric,
+  target: 1,
+  digits: 2,
+  bands: [
+    { min: 1, message: `${METRICS_BY_KEY[metric].label} is high at about {value}.` },
+    { message: `${METRICS_BY_KEY[metric].label} is low at about {value}.` },
+  ],
+  above: `a high ${METRICS_BY_KEY[metric].label.toLowerCase()} at about {value}.`,
+  below: `a low ${METRICS_BY_KEY[metric].label.toLowerCase()} at about {value}.`,
+});
+
+function RuleEditor({ rule, usedMetrics, disabled, onChange, onRemove }) {
+  const update = (fields) => onChange({ ...rule, ...fields });
+  const updateBand = (index, fields) =>
+    update({ bands: rule.bands.map((band, i) => (i === index ? { ...band, ...fields } : band)) });
+  const addBand = () => {
+    const bands = [...rule.bands];
+    bands.splice(bands.length - 1, 0, { min: rule.target, message: "" });
+    update({ bands });
+  };
+
+  return (
+    <fieldset className="insight-rule" disabled={disabled}>
+      <div className="insight-rule-header">
+        <select value={rule.metric} onChange={(e) => update({ metric: e.target.value })}>
+          {METRICS.filter(
+            (metric) => metric.key === rule.metric || !usedMetrics.includes(metric.key)
+          ).map((metric) => (
+            <option key={metric.key} value={metric.key}>
+              {metric.label}
+            </option>
+          ))}
+        </select>
+        <label>
+          Target
+          <input
+            type="number"
+            step="any"
+            value={rule.target ?? ""}
+            onChange={(e) => update({ target: toNumber(e.target.value) })}
+          />
+        </label>
+        <label>
+          Decimals
+          <input
+            type="number"
+            min="0"
+            max="6"
+            value={rule.digits ?? ""}
+            onChange={(e) => update({ digits: toNumber(e.target.value) })}
+          />
+        </label>
+        <button type="button" className="link-button" onClick={onRemove}>
+          Remove rule
+        </button>
+      </div>
+
+      <div className="detail-label">Bullets, from the highest band down</div>
+      {rule.bands.map((band, index) => {
+        const last = index === rule.bands.length - 1;
+        return (
+          <div key={index} className="insight-band">
+            {last ? (
+              <span className="insight-band-min">Below that</span>
+            ) : (
+              <label className="insight-band-min">
+                From
+                <input
+                  type="number"
+                  step="any"
+                  value={band.min ?? ""}
+                  onChange={(e) => updateBand(index, { min: toNumber(e.target.value) })}
+                />
+              </label>
+            )}
+            <input
+              type="text"
+              className="insight-message"
+              value={band.message || ""}
+              onChange={(e) => updateBand(index, { message: e.target.value })}
+            />
+            {!last && (
+              <button
+                type="button"
+                className="link-button"
+                onClick={() => update({ bands: rule.bands.filter((_, i) => i !== index) })}
+              >
+                Remove
+              </button>
+            )}
+          </div>
+        );
+      })}
+      <button type="button" className="link-button" onClick={addBand}>
+        Add band
+      </button>
+
+      <label className="insight-deciding">
+        Deciding factor at or above target
+        <input
+          type="text"
+          className="insight-message"
+          value={rule.above || ""}
+          onChange={(e) => update({ above: e.target.value })}
+        />
+      </label>
+      <label className="insight-deciding">
+        Deciding factor below target
+        <input
+          type="text"
+          className="insight-message"
+          value={rule.below || ""}
+          onChange={(e) => update({ below: e.target.value })}
+        />
+      </label>
+    </fieldset>
+  );
+}
+
+// Admin view for the insight rules: pick, copy, edit, import and export
+// profiles, with the draft previewed against the results on screen
+function InsightRulesPanel({ profilesState, results, onChange, onClose }) {
+  const { activeId, profiles } = profilesState;
+  const [selectedId, setSelectedId] = useState(activeId);
+  const selected = profiles.find((profile) => profile.id === selectedId) || profiles[0];
+  const [draft, setDraft] = useState(() => copyRules(selected.rules));
+  const [draftName, setDraftName] = useState(selected.name);
+  const [previewIndex, setPreviewIndex] = useState(0);
+  const [message, setMessage] = useState("");
+
+  const errors = validateRuleSet(draft);
+  const dirty =
+    JSON.stringify(draft) !== JSON.stringify(selected.rules) || draftName !== selected.name;
+  const songs = results.filter((song) => METRICS.some((metric) => isNumber(song[metric.key])));
+  const previewSong = songs[Math.min(previewIndex, songs.length - 1)];
+  const usable = !errors.length;
+
+  const select = (profile) => {
+    setSelectedId(profile.id);
+    setDraft(copyRules(profile.rules));
+    setDraftName(profile.name);
+    setMessage("");
+  };
+
+  const updateProfiles = (nextProfiles, nextActiveId = activeId) =>
+    onChange({ activeId: nextActiveId, profiles: nextProfiles });
+
+  const handleDuplicate = () => {
+    const copy = {
+      id: createProfileId(),
+      name: `${draftName} (copy)`,
+      rules: copyRules(usable ? draft : selected.rules),
+    };
+    updateProfiles([...profiles, copy]);
+    select(copy);
+  };
+
+  const handleSave = () => {
+    const name = draftName.trim() || selected.name;
+    updateProfiles(
+      profiles.map((profile) =>
+        profile.id === selected.id ? { ...profile, name, rules: copyRules(draft) } : profile
+      )
+    );
+    setDraftName(name);
+    setMessage("Saved.");
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete the insight profile "${selected.name}"?`)) return;
+    const remaining = profiles.filter((profile) => profile.id !== selected.id);
+    updateProfiles(remaining, activeId === selected.id ? remaining[0].id : activeId);
+    select(remaining[0]);
+  };
+
+  const handleExport = () => {
+    downloadFile(
+      exportProfileJSON({ name: draftName, rules: draft }),
+      `${draftName.replace(/[^\w-]+/g, "_") || "insight_rules"}.json`,
+      "application/json;charset=utf-8;"
+    );
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+    try {
+      const { name, rules } = readProfileFile(await file.text(), file.name.replace(/\.json$/i, ""));
+      const profile = { id: createProfileId(), name, rules };
+      updateProfiles([...profiles, profile]);
+      select(profile);
+      setMessage(`Imported "${name}".`);
+    } catch (err) {
+      setMessage(`Could not import "${file.name}": ${err.message}`);
+    }
+  };
+
+  const changedFactors = usable
+    ? songs.filter(
+        (song) =>
+          getDecidingFactor(song, draft) !==
+          getDecidingFactor(song, profiles.find((profile) => profile.id === activeId).rules)
+      ).length
+    : 0;
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal modal-wide" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div>
+            <div className="modal-title">Insight rules</div>
+            <div className="modal-subtitle">
+              Thresholds, targets and wording behind the insight bullets and deciding factor.
+              Placeholders: {TEMPLATE_FIELDS.map((field) => `{${field}}`).join(", ")}.
+            </div>
+          </div>
+          <button className="modal-close" type="button" onClick={onClose}>
+            ✕
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <div className="insight-profile-bar">
+            <select
+              value={selected.id}
+              onChange={(e) => select(profiles.find((profile) => profile.id === e.target.value))}
+            >
+              {profiles.map((profile) => (
+                <option key={profile.id} value={profile.id}>
+                  {profile.name}
+                  {profile.id === activeId ? " (in use)" : ""}
+                </option>
+              ))}
+            </select>
+            {!selected.builtIn && (
+              <input
+                type="text"
+                value={draftName}
+                aria-label="Profile name"
+                onChange={(e) => setDraftName(e.target.value)}
+              />
+            )}
+            <button
+              type="button"
+              className="primary-button"
+              disabled={selected.id === activeId || dirty}
+              title={dirty ? "Save or discard your changes first" : undefined}
+              onClick={() => updateProfiles(profiles, selected.id)}
+            >
+              Use this profile
+            </button>
+            <button type="button" className="secondary-button" onClick={handleDuplicate}>
+              Duplicate
+            </button>
+            <button
+              type="button"
+              className="secondary-button"
+              disabled={!usable}
+              onClick={handleExport}
+            >
+              Export JSON
+            </button>
+            <label className="file-input-label insight-import">
+              <span className="secondary-button">Import JSON</span>
+              <input type="file" accept=".json" onChange={handleImport} />
+            </label>
+            {!selected.builtIn && (
+              <button type="button" className="link-button" onClick={handleDelete}>
+                Delete
+              </button>
+            )}
+          </div>
+
+          {selected.builtIn && (
+            <p className="hint">The default rules can't be changed. Duplicate them to edit.</p>
+          )}
+          {message && <div className="status status-info">{message}</div>}
+
+          <label className="insight-max-bullets">
+            Bullets shown
+            <input
+              type="number"
+              min="1"
+              disabled={selected.builtIn}
+              value={draft.max_bullets ?? ""}
+              onChange={(e) => setDraft({ ...draft, max_bullets: toNumber(e.target.value) })}
+            />
+          </label>
+
+          {draft.rules.map((rule, index) => (
+            <RuleEditor
+              key={index}
+              rule={rule}
+              usedMetrics={draft.rules.map((entry) => entry.metric)}
+              disabled={selected.builtIn}
+              onChange={(next) =>
+                setDraft({
+                  ...draft,
+                  rules: draft.rules.map((entry, i) => (i === index ? next : entry)),
+                })
+              }
+              onRemove={() =>
+                setDraft({ ...draft, rules: draft.rules.filter((_, i) => i !== index) })
+              }
+            />
+          ))}
+          {!selected.builtIn && (
+            <button
+              type="button"
+              className="link-button"
+              disabled={draft.rules.length >= METRICS.length}
+              onClick={() => {
+                const used = draft.rules.map((rule) => rule.metric);
+                const metric = METRICS.find((entry) => !used.includes(entry.key));
+                setDraft({ ...draft, rules: [...draft.rules, newRule(metric.key)] });
+              }}
+            >
+              Add rule
+            </button>
+          )}
+
+          {errors.length > 0 && (
+            <div className="status status-error">
+              <ul className="insight-errors">
+                {errors.map((error) => (
+                  <li key={error}>{error}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="insight-preview">
+            <div className="detail-label">Preview</div>
+            {!songs.length && (
+              <p className="hint">Analyze or load some songs to preview the rules on them.</p>
+            )}
+            {songs.length > 0 && usable && (
+              <>
+                <select
+                  value={Math.min(previewIndex, songs.length - 1)}
+                  onChange={(e) => setPreviewIndex(Number(e.target.value))}
+                >
+                  {songs.map((song, index) => (
+                    <option key={index} value={index}>
+                      {song.filename}
+                    </option>
+                  ))}
+                </select>
+                <ul className="modal-insight-list">
+                  {generateInsightBullets(previewSong, draft).map((bullet, index) => (
+                    <li key={index}>{bullet}</li>
+                  ))}
+                </ul>
+                <p className="hint">
+                  Deciding factor: {getDecidingFactor(previewSong, draft) || "n/a"}
+                </p>
+                <p className="hint">
+                  Compared with the profile in use, the deciding factor changes for {changedFactors}{" "}
+                  of {songs.length} song(s).
+                </p>
+              </>
+            )}
+          </div>
+
+          <div className="login-actions">
+            {dirty && (
+              <button type="button" className="secondary-button" onClick={() => select(selected)}>
+                Discard changes
+              </button>
+            )}
+            {!selected.builtIn && (
+              <button
+                type="button"
+                className="primary-button"
+                disabled={!dirty || !usable}
+                onClick={handleSave}
+              >
+                Save profile
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default InsightRulesPanel;
@@ -0,0 +1,86 @@
+import React, { useState } from "react";
+
+function LoginView({ defaultUsername, reason, onSignIn, onCancel }) {
+  const [username, setUsername] = useState(defaultUsername || "");
+  const [password, setPassword] = useState("");
+  const [remember, setRemember] = useState(true);
+  const [error, setError] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError("");
+    setSubmitting(true);
+    try {
+      await onSignIn({ username: username.trim(), password, remember });
+    } catch (err) {
+      setError(err.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onCancel}>
+      <form
+        className="modal login-modal"
+        onClick={(e) => e.stopPropagation()}
+        onSubmit={handleSubmit}
+      >
+        <div className="modal-header">
+          <div>
+            <div className="modal-title">Sign in</div>
+            <div className="modal-subtitle">
+              {reason || "Sign in to the Lyric Coach Analyzer backend to upload songs."}
+            </div>
+          </div>
+          <button className="modal-close" type="button" onClick={onCancel}>
+            ✕
+          </button>
+        </div>
+
+        <div className="modal-body login-fields">
+          <label className="login-field">
+            <span className="detail-label">Username</span>
+            <input
+              type="text"
+              autoComplete="username"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+            />
+          </label>
+          <label className="login-field">
+            <span className="detail-label">Password</span>
+            <input
+              type="password"
+              autoComplete="current-password"
+              autoFocus
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+            />
+          </label>
+          <label className="table-option">
+            <input
+              type="checkbox"
+              checked={remember}
+              onChange={(e) => setRemember(e.target.checked)}
+            />
+            Remember for this session
+          </label>
+
+          {error && <div className="status status-error">{error}</div>}
+
+          <div className="login-actions">
+            <button type="button" className="secondary-button" onClick={onCancel}>
+              Cancel
+            </button>
+            <button type="submit" className="primary-button" disabled={submitting || !password}>
+              {submitting ? "Signing in..." : "Sign in"}
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default LoginView;
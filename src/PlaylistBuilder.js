@@ -0,0 +1,338 @@
+import React, { useState } from "react";
+import { downloadFile } from "./download";
+import { formatCoveragePercent, formatSeconds, isNumber } from "./metrics";
+import {
+  buildPlaylistCSV,
+  buildPlaylistJSON,
+  buildPlaylistM3U,
+  checkPlaylist,
+  isPlaylistCandidate,
+  moveItem,
+  playlistSongs,
+  playlistStats,
+  suggestPlaylist,
+} from "./playlist";
+import { SCORE_OPTIONS, scoreToClass, scoreToLabel } from "./scores";
+
+// Lowest first, so "at least" reads naturally in the picker
+const MIN_SCORE_OPTIONS = SCORE_OPTIONS.filter((option) => option.value !== null).reverse();
+
+const PLAYLIST_EXPORTS = [
+  { label: "CSV", extension: "csv", type: "text/csv;charset=utf-8;" },
+  { label: "JSON", extension: "json", type: "application/json;charset=utf-8;" },
+  { label: "M3U", extension: "m3u", type: "audio/x-mpegurl;charset=utf-8;" },
+];
+
+// Name (a link to the song when onOpen is given), score and length
+function SongLine({ song, score, onOpen }) {
+  return (
+    <>
+      {onOpen ? (
+        <button
+          type="button"
+          className="link-button playlist-song-name"
+          title={song.filename}
+          onClick={() => onOpen(song)}
+        >
+          {song.filename}
+        </button>
+      ) : (
+        <span className="playlist-song-name" title={song.filename}>
+          {song.filename}
+        </span>
+      )}
+      <span className={scoreToClass(score)}>{scoreToLabel(score)}</span>
+      <span className="playlist-song-duration">
+        {isNumber(song.duration_seconds) ? formatSeconds(song.duration_seconds) : "–:––"}
+      </span>
+    </>
+  );
+}
+
+// Builds an ordered set for a session. Songs are dragged (or added with the
+// buttons) from the analyzed list into the set and reordered there; the set
+// lives in App so it survives closing the modal.
+function PlaylistBuilder({ results, playlist, keyOf, scoreOf, onChange, onOpenSong, onClose }) {
+  // Key of the song being dragged, from either list
+  const [dragKey, setDragKey] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+
+  const candidates = results.filter(isPlaylistCandidate);
+  const songs = playlistSongs(playlist.keys, candidates, keyOf);
+  const keys = songs.map(keyOf);
+  const available = candidates.filter((song) => !keys.includes(keyOf(song)));
+  const stats = playlistStats(songs, scoreOf);
+  const problems = checkPlaylist(songs, playlist, scoreOf);
+  const hasLimits = isNumber(playlist.maxMinutes) || playlist.minScore !== null;
+
+  const update = (fields) => onChange({ ...playlist, keys, ...fields });
+
+  const insertAt = (key, index) => {
+    const from = keys.indexOf(key);
+    if (from === -1) {
+      update({ keys: [...keys.slice(0, index), key, ...keys.slice(index)] });
+    } else {
+      // Dropping below itself shifts the target once the song is taken out
+      update({ keys: moveItem(keys, from, from < index ? index - 1 : index) });
+    }
+  };
+
+  const dragProps = (key) => ({
+    draggable: true,
+    onDragStart: (event) => {
+      event.dataTransfer.effectAllowed = "move";
+      event.dataTransfer.setData("text/plain", key);
+      setDragKey(key);
+    },
+    onDragEnd: () => {
+      setDragKey(null);
+      setDropIndex(null);
+    },
+  });
+
+  const dropProps = (index) => ({
+    onDragOver: (event) => {
+      if (dragKey === null) return;
+      event.preventDefault();
+      event.stopPropagation();
+      setDropIndex(index);
+    },
+    onDrop: (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      if (dragKey !== null) insertAt(dragKey, index);
+      setDragKey(null);
+      setDropIndex(null);
+    },
+  });
+
+  const handleSuggest = () => {
+    const suggested = suggestPlaylist(candidates, playlist, { keep: songs, scoreOf });
+    update({ keys: suggested.map(keyOf) });
+  };
+
+  const handleExport = ({ extension, type }) => {
+    const builders = {
+      csv: () => buildPlaylistCSV(songs, scoreOf),
+      json: () => buildPlaylistJSON(songs, playlist, scoreOf),
+      m3u: () => buildPlaylistM3U(songs, playlist),
+    };
+    const name = playlist.name.replace(/[^\w-]+/g, "_") || "playlist";
+    downloadFile(builders[extension](), `${name}.${extension}`, type);
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal modal-wide" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div>
+            <div className="modal-title">Session playlist</div>
+            <div className="modal-subtitle">
+              Drag analyzed songs into the set and order them, or set limits and let the app suggest
+              a set that fits.
+            </div>
+          </div>
+          <button className="modal-close" type="button" onClick={onClose}>
+            ✕
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <div className="playlist-limits">
+            <label>
+              Name
+              <input
+                type="text"
+                value={playlist.name}
+                onChange={(e) => update({ name: e.target.value })}
+              />
+            </label>
+            <label>
+              Length (minutes)
+              <input
+                type="number"
+                min="1"
+                placeholder="No limit"
+                value={playlist.maxMinutes ?? ""}
+                onChange={(e) =>
+                  update({ maxMinutes: e.target.value === "" ? null : Number(e.target.value) })
+                }
+              />
+            </label>
+            <label>
+              Only scores
+              <select
+                value={playlist.minScore ?? ""}
+                onChange={(e) =>
+                  update({ minScore: e.target.value === "" ? null : Number(e.target.value) })
+                }
+              >
+                <option value="">Any score</option>
+                {MIN_SCORE_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label} or better
+                  </option>
+                ))}
+              </select>
+            </label>
+            <button
+              type="button"
+              className="primary-button"
+              disabled={!candidates.length}
+              title="Keeps the songs already in the set that meet the score, then fills the time"
+              onClick={handleSuggest}
+            >
+              Suggest a set
+            </button>
+            {songs.length > 0 && (
+              <button type="button" className="link-button" onClick={() => update({ keys: [] })}>
+                Clear the set
+              </button>
+            )}
+          </div>
+
+          <div className="dashboard-summary">
+            <div>
+              <div className="detail-label">Songs</div>
+              <div className="dashboard-stat-value">{stats.count}</div>
+            </div>
+            <div>
+              <div className="detail-label">Total duration</div>
+              <div className="dashboard-stat-value">
+                {formatSeconds(stats.totalSeconds)}
+                {isNumber(playlist.maxMinutes) && ` of ${formatSeconds(playlist.maxMinutes * 60)}`}
+              </div>
+            </div>
+            <div>
+              <div className="detail-label">Average score</div>
+              <div className="dashboard-stat-value">
+                {isNumber(stats.averageScore) ? stats.averageScore.toFixed(1) : "n/a"}
+              </div>
+            </div>
+            <div>
+              <div className="detail-label">Promptable coverage</div>
+              <div className="dashboard-stat-value">{formatCoveragePercent(stats.coverage)}</div>
+            </div>
+          </div>
+
+          {problems.length > 0 && (
+            <div className="status status-error">
+              <ul className="insight-errors">
+                {problems.map((problem) => (
+                  <li key={problem}>{problem}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {!problems.length && hasLimits && songs.length > 0 && (
+            <div className="status status-info">The set fits your limits.</div>
+          )}
+
+          <div className="playlist-columns">
+            <div className="playlist-column">
+              <div className="detail-label">Analyzed songs ({available.length})</div>
+              <ul
+                className="playlist-list"
+                onDragOver={(event) => {
+                  if (keys.includes(dragKey)) event.preventDefault();
+                }}
+                onDrop={(event) => {
+                  event.preventDefault();
+                  if (keys.includes(dragKey)) {
+                    update({ keys: keys.filter((key) => key !== dragKey) });
+                  }
+                  setDragKey(null);
+                  setDropIndex(null);
+                }}
+              >
+                {available.map((song) => (
+                  <li key={keyOf(song)} className="playlist-song" {...dragProps(keyOf(song))}>
+                    <SongLine song={song} score={scoreOf(song)} />
+                    <button
+                      type="button"
+                      className="link-button"
+                      onClick={() => insertAt(keyOf(song), keys.length)}
+                    >
+                      Add
+                    </button>
+                  </li>
+                ))}
+                {!available.length && <li className="hint">Every analyzed song is in the set.</li>}
+              </ul>
+            </div>
+
+            <div className="playlist-column">
+              <div className="detail-label">The set</div>
+              <ol
+                className={`playlist-list playlist-set${dragKey !== null ? " is-dropping" : ""}`}
+                {...dropProps(keys.length)}
+              >
+                {songs.map((song, index) => (
+                  <li
+                    key={keyOf(song)}
+                    className={`playlist-song${dropIndex === index ? " is-drop-target" : ""}`}
+                    {...dragProps(keyOf(song))}
+                    {...dropProps(index)}
+                  >
+                    <span className="playlist-position">{index + 1}</span>
+                    <SongLine song={song} score={scoreOf(song)} onOpen={onOpenSong} />
+                    <span className="playlist-song-actions">
+                      <button
+                        type="button"
+                        className="link-button"
+                        aria-label="Move up"
+                        disabled={index === 0}
+                        onClick={() => update({ keys: moveItem(keys, index, index - 1) })}
+                      >
+                        ↑
+                      </button>
+                      <button
+                        type="button"
+                        className="link-button"
+                        aria-label="Move down"
+                        disabled={index === songs.length - 1}
+                        onClick={() => update({ keys: moveItem(keys, index, index + 1) })}
+                      >
+                        ↓
+                      </button>
+                      <button
+                        type="button"
+                        className="link-button"
+                        aria-label="Remove from the set"
+                        onClick={() => update({ keys: keys.filter((key) => key !== keyOf(song)) })}
+                      >
+                        ✕
+                      </button>
+                    </span>
+                  </li>
+                ))}
+                {!songs.length && (
+                  <li className="hint">Drag songs here, or use Add or Suggest a set.</li>
+                )}
+              </ol>
+            </div>
+          </div>
+
+          <div className="run-diff-actions">
+            <span className="hint">
+              The M3U lists each file as it was picked, so save it where you picked the songs from.
+            </span>
+            {PLAYLIST_EXPORTS.map((format) => (
+              <button
+                key={format.extension}
+                type="button"
+                className="secondary-button"
+                disabled={!songs.length}
+                onClick={() => handleExport(format)}
+              >
+                Download {format.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PlaylistBuilder;
@@ -0,0 +1,119 @@
+import React, { useMemo } from "react";
+import {
+  CUE_EXPORTS,
+  SPEAKING_RATE_RANGE,
+  buildCues,
+  checkPromptFit,
+  clampSpeakingRate,
+} from "./cueSheet";
+import { baseName, downloadFile } from "./download";
+import { SEGMENT_KIND, getSongSegments } from "./segments";
+
+const formatTime = (sec) => {
+  const minutes = Math.floor(sec / 60);
+  const seconds = (sec - minutes * 60).toFixed(1);
+  return `${minutes}:${seconds.padStart(4, "0")}`;
+};
+
+// One prompt slot per comfortable gap, with a fit check at the chosen speaking rate
+function PromptEditor({ song, prompts, onChangePrompt, wordsPerMinute, onChangeWordsPerMinute }) {
+  const gaps = useMemo(
+    () => getSongSegments(song).filter((segment) => segment.kind === SEGMENT_KIND.COMFORTABLE_GAP),
+    [song]
+  );
+
+  // What is typed can be empty or out of range on the way to a real rate
+  const rate = clampSpeakingRate(wordsPerMinute);
+  const cues = buildCues(gaps, prompts, rate);
+  const overflowing = cues.filter((cue) => !cue.fits).length;
+
+  const handleExport = (format) => {
+    const meta = { title: song.filename, filename: song.filename, wordsPerMinute: rate };
+    downloadFile(
+      format.build(cues, meta),
+      `${baseName(song.filename)}_prompts.${format.extension}`,
+      `${format.type};charset=utf-8;`
+    );
+  };
+
+  return (
+    <div className="prompt-editor">
+      <div className="prompt-editor-header">
+        <div className="detail-label">Spoken prompts</div>
+        <label className="prompt-rate-input">
+          Speaking rate
+          <input
+            type="number"
+            min={SPEAKING_RATE_RANGE.min}
+            max={SPEAKING_RATE_RANGE.max}
+            step="10"
+            value={wordsPerMinute}
+            onChange={(e) => onChangeWordsPerMinute(Number(e.target.value) || 0)}
+            onBlur={() => onChangeWordsPerMinute(rate)}
+          />
+          words/min
+        </label>
+      </div>
+
+      {!gaps.length ? (
+        <p className="timeline-note">
+          Prompt slots are created from comfortable gap timestamps, which the analyzer did not
+          return for this song.
+        </p>
+      ) : (
+        <>
+          <ol className="prompt-slot-list">
+            {gaps.map((gap, index) => {
+              const text = prompts[index] || "";
+              const fit = checkPromptFit(text, gap, rate);
+              const tooLong = Boolean(text.trim()) && !fit.fits;
+              return (
+                <li key={index} className={tooLong ? "prompt-slot prompt-slot-over" : "prompt-slot"}>
+                  <div className="prompt-slot-time">
+                    {formatTime(gap.start)}–{formatTime(gap.end)}
+                    <span className="prompt-slot-length">
+                      {(gap.end - gap.start).toFixed(1)} sec gap
+                    </span>
+                  </div>
+                  <input
+                    type="text"
+                    className="prompt-slot-input"
+                    placeholder="Type the spoken prompt for this gap"
+                    value={text}
+                    onChange={(e) => onChangePrompt(index, e.target.value)}
+                  />
+                  {text.trim() && (
+                    <div className="prompt-slot-fit">
+                      {fit.needed.toFixed(1)} sec needed of {fit.available.toFixed(1)} sec
+                      {tooLong ? " · too long for this gap" : ""}
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ol>
+
+          <div className="prompt-export-row">
+            <span className="prompt-export-summary">
+              {cues.length} of {gaps.length} slot(s) filled
+              {overflowing > 0 ? ` · ${overflowing} too long` : ""}
+            </span>
+            {CUE_EXPORTS.map((format) => (
+              <button
+                key={format.key}
+                type="button"
+                className="secondary-button"
+                disabled={!cues.length}
+                onClick={() => handleExport(format)}
+              >
+                {format.label}
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PromptEditor;
@@ -0,0 +1,258 @@
+import React, { useEffect, useRef, useState } from "react";
+import { decodeAudioFile } from "./audio/decode";
+import { formatRegions, keptSeconds, normalizeRegions } from "./audio/trim";
+import { computePeaks, drawPeaks } from "./audio/waveform";
+import { formatSeconds } from "./metrics";
+
+// Pick the parts of a file to analyze before it is uploaded. Dragging across
+// the waveform adds a region; a plain click moves the playhead.
+function RegionEditor({ item, onSave, onCancel }) {
+  const [peaks, setPeaks] = useState(null);
+  const [duration, setDuration] = useState(0);
+  const [decodeError, setDecodeError] = useState("");
+  const [regions, setRegions] = useState(item.trim ? item.trim.regions : []);
+  const [draft, setDraft] = useState(null);
+  const [audioUrl, setAudioUrl] = useState(null);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [error, setError] = useState("");
+  const audioRef = useRef(null);
+  const canvasRef = useRef(null);
+  // Playback of a single region stops at its end
+  const playUntil = useRef(null);
+
+  useEffect(() => {
+    const url = URL.createObjectURL(item.file);
+    setAudioUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [item.file]);
+
+  useEffect(() => {
+    let cancelled = false;
+    decodeAudioFile(item.file)
+      .then((decoded) => {
+        if (cancelled) return;
+        setPeaks(computePeaks(decoded));
+        setDuration(decoded.channels[0].length / decoded.sampleRate);
+      })
+      .catch((err) => {
+        if (!cancelled) setDecodeError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [item.file]);
+
+  useEffect(() => {
+    if (canvasRef.current) drawPeaks(canvasRef.current, peaks);
+  }, [peaks]);
+
+  const timeAt = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    const ratio = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1);
+    return ratio * duration;
+  };
+
+  const seek = (time, until = null) => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    audio.currentTime = time;
+    setCurrentTime(time);
+    playUntil.current = until;
+    if (until !== null) audio.play().catch(() => {});
+  };
+
+  const handlePointerDown = (event) => {
+    if (!duration) return;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    const time = timeAt(event);
+    setDraft({ start: time, end: time });
+  };
+
+  const handlePointerMove = (event) => {
+    if (!draft) return;
+    const time = timeAt(event);
+    setDraft((prev) => prev && { ...prev, end: time });
+  };
+
+  const handlePointerUp = () => {
+    if (!draft) return;
+    const added = normalizeRegions([draft], duration);
+    if (added.length) {
+      setRegions((prev) => normalizeRegions([...prev, ...added], duration));
+      setError("");
+    } else {
+      seek(draft.start);
+    }
+    setDraft(null);
+  };
+
+  const updateRegion = (index, field, value) => {
+    const seconds = Number(value);
+    if (!Number.isFinite(seconds)) return;
+    setRegions((prev) =>
+      prev.map((region, i) => (i === index ? { ...region, [field]: seconds } : region))
+    );
+  };
+
+  const removeRegion = (index) => {
+    setRegions((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSave = () => {
+    const kept = normalizeRegions(regions, duration);
+    if (!kept.length) {
+      setError("Select at least one region of half a second or more.");
+      return;
+    }
+    onSave({ regions: kept, source_seconds: duration });
+  };
+
+  const percent = (time) => `${(time / duration) * 100}%`;
+  const kept = duration ? normalizeRegions(regions, duration) : [];
+
+  return (
+    <div className="modal-backdrop" onClick={onCancel}>
+      <div className="modal region-editor" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div>
+            <div className="modal-title">Select what to analyze</div>
+            <div className="modal-subtitle">
+              {item.path} · drag across the waveform to keep a region
+            </div>
+          </div>
+          <button className="modal-close" type="button" onClick={onCancel}>
+            ✕
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <div
+            className="timeline-track region-editor-track"
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+          >
+            <canvas ref={canvasRef} className="timeline-waveform" />
+            {duration > 0 &&
+              regions.map((region, index) => (
+                <div
+                  key={index}
+                  className="region-editor-region"
+                  style={{
+                    left: percent(Math.min(region.start, region.end)),
+                    width: percent(Math.abs(region.end - region.start)),
+                  }}
+                />
+              ))}
+            {draft && (
+              <div
+                className="region-editor-region is-draft"
+                style={{
+                  left: percent(Math.min(draft.start, draft.end)),
+                  width: percent(Math.abs(draft.end - draft.start)),
+                }}
+              />
+            )}
+            {duration > 0 && (
+              <div className="timeline-playhead" style={{ left: percent(currentTime) }} />
+            )}
+          </div>
+
+          {!peaks && !decodeError && <p className="timeline-note">Reading the audio...</p>}
+          {decodeError && (
+            <div className="status status-error">Could not read this file: {decodeError}</div>
+          )}
+
+          {regions.length > 0 && (
+            <ul className="region-editor-list">
+              {regions.map((region, index) => (
+                <li key={index}>
+                  <label>
+                    From
+                    <input
+                      type="number"
+                      min="0"
+                      max={duration}
+                      step="0.1"
+                      value={Math.round(region.start * 10) / 10}
+                      onChange={(e) => updateRegion(index, "start", e.target.value)}
+                    />
+                  </label>
+                  <label>
+                    to
+                    <input
+                      type="number"
+                      min="0"
+                      max={duration}
+                      step="0.1"
+                      value={Math.round(region.end * 10) / 10}
+                      onChange={(e) => updateRegion(index, "end", e.target.value)}
+                    />
+                    sec
+                  </label>
+                  <button
+                    type="button"
+                    className="link-button"
+                    onClick={() => seek(region.start, region.end)}
+                  >
+                    Play
+                  </button>
+                  <button type="button" className="link-button" onClick={() => removeRegion(index)}>
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {kept.length > 0 && (
+            <p className="hint">
+              Keeping {formatSeconds(keptSeconds(kept))} of {formatSeconds(duration)}:{" "}
+              {formatRegions(kept)}
+            </p>
+          )}
+
+          {audioUrl && (
+            <audio
+              ref={audioRef}
+              className="timeline-audio"
+              src={audioUrl}
+              controls
+              onTimeUpdate={(event) => {
+                const time = event.currentTarget.currentTime;
+                setCurrentTime(time);
+                if (playUntil.current !== null && time >= playUntil.current) {
+                  event.currentTarget.pause();
+                  playUntil.current = null;
+                }
+              }}
+            />
+          )}
+
+          {error && <div className="status status-error">{error}</div>}
+
+          <div className="login-actions">
+            {item.trim && (
+              <button type="button" className="secondary-button" onClick={() => onSave(null)}>
+                Use the whole file
+              </button>
+            )}
+            <button type="button" className="secondary-button" onClick={onCancel}>
+              Cancel
+            </button>
+            <button
+              type="button"
+              className="primary-button"
+              disabled={!duration || !regions.length}
+              onClick={handleSave}
+            >
+              Keep {kept.length === 1 ? "this region" : `${kept.length} regions`}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RegionEditor;
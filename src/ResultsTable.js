@@ -0,0 +1,425 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { STATUS_LABELS } from "./errorClassification";
+import {
+  DEFAULT_TABLE_METRICS,
+  METRICS,
+  METRICS_BY_KEY,
+  formatMetricCell,
+  isNumber,
+} from "./metrics";
+import { SCORE_OPTIONS, scoreNumberClass, scoreToClass, scoreToLabel } from "./scores";
+import {
+  compareRows,
+  isFailed,
+  matchesRanges,
+  matchesSearch,
+  resultKey,
+  sortsAscendingFirst,
+} from "./tableRows";
+import {
+  DEFAULT_TABLE_TRACK_FIELDS,
+  TRACK_FIELDS,
+  TRACK_FIELDS_BY_KEY,
+  formatTrackField,
+} from "./trackInfo";
+
+const PREFS_KEY = "lyricCoach.tablePrefs";
+const ROW_HEIGHT = 41;
+// Below this many rows everything is rendered; above it only the visible window
+const VIRTUALIZE_AFTER = 80;
+const OVERSCAN = 10;
+
+const loadPrefs = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(PREFS_KEY));
+    if (stored && Array.isArray(stored.columns)) {
+      return {
+        columns: stored.columns.filter((key) => METRICS_BY_KEY[key]),
+        // Preferences saved before track columns existed get the defaults
+        trackColumns: Array.isArray(stored.trackColumns)
+          ? stored.trackColumns.filter((key) => TRACK_FIELDS_BY_KEY[key])
+          : DEFAULT_TABLE_TRACK_FIELDS,
+        sort: stored.sort || null,
+      };
+    }
+  } catch (err) {
+    // Fall through to defaults
+  }
+  return { columns: DEFAULT_TABLE_METRICS, trackColumns: DEFAULT_TABLE_TRACK_FIELDS, sort: null };
+};
+
+const savePrefs = (prefs) => {
+  try {
+    window.localStorage.setItem(PREFS_KEY, JSON.stringify(prefs));
+  } catch (err) {
+    // Preferences just won't persist
+  }
+};
+
+function ResultsTable({
+  results,
+  onRowClick,
+  onRetry,
+  canRetry,
+  renderFilenameExtras,
+  isSelected,
+  onToggleSelect,
+  canSelectMore,
+  overrideFor,
+}) {
+  const [prefs, setPrefs] = useState(loadPrefs);
+  const [search, setSearch] = useState("");
+  const [scoreFilter, setScoreFilter] = useState([]);
+  const [ranges, setRanges] = useState({});
+  const [showColumns, setShowColumns] = useState(false);
+  const [showFilters, setShowFilters] = useState(false);
+  const [scrollTop, setScrollTop] = useState(0);
+  const scrollRef = useRef(null);
+
+  useEffect(() => {
+    savePrefs(prefs);
+  }, [prefs]);
+
+  const columns = prefs.columns.map((key) => METRICS_BY_KEY[key]);
+  const trackColumns = prefs.trackColumns.map((key) => TRACK_FIELDS_BY_KEY[key]);
+
+  const rows = useMemo(() => {
+    const query = search.trim().toLowerCase();
+    return results
+      .map((item, index) => ({ item, index }))
+      .filter(({ item }) => {
+        if (!matchesSearch(item, query)) return false;
+        if (scoreFilter.length) {
+          const score = isFailed(item) ? "failed" : isNumber(item.score) ? item.score : null;
+          if (!scoreFilter.includes(score)) return false;
+        }
+        return matchesRanges(item, ranges);
+      })
+      .sort(compareRows(prefs.sort));
+  }, [results, search, scoreFilter, ranges, prefs.sort]);
+
+  const activeFilterCount =
+    scoreFilter.length +
+    Object.values(ranges).filter((range) => range.min !== "" || range.max !== "").length;
+
+  const toggleSort = (key) => {
+    setPrefs((prev) => {
+      if (!prev.sort || prev.sort.key !== key) {
+        return { ...prev, sort: { key, direction: sortsAscendingFirst(key) ? "asc" : "desc" } };
+      }
+      if (prev.sort.direction === "desc" && !sortsAscendingFirst(key)) {
+        return { ...prev, sort: { key, direction: "asc" } };
+      }
+      if (prev.sort.direction === "asc" && sortsAscendingFirst(key)) {
+        return { ...prev, sort: { key, direction: "desc" } };
+      }
+      return { ...prev, sort: null };
+    });
+  };
+
+  const toggleColumn = (key) => {
+    setPrefs((prev) => {
+      const columnSet = prev.columns.includes(key)
+        ? prev.columns.filter((column) => column !== key)
+        : [...prev.columns, key];
+      // Keep catalog order regardless of click order
+      return { ...prev, columns: METRICS.map((m) => m.key).filter((k) => columnSet.includes(k)) };
+    });
+  };
+
+  const toggleTrackColumn = (key) => {
+    setPrefs((prev) => {
+      const columnSet = prev.trackColumns.includes(key)
+        ? prev.trackColumns.filter((column) => column !== key)
+        : [...prev.trackColumns, key];
+      return {
+        ...prev,
+        trackColumns: TRACK_FIELDS.map((field) => field.key).filter((k) => columnSet.includes(k)),
+      };
+    });
+  };
+
+  const toggleScoreFilter = (value) => {
+    setScoreFilter((prev) =>
+      prev.includes(value) ? prev.filter((entry) => entry !== value) : [...prev, value]
+    );
+  };
+
+  const setRange = (key, bound, text) => {
+    setRanges((prev) => ({ ...prev, [key]: { min: "", max: "", ...prev[key], [bound]: text } }));
+  };
+
+  const clearFilters = () => {
+    setSearch("");
+    setScoreFilter([]);
+    setRanges({});
+  };
+
+  const sortIndicator = (key) => {
+    if (!prefs.sort || prefs.sort.key !== key) return "";
+    return prefs.sort.direction === "asc" ? " ▲" : " ▼";
+  };
+
+  const sortableHeader = (key, label, className) => (
+    <th
+      className={`${className} sortable-header`}
+      onClick={() => toggleSort(key)}
+      aria-sort={
+        prefs.sort && prefs.sort.key === key
+          ? prefs.sort.direction === "asc"
+            ? "ascending"
+            : "descending"
+          : "none"
+      }
+    >
+      {label}
+      {sortIndicator(key)}
+    </th>
+  );
+
+  // Virtualization: render only the rows in view plus some overscan, with
+  // spacer rows standing in for the rest so the scrollbar stays accurate
+  const virtualize = rows.length > VIRTUALIZE_AFTER;
+  const viewportHeight = scrollRef.current ? scrollRef.current.clientHeight : 600;
+  const firstRow = virtualize ? Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN) : 0;
+  const lastRow = virtualize
+    ? Math.min(rows.length, Math.ceil((scrollTop + viewportHeight) / ROW_HEIGHT) + OVERSCAN)
+    : rows.length;
+  const visibleRows = rows.slice(firstRow, lastRow);
+  const selectable = Boolean(onToggleSelect);
+  const totalColumns = 3 + trackColumns.length + columns.length + (selectable ? 1 : 0);
+
+  // Values guessed from the filename are set apart from ones read from tags
+  const trackCells = (item) =>
+    trackColumns.map((field) => {
+      const guessed = item.track_info && item.track_info.guessed.includes(field.key);
+      return (
+        <td
+          key={field.key}
+          className={guessed ? "track-cell is-guessed" : "track-cell"}
+          title={guessed ? "Guessed from the filename" : undefined}
+        >
+          {formatTrackField(item.track_info, field.key)}
+        </td>
+      );
+    });
+
+  const selectCell = (item, disabled) =>
+    selectable && (
+      <td className="select-cell" onClick={(e) => e.stopPropagation()}>
+        {!disabled && (
+          <input
+            type="checkbox"
+            aria-label={`Select ${item.filename} for comparison`}
+            checked={isSelected(item)}
+            disabled={!isSelected(item) && !canSelectMore}
+            onChange={() => onToggleSelect(item)}
+          />
+        )}
+      </td>
+    );
+
+  const renderRow = ({ item, index }) => {
+    const key = resultKey(item) || `row-${index}`;
+    if (isFailed(item)) {
+      return (
+        <tr key={key} className="failed-row">
+          {selectCell(item, true)}
+          <td className="filename-cell">{item.filename}</td>
+          {trackCells(item)}
+          <td className="score-number-cell">–</td>
+          <td className="center-cell">
+            <span className="score-badge status-badge">{STATUS_LABELS[item.status]}</span>
+          </td>
+          <td colSpan={Math.max(columns.length, 1)} className="failed-reason-cell">
+            <span>{item.status_message}</span>
+            {item.upload_id && canRetry(item.upload_id) && (
+              <button type="button" className="link-button" onClick={() => onRetry(item.upload_id)}>
+                Retry
+              </button>
+            )}
+          </td>
+        </tr>
+      );
+    }
+
+    const override = overrideFor ? overrideFor(item) : null;
+    return (
+      <tr key={key} className="clickable-row" onClick={() => onRowClick(item)}>
+        {selectCell(item, false)}
+        <td className="filename-cell">
+          {item.filename}
+          {renderFilenameExtras && renderFilenameExtras(item)}
+        </td>
+        {trackCells(item)}
+        <td className="score-number-cell">
+          {item.score != null ? (
+            <span className={scoreNumberClass(item.score)}>{item.score}</span>
+          ) : (
+            "?"
+          )}
+        </td>
+        <td className="center-cell">
+          <span className={scoreToClass(item.score)}>{scoreToLabel(item.score)}</span>
+          {override && (
+            <span className="override-badge" title={`Clinician override: ${override.reason}`}>
+              → {scoreToLabel(override.score)}
+            </span>
+          )}
+        </td>
+        {columns.map((metric) => (
+          <td key={metric.key} className="center-cell">
+            {formatMetricCell(metric, item[metric.key])}
+          </td>
+        ))}
+      </tr>
+    );
+  };
+
+  return (
+    <div className="results-table-block">
+      <div className="table-toolbar">
+        <input
+          type="search"
+          className="table-search"
+          placeholder="Search filenames, titles and artists"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        <button
+          type="button"
+          className={showFilters ? "secondary-button is-active" : "secondary-button"}
+          onClick={() => setShowFilters((prev) => !prev)}
+        >
+          Filters{activeFilterCount ? ` (${activeFilterCount})` : ""}
+        </button>
+        <button
+          type="button"
+          className={showColumns ? "secondary-button is-active" : "secondary-button"}
+          onClick={() => setShowColumns((prev) => !prev)}
+        >
+          Columns
+        </button>
+        <span className="table-count">
+          {rows.length === results.length
+            ? `${results.length} song(s)`
+            : `${rows.length} of ${results.length} song(s)`}
+        </span>
+      </div>
+
+      {showColumns && (
+        <div className="table-options">
+          {TRACK_FIELDS.map((field) => (
+            <label key={field.key} className="table-option">
+              <input
+                type="checkbox"
+                checked={prefs.trackColumns.includes(field.key)}
+                onChange={() => toggleTrackColumn(field.key)}
+              />
+              {field.label}
+            </label>
+          ))}
+          {METRICS.map((metric) => (
+            <label key={metric.key} className="table-option">
+              <input
+                type="checkbox"
+                checked={prefs.columns.includes(metric.key)}
+                onChange={() => toggleColumn(metric.key)}
+              />
+              {metric.label}
+            </label>
+          ))}
+        </div>
+      )}
+
+      {showFilters && (
+        <div className="table-options">
+          <div className="table-filter-group">
+            <span className="legend-label">Score</span>
+            {[...SCORE_OPTIONS, { value: "failed", label: "Failed" }].map((option) => (
+              <label key={String(option.value)} className="table-option">
+                <input
+                  type="checkbox"
+                  checked={scoreFilter.includes(option.value)}
+                  onChange={() => toggleScoreFilter(option.value)}
+                />
+                {option.label}
+              </label>
+            ))}
+          </div>
+          <div className="table-range-grid">
+            {METRICS.map((metric) => {
+              const range = ranges[metric.key] || { min: "", max: "" };
+              return (
+                <div key={metric.key} className="table-range">
+                  <span>
+                    {metric.label}
+                    {metric.isRatio ? " (%)" : ""}
+                  </span>
+                  <input
+                    type="number"
+                    placeholder="min"
+                    value={range.min}
+                    onChange={(e) => setRange(metric.key, "min", e.target.value)}
+                  />
+                  <input
+                    type="number"
+                    placeholder="max"
+                    value={range.max}
+                    onChange={(e) => setRange(metric.key, "max", e.target.value)}
+                  />
+                </div>
+              );
+            })}
+          </div>
+          <button type="button" className="link-button" onClick={clearFilters}>
+            Clear filters
+          </button>
+        </div>
+      )}
+
+      <div
+        className={virtualize ? "results-table-wrapper is-virtualized" : "results-table-wrapper"}
+        ref={scrollRef}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <table className="results-table">
+          <thead>
+            <tr>
+              {selectable && <th className="col-select" aria-label="Compare" />}
+              {sortableHeader("filename", "Filename", "col-filename")}
+              {trackColumns.map((field) => sortableHeader(field.key, field.label, "col-track"))}
+              {sortableHeader("score", "Score", "col-score-number")}
+              <th className="col-score-label">Score label</th>
+              {columns.map((metric) =>
+                sortableHeader(metric.key, metric.shortLabel || metric.label, "col-metric")
+              )}
+            </tr>
+          </thead>
+          <tbody>
+            {virtualize && firstRow > 0 && (
+              <tr className="spacer-row" style={{ height: firstRow * ROW_HEIGHT }}>
+                <td colSpan={totalColumns} />
+              </tr>
+            )}
+            {visibleRows.map(renderRow)}
+            {virtualize && lastRow < rows.length && (
+              <tr className="spacer-row" style={{ height: (rows.length - lastRow) * ROW_HEIGHT }}>
+                <td colSpan={totalColumns} />
+              </tr>
+            )}
+            {!rows.length && (
+              <tr>
+                <td colSpan={totalColumns} className="empty-cell">
+                  No songs match the current search and filters.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default ResultsTable;
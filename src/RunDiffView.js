@@ -0,0 +1,243 @@
+import React, { useState } from "react";
+import { downloadFile } from "./download";
+import { readResultsFile } from "./resultsFile";
+import {
+  DIFF_KIND,
+  DIFF_LABELS,
+  buildDiffReportCSV,
+  diffResultSets,
+  formatMetricDelta,
+} from "./runDiff";
+import { scoreToClass, scoreToLabel } from "./scores";
+
+const CURRENT = "current";
+const IMPORTED = "imported";
+
+// Picks one side of the comparison: the results on screen, a saved run, or an exported file
+function DiffSourcePicker({ label, value, imported, currentResults, runs, onChange, onImport }) {
+  const handleFile = (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (file) onImport(file);
+  };
+
+  return (
+    <div className="run-diff-source">
+      <div className="detail-label">{label}</div>
+      <select value={value} onChange={(e) => onChange(e.target.value)}>
+        <option value="">Choose results…</option>
+        {currentResults.length > 0 && (
+          <option value={CURRENT}>Current results ({currentResults.length})</option>
+        )}
+        {runs.map((run) => (
+          <option key={run.id} value={`run-${run.id}`}>
+            {run.name} ({run.results.length})
+          </option>
+        ))}
+        {imported && (
+          <option value={IMPORTED}>
+            {imported.name} ({imported.results.length})
+          </option>
+        )}
+      </select>
+      <label className="file-input-label run-diff-import">
+        <span className="link-button">Import CSV or JSON…</span>
+        <input type="file" accept=".csv,.json" onChange={handleFile} />
+      </label>
+    </div>
+  );
+}
+
+const ScoreCell = ({ result }) =>
+  result ? <span className={scoreToClass(result.score)}>{scoreToLabel(result.score)}</span> : "—";
+
+function RunDiffView({ currentResults, runs, onClose, onOpenSong }) {
+  const [sources, setSources] = useState({
+    before: runs.length ? `run-${runs[0].id}` : "",
+    after: currentResults.length ? CURRENT : "",
+  });
+  const [imported, setImported] = useState({ before: null, after: null });
+  const [showUnchanged, setShowUnchanged] = useState(false);
+  const [error, setError] = useState("");
+
+  const resolve = (side) => {
+    const value = sources[side];
+    if (value === CURRENT) return { name: "Current results", results: currentResults };
+    if (value === IMPORTED) return imported[side];
+    return runs.find((run) => `run-${run.id}` === value) || null;
+  };
+  const before = resolve("before");
+  const after = resolve("after");
+
+  const diff = before && after ? diffResultSets(before.results, after.results) : null;
+
+  const handleImport = async (side, file) => {
+    try {
+      const { results } = readResultsFile(await file.text());
+      setImported((prev) => ({ ...prev, [side]: { name: file.name, results } }));
+      setSources((prev) => ({ ...prev, [side]: IMPORTED }));
+      setError("");
+    } catch (err) {
+      setError(`Could not import "${file.name}": ${err.message}`);
+    }
+  };
+
+  const handleDownload = () => {
+    downloadFile(
+      buildDiffReportCSV(diff),
+      "lyric_coach_delta_report.csv",
+      "text/csv;charset=utf-8;"
+    );
+  };
+
+  const visibleSongs = diff
+    ? diff.songs.filter((song) => showUnchanged || song.kind !== DIFF_KIND.UNCHANGED)
+    : [];
+
+  const pickerProps = { currentResults, runs };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal modal-wide" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div>
+            <div className="modal-title">Compare runs</div>
+            <div className="modal-subtitle">
+              Songs are matched by filename. Use this to check what a new analyzer release moved.
+            </div>
+          </div>
+          <button className="modal-close" type="button" onClick={onClose}>
+            ✕
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <div className="run-diff-sources">
+            <DiffSourcePicker
+              {...pickerProps}
+              label="Before (baseline)"
+              value={sources.before}
+              imported={imported.before}
+              onChange={(value) => setSources((prev) => ({ ...prev, before: value }))}
+              onImport={(file) => handleImport("before", file)}
+            />
+            <DiffSourcePicker
+              {...pickerProps}
+              label="After"
+              value={sources.after}
+              imported={imported.after}
+              onChange={(value) => setSources((prev) => ({ ...prev, after: value }))}
+              onImport={(file) => handleImport("after", file)}
+            />
+          </div>
+
+          {error && <div className="status status-error">{error}</div>}
+          {!diff && <p className="hint">Choose two result sets to compare.</p>}
+
+          {diff && (
+            <>
+              <div className="dashboard-summary">
+                {Object.values(DIFF_KIND).map((kind) => (
+                  <div key={kind}>
+                    <div className="detail-label">{DIFF_LABELS[kind]}</div>
+                    <div className="dashboard-stat-value">{diff.counts[kind]}</div>
+                  </div>
+                ))}
+              </div>
+
+              <div className="run-diff-actions">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={showUnchanged}
+                    onChange={(e) => setShowUnchanged(e.target.checked)}
+                  />
+                  Show unchanged songs
+                </label>
+                <button type="button" className="secondary-button" onClick={handleDownload}>
+                  Download delta report
+                </button>
+              </div>
+
+              <div className="compare-table-wrapper">
+                <table className="compare-table">
+                  <thead>
+                    <tr>
+                      <th>Song</th>
+                      <th>Change</th>
+                      <th>Before</th>
+                      <th>After</th>
+                      <th>Metrics moved</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {visibleSongs.map((song) => (
+                      <tr key={song.filename}>
+                        <td>
+                          <button
+                            type="button"
+                            className="link-button compare-song-name"
+                            onClick={() => onOpenSong(song.after || song.before)}
+                          >
+                            {song.filename}
+                          </button>
+                        </td>
+                        <td className={`run-diff-kind is-${song.kind}`}>
+                          {DIFF_LABELS[song.kind]}
+                        </td>
+                        <td>
+                          <ScoreCell result={song.before} />
+                        </td>
+                        <td>
+                          <ScoreCell result={song.after} />
+                        </td>
+                        <td className="compare-deciding">
+                          {diff.metrics
+                            .filter(({ metric }) => song.deltas[metric.key])
+                            .map(({ metric }) => (
+                              <span key={metric.key} className="run-diff-delta">
+                                {metric.shortLabel || metric.label}{" "}
+                                {formatMetricDelta(metric, song.deltas[metric.key])}
+                              </span>
+                            ))}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {!visibleSongs.length && <p className="hint">No song changed.</p>}
+              </div>
+
+              <div className="compare-table-wrapper">
+                <table className="compare-table">
+                  <thead>
+                    <tr>
+                      <th>Metric</th>
+                      <th>Songs moved</th>
+                      <th>Average change</th>
+                      <th>Largest change</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {diff.metrics.map(({ metric, compared, moved, meanDelta, largestDelta }) => (
+                      <tr key={metric.key}>
+                        <td className="compare-metric-label">{metric.label}</td>
+                        <td>
+                          {moved} of {compared}
+                        </td>
+                        <td>{formatMetricDelta(metric, meanDelta) || "n/a"}</td>
+                        <td>{formatMetricDelta(metric, largestDelta) || "n/a"}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RunDiffView;
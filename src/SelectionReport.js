@@ -0,0 +1,56 @@
+import React from "react";
+import { SKIP_KIND } from "./fileSelection";
+import { formatBytes } from "./upload";
+
+const KIND_SUMMARY = {
+  [SKIP_KIND.STEM]: "other stem(s)",
+  [SKIP_KIND.DUPLICATE]: "duplicate(s)",
+  [SKIP_KIND.INVALID]: "unsupported or too large",
+};
+
+// What a selection left out and why; stems can still be added by hand
+function SelectionReport({ selection, onAdd, onDismiss }) {
+  if (!selection || !selection.skipped.length) return null;
+
+  const counts = Object.keys(KIND_SUMMARY)
+    .map((kind) => [kind, selection.skipped.filter((entry) => entry.kind === kind).length])
+    .filter(([, count]) => count > 0);
+
+  return (
+    <details className="selection-report">
+      <summary>
+        {selection.skipped.length} of {selection.total} file(s) left out:{" "}
+        {counts.map(([kind, count]) => `${count} ${KIND_SUMMARY[kind]}`).join(", ")}
+        <button
+          type="button"
+          className="link-button"
+          onClick={(event) => {
+            // Inside <summary>, a click would also fold the list
+            event.preventDefault();
+            onDismiss();
+          }}
+        >
+          Dismiss
+        </button>
+      </summary>
+      <ul className="selection-report-list">
+        {selection.skipped.map((entry, index) => (
+          <li key={`${entry.path}-${index}`} className="selection-report-row">
+            <span className="selection-report-path" title={entry.path}>
+              {entry.path}
+            </span>
+            <span className="upload-queue-size">{formatBytes(entry.file.size)}</span>
+            <span className="selection-report-reason">{entry.reason}</span>
+            {entry.kind === SKIP_KIND.STEM && (
+              <button type="button" className="link-button" onClick={() => onAdd(entry)}>
+                Add anyway
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
+
+export default SelectionReport;
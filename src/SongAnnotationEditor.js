@@ -0,0 +1,151 @@
+import React, { useState } from "react";
+import { OVERRIDE_OPTIONS, parseTags, validateAnnotation } from "./annotations";
+import { scoreToClass, scoreToLabel } from "./scores";
+
+const NO_OVERRIDE = "";
+
+// Tags and a notes marker next to a filename in the results table
+export function AnnotationBadges({ annotation }) {
+  if (!annotation) return null;
+  return (
+    <>
+      {annotation.tags.map((tag) => (
+        <span key={tag} className="tag-chip">
+          {tag}
+        </span>
+      ))}
+      {annotation.notes.trim() && (
+        <span className="notes-badge" title={annotation.notes}>
+          notes
+        </span>
+      )}
+    </>
+  );
+}
+
+// Notes, tags and a score override for one song. Saved explicitly, since an
+// override needs its reason before it counts.
+function SongAnnotationEditor({ song, annotation, knownTags, onSave, onClear }) {
+  const [notes, setNotes] = useState(annotation ? annotation.notes : "");
+  const [tagText, setTagText] = useState(annotation ? annotation.tags.join(", ") : "");
+  const [overrideScore, setOverrideScore] = useState(
+    annotation && annotation.override ? String(annotation.override.score) : NO_OVERRIDE
+  );
+  const [reason, setReason] = useState(
+    annotation && annotation.override ? annotation.override.reason : ""
+  );
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const draft = {
+    notes,
+    tags: parseTags(tagText),
+    override:
+      overrideScore === NO_OVERRIDE
+        ? null
+        : { score: Number(overrideScore), reason: reason.trim() },
+  };
+
+  const addTag = (tag) => setTagText(parseTags(`${tagText},${tag}`).join(", "));
+
+  const store = async (save, failure) => {
+    setError("");
+    setSaving(true);
+    try {
+      await save();
+    } catch (err) {
+      setError(`${failure}: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = () => {
+    const problem = validateAnnotation(draft);
+    setError(problem);
+    if (problem) return;
+    store(() => onSave(draft), "Could not save");
+  };
+
+  const handleClear = () => store(onClear, "Could not remove the notes");
+
+  const suggestions = knownTags.filter((tag) => !draft.tags.includes(tag));
+
+  return (
+    <div className="annotation-editor">
+      <div className="detail-label">Clinician notes</div>
+      {annotation && annotation.override && (
+        <p className="hint">
+          Analyzer score{" "}
+          <span className={scoreToClass(song.score)}>{scoreToLabel(song.score)}</span> overridden to{" "}
+          <span className={scoreToClass(annotation.override.score)}>
+            {scoreToLabel(annotation.override.score)}
+          </span>
+          : {annotation.override.reason}
+        </p>
+      )}
+
+      <textarea
+        className="annotation-notes"
+        rows={3}
+        placeholder="What did you hear?"
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+      />
+
+      <label className="annotation-field">
+        Tags
+        <input
+          type="text"
+          placeholder="tempo too fast, good for dementia group"
+          value={tagText}
+          onChange={(e) => setTagText(e.target.value)}
+        />
+      </label>
+      {suggestions.length > 0 && (
+        <div className="annotation-suggestions">
+          {suggestions.map((tag) => (
+            <button key={tag} type="button" className="tag-chip" onClick={() => addTag(tag)}>
+              + {tag}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="annotation-override">
+        <label className="annotation-field">
+          Override score
+          <select value={overrideScore} onChange={(e) => setOverrideScore(e.target.value)}>
+            <option value={NO_OVERRIDE}>Keep the analyzer's</option>
+            {OVERRIDE_OPTIONS.map((option) => (
+              <option key={option.value} value={String(option.value)}>
+                {option.value} · {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {overrideScore !== NO_OVERRIDE && (
+          <label className="annotation-field annotation-reason">
+            Reason (required)
+            <input type="text" value={reason} onChange={(e) => setReason(e.target.value)} />
+          </label>
+        )}
+      </div>
+
+      {error && <div className="status status-error">{error}</div>}
+
+      <div className="annotation-actions">
+        {annotation && (
+          <button type="button" className="link-button" disabled={saving} onClick={handleClear}>
+            Remove notes
+          </button>
+        )}
+        <button type="button" className="secondary-button" disabled={saving} onClick={handleSave}>
+          Save notes
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SongAnnotationEditor;
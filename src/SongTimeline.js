@@ -0,0 +1,170 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { decodeAudioFile } from "./audio/decode";
+import { computePeaks, drawPeaks } from "./audio/waveform";
+import { SEGMENT_KIND, SEGMENT_LABELS, getSongSegments, isGapSegment } from "./segments";
+
+const formatTime = (sec) => {
+  const total = Math.max(0, Number(sec) || 0);
+  const minutes = Math.floor(total / 60);
+  const seconds = Math.floor(total - minutes * 60);
+  return `${minutes}:${String(seconds).padStart(2, "0")}`;
+};
+
+const LEGEND_KINDS = [
+  SEGMENT_KIND.PROMPTABLE,
+  SEGMENT_KIND.NEAR_PROMPTABLE,
+  SEGMENT_KIND.PHRASE,
+  SEGMENT_KIND.COMFORTABLE_GAP,
+];
+
+// Waveform with phrase and gap regions for the song modal. Plays the original
+// local file when we still have it; clicking a gap jumps playback there.
+function SongTimeline({ song, file }) {
+  const segments = useMemo(() => getSongSegments(song), [song]);
+  const [peaks, setPeaks] = useState(null);
+  const [decodeError, setDecodeError] = useState("");
+  const [audioUrl, setAudioUrl] = useState(null);
+  const [duration, setDuration] = useState(song.duration_seconds || 0);
+  const [currentTime, setCurrentTime] = useState(0);
+  const audioRef = useRef(null);
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    if (!file) return undefined;
+    const url = URL.createObjectURL(file);
+    setAudioUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [file]);
+
+  useEffect(() => {
+    if (!file) return undefined;
+    let cancelled = false;
+    setPeaks(null);
+    setDecodeError("");
+
+    decodeAudioFile(file)
+      .then((decoded) => {
+        if (cancelled) return;
+        setPeaks(computePeaks(decoded));
+        setDuration(decoded.channels[0].length / decoded.sampleRate);
+      })
+      .catch((err) => {
+        if (!cancelled) setDecodeError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [file]);
+
+  useEffect(() => {
+    if (canvasRef.current) drawPeaks(canvasRef.current, peaks);
+  }, [peaks]);
+
+  // Fall back to the end of the last segment when we know nothing else
+  const timelineLength =
+    duration || (segments.length ? segments[segments.length - 1].end : 0);
+
+  if (!file && !segments.length) return null;
+
+  const seek = (time, play = false) => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    audio.currentTime = time;
+    setCurrentTime(time);
+    if (play) audio.play().catch(() => {});
+  };
+
+  const handleTrackClick = (event) => {
+    if (!timelineLength) return;
+    const rect = event.currentTarget.getBoundingClientRect();
+    const ratio = (event.clientX - rect.left) / rect.width;
+    seek(Math.min(Math.max(ratio, 0), 1) * timelineLength);
+  };
+
+  const percent = (time) => `${(time / timelineLength) * 100}%`;
+
+  return (
+    <div className="song-timeline">
+      <div className="detail-label">Phrase and gap timeline</div>
+
+      {timelineLength > 0 && (
+        <div className="timeline-track" onClick={handleTrackClick}>
+          <canvas ref={canvasRef} className="timeline-waveform" />
+
+          {segments.map((segment, index) => {
+            const style = {
+              left: percent(segment.start),
+              width: percent(segment.end - segment.start),
+            };
+            const title = `${SEGMENT_LABELS[segment.kind]} ${formatTime(
+              segment.start
+            )}–${formatTime(segment.end)} (${(segment.end - segment.start).toFixed(1)} sec)`;
+            const isCurrent = currentTime >= segment.start && currentTime < segment.end;
+            const className = `timeline-region timeline-${segment.kind}${
+              isCurrent ? " is-current" : ""
+            }`;
+
+            if (isGapSegment(segment) && audioUrl) {
+              return (
+                <button
+                  key={index}
+                  type="button"
+                  className={className}
+                  style={style}
+                  title={`${title} · click to play from here`}
+                  onClick={(event) => {
+                    event.stopPropagation();
+                    seek(segment.start, true);
+                  }}
+                />
+              );
+            }
+            return <div key={index} className={className} style={style} title={title} />;
+          })}
+
+          {audioUrl && <div className="timeline-playhead" style={{ left: percent(currentTime) }} />}
+        </div>
+      )}
+
+      <div className="timeline-legend">
+        {LEGEND_KINDS.map((kind) => (
+          <span key={kind} className="timeline-legend-item">
+            <span className={`timeline-swatch timeline-${kind}`} />
+            {SEGMENT_LABELS[kind]}
+          </span>
+        ))}
+      </div>
+
+      {!segments.length && (
+        <p className="timeline-note">
+          The analyzer did not return phrase timestamps for this song, so only the waveform is
+          shown.
+        </p>
+      )}
+      {!file && (
+        <p className="timeline-note">
+          The original audio file is not available in this session, so playback is disabled.
+        </p>
+      )}
+      {decodeError && (
+        <p className="timeline-note">Could not draw the waveform: {decodeError}</p>
+      )}
+
+      {audioUrl && (
+        <audio
+          ref={audioRef}
+          className="timeline-audio"
+          src={audioUrl}
+          controls
+          onTimeUpdate={(event) => setCurrentTime(event.currentTarget.currentTime)}
+          onLoadedMetadata={(event) => {
+            if (!duration) setDuration(event.currentTarget.duration);
+          }}
+        />
+      )}
+    </div>
+  );
+}
+
+export default SongTimeline;
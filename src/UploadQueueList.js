@@ -0,0 +1,282 @@
+import React from "react";
+import { formatBytes } from "./upload";
+import { formatSeconds } from "./metrics";
+import { keptSeconds } from "./audio/trim";
+import { PRECHECK_VERDICT } from "./audio/precheck";
+
+const STATUS_LABELS = {
+  ready: "Ready",
+  queued: "Queued",
+  uploading: "Uploading",
+  trimming: "Trimming",
+  reducing: "Reducing",
+  retrying: "Retrying",
+  analyzing: "Analyzing",
+  done: "Done",
+  failed: "Failed",
+  cancelled: "Cancelled",
+  skipped: "Skipped",
+};
+
+export const isActiveStatus = (status) =>
+  status === "trimming" ||
+  status === "reducing" ||
+  status === "uploading" ||
+  status === "analyzing" ||
+  status === "retrying";
+
+// The queued items to start now: as many as `concurrency` leaves free slots for,
+// in queue order. Uploads also wait for canUpload (a session and a reachable
+// backend); local analysis doesn't.
+export const itemsToStart = (queue, { concurrency, canUpload }) => {
+  const active = queue.filter((item) => isActiveStatus(item.status)).length;
+  const slots = Math.max(concurrency, 1) - active;
+  if (slots <= 0) return [];
+  return queue
+    .filter((item) => item.status === "queued" && (item.local || canUpload))
+    .slice(0, slots);
+};
+
+// Files the local check flagged as full mixes wait for an explicit decision
+export const isHeldBack = (item) =>
+  item.precheck.verdict === PRECHECK_VERDICT.FULL_MIX && !item.forceUpload;
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+const describeFeatures = ({ features }) =>
+  [
+    `Silence ${formatPercent(features.silenceRatio)}`,
+    `low-band energy ${formatPercent(features.lowBandRatio)}`,
+    features.isStereo ? `stereo correlation ${features.stereoCorrelation.toFixed(2)}` : "mono",
+    `first ${Math.round(features.analyzedSeconds)} sec checked`,
+  ].join(", ");
+
+function PrecheckNote({ item, onForceUpload, onSkip }) {
+  const { precheck } = item;
+  if (precheck.state === "running") {
+    return <div className="precheck-note">Checking audio locally...</div>;
+  }
+  if (precheck.state === "error") {
+    return (
+      <div className="precheck-note" title={precheck.error}>
+        Could not check this file locally; it will be uploaded as is.
+      </div>
+    );
+  }
+  if (precheck.state !== "done") return null;
+
+  if (precheck.verdict === PRECHECK_VERDICT.FULL_MIX) {
+    return (
+      <div className="precheck-note precheck-flagged" title={describeFeatures(precheck)}>
+        <span>
+          Likely full mix · {formatPercent(precheck.confidence)} confidence
+          {item.forceUpload ? " · will upload anyway" : ""}
+        </span>
+        {!item.forceUpload && item.status === "ready" && (
+          <>
+            <button type="button" className="link-button" onClick={() => onForceUpload(item.id)}>
+              Upload anyway
+            </button>
+            <button type="button" className="link-button" onClick={() => onSkip(item.id)}>
+              Skip
+            </button>
+          </>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="precheck-note" title={describeFeatures(precheck)}>
+      {precheck.verdict === PRECHECK_VERDICT.ACAPELLA
+        ? `Looks like acapella · ${formatPercent(precheck.confidence)} confidence`
+        : "Could not tell if this is acapella or a full mix"}
+    </div>
+  );
+}
+
+function SizeLabel({ item }) {
+  const { reduction } = item;
+  if (!reduction || reduction.state !== "done") {
+    return <span className="upload-queue-size">{formatBytes(item.file.size)}</span>;
+  }
+  const saved = 1 - reduction.size / item.file.size;
+  return (
+    <span
+      className="upload-queue-size"
+      title={
+        `Sent as mono ${reduction.sampleRate / 1000} kHz ${reduction.format.toUpperCase()}, ` +
+        `${formatPercent(saved)} smaller`
+      }
+    >
+      {formatBytes(item.file.size)} → {formatBytes(reduction.size)}
+    </span>
+  );
+}
+
+const reductionNote = ({ reduction }) => {
+  if (!reduction) return "";
+  if (reduction.state === "error") return "Could not reduce this file; the original is sent.";
+  if (reduction.state === "unchanged") return "Already small; the original is sent.";
+  return "";
+};
+
+const trimNote = ({ trim }) => {
+  if (!trim) return "";
+  const count = trim.regions.length;
+  return (
+    `Analyzing ${count === 1 ? "1 region" : `${count} regions`} · ` +
+    `${formatSeconds(keptSeconds(trim.regions))} of ${formatSeconds(trim.source_seconds)}`
+  );
+};
+
+const progressPercent = (item) => {
+  if (item.status === "done" || item.status === "analyzing") return 100;
+  if (!item.total) return 0;
+  return Math.round((item.loaded / item.total) * 100);
+};
+
+function UploadQueueList({
+  queue,
+  onCancel,
+  onRetry,
+  onCancelAll,
+  onForceUpload,
+  onSkip,
+  onInclude,
+  onRemove,
+  onToggleReanalyze,
+  onTrim,
+}) {
+  if (!queue.length) return null;
+
+  const doneCount = queue.filter((item) => item.status === "done").length;
+  const failedCount = queue.filter((item) => item.status === "failed").length;
+  const pendingCount = queue.filter(
+    (item) => item.status === "queued" || isActiveStatus(item.status)
+  ).length;
+
+  return (
+    <div className="upload-queue">
+      <div className="upload-queue-summary">
+        <span>
+          {doneCount} of {queue.length} done
+          {failedCount > 0 ? ` · ${failedCount} failed` : ""}
+        </span>
+        {pendingCount > 0 && (
+          <button type="button" className="link-button" onClick={onCancelAll}>
+            Cancel all
+          </button>
+        )}
+      </div>
+
+      <ul className="upload-queue-list">
+        {queue.map((item) => {
+          const percent = progressPercent(item);
+          const canCancel = item.status === "queued" || isActiveStatus(item.status);
+          const canRetry = item.status === "failed" || item.status === "cancelled";
+
+          return (
+            <li key={item.id} className={`upload-queue-row upload-status-${item.status}`}>
+              <div className="upload-queue-row-main">
+                <span
+                  className="upload-queue-name"
+                  title={
+                    item.path === item.file.name
+                      ? item.path
+                      : `${item.path} (sent as ${item.file.name})`
+                  }
+                >
+                  {item.path}
+                </span>
+                <SizeLabel item={item} />
+                {item.status === "ready" && item.cachedResult && (
+                  <button
+                    type="button"
+                    className={item.forceReanalyze ? "cached-badge is-off" : "cached-badge"}
+                    title={
+                      item.forceReanalyze
+                        ? "Will be re-analyzed. Click to use the cached result."
+                        : "A cached result exists for this file. Click to re-analyze instead."
+                    }
+                    onClick={() => onToggleReanalyze(item.id)}
+                  >
+                    {item.forceReanalyze ? "re-analyze" : "cached"}
+                  </button>
+                )}
+                <span className="upload-queue-status">
+                  {STATUS_LABELS[item.status]}
+                  {item.status === "uploading" ? ` ${percent}%` : ""}
+                  {item.status === "done" && item.cached ? " · cached" : ""}
+                </span>
+                {canCancel && (
+                  <button
+                    type="button"
+                    className="link-button"
+                    onClick={() => onCancel(item.id)}
+                  >
+                    Cancel
+                  </button>
+                )}
+                {canRetry && (
+                  <button
+                    type="button"
+                    className="link-button"
+                    onClick={() => onRetry(item.id)}
+                  >
+                    Retry
+                  </button>
+                )}
+                {item.status === "skipped" && (
+                  <button
+                    type="button"
+                    className="link-button"
+                    onClick={() => onInclude(item.id)}
+                  >
+                    Include
+                  </button>
+                )}
+                {item.status === "ready" && item.file instanceof Blob && (
+                  <button type="button" className="link-button" onClick={() => onTrim(item.id)}>
+                    {item.trim ? "Edit trim" : "Trim"}
+                  </button>
+                )}
+                {(item.status === "ready" || item.status === "skipped") && (
+                  <button type="button" className="link-button" onClick={() => onRemove(item.id)}>
+                    Remove
+                  </button>
+                )}
+              </div>
+
+              <PrecheckNote item={item} onForceUpload={onForceUpload} onSkip={onSkip} />
+
+              {(isActiveStatus(item.status) || item.status === "done") && (
+                <div className="upload-progress">
+                  <div
+                    className={
+                      item.status === "analyzing"
+                        ? "upload-progress-bar upload-progress-analyzing"
+                        : "upload-progress-bar"
+                    }
+                    style={{ width: `${percent}%` }}
+                  />
+                </div>
+              )}
+
+              {item.trim && <div className="upload-queue-note">{trimNote(item)}</div>}
+              {reductionNote(item) && (
+                <div className="upload-queue-note" title={item.reduction.error}>
+                  {reductionNote(item)}
+                </div>
+              )}
+              {item.note && <div className="upload-queue-note">{item.note}</div>}
+              {item.error && <div className="upload-queue-error">{item.error}</div>}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default UploadQueueList;
@@ -0,0 +1,91 @@
+// Clinician notes, tags and manual score overrides per song, kept in this
+// browser. An annotation is stored under the file's content hash when the song
+// was analyzed here, else under its filename. Lookups try the hash first and
+// then, where a hash is missing, the filename, so notes follow a song into
+// reopened and imported results.
+//
+// An annotation is { key, content_hash, filename, notes, tags, override, updated_at }
+// where override is { score, reason } or null.
+import { withStore } from "./db";
+import { SCORE_OPTIONS } from "./scores";
+
+const STORE = "annotations";
+
+export const annotationKey = (result) =>
+  result.content_hash ? `hash:${result.content_hash}` : `file:${result.filename}`;
+
+// Newest first, so a filename lookup finds the latest notes
+export const listAnnotations = () =>
+  withStore(STORE, "readonly", async (store, request) => {
+    const annotations = await request(store.getAll());
+    return annotations.sort((a, b) => (a.updated_at < b.updated_at ? 1 : -1));
+  });
+
+export const saveAnnotation = (annotation) =>
+  withStore(STORE, "readwrite", (store, request) => request(store.put(annotation)));
+
+export const deleteAnnotation = (key) =>
+  withStore(STORE, "readwrite", (store, request) => request(store.delete(key)));
+
+// The stored annotation for a result, else whatever came with it in an imported file.
+// The filename only counts when one side has no hash: two recordings can share a name.
+export const findAnnotation = (annotations, result) => {
+  if (!result) return null;
+  const byHash =
+    result.content_hash &&
+    annotations.find((annotation) => annotation.content_hash === result.content_hash);
+  const byName = annotations.find(
+    (annotation) =>
+      annotation.filename === result.filename && !(annotation.content_hash && result.content_hash)
+  );
+  return byHash || byName || result.annotation || null;
+};
+
+// "tempo too fast, good for dementia group" -> ["tempo too fast", "good for dementia group"]
+export const parseTags = (text) => [
+  ...new Set(
+    String(text || "")
+      .split(",")
+      .map((tag) => tag.trim())
+      .filter(Boolean)
+  ),
+];
+
+export const OVERRIDE_OPTIONS = SCORE_OPTIONS.filter((option) => option.value !== null);
+
+// { notes, tags, override } as edited in the modal; returns an error or ""
+export const validateAnnotation = ({ override }) => {
+  if (!override) return "";
+  if (!OVERRIDE_OPTIONS.some((option) => option.value === override.score)) {
+    return "Choose a score for the override.";
+  }
+  if (!String(override.reason || "").trim()) return "Give a reason for overriding the score.";
+  return "";
+};
+
+export const isEmptyAnnotation = ({ notes, tags, override }) =>
+  !String(notes || "").trim() && !(tags && tags.length) && !override;
+
+// What goes into exports alongside each result
+export const exportedAnnotation = (annotation) =>
+  annotation && {
+    notes: annotation.notes || "",
+    tags: annotation.tags || [],
+    override: annotation.override || null,
+    updated_at: annotation.updated_at || null,
+  };
+
+// An annotation from an imported file, checked field by field; null when
+// nothing usable is left. Tags may be a list or comma separated text.
+export const normalizeAnnotation = (raw) => {
+  if (!raw || typeof raw !== "object") return null;
+  const { notes, tags, override } = raw;
+  const valid = override && OVERRIDE_OPTIONS.some((option) => option.value === override.score);
+  const annotation = {
+    notes: typeof notes === "string" ? notes : "",
+    tags: parseTags(Array.isArray(tags) ? tags.join(",") : tags),
+    override: valid ? { score: override.score, reason: String(override.reason || "") } : null,
+    updated_at: raw.updated_at || null,
+  };
+  return isEmptyAnnotation(annotation) ? null : annotation;
+};
@@ -0,0 +1,83 @@
+import {
+  annotationKey,
+  findAnnotation,
+  isEmptyAnnotation,
+  normalizeAnnotation,
+  parseTags,
+  validateAnnotation,
+} from "./annotations";
+
+test.each([
+  [
+    "a hash when the song was analyzed here",
+    { filename: "A.wav", content_hash: "abc" },
+    "hash:abc",
+  ],
+  ["the filename otherwise", { filename: "A.wav" }, "file:A.wav"],
+])("annotations are keyed by %s", (name, result, key) => {
+  expect(annotationKey(result)).toBe(key);
+});
+
+test.each([
+  ["", []],
+  [" tempo too fast ,, good for dementia group", ["tempo too fast", "good for dementia group"]],
+  ["upbeat, upbeat, calm", ["upbeat", "calm"]],
+  [undefined, []],
+])("parseTags(%j)", (text, tags) => {
+  expect(parseTags(text)).toEqual(tags);
+});
+
+test.each([
+  ["no override", { notes: "Fine", override: null }, ""],
+  ["an override with a reason", { override: { score: 2, reason: "Too fast" } }, ""],
+  ["an override without a reason", { override: { score: 2, reason: "  " } }, /reason/],
+  ["an override to Unknown", { override: { score: null, reason: "Why" } }, /Choose a score/],
+])("validateAnnotation with %s", (name, annotation, error) => {
+  expect(validateAnnotation(annotation)).toMatch(error);
+});
+
+const byHash = { key: "hash:abc", content_hash: "abc", filename: "Old name.wav", notes: "hash" };
+const byName = { key: "file:A.wav", filename: "A.wav", notes: "name" };
+const imported = { notes: "imported", tags: [], override: null };
+
+test.each([
+  ["the content hash first", { filename: "A.wav", content_hash: "abc" }, byHash],
+  ["then the filename", { filename: "A.wav", content_hash: "def" }, byName],
+  ["then what came with an import", { filename: "B.wav", annotation: imported }, imported],
+  ["else nothing", { filename: "B.wav" }, null],
+])("findAnnotation tries %s", (name, result, expected) => {
+  expect(findAnnotation([byHash, byName], result)).toBe(expected);
+});
+
+test("a different recording with the same name doesn't get another song's notes", () => {
+  const other = { key: "hash:other", content_hash: "other", filename: "A.wav", notes: "other" };
+  expect(findAnnotation([other, byName], { filename: "A.wav", content_hash: "abc" })).toBe(byName);
+  expect(findAnnotation([other], { filename: "A.wav", content_hash: "abc" })).toBeNull();
+  // Without a hash on the result the name is all there is to go on
+  expect(findAnnotation([other], { filename: "A.wav" })).toBe(other);
+});
+
+test.each([
+  [{ notes: "  ", tags: [], override: null }, true],
+  [{ notes: "", tags: ["calm"], override: null }, false],
+  [{ notes: "", tags: [], override: { score: 1, reason: "x" } }, false],
+])("isEmptyAnnotation(%j)", (annotation, empty) => {
+  expect(isEmptyAnnotation(annotation)).toBe(empty);
+});
+
+test.each([
+  ["nothing", undefined, null],
+  ["only blanks", { notes: "", tags: "", override: { score: undefined, reason: "" } }, null],
+  [
+    "comma separated tags",
+    { notes: "Good", tags: "calm, calm, slow" },
+    { notes: "Good", tags: ["calm", "slow"], override: null, updated_at: null },
+  ],
+  [
+    "an unknown override score",
+    { tags: ["calm"], override: { score: 7, reason: "x" }, updated_at: "2024-05-01" },
+    { notes: "", tags: ["calm"], override: null, updated_at: "2024-05-01" },
+  ],
+])("normalizeAnnotation with %s", (name, raw, expected) => {
+  expect(normalizeAnnotation(raw)).toEqual(expected);
+});
@@ -0,0 +1,177 @@
+// Every call the app makes to the analyzer backend: health checks, sign-in,
+// uploads (synchronous or as jobs) and job tracking. Analysis responses are
+// checked against resultSchema, so callers only ever see normalized results.
+// Failures are thrown as ApiError carrying the RESULT_STATUS to show; dropped
+// connections and timeouts keep their NetworkError/TimeoutError names.
+import config from "./config";
+import {
+  RESULT_STATUS,
+  classifyError,
+  describeError,
+  readBackendError,
+} from "./errorClassification";
+import { JOB_STATUS, cancelJob, watchJob } from "./jobs";
+import { normalizeResultItem, parseAnalysisResponse } from "./resultSchema";
+import { withRetry } from "./retry";
+import { uploadFile } from "./upload";
+
+export class ApiError extends Error {
+  constructor(message, { status, httpStatus, code } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.httpStatus = httpStatus;
+    this.code = code;
+  }
+}
+
+const UNEXPECTED_FORMAT = "Unexpected response format from server.";
+
+// The message is what the failed row shows, so it goes through describeError
+const apiError = (status, message, details) =>
+  new ApiError(describeError(status, message), { status, ...details });
+
+const RETRY = {
+  retries: config.UPLOAD_MAX_RETRIES,
+  baseDelayMs: config.RETRY_BASE_DELAY_MS,
+  maxDelayMs: config.RETRY_MAX_DELAY_MS,
+};
+
+const readJSON = (response) => response.json().catch(() => null);
+
+// Raw health answer; backendHealth decides what it means
+export const fetchHealth = async (url, { signal } = {}) => {
+  const response = await fetch(url, { signal, cache: "no-store" });
+  return {
+    status: response.status,
+    ok: response.ok,
+    data: response.ok ? await readJSON(response) : null,
+  };
+};
+
+// OAuth2 password grant; auth decides what the answer means. Basic credentials
+// ride along so a Basic-only backend answers 404 rather than 401.
+export const requestPasswordGrant = async (url, { username, password, header }) => {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded", Authorization: header },
+    body: new URLSearchParams({ grant_type: "password", username, password }),
+  });
+  return {
+    status: response.status,
+    ok: response.ok,
+    data: response.ok ? await readJSON(response) : null,
+  };
+};
+
+// onResend(attempt) fires before each retry goes out, onRetry before each wait
+const sendFile = (url, { header, file, signal, onProgress, onUploaded, onRetry, onResend }) =>
+  withRetry(
+    (attempt) => {
+      if (attempt > 0 && onResend) onResend(attempt);
+      return uploadFile({
+        url,
+        file,
+        headers: { Authorization: header },
+        signal,
+        timeoutMs: config.UPLOAD_TIMEOUT_SECONDS * 1000,
+        onProgress,
+        onUploaded,
+      });
+    },
+    { ...RETRY, signal, onRetry }
+  );
+
+// uploadFile's { ok, status, text } to the parsed body, or an ApiError
+const readUploadResponse = (response) => {
+  if (!response.ok) {
+    let backendError = { code: null, message: "" };
+    try {
+      backendError = readBackendError(JSON.parse(response.text));
+    } catch (parseErr) {
+      // Non-JSON error body, classify on the HTTP status alone
+    }
+    const status = classifyError({ ...backendError, httpStatus: response.status });
+    throw apiError(
+      status,
+      backendError.message || `Server responded with status ${response.status}`,
+      { httpStatus: response.status, code: backendError.code }
+    );
+  }
+
+  let data;
+  try {
+    data = JSON.parse(response.text);
+  } catch (parseErr) {
+    throw apiError(RESULT_STATUS.SERVER_ERROR, UNEXPECTED_FORMAT);
+  }
+
+  // An error for the whole request rather than for one file
+  if (data && data.error) {
+    const { code, message } = readBackendError(data);
+    throw apiError(classifyError({ code, message }), message, { code });
+  }
+  return data;
+};
+
+const parseResults = (data) => {
+  try {
+    return parseAnalysisResponse(data);
+  } catch (err) {
+    throw apiError(RESULT_STATUS.SERVER_ERROR, err.message);
+  }
+};
+
+// Resolves with { schemaVersion, analyzerVersion, results, issues } once the
+// whole analysis is done
+export const analyzeUpload = async ({ baseUrl, ...options }) =>
+  parseResults(readUploadResponse(await sendFile(`${baseUrl}/analyze-upload`, options)));
+
+// Resolves with the job id as soon as the backend has the file
+export const submitAnalysisJob = async ({ baseUrl, ...options }) => {
+  const data = readUploadResponse(await sendFile(`${baseUrl}${config.JOBS_PATH}`, options));
+  if (!data || !data.job_id) throw apiError(RESULT_STATUS.SERVER_ERROR, UNEXPECTED_FORMAT);
+  return String(data.job_id);
+};
+
+const jobUrl = (baseUrl, jobId) => `${baseUrl}${config.JOBS_PATH}/${encodeURIComponent(jobId)}`;
+
+// Same resolution as analyzeUpload; onResult gets each normalized result as it arrives
+export const followAnalysisJob = async ({ baseUrl, header, jobId, signal, events, onResult }) => {
+  let job;
+  try {
+    job = await watchJob({
+      url: jobUrl(baseUrl, jobId),
+      headers: { Authorization: header },
+      signal,
+      events,
+      pollIntervalMs: config.JOB_POLL_INTERVAL_MS,
+      retry: RETRY,
+      onResult: onResult && ((raw) => onResult(normalizeResultItem(raw))),
+    });
+  } catch (err) {
+    if (err.name !== "JobError") throw err;
+    const { code, httpStatus } = err;
+    throw apiError(
+      classifyError({ code, httpStatus, message: err.message }),
+      httpStatus === 404
+        ? "The server no longer has this analysis job. Upload the file again."
+        : err.message,
+      { httpStatus, code }
+    );
+  }
+
+  if (job.status !== JOB_STATUS.DONE) {
+    const { code, message } = readBackendError(job);
+    const cancelled = job.status === JOB_STATUS.CANCELLED;
+    throw apiError(
+      classifyError({ code, message }),
+      message || (cancelled ? "The analysis job was cancelled on the server." : ""),
+      { code }
+    );
+  }
+  return parseResults(job);
+};
+
+export const cancelAnalysisJob = ({ baseUrl, header, jobId }) =>
+  cancelJob(jobUrl(baseUrl, jobId), { headers: { Authorization: header } });
@@ -0,0 +1,128 @@
+import current from "./__fixtures__/analysis-v2.json";
+import jobDone from "./__fixtures__/job-done.json";
+import uploadError from "./__fixtures__/upload-error.json";
+import { analyzeUpload, followAnalysisJob, submitAnalysisJob } from "./apiClient";
+import { uploadFile } from "./upload";
+
+jest.mock("./upload", () => ({ uploadFile: jest.fn() }));
+
+const respond = (status, body) =>
+  Promise.resolve({ status, ok: status >= 200 && status < 300, json: () => Promise.resolve(body) });
+
+const follow = (options) =>
+  followAnalysisJob({
+    baseUrl: "https://api.example",
+    header: "Basic x",
+    jobId: "job-7",
+    ...options,
+  });
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test("followAnalysisJob resolves with normalized results and reports each one", async () => {
+  global.fetch = jest.fn(() => respond(200, jobDone));
+  const onResult = jest.fn();
+
+  const analysis = await follow({ onResult });
+
+  expect(global.fetch).toHaveBeenCalledWith("https://api.example/jobs/job-7", expect.any(Object));
+  expect(analysis.analyzerVersion).toBe("2.3.0");
+  expect(analysis.results.map((result) => result.status)).toEqual(["ok", "decode_failure"]);
+  expect(onResult.mock.calls.map(([result]) => result.song_minutes)).toEqual([2.5, undefined]);
+});
+
+test.each([
+  [401, "auth"],
+  [404, "server_error"],
+])("followAnalysisJob turns HTTP %i into an ApiError", async (httpStatus, status) => {
+  global.fetch = jest.fn(() => respond(httpStatus, null));
+  await expect(follow()).rejects.toMatchObject({ name: "ApiError", status, httpStatus });
+});
+
+test("followAnalysisJob explains a job the server no longer has", async () => {
+  global.fetch = jest.fn(() => respond(404, null));
+  await expect(follow()).rejects.toThrow(
+    "The server no longer has this analysis job. Upload the file again."
+  );
+});
+
+test("followAnalysisJob rejects with the failure reason of a failed job", async () => {
+  global.fetch = jest.fn(() =>
+    respond(200, { status: "failed", error: { code: "analysis_timeout", message: "Too slow." } })
+  );
+  await expect(follow()).rejects.toMatchObject({ status: "timeout", message: "Too slow." });
+});
+
+// What uploadFile resolves with once the XHR has an answer
+const uploaded = (status, text) =>
+  uploadFile.mockResolvedValue({ ok: status >= 200 && status < 300, status, text });
+
+const upload = {
+  baseUrl: "https://api.example",
+  header: "Basic x",
+  file: new Blob(["RIFF"]),
+};
+
+test("analyzeUpload resolves with the normalized results", async () => {
+  uploaded(200, JSON.stringify(current));
+  const analysis = await analyzeUpload(upload);
+  expect(uploadFile).toHaveBeenCalledWith(
+    expect.objectContaining({ url: "https://api.example/analyze-upload" })
+  );
+  expect(analysis.results.length).toBeGreaterThan(0);
+});
+
+test("analyzeUpload turns a 401 into an auth error with the server's reason", async () => {
+  uploaded(401, JSON.stringify({ detail: "Not authenticated" }));
+  await expect(analyzeUpload(upload)).rejects.toMatchObject({
+    name: "ApiError",
+    status: "auth",
+    httpStatus: 401,
+    message: "Not authenticated",
+  });
+});
+
+test("analyzeUpload classifies a non-JSON error body on the HTTP status alone", async () => {
+  uploaded(413, "<html><body>413 Request Entity Too Large</body></html>");
+  await expect(analyzeUpload(upload)).rejects.toMatchObject({
+    status: "server_error",
+    httpStatus: 413,
+    code: null,
+    message: "Server responded with status 413",
+  });
+});
+
+test("analyzeUpload rejects a 200 whose body is an error for the whole request", async () => {
+  uploaded(200, JSON.stringify(uploadError));
+  await expect(analyzeUpload(upload)).rejects.toMatchObject({
+    status: "decode_failure",
+    code: "unsupported_format",
+    message: "Unsupported audio format: audio/ogg",
+  });
+});
+
+test("analyzeUpload rejects a 200 that is not JSON", async () => {
+  uploaded(200, "OK");
+  await expect(analyzeUpload(upload)).rejects.toMatchObject({
+    status: "server_error",
+    message: "Unexpected response format from server.",
+  });
+});
+
+test("submitAnalysisJob resolves with the job id as a string", async () => {
+  uploaded(202, JSON.stringify({ job_id: 7, status: "queued" }));
+  await expect(submitAnalysisJob(upload)).resolves.toBe("7");
+  expect(uploadFile).toHaveBeenCalledWith(
+    expect.objectContaining({ url: "https://api.example/jobs" })
+  );
+});
+
+test("submitAnalysisJob rejects an answer without a job id", async () => {
+  uploaded(202, JSON.stringify({ status: "queued" }));
+  await expect(submitAnalysisJob(upload)).rejects.toMatchObject({
+    status: "server_error",
+    message: "Unexpected response format from server.",
+  });
+});
@@ -0,0 +1,13 @@
+// Main-thread side of localAnalysis.worker.js
+import { createWorkerClient, requestAudio } from "./workerClient";
+
+const client = createWorkerClient(
+  () => new Worker(new URL("./localAnalysis.worker.js", import.meta.url))
+);
+
+// Resolves with a raw result in the backend's flat shape, marked
+// analysis_source "local"
+export const analyzeFileLocally = async (file, { filename = file.name, targets, signal } = {}) => {
+  const { result } = await requestAudio(client, file, { filename, targets }, { signal });
+  return result;
+};
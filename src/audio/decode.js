@@ -0,0 +1,56 @@
+import { UNSUPPORTED_FLAC, decodeFlac, isFlac } from "./flac";
+import { decodeWav, isWav } from "./wav";
+
+const decodeWithWebAudio = async (buffer, { maxSeconds } = {}) => {
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineContext) {
+    throw new Error("This browser cannot decode audio locally.");
+  }
+
+  // decodeAudioData resamples to the context rate; 44.1 kHz is plenty for analysis
+  const context = new OfflineContext(1, 1, 44100);
+  const audioBuffer = await context.decodeAudioData(buffer);
+  const frameCount = maxSeconds
+    ? Math.min(audioBuffer.length, Math.floor(maxSeconds * audioBuffer.sampleRate))
+    : audioBuffer.length;
+
+  const channels = [];
+  for (let c = 0; c < audioBuffer.numberOfChannels; c += 1) {
+    channels.push(audioBuffer.getChannelData(c).slice(0, frameCount));
+  }
+
+  return {
+    sampleRate: audioBuffer.sampleRate,
+    channels,
+    bitsPerSample: null,
+    totalDuration: audioBuffer.duration,
+  };
+};
+
+// Decode a File into { sampleRate, channels: Float32Array[], totalDuration }.
+// WAV and FLAC are decoded natively, everything else (and FLAC streams the
+// native decoder leaves out) goes through Web Audio.
+export const decodeAudioFile = async (file, options = {}) => {
+  const buffer = await file.arrayBuffer();
+  const bytes = new Uint8Array(buffer);
+
+  if (isWav(bytes)) return decodeWav(buffer, options);
+  if (isFlac(bytes)) {
+    try {
+      return decodeFlac(bytes, options);
+    } catch (err) {
+      if (err.name !== UNSUPPORTED_FLAC) throw err;
+    }
+  }
+  return decodeWithWebAudio(buffer, options);
+};
+
+// WAV and FLAC only, for workers, which have no Web Audio
+export const decodeNativeAudioFile = async (file, options = {}) => {
+  const buffer = await file.arrayBuffer();
+  const bytes = new Uint8Array(buffer);
+
+  if (isWav(bytes)) return decodeWav(buffer, options);
+  if (isFlac(bytes)) return decodeFlac(bytes, options);
+  throw new Error("Only WAV and FLAC files can be decoded in the background.");
+};
@@ -0,0 +1,42 @@
+import { decodeAudioFile } from "./decode";
+import { UNSUPPORTED_FLAC, decodeFlac } from "./flac";
+
+jest.mock("./flac", () => ({ ...jest.requireActual("./flac"), decodeFlac: jest.fn() }));
+
+const flacFile = { arrayBuffer: async () => Uint8Array.from([0x66, 0x4c, 0x61, 0x43]).buffer };
+
+// An OfflineAudioContext that decodes everything to a second of mono silence
+const webAudio = {
+  sampleRate: 8000,
+  numberOfChannels: 1,
+  length: 8000,
+  duration: 1,
+  getChannelData: () => new Float32Array(8000),
+};
+
+beforeEach(() => {
+  window.OfflineAudioContext = jest.fn(() => ({ decodeAudioData: async () => webAudio }));
+});
+
+afterEach(() => {
+  delete window.OfflineAudioContext;
+});
+
+test("FLAC streams the native decoder leaves out go through Web Audio", async () => {
+  decodeFlac.mockImplementation(() => {
+    const err = new Error("Escape-coded FLAC residuals are not supported.");
+    err.name = UNSUPPORTED_FLAC;
+    throw err;
+  });
+  const decoded = await decodeAudioFile(flacFile, { maxSeconds: 0.5 });
+  expect(decoded).toMatchObject({ sampleRate: 8000, bitsPerSample: null, totalDuration: 1 });
+  expect(decoded.channels[0]).toHaveLength(4000);
+});
+
+test("a corrupt FLAC stream is an error, not a second try", async () => {
+  decodeFlac.mockImplementation(() => {
+    throw new Error("Lost FLAC frame sync.");
+  });
+  await expect(decodeAudioFile(flacFile)).rejects.toThrow("Lost FLAC frame sync.");
+  expect(window.OfflineAudioContext).not.toHaveBeenCalled();
+});
@@ -0,0 +1,386 @@
+// Small native FLAC decoder so the pre-upload checks don't depend on the
+// browser's codec support. Implements the subset of the format that the
+// reference encoder (libFLAC) produces: STREAMINFO, constant, verbatim, fixed
+// and LPC subframes, partitioned Rice residuals and the three stereo
+// decorrelation modes. Escape-coded partitions, which libFLAC never writes,
+// are left to Web Audio. CRCs are not verified.
+
+const createBitReader = (bytes, start) => {
+  let pos = start;
+  let bit = 0;
+
+  const readBits = (count) => {
+    let value = 0;
+    let remaining = count;
+    while (remaining > 0) {
+      const available = 8 - bit;
+      const take = Math.min(available, remaining);
+      const chunk = (bytes[pos] >> (available - take)) & ((1 << take) - 1);
+      // Multiply instead of shifting so values over 31 bits stay exact
+      value = value * (1 << take) + chunk;
+      bit += take;
+      if (bit === 8) {
+        bit = 0;
+        pos += 1;
+      }
+      remaining -= take;
+    }
+    return value;
+  };
+
+  const readSigned = (count) => {
+    if (count === 0) return 0;
+    const value = readBits(count);
+    const limit = 2 ** (count - 1);
+    return value >= limit ? value - 2 * limit : value;
+  };
+
+  // Count zero bits up to the next 1 bit
+  const readUnary = () => {
+    let zeros = 0;
+    for (;;) {
+      if (pos >= bytes.length) throw new Error("Unexpected end of FLAC data.");
+      const rest = bytes[pos] & (0xff >> bit);
+      if (rest === 0) {
+        zeros += 8 - bit;
+        bit = 0;
+        pos += 1;
+      } else {
+        const leading = Math.clz32(rest) - 24 - bit;
+        zeros += leading;
+        bit += leading + 1;
+        if (bit === 8) {
+          bit = 0;
+          pos += 1;
+        }
+        return zeros;
+      }
+    }
+  };
+
+  const alignToByte = () => {
+    if (bit !== 0) {
+      bit = 0;
+      pos += 1;
+    }
+  };
+
+  // FLAC's UTF-8 style variable length frame/sample number
+  const readUtf8Number = () => {
+    const first = readBits(8);
+    let extra = 0;
+    let value = first;
+    if (first >= 0xfe) {
+      extra = 6;
+      value = 0;
+    } else if (first >= 0xfc) {
+      extra = 5;
+      value = first & 0x01;
+    } else if (first >= 0xf8) {
+      extra = 4;
+      value = first & 0x03;
+    } else if (first >= 0xf0) {
+      extra = 3;
+      value = first & 0x07;
+    } else if (first >= 0xe0) {
+      extra = 2;
+      value = first & 0x0f;
+    } else if (first >= 0xc0) {
+      extra = 1;
+      value = first & 0x1f;
+    }
+    for (let i = 0; i < extra; i += 1) {
+      value = value * 64 + (readBits(8) & 0x3f);
+    }
+    return value;
+  };
+
+  return {
+    readBits,
+    readSigned,
+    readUnary,
+    alignToByte,
+    readUtf8Number,
+    get position() {
+      return pos;
+    },
+  };
+};
+
+// Error name for streams using the parts of the format left out above, so
+// callers can hand them to Web Audio instead
+export const UNSUPPORTED_FLAC = "UnsupportedFlacError";
+
+const unsupportedFlac = (message) => {
+  const err = new Error(message);
+  err.name = UNSUPPORTED_FLAC;
+  return err;
+};
+
+export const isFlac = (bytes) =>
+  bytes.length >= 4 &&
+  bytes[0] === 0x66 &&
+  bytes[1] === 0x4c &&
+  bytes[2] === 0x61 &&
+  bytes[3] === 0x43;
+
+// Read the metadata blocks that follow the "fLaC" marker. Returns STREAMINFO,
+// the raw blocks (for tag readers) and the offset of the first audio frame.
+export const readFlacMetadata = (bytes) => {
+  if (!isFlac(bytes)) throw new Error("Not a FLAC file.");
+
+  let offset = 4;
+  let streamInfo = null;
+  const blocks = [];
+  let isLast = false;
+
+  while (!isLast && offset + 4 <= bytes.length) {
+    const header = bytes[offset];
+    isLast = (header & 0x80) !== 0;
+    const type = header & 0x7f;
+    const length = (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3];
+    const body = offset + 4;
+    blocks.push({ type, offset: body, length });
+
+    if (type === 0) {
+      const reader = createBitReader(bytes, body);
+      reader.readBits(16); // min block size
+      reader.readBits(16); // max block size
+      reader.readBits(24); // min frame size
+      reader.readBits(24); // max frame size
+      streamInfo = {
+        sampleRate: reader.readBits(20),
+        numChannels: reader.readBits(3) + 1,
+        bitsPerSample: reader.readBits(5) + 1,
+        totalSamples: reader.readBits(36),
+      };
+    }
+    offset = body + length;
+  }
+
+  if (!streamInfo) throw new Error("FLAC file is missing STREAMINFO.");
+  return { streamInfo, blocks, audioOffset: offset };
+};
+
+const BLOCK_SIZE_CODES = {
+  1: 192,
+  2: 576,
+  3: 1152,
+  4: 2304,
+  5: 4608,
+  8: 256,
+  9: 512,
+  10: 1024,
+  11: 2048,
+  12: 4096,
+  13: 8192,
+  14: 16384,
+  15: 32768,
+};
+
+const SAMPLE_RATE_CODES = {
+  1: 88200,
+  2: 176400,
+  3: 192000,
+  4: 8000,
+  5: 16000,
+  6: 22050,
+  7: 24000,
+  8: 32000,
+  9: 44100,
+  10: 48000,
+  11: 96000,
+};
+
+const SAMPLE_SIZE_CODES = { 1: 8, 2: 12, 4: 16, 5: 20, 6: 24, 7: 32 };
+
+const FIXED_COEFFICIENTS = [[], [1], [2, -1], [3, -3, 1], [4, -6, 4, -1]];
+
+const decodeResidual = (reader, blockSize, order, out) => {
+  const method = reader.readBits(2);
+  if (method > 1) throw new Error("Unsupported FLAC residual coding method.");
+  const paramBits = method === 0 ? 4 : 5;
+  const escapeCode = method === 0 ? 15 : 31;
+  const partitionOrder = reader.readBits(4);
+  const partitions = 1 << partitionOrder;
+  const partitionSize = blockSize >> partitionOrder;
+
+  let index = order;
+  for (let p = 0; p < partitions; p += 1) {
+    const count = p === 0 ? partitionSize - order : partitionSize;
+    const param = reader.readBits(paramBits);
+    if (param === escapeCode) {
+      throw unsupportedFlac("Escape-coded FLAC residuals are not supported.");
+    }
+
+    for (let i = 0; i < count; i += 1) {
+      const quotient = reader.readUnary();
+      const folded = quotient * (1 << param) + reader.readBits(param);
+      // Zig-zag decode: 0, -1, 1, -2, 2 ...
+      out[index] = folded % 2 === 0 ? folded / 2 : -(folded + 1) / 2;
+      index += 1;
+    }
+  }
+};
+
+const predict = (samples, blockSize, order, coefficients, shift) => {
+  const divisor = 2 ** shift;
+  for (let i = order; i < blockSize; i += 1) {
+    let sum = 0;
+    for (let j = 0; j < order; j += 1) {
+      sum += coefficients[j] * samples[i - j - 1];
+    }
+    samples[i] += Math.floor(sum / divisor);
+  }
+};
+
+const decodeSubframe = (reader, blockSize, bitsPerSample) => {
+  if (reader.readBits(1) !== 0) throw new Error("Corrupt FLAC subframe header.");
+  const type = reader.readBits(6);
+
+  let wasted = 0;
+  if (reader.readBits(1) === 1) {
+    wasted = reader.readUnary() + 1;
+  }
+  const bps = bitsPerSample - wasted;
+  const samples = new Float64Array(blockSize);
+
+  if (type === 0) {
+    samples.fill(reader.readSigned(bps));
+  } else if (type === 1) {
+    for (let i = 0; i < blockSize; i += 1) samples[i] = reader.readSigned(bps);
+  } else if (type >= 8 && type <= 12) {
+    const order = type - 8;
+    for (let i = 0; i < order; i += 1) samples[i] = reader.readSigned(bps);
+    decodeResidual(reader, blockSize, order, samples);
+    predict(samples, blockSize, order, FIXED_COEFFICIENTS[order], 0);
+  } else if (type >= 32) {
+    const order = type - 31;
+    for (let i = 0; i < order; i += 1) samples[i] = reader.readSigned(bps);
+    const precision = reader.readBits(4) + 1;
+    if (precision === 16) throw new Error("Invalid FLAC LPC precision.");
+    const shift = Math.max(reader.readSigned(5), 0);
+    const coefficients = [];
+    for (let i = 0; i < order; i += 1) coefficients.push(reader.readSigned(precision));
+    decodeResidual(reader, blockSize, order, samples);
+    predict(samples, blockSize, order, coefficients, shift);
+  } else {
+    throw new Error(`Reserved FLAC subframe type ${type}.`);
+  }
+
+  if (wasted > 0) {
+    const factor = 2 ** wasted;
+    for (let i = 0; i < blockSize; i += 1) samples[i] *= factor;
+  }
+  return samples;
+};
+
+const decodeFrame = (bytes, offset, streamInfo) => {
+  const reader = createBitReader(bytes, offset);
+  const sync = reader.readBits(14);
+  if (sync !== 0x3ffe) throw new Error("Lost FLAC frame sync.");
+  reader.readBits(1); // reserved
+  reader.readBits(1); // blocking strategy
+  const blockSizeCode = reader.readBits(4);
+  const sampleRateCode = reader.readBits(4);
+  const channelAssignment = reader.readBits(4);
+  const sampleSizeCode = reader.readBits(3);
+  reader.readBits(1); // reserved
+  reader.readUtf8Number();
+
+  let blockSize = BLOCK_SIZE_CODES[blockSizeCode];
+  if (blockSizeCode === 6) blockSize = reader.readBits(8) + 1;
+  if (blockSizeCode === 7) blockSize = reader.readBits(16) + 1;
+  if (!blockSize) throw new Error("Invalid FLAC block size.");
+
+  let sampleRate = SAMPLE_RATE_CODES[sampleRateCode] || streamInfo.sampleRate;
+  if (sampleRateCode === 12) sampleRate = reader.readBits(8) * 1000;
+  if (sampleRateCode === 13) sampleRate = reader.readBits(16);
+  if (sampleRateCode === 14) sampleRate = reader.readBits(16) * 10;
+
+  const bitsPerSample = SAMPLE_SIZE_CODES[sampleSizeCode] || streamInfo.bitsPerSample;
+  reader.readBits(8); // header CRC-8
+
+  const numChannels = channelAssignment < 8 ? channelAssignment + 1 : 2;
+  const channels = [];
+  for (let c = 0; c < numChannels; c += 1) {
+    // The side channel carries one extra bit
+    const isSide =
+      (channelAssignment === 8 && c === 1) ||
+      (channelAssignment === 9 && c === 0) ||
+      (channelAssignment === 10 && c === 1);
+    channels.push(decodeSubframe(reader, blockSize, bitsPerSample + (isSide ? 1 : 0)));
+  }
+
+  if (channelAssignment === 8) {
+    // left/side
+    for (let i = 0; i < blockSize; i += 1) channels[1][i] = channels[0][i] - channels[1][i];
+  } else if (channelAssignment === 9) {
+    // side/right
+    for (let i = 0; i < blockSize; i += 1) channels[0][i] += channels[1][i];
+  } else if (channelAssignment === 10) {
+    // mid/side
+    for (let i = 0; i < blockSize; i += 1) {
+      const side = channels[1][i];
+      const mid = channels[0][i] * 2 + (side & 1);
+      channels[0][i] = Math.floor((mid + side) / 2);
+      channels[1][i] = Math.floor((mid - side) / 2);
+    }
+  }
+
+  reader.alignToByte();
+  reader.readBits(16); // frame CRC-16
+
+  return { channels, blockSize, sampleRate, bitsPerSample, nextOffset: reader.position };
+};
+
+// Decode into one Float32Array per channel, optionally only the first maxSeconds
+export const decodeFlac = (bytes, { maxSeconds } = {}) => {
+  const { streamInfo, audioOffset } = readFlacMetadata(bytes);
+  const { sampleRate, numChannels, bitsPerSample, totalSamples } = streamInfo;
+
+  let frameLimit = totalSamples || Infinity;
+  if (maxSeconds) frameLimit = Math.min(frameLimit, Math.floor(maxSeconds * sampleRate));
+
+  const scale = 2 ** (bitsPerSample - 1);
+  let capacity = Number.isFinite(frameLimit) ? frameLimit : sampleRate * 60;
+  let channels = [];
+  for (let c = 0; c < numChannels; c += 1) channels.push(new Float32Array(capacity));
+
+  let decoded = 0;
+  let offset = audioOffset;
+
+  while (offset < bytes.length - 2 && decoded < frameLimit) {
+    const frame = decodeFrame(bytes, offset, streamInfo);
+    const count = Math.min(frame.blockSize, frameLimit - decoded);
+
+    // Only needed when STREAMINFO doesn't say how long the stream is
+    if (decoded + count > capacity) {
+      capacity = Math.max(capacity * 2, decoded + count);
+      for (let c = 0; c < numChannels; c += 1) {
+        const grown = new Float32Array(capacity);
+        grown.set(channels[c]);
+        channels[c] = grown;
+      }
+    }
+
+    for (let c = 0; c < numChannels; c += 1) {
+      const source = frame.channels[c];
+      const target = channels[c];
+      for (let i = 0; i < count; i += 1) target[decoded + i] = source[i] / scale;
+    }
+    decoded += count;
+    offset = frame.nextOffset;
+  }
+
+  channels = channels.map((channel) =>
+    channel.length === decoded ? channel : channel.subarray(0, decoded)
+  );
+
+  return {
+    sampleRate,
+    channels,
+    bitsPerSample,
+    totalDuration: (totalSamples || decoded) / sampleRate,
+  };
+};
@@ -0,0 +1,137 @@
+import fs from "fs";
+import path from "path";
+import { UNSUPPORTED_FLAC, decodeFlac, readFlacMetadata } from "./flac";
+
+// Encoded by the reference encoder, libFLAC 1.3.4 at compression level 8,
+// from fixtureSignal() as 24-bit stereo at 16 kHz in blocks of 256 frames
+const fixture = new Uint8Array(
+  fs.readFileSync(path.join(__dirname, "../__fixtures__/libflac-stereo-24bit.flac"))
+);
+
+const BLOCK = 256;
+
+const noise = (seed) => {
+  let state = seed;
+  return (amplitude) => {
+    state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+    return (state % (2 * amplitude + 1)) - amplitude;
+  };
+};
+// | 0 so a rounded -0 compares equal to the decoded 0
+const tone = (i, period, amplitude) =>
+  Math.round(amplitude * Math.sin((2 * Math.PI * i) / period)) | 0;
+
+// One frame per arrangement; the comments say how libFLAC coded each
+const fixtureSignal = () => {
+  const a = noise(1);
+  const b = noise(2);
+  const left = [];
+  const right = [];
+  const frames = [
+    // Independent channels, fixed predictors of order 4 and 0
+    (i) => [tone(i, 40, 3000), a(500)],
+    // Left/side
+    () => {
+      const x = a(400);
+      return [x, 2 * x];
+    },
+    // Side/right
+    () => {
+      const x = a(400);
+      return [2 * x, x];
+    },
+    // Mid/side, the side channel with a wasted bit
+    () => {
+      const x = a(400);
+      const y = b(400);
+      return [x + y, x - y];
+    },
+    // A constant subframe, and LPC over two Rice partitions with 3 wasted bits
+    (i) => [0, 8 * tone(i, 64, 1000)],
+    // Left/side again, its left channel in four Rice partitions
+    (i) => {
+      const burst = i % BLOCK >= 192 ? a(2000) : 0;
+      return [tone(i, 50, 5000) + burst, tone(i, 70, 5000) + burst];
+    },
+    // Residuals too wide for 4-bit Rice parameters, so the 5-bit kind
+    (i) => [tone(i, 30, 3000000) + a(1000000), tone(i, 45, 3000000) + b(1000000)],
+    // Verbatim subframes
+    () => [a(8000000), b(8000000)],
+  ];
+  frames.forEach((frame, k) => {
+    for (let i = k * BLOCK; i < (k + 1) * BLOCK; i += 1) {
+      const [l, r] = frame(i);
+      left.push(l);
+      right.push(r);
+    }
+  });
+  return [left, right];
+};
+
+const toIntegers = (channel) => Array.from(channel, (sample) => Math.round(sample * 2 ** 23));
+
+test("a libFLAC stream decodes sample for sample", () => {
+  const [left, right] = fixtureSignal();
+  const decoded = decodeFlac(fixture);
+  expect(decoded).toMatchObject({ sampleRate: 16000, bitsPerSample: 24, totalDuration: 0.128 });
+  expect(toIntegers(decoded.channels[0])).toEqual(left);
+  expect(toIntegers(decoded.channels[1])).toEqual(right);
+});
+
+test("maxSeconds stops partway through a frame", () => {
+  const [left] = fixtureSignal();
+  const decoded = decodeFlac(fixture, { maxSeconds: 0.04 });
+  expect(toIntegers(decoded.channels[0])).toEqual(left.slice(0, 640));
+});
+
+// The bits of a one-frame mono stream of 4 samples at 8 bits whose residual
+// is escape-coded, which libFLAC never writes
+const escapedStream = () => {
+  const streamInfo = [
+    "0000000000000100", // min block size
+    "0000000000000100", // max block size
+    "0".repeat(48), // min and max frame size
+    "00000011111010000000", // 16000 Hz
+    "000", // mono
+    "00111", // 8 bits per sample
+    "0".repeat(32) + "0100", // 4 samples
+    "0".repeat(128), // MD5
+  ].join("");
+  const frame = [
+    "11111111111110", // sync
+    "00", // reserved, fixed blocking
+    "0110", // block size in the next 8 bits
+    "0000", // sample rate from STREAMINFO
+    "0000", // mono
+    "000", // sample size from STREAMINFO
+    "0", // reserved
+    "00000000", // frame 0
+    "00000011", // 4 samples
+    "00000000", // CRC-8
+    "0001000", // fixed subframe of order 0
+    "0", // no wasted bits
+    "00", // Rice coding
+    "0000", // one partition
+    "1111", // escape
+    "00100", // 4 raw bits per sample
+    "0001111110000111", // 1, -1, -8, 7
+    "0", // padding to the byte
+    "0".repeat(16), // CRC-16
+  ].join("");
+  const bits = (text) => Array.from(text.match(/.{8}/g), (byte) => parseInt(byte, 2));
+  return Uint8Array.from([
+    ...Array.from("fLaC", (char) => char.charCodeAt(0)),
+    0x80,
+    0,
+    0,
+    34,
+    ...bits(streamInfo),
+    ...bits(frame),
+  ]);
+};
+
+test("escape-coded residuals are reported as unsupported", () => {
+  const bytes = escapedStream();
+  expect(readFlacMetadata(bytes).streamInfo).toMatchObject({ sampleRate: 16000, numChannels: 1 });
+  expect(() => decodeFlac(bytes)).toThrow(expect.objectContaining({ name: UNSUPPORTED_FLAC }));
+});
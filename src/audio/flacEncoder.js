@@ -0,0 +1,222 @@
+// Small 16-bit FLAC writer for the reduced uploads. Each channel is coded on
+// its own with whichever fixed predictor (order 0 to 4) leaves the smallest
+// residual, Rice coded in a single partition. No LPC, so files come out a bit
+// larger than a real encoder's, but still well under the size of a WAV.
+import { toInt16 } from "./wav";
+
+const BLOCK_SIZE = 4096;
+const MAX_RICE_PARAMETER = 14;
+
+const createBitWriter = (initialSize) => {
+  let bytes = new Uint8Array(initialSize);
+  let pos = 0;
+  let bit = 0;
+
+  const ensure = (extra) => {
+    if (pos + extra < bytes.length) return;
+    const grown = new Uint8Array(Math.max(bytes.length * 2, pos + extra + 1));
+    grown.set(bytes);
+    bytes = grown;
+  };
+
+  // Values of up to 32 bits; wider fields are written in two calls
+  const writeBits = (value, count) => {
+    ensure(Math.ceil(count / 8) + 1);
+    let remaining = count;
+    while (remaining > 0) {
+      const available = 8 - bit;
+      const take = Math.min(available, remaining);
+      const chunk = (value >>> (remaining - take)) & ((1 << take) - 1);
+      bytes[pos] |= chunk << (available - take);
+      bit += take;
+      if (bit === 8) {
+        bit = 0;
+        pos += 1;
+      }
+      remaining -= take;
+    }
+  };
+
+  const writeSigned = (value, count) => writeBits(value & (2 ** count - 1), count);
+
+  const writeUnary = (zeros) => {
+    ensure(Math.ceil(zeros / 8) + 2);
+    // The buffer is zero filled, so the zeros only need skipping over
+    const skipped = bit + zeros;
+    pos += Math.floor(skipped / 8);
+    bit = skipped % 8;
+    writeBits(1, 1);
+  };
+
+  const alignToByte = () => {
+    if (bit !== 0) {
+      bit = 0;
+      pos += 1;
+    }
+  };
+
+  return {
+    writeBits,
+    writeSigned,
+    writeUnary,
+    alignToByte,
+    get position() {
+      return pos;
+    },
+    get bytes() {
+      return bytes;
+    },
+    result: () => bytes.slice(0, pos),
+  };
+};
+
+const crc8 = (bytes, start, end) => {
+  let crc = 0;
+  for (let i = start; i < end; i += 1) {
+    crc ^= bytes[i];
+    for (let b = 0; b < 8; b += 1) {
+      crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff;
+    }
+  }
+  return crc;
+};
+
+const crc16 = (bytes, start, end) => {
+  let crc = 0;
+  for (let i = start; i < end; i += 1) {
+    crc ^= bytes[i] << 8;
+    for (let b = 0; b < 8; b += 1) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xffff : (crc << 1) & 0xffff;
+    }
+  }
+  return crc;
+};
+
+// Frame numbers use the same variable-length coding as UTF-8
+const writeUtf8Number = (writer, value) => {
+  if (value < 0x80) {
+    writer.writeBits(value, 8);
+    return;
+  }
+  let continuation = 1;
+  while (value >= 2 ** (5 * continuation + 6)) continuation += 1;
+  const lead = (0xff << (7 - continuation)) & 0xff;
+  writer.writeBits(lead | (value >>> (6 * continuation)), 8);
+  for (let i = continuation - 1; i >= 0; i -= 1) {
+    writer.writeBits(0x80 | ((value >>> (6 * i)) & 0x3f), 8);
+  }
+};
+
+const FIXED_RESIDUALS = [
+  (s, i) => s[i],
+  (s, i) => s[i] - s[i - 1],
+  (s, i) => s[i] - 2 * s[i - 1] + s[i - 2],
+  (s, i) => s[i] - 3 * s[i - 1] + 3 * s[i - 2] - s[i - 3],
+  (s, i) => s[i] - 4 * s[i - 1] + 6 * s[i - 2] - 4 * s[i - 3] + s[i - 4],
+];
+
+const riceParameter = (sum, count) => {
+  const mean = count ? sum / count : 0;
+  let parameter = 0;
+  while (parameter < MAX_RICE_PARAMETER && 2 ** (parameter + 1) <= mean) parameter += 1;
+  return parameter;
+};
+
+const encodeSubframe = (writer, samples) => {
+  const blockSize = samples.length;
+  if (samples.every((sample) => sample === samples[0])) {
+    writer.writeBits(0, 8); // constant
+    writer.writeSigned(samples[0], 16);
+    return;
+  }
+
+  // The order whose residual is smallest in total codes smallest too. Each
+  // order's residual is the difference of the one below it.
+  const sums = [0, 0, 0, 0, 0];
+  const previous = [0, 0, 0, 0];
+  for (let i = 0; i < blockSize; i += 1) {
+    let residual = samples[i];
+    for (let order = 0; order <= 4; order += 1) {
+      if (i >= order) sums[order] += Math.abs(residual);
+      if (order < 4) {
+        const next = residual - previous[order];
+        previous[order] = residual;
+        residual = next;
+      }
+    }
+  }
+  let best = { order: 0, sum: sums[0] };
+  for (let order = 1; order <= Math.min(4, blockSize - 1); order += 1) {
+    if (sums[order] < best.sum) best = { order, sum: sums[order] };
+  }
+
+  const { order } = best;
+  const count = blockSize - order;
+  // Zigzag coding roughly doubles the magnitudes
+  const parameter = riceParameter(best.sum * 2, count);
+
+  writer.writeBits(0x10 | (order << 1), 8); // fixed, no wasted bits
+  for (let i = 0; i < order; i += 1) writer.writeSigned(samples[i], 16);
+  writer.writeBits(0, 2); // Rice coding with 4-bit parameters
+  writer.writeBits(0, 4); // one partition
+  writer.writeBits(parameter, 4);
+  for (let i = order; i < blockSize; i += 1) {
+    const residual = FIXED_RESIDUALS[order](samples, i);
+    const folded = residual >= 0 ? residual * 2 : -residual * 2 - 1;
+    writer.writeUnary(Math.floor(folded / 2 ** parameter));
+    if (parameter) writer.writeBits(folded % 2 ** parameter, parameter);
+  }
+};
+
+const writeStreamInfo = (writer, { sampleRate, numChannels, totalSamples }) => {
+  writer.writeBits(0x80, 8); // last metadata block, STREAMINFO
+  writer.writeBits(34, 24);
+  writer.writeBits(BLOCK_SIZE, 16); // the shorter last block doesn't count
+  writer.writeBits(BLOCK_SIZE, 16);
+  writer.writeBits(0, 24); // frame sizes unknown
+  writer.writeBits(0, 24);
+  writer.writeBits(sampleRate, 20);
+  writer.writeBits(numChannels - 1, 3);
+  writer.writeBits(15, 5); // 16 bits per sample
+  writer.writeBits(Math.floor(totalSamples / 2 ** 32), 4);
+  writer.writeBits(totalSamples >>> 0, 32);
+  for (let i = 0; i < 4; i += 1) writer.writeBits(0, 32); // no MD5
+};
+
+// Encode float samples (-1..1, one array per channel, at most 8) as 16-bit FLAC
+export const encodeFlac = (channels, sampleRate) => {
+  const numChannels = channels.length;
+  const totalSamples = numChannels ? channels[0].length : 0;
+  const writer = createBitWriter(totalSamples * numChannels + 1024);
+
+  writer.writeBits(0x664c6143, 32); // "fLaC"
+  writeStreamInfo(writer, { sampleRate, numChannels, totalSamples });
+
+  const block = new Int32Array(BLOCK_SIZE);
+  for (let start = 0, frame = 0; start < totalSamples; start += BLOCK_SIZE, frame += 1) {
+    const blockSize = Math.min(BLOCK_SIZE, totalSamples - start);
+    const frameStart = writer.position;
+
+    writer.writeBits(0xfff8, 16); // sync, fixed block size
+    // 4096 has its own code; a shorter last block gives its size after the header
+    writer.writeBits(blockSize === BLOCK_SIZE ? 12 : 7, 4);
+    writer.writeBits(0, 4); // sample rate from STREAMINFO
+    writer.writeBits(numChannels - 1, 4); // independent channels
+    writer.writeBits(4, 3); // 16 bits per sample
+    writer.writeBits(0, 1);
+    writeUtf8Number(writer, frame);
+    if (blockSize !== BLOCK_SIZE) writer.writeBits(blockSize - 1, 16);
+    writer.writeBits(crc8(writer.bytes, frameStart, writer.position), 8);
+
+    for (let c = 0; c < numChannels; c += 1) {
+      const samples = block.subarray(0, blockSize);
+      for (let i = 0; i < blockSize; i += 1) samples[i] = toInt16(channels[c][start + i]);
+      encodeSubframe(writer, samples);
+    }
+
+    writer.alignToByte();
+    writer.writeBits(crc16(writer.bytes, frameStart, writer.position), 16);
+  }
+
+  return writer.result();
+};
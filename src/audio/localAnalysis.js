@@ -0,0 +1,158 @@
+// In-browser stand-in for the analyzer, for when the backend can't be reached.
+// Phrases are found by loudness alone (voice activity on short frames, with
+// hysteresis), so the numbers are an estimate: breaths, reverb tails and
+// backing vocals all look like singing. Runs inside localAnalysis.worker.js.
+//
+// Definitions, matched to what the backend reports as closely as loudness allows:
+//   gap                    silence between two phrases (the lead-in and tail don't count)
+//   comfortable gap        a gap of COMFORTABLE_GAP_SECONDS or more, room for a spoken prompt
+//   promptable phrase      a phrase right after a comfortable gap (or a long enough lead-in)
+//   near promptable        the same after a gap of NEAR_GAP_SECONDS or more
+//   usable density         share of phrases that are promptable or near promptable
+import { REFERENCE_TARGETS } from "../insights";
+import { downmix } from "./reduce";
+
+export const LOCAL_ANALYZER_VERSION = "local-1";
+
+// Results from here carry analysis_source "local" through the table, history and exports
+export const isLocalEstimate = (result) => Boolean(result && result.analysis_source === "local");
+
+const FRAME_SECONDS = 0.02;
+// Frames this far below the loud passages count as silence, with some
+// hysteresis so a held note that dips doesn't split in two
+const VOICE_ON_DB = -30;
+const VOICE_OFF_DB = -36;
+// A clean recording's noise floor is far below that; a noisy one sets its own threshold
+const ABOVE_FLOOR_DB = 10;
+// Shorter pauses stay inside the phrase, shorter bursts are clicks and breaths
+const MERGE_GAP_SECONDS = 0.3;
+const MIN_PHRASE_SECONDS = 0.25;
+export const NEAR_GAP_SECONDS = 1.0;
+export const COMFORTABLE_GAP_SECONDS = 1.5;
+
+const percentile = (sorted, fraction) =>
+  sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))] : 0;
+
+// Loudness in dB of each FRAME_SECONDS frame
+export const frameLevels = (samples, sampleRate) => {
+  const frameSize = Math.max(1, Math.round(FRAME_SECONDS * sampleRate));
+  const count = Math.floor(samples.length / frameSize);
+  const levels = new Float32Array(count);
+  for (let f = 0; f < count; f += 1) {
+    let sum = 0;
+    for (let i = f * frameSize; i < (f + 1) * frameSize; i += 1) sum += samples[i] * samples[i];
+    levels[f] = 10 * Math.log10(sum / frameSize + 1e-12);
+  }
+  return { levels, frameSeconds: frameSize / sampleRate };
+};
+
+// [{ start, end }] in seconds, in order
+export const detectPhrases = ({ sampleRate, channels }) => {
+  const { levels, frameSeconds } = frameLevels(downmix(channels), sampleRate);
+  const sorted = Float32Array.from(levels).sort();
+  const loud = percentile(sorted, 0.95);
+  const floor = percentile(sorted, 0.1);
+  const on = Math.max(loud + VOICE_ON_DB, floor + ABOVE_FLOOR_DB);
+  const off = Math.min(on, Math.max(loud + VOICE_OFF_DB, floor + ABOVE_FLOOR_DB / 2));
+
+  const raw = [];
+  let start = null;
+  levels.forEach((level, f) => {
+    if (start === null && level >= on) start = f;
+    else if (start !== null && level < off) {
+      raw.push({ start: start * frameSeconds, end: f * frameSeconds });
+      start = null;
+    }
+  });
+  if (start !== null) raw.push({ start: start * frameSeconds, end: levels.length * frameSeconds });
+
+  const merged = raw.reduce((phrases, phrase) => {
+    const last = phrases[phrases.length - 1];
+    if (last && phrase.start - last.end < MERGE_GAP_SECONDS) last.end = phrase.end;
+    else phrases.push({ ...phrase });
+    return phrases;
+  }, []);
+  return merged.filter((phrase) => phrase.end - phrase.start >= MIN_PHRASE_SECONDS);
+};
+
+// Phrases and gaps in the shape segments.js reads, marked up per the definitions above
+export const describePhrases = (phrases) => {
+  const gaps = phrases.slice(1).map((phrase, i) => {
+    const start = phrases[i].end;
+    return {
+      start,
+      end: phrase.start,
+      comfortable: phrase.start - start >= COMFORTABLE_GAP_SECONDS,
+    };
+  });
+  const described = phrases.map((phrase, i) => {
+    const before = phrase.start - (i === 0 ? 0 : phrases[i - 1].end);
+    const promptable = before >= COMFORTABLE_GAP_SECONDS;
+    return {
+      ...phrase,
+      promptable,
+      near_promptable: !promptable && before >= NEAR_GAP_SECONDS,
+    };
+  });
+  return { phrases: described, gaps };
+};
+
+const totalSeconds = (segments) =>
+  segments.reduce((sum, segment) => sum + (segment.end - segment.start), 0);
+
+export const computeLocalMetrics = ({ phrases, gaps }, durationSeconds) => {
+  const minutes = durationSeconds / 60;
+  const perMinute = (count) => (minutes > 0 ? count / minutes : 0);
+  const promptable = phrases.filter((phrase) => phrase.promptable);
+  const near = phrases.filter((phrase) => phrase.near_promptable);
+  const comfortable = gaps.filter((gap) => gap.comfortable);
+  const phraseSeconds = totalSeconds(phrases);
+
+  return {
+    song_minutes: minutes,
+    total_phrases: phrases.length,
+    num_promptable_phrases: promptable.length,
+    near_promptable_phrases: near.length,
+    promptable_phrases_per_minute: perMinute(promptable.length),
+    near_promptable_phrases_per_minute: perMinute(near.length),
+    promptable_phrase_coverage: phraseSeconds > 0 ? totalSeconds(promptable) / phraseSeconds : 0,
+    comfortable_gaps_per_minute: perMinute(comfortable.length),
+    comfortable_gap_coverage: durationSeconds > 0 ? totalSeconds(comfortable) / durationSeconds : 0,
+    total_gaps_per_minute: perMinute(gaps.length),
+    avg_phrase_duration_sec: phrases.length ? phraseSeconds / phrases.length : 0,
+    usable_density: phrases.length ? (promptable.length + near.length) / phrases.length : 0,
+  };
+};
+
+// How close the song gets to each reference target, averaged: 3 when nearly
+// all are met, 2 when most of the way there, 1 otherwise
+export const scoreLocalMetrics = (metrics, targets = REFERENCE_TARGETS) => {
+  const shares = targets.map(({ metric, target }) =>
+    target > 0 ? Math.min(metrics[metric] / target, 1) : 1
+  );
+  const average = shares.reduce((sum, share) => sum + share, 0) / shares.length;
+  if (average >= 0.9) return 3;
+  if (average >= 0.6) return 2;
+  return 1;
+};
+
+// A raw result in the backend's flat (version 1) shape, ready for normalizeResultItem
+export const analyzeAudio = (decoded, { filename, targets } = {}) => {
+  const durationSeconds = decoded.channels[0].length / decoded.sampleRate;
+  const segments = describePhrases(detectPhrases(decoded));
+  const metrics = computeLocalMetrics(segments, durationSeconds);
+  const explanation = segments.phrases.length
+    ? `Local estimate from loudness alone: ${metrics.num_promptable_phrases} of ` +
+      `${metrics.total_phrases} phrases follow a pause of ${COMFORTABLE_GAP_SECONDS} sec or more.`
+    : "Local estimate: no singing was found in this file.";
+
+  return {
+    filename,
+    score: scoreLocalMetrics(metrics, targets),
+    explanation,
+    ...metrics,
+    ...segments,
+    analysis_source: "local",
+    analyzer_version: LOCAL_ANALYZER_VERSION,
+  };
+};
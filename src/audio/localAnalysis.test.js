@@ -0,0 +1,115 @@
+import {
+  analyzeAudio,
+  computeLocalMetrics,
+  describePhrases,
+  detectPhrases,
+  scoreLocalMetrics,
+} from "./localAnalysis";
+
+const SAMPLE_RATE = 8000;
+
+// Tone bursts at the given [start, end] seconds over faint noise
+const song = (phrases, seconds) => {
+  const samples = new Float32Array(seconds * SAMPLE_RATE);
+  let seed = 1;
+  for (let i = 0; i < samples.length; i += 1) {
+    seed = (seed * 16807) % 2147483647;
+    samples[i] = (seed / 2147483647 - 0.5) * 0.0005;
+  }
+  phrases.forEach(([start, end]) => {
+    for (let i = start * SAMPLE_RATE; i < end * SAMPLE_RATE; i += 1) {
+      samples[i] += 0.4 * Math.sin((2 * Math.PI * 220 * i) / SAMPLE_RATE);
+    }
+  });
+  return { sampleRate: SAMPLE_RATE, channels: [samples] };
+};
+
+const rounded = (phrases) =>
+  phrases.map(({ start, end }) => [Math.round(start * 10) / 10, Math.round(end * 10) / 10]);
+
+test("detectPhrases finds the sung parts and bridges short breaths", () => {
+  const audio = song(
+    [
+      [0.5, 1.4],
+      [1.5, 2.5],
+      [4.5, 5.5],
+      [6.7, 8.2],
+      [8.7, 9.7],
+      [10.5, 10.6],
+    ],
+    12
+  );
+  expect(rounded(detectPhrases(audio))).toEqual([
+    [0.5, 2.5],
+    [4.5, 5.5],
+    [6.7, 8.2],
+    [8.7, 9.7],
+  ]);
+});
+
+test("detectPhrases finds nothing in silence", () => {
+  expect(detectPhrases(song([], 3))).toEqual([]);
+});
+
+const PHRASES = [
+  { start: 0.5, end: 2.5 },
+  { start: 4.5, end: 5.5 },
+  { start: 6.7, end: 8.2 },
+  { start: 8.7, end: 9.7 },
+];
+
+test("describePhrases marks promptable phrases and comfortable gaps", () => {
+  const { phrases, gaps } = describePhrases(PHRASES);
+  expect(phrases.map((p) => [p.promptable, p.near_promptable])).toEqual([
+    [false, false],
+    [true, false],
+    [false, true],
+    [false, false],
+  ]);
+  expect(gaps.map((gap) => gap.comfortable)).toEqual([true, false, false]);
+});
+
+test("computeLocalMetrics", () => {
+  const metrics = computeLocalMetrics(describePhrases(PHRASES), 12);
+  expect(metrics).toMatchObject({
+    song_minutes: 0.2,
+    total_phrases: 4,
+    num_promptable_phrases: 1,
+    near_promptable_phrases: 1,
+    promptable_phrases_per_minute: 5,
+    near_promptable_phrases_per_minute: 5,
+    comfortable_gaps_per_minute: 5,
+    total_gaps_per_minute: 15,
+    usable_density: 0.5,
+  });
+  expect(metrics.promptable_phrase_coverage).toBeCloseTo(1 / 5.5);
+  expect(metrics.comfortable_gap_coverage).toBeCloseTo(2 / 12);
+  expect(metrics.avg_phrase_duration_sec).toBeCloseTo(5.5 / 4);
+});
+
+const TARGETS = [
+  { metric: "a", target: 1 },
+  { metric: "b", target: 10 },
+];
+
+test.each([
+  [{ a: 2, b: 10 }, 3],
+  [{ a: 1, b: 8 }, 3],
+  [{ a: 1, b: 3 }, 2],
+  [{ a: 0.2, b: 4 }, 1],
+])("scoreLocalMetrics(%o) is %i", (metrics, score) => {
+  expect(scoreLocalMetrics(metrics, TARGETS)).toBe(score);
+});
+
+test("analyzeAudio labels its result as a local estimate", () => {
+  const result = analyzeAudio(song([[0.5, 2.5]], 4), { filename: "Take 1.wav" });
+  expect(result).toMatchObject({
+    filename: "Take 1.wav",
+    analysis_source: "local",
+    total_phrases: 1,
+    phrases: [expect.objectContaining({ promptable: false })],
+    gaps: [],
+  });
+  expect([1, 2, 3]).toContain(result.score);
+  expect(result.explanation).toMatch(/^Local estimate/);
+});
@@ -0,0 +1,15 @@
+// Analyzes one file per message; see workerClient for the protocol
+import { decodeNativeAudioFile } from "./decode";
+import { analyzeAudio } from "./localAnalysis";
+
+const ctx = globalThis;
+
+ctx.onmessage = async ({ data }) => {
+  const { id, file, decoded, options } = data;
+  try {
+    const result = analyzeAudio(decoded || (await decodeNativeAudioFile(file)), options);
+    ctx.postMessage({ id, result });
+  } catch (err) {
+    ctx.postMessage({ id, error: err.message, errorName: err.name });
+  }
+};
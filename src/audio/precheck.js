@@ -0,0 +1,157 @@
+import { decodeAudioFile } from "./decode";
+
+export const PRECHECK_VERDICT = {
+  ACAPELLA: "acapella",
+  FULL_MIX: "full_mix",
+  UNCERTAIN: "uncertain",
+};
+
+const FRAME_SECONDS = 0.05;
+// Frames quieter than this, relative to the loud end of the song, count as silence
+const SILENCE_DB = -35;
+// Below the fundamental of most singing voices; kick drums and bass live here
+const LOW_BAND_HZ = 100;
+
+// Second-order Butterworth low-pass coefficients (RBJ cookbook)
+const lowPassCoefficients = (cutoff, sampleRate) => {
+  const w0 = (2 * Math.PI * cutoff) / sampleRate;
+  const alpha = Math.sin(w0) / Math.SQRT2;
+  const cos = Math.cos(w0);
+  const a0 = 1 + alpha;
+  return {
+    b0: (1 - cos) / 2 / a0,
+    b1: (1 - cos) / a0,
+    b2: (1 - cos) / 2 / a0,
+    a1: (-2 * cos) / a0,
+    a2: (1 - alpha) / a0,
+  };
+};
+
+const percentile = (values, p) => {
+  if (!values.length) return 0;
+  const sorted = Float64Array.from(values).sort();
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+};
+
+// Linear ramp from 0 at `from` to 1 at `to` (works in either direction)
+const ramp = (value, from, to) => {
+  const t = (value - from) / (to - from);
+  return Math.min(Math.max(t, 0), 1);
+};
+
+// Frame-level features that separate vocal stems from full mixes:
+// - silenceRatio: stems are silent between phrases, mixes rarely are
+// - lowBandRatio: share of energy below the vocal range
+// - stereoCorrelation: vocal stems are (near) mono, mixes are wide
+export const extractMixFeatures = ({ sampleRate, channels }) => {
+  const left = channels[0];
+  const right = channels[1] || channels[0];
+  const isStereo = channels.length > 1;
+  const frameSize = Math.max(1, Math.round(sampleRate * FRAME_SECONDS));
+  const frameCount = Math.floor(left.length / frameSize);
+  const { b0, b1, b2, a1, a2 } = lowPassCoefficients(LOW_BAND_HZ, sampleRate);
+
+  const energy = new Float64Array(frameCount);
+  const lowEnergy = new Float64Array(frameCount);
+  const crossLR = new Float64Array(frameCount);
+  const energyL = new Float64Array(frameCount);
+  const energyR = new Float64Array(frameCount);
+
+  let x1 = 0;
+  let x2 = 0;
+  let y1 = 0;
+  let y2 = 0;
+
+  for (let f = 0; f < frameCount; f += 1) {
+    let sum = 0;
+    let lowSum = 0;
+    let lr = 0;
+    let ll = 0;
+    let rr = 0;
+    const start = f * frameSize;
+
+    for (let i = start; i < start + frameSize; i += 1) {
+      const l = left[i];
+      const r = right[i];
+      const mid = (l + r) / 2;
+      const low = b0 * mid + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+      x2 = x1;
+      x1 = mid;
+      y2 = y1;
+      y1 = low;
+
+      sum += mid * mid;
+      lowSum += low * low;
+      lr += l * r;
+      ll += l * l;
+      rr += r * r;
+    }
+
+    energy[f] = sum / frameSize;
+    lowEnergy[f] = lowSum / frameSize;
+    crossLR[f] = lr;
+    energyL[f] = ll;
+    energyR[f] = rr;
+  }
+
+  const loud = percentile(energy, 0.95);
+  const threshold = loud * 10 ** (SILENCE_DB / 10);
+
+  let silentFrames = 0;
+  let activeEnergy = 0;
+  let activeLow = 0;
+  let activeLR = 0;
+  let activeLL = 0;
+  let activeRR = 0;
+
+  for (let f = 0; f < frameCount; f += 1) {
+    if (energy[f] <= threshold) {
+      silentFrames += 1;
+    } else {
+      activeEnergy += energy[f];
+      activeLow += lowEnergy[f];
+      activeLR += crossLR[f];
+      activeLL += energyL[f];
+      activeRR += energyR[f];
+    }
+  }
+
+  const stereoDenominator = Math.sqrt(activeLL * activeRR);
+
+  return {
+    analyzedSeconds: left.length / sampleRate,
+    isStereo,
+    silenceRatio: frameCount ? silentFrames / frameCount : 0,
+    lowBandRatio: activeEnergy > 0 ? activeLow / activeEnergy : 0,
+    stereoCorrelation: isStereo && stereoDenominator > 0 ? activeLR / stereoDenominator : 1,
+  };
+};
+
+// Combine the features into a full-mix likelihood and a verdict with a confidence
+export const scoreMixFeatures = (features) => {
+  const parts = [
+    { weight: 0.45, score: ramp(features.silenceRatio, 0.25, 0.03) },
+    { weight: 0.35, score: ramp(features.lowBandRatio, 0.04, 0.25) },
+  ];
+  if (features.isStereo) {
+    parts.push({ weight: 0.2, score: ramp(features.stereoCorrelation, 0.98, 0.7) });
+  }
+
+  const totalWeight = parts.reduce((sum, part) => sum + part.weight, 0);
+  const likelihood = parts.reduce((sum, part) => sum + part.weight * part.score, 0) / totalWeight;
+
+  if (likelihood >= 0.6) {
+    return { verdict: PRECHECK_VERDICT.FULL_MIX, confidence: likelihood, likelihood };
+  }
+  if (likelihood <= 0.35) {
+    return { verdict: PRECHECK_VERDICT.ACAPELLA, confidence: 1 - likelihood, likelihood };
+  }
+  return { verdict: PRECHECK_VERDICT.UNCERTAIN, confidence: 0.5, likelihood };
+};
+
+// Decode a file and run the local acapella vs full mix check on it
+export const precheckFile = async (file, { maxSeconds } = {}) => {
+  const decoded = await decodeAudioFile(file, { maxSeconds });
+  const features = extractMixFeatures(decoded);
+  return { ...scoreMixFeatures(features), features };
+};
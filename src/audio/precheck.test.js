@@ -0,0 +1,116 @@
+import { encodeFlac } from "./flacEncoder";
+import { PRECHECK_VERDICT, extractMixFeatures, precheckFile, scoreMixFeatures } from "./precheck";
+import { encodeWav } from "./wav";
+
+const SAMPLE_RATE = 16000;
+const SECONDS = 4;
+
+const tone = (frequency, i) => Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE);
+
+// Repeatable noise, so the features come out the same on every run
+const noise = (seed) => {
+  let state = seed;
+  return () => {
+    state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+    return state / 2147483648 - 1;
+  };
+};
+
+// Bass, a melody and a different bed of noise on each side, with no gaps
+const fullMix = () => {
+  const leftNoise = noise(1);
+  const rightNoise = noise(2);
+  const length = SAMPLE_RATE * SECONDS;
+  const shared = Float32Array.from({ length }, (_, i) => 0.4 * tone(60, i) + 0.2 * tone(440, i));
+  return [
+    shared.map((sample) => sample + 0.2 * leftNoise()),
+    shared.map((sample) => sample + 0.2 * rightNoise()),
+  ];
+};
+
+// One voice: a second of singing, then 0.6 s of breath between phrases
+const vocalStem = () => [
+  Float32Array.from({ length: SAMPLE_RATE * SECONDS }, (_, i) =>
+    (i / SAMPLE_RATE) % 1.6 < 1 ? 0.5 * tone(300, i) + 0.1 * tone(600, i) : 0
+  ),
+];
+
+test("a stereo full mix has no gaps, low end and a wide image", () => {
+  const features = extractMixFeatures({ sampleRate: SAMPLE_RATE, channels: fullMix() });
+  expect(features.isStereo).toBe(true);
+  expect(features.analyzedSeconds).toBe(SECONDS);
+  expect(features.silenceRatio).toBe(0);
+  expect(features.lowBandRatio).toBeGreaterThan(0.25);
+  expect(features.stereoCorrelation).toBeLessThan(0.98);
+  expect(scoreMixFeatures(features).verdict).toBe(PRECHECK_VERDICT.FULL_MIX);
+});
+
+test("a mono vocal stem is silent between phrases with little low end", () => {
+  const features = extractMixFeatures({ sampleRate: SAMPLE_RATE, channels: vocalStem() });
+  expect(features.isStereo).toBe(false);
+  expect(features.silenceRatio).toBeGreaterThan(0.25);
+  expect(features.lowBandRatio).toBeLessThan(0.04);
+  expect(features.stereoCorrelation).toBe(1);
+  expect(scoreMixFeatures(features)).toMatchObject({
+    verdict: PRECHECK_VERDICT.ACAPELLA,
+    likelihood: 0,
+    confidence: 1,
+  });
+});
+
+test("silence alone is treated as a stem, not a mix", () => {
+  const features = extractMixFeatures({
+    sampleRate: SAMPLE_RATE,
+    channels: [new Float32Array(SAMPLE_RATE)],
+  });
+  expect(features).toMatchObject({ silenceRatio: 1, lowBandRatio: 0, stereoCorrelation: 1 });
+  expect(scoreMixFeatures(features).verdict).toBe(PRECHECK_VERDICT.ACAPELLA);
+});
+
+const mono = (silenceRatio, lowBandRatio) => ({ isStereo: false, silenceRatio, lowBandRatio });
+
+test.each([
+  // Each feature scores 0 at its stem end and 1 at its mix end
+  ["all stem", mono(0.25, 0.04), PRECHECK_VERDICT.ACAPELLA, 0],
+  ["all mix", mono(0.03, 0.25), PRECHECK_VERDICT.FULL_MIX, 1],
+  ["past both ends", mono(0.9, 0), PRECHECK_VERDICT.ACAPELLA, 0],
+  // 0.45 of 0.8 on silence alone lands between the two verdicts
+  ["only gapless", mono(0.03, 0.04), PRECHECK_VERDICT.UNCERTAIN, 0.5625],
+  // Either side of the verdict thresholds, 0.35 and 0.6
+  ["just under the stem threshold", mono(0.117, 0.04), PRECHECK_VERDICT.ACAPELLA, 0.34],
+  ["just over the stem threshold", mono(0.1092, 0.04), PRECHECK_VERDICT.UNCERTAIN, 0.36],
+  ["just under the mix threshold", mono(0.03, 0.0532), PRECHECK_VERDICT.UNCERTAIN, 0.59],
+  ["just over the mix threshold", mono(0.03, 0.0628), PRECHECK_VERDICT.FULL_MIX, 0.61],
+  [
+    "a narrow stereo stem",
+    { ...mono(0.25, 0.04), isStereo: true, stereoCorrelation: 0.99 },
+    PRECHECK_VERDICT.ACAPELLA,
+    0,
+  ],
+  [
+    "a wide image on an otherwise stem-like file",
+    { ...mono(0.25, 0.04), isStereo: true, stereoCorrelation: 0.7 },
+    PRECHECK_VERDICT.ACAPELLA,
+    0.2,
+  ],
+])("scoreMixFeatures with %s", (name, features, verdict, likelihood) => {
+  const scored = scoreMixFeatures(features);
+  expect(scored.verdict).toBe(verdict);
+  expect(scored.likelihood).toBeCloseTo(likelihood, 3);
+});
+
+// Just enough of a File for the decoder
+const fileOf = (bytes) => ({ arrayBuffer: async () => bytes.slice().buffer });
+
+test.each([
+  ["WAV", encodeWav],
+  ["FLAC", encodeFlac],
+])("precheckFile decodes %s natively and stops at maxSeconds", async (name, encode) => {
+  const stem = await precheckFile(fileOf(encode(vocalStem(), SAMPLE_RATE)), { maxSeconds: 3 });
+  expect(stem.verdict).toBe(PRECHECK_VERDICT.ACAPELLA);
+  expect(stem.features.analyzedSeconds).toBe(3);
+
+  const mix = await precheckFile(fileOf(encode(fullMix(), SAMPLE_RATE)));
+  expect(mix.verdict).toBe(PRECHECK_VERDICT.FULL_MIX);
+  expect(mix.features.analyzedSeconds).toBe(SECONDS);
+});
@@ -0,0 +1,101 @@
+// Shrinks audio before it is uploaded: mono, a lower sample rate and 16-bit
+// samples are all the analyzer needs to follow a vocal line. Runs inside
+// reduce.worker.js; nothing here touches the DOM.
+import { encodeFlac } from "./flacEncoder";
+import { encodeWav } from "./wav";
+
+export const REDUCE_FORMATS = {
+  wav: { encode: encodeWav, extension: ".wav", type: "audio/wav" },
+  flac: { encode: encodeFlac, extension: ".flac", type: "audio/flac" },
+};
+
+// Average of all channels
+export const downmix = (channels) => {
+  if (channels.length === 1) return channels[0];
+  const length = channels[0] ? channels[0].length : 0;
+  const mono = new Float32Array(length);
+  channels.forEach((channel) => {
+    for (let i = 0; i < length; i += 1) mono[i] += channel[i];
+  });
+  for (let i = 0; i < length; i += 1) mono[i] /= channels.length;
+  return mono;
+};
+
+// Half-width of the interpolation kernel, in zero crossings, and how finely
+// the kernel is tabulated between them
+const KERNEL_ZEROS = 8;
+const KERNEL_STEPS = 512;
+
+const sinc = (x) => (x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x));
+
+// Blackman window over [-1, 1]
+const blackman = (x) => 0.42 + 0.5 * Math.cos(Math.PI * x) + 0.08 * Math.cos(2 * Math.PI * x);
+
+let kernelTable = null;
+
+// Windowed sinc by distance in zero crossings, tabulated once; a song has
+// millions of output samples with dozens of taps each
+const getKernelTable = () => {
+  if (!kernelTable) {
+    kernelTable = new Float32Array(KERNEL_ZEROS * KERNEL_STEPS + 2);
+    for (let i = 0; i <= KERNEL_ZEROS * KERNEL_STEPS; i += 1) {
+      const x = i / KERNEL_STEPS;
+      kernelTable[i] = sinc(x) * blackman(x / KERNEL_ZEROS);
+    }
+  }
+  return kernelTable;
+};
+
+// Windowed-sinc resampling. When going down, the kernel is widened so it also
+// low-passes below the new Nyquist frequency instead of folding treble back in.
+export const resample = (samples, fromRate, toRate) => {
+  if (fromRate === toRate) return samples;
+  const table = getKernelTable();
+  const ratio = toRate / fromRate;
+  const outLength = Math.floor(samples.length * ratio);
+  const out = new Float32Array(outLength);
+  const cutoff = Math.min(1, ratio);
+  const halfWidth = KERNEL_ZEROS / cutoff;
+  // Table steps per input sample
+  const step = cutoff * KERNEL_STEPS;
+
+  for (let n = 0; n < outLength; n += 1) {
+    const center = n / ratio;
+    const first = Math.max(0, Math.ceil(center - halfWidth));
+    const last = Math.min(samples.length - 1, Math.floor(center + halfWidth));
+    let sum = 0;
+    let weights = 0;
+    for (let i = first; i <= last; i += 1) {
+      const position = Math.abs(i - center) * step;
+      const index = position | 0;
+      const fraction = position - index;
+      const weight = table[index] + (table[index + 1] - table[index]) * fraction;
+      sum += samples[i] * weight;
+      weights += weight;
+    }
+    // Normalizing keeps the level right at the edges, where the kernel is cut off
+    out[n] = weights ? sum / weights : 0;
+  }
+  return out;
+};
+
+// decoded: { sampleRate, channels } as the decoders return it. Never raises
+// the sample rate. Returns { bytes, sampleRate, extension, type }.
+export const reduceAudio = (decoded, { sampleRate, format = "wav" }) => {
+  const target = REDUCE_FORMATS[format];
+  if (!target) throw new Error(`Unknown reduced audio format "${format}".`);
+  const rate = Math.min(sampleRate || decoded.sampleRate, decoded.sampleRate);
+  const mono = resample(downmix(decoded.channels), decoded.sampleRate, rate);
+  return {
+    bytes: target.encode([mono], rate),
+    sampleRate: rate,
+    extension: target.extension,
+    type: target.type,
+  };
+};
+
+// "Take 3.mp3" to "Take 3.wav"
+export const reducedFileName = (name, extension) => {
+  const dot = name.lastIndexOf(".");
+  return `${dot > 0 ? name.slice(0, dot) : name}${extension}`;
+};
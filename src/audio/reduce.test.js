@@ -0,0 +1,98 @@
+import { decodeFlac } from "./flac";
+import { encodeFlac } from "./flacEncoder";
+import { downmix, reduceAudio, reducedFileName, resample } from "./reduce";
+import { decodeWav, encodeWav } from "./wav";
+
+const sine = (frequency, sampleRate, seconds, amplitude = 0.5) =>
+  Float32Array.from(
+    { length: Math.round(sampleRate * seconds) },
+    (_, i) => amplitude * Math.sin((2 * Math.PI * frequency * i) / sampleRate)
+  );
+
+const rms = (samples, from = 0, to = samples.length) => {
+  let sum = 0;
+  for (let i = from; i < to; i += 1) sum += samples[i] * samples[i];
+  return Math.sqrt(sum / (to - from));
+};
+
+// Whatever survives 16-bit quantization
+const quantized = (samples) => Float32Array.from(samples, (s) => Math.round(s * 32768) / 32768 || 0);
+
+test("downmix averages the channels", () => {
+  expect(Array.from(downmix([Float32Array.of(1, 0.5), Float32Array.of(0, -0.5)]))).toEqual([
+    0.5, 0,
+  ]);
+});
+
+test.each([
+  [44100, 22050],
+  [48000, 16000],
+  [22050, 44100],
+])("resample %i Hz to %i Hz keeps a 440 Hz tone", (from, to) => {
+  const out = resample(sine(440, from, 0.5), from, to);
+  expect(out.length).toBe(Math.floor(from * 0.5 * (to / from)));
+  // Away from the edges the tone is unchanged
+  const middle = out.subarray(1000, out.length - 1000);
+  expect(rms(middle)).toBeCloseTo(0.5 / Math.SQRT2, 2);
+  const expected = sine(440, to, 0.5).subarray(1000, out.length - 1000);
+  expect(rms(middle.map((s, i) => s - expected[i]))).toBeLessThan(0.01);
+});
+
+test("resampling down filters out what the new rate can't carry", () => {
+  const out = resample(sine(15000, 44100, 0.5), 44100, 22050);
+  expect(rms(out, 1000, out.length - 1000)).toBeLessThan(0.01);
+});
+
+test.each([
+  ["wav", decodeWav, (bytes) => bytes.buffer],
+  ["flac", decodeFlac, (bytes) => bytes],
+])("reduceAudio to %s round-trips through the decoder", (format, decode, input) => {
+  const left = sine(440, 44100, 0.3);
+  const right = sine(660, 44100, 0.3);
+  const reduced = reduceAudio(
+    { sampleRate: 44100, channels: [left, right] },
+    {
+      sampleRate: 16000,
+      format,
+    }
+  );
+  const decoded = decode(input(reduced.bytes));
+  expect(decoded.sampleRate).toBe(16000);
+  expect(decoded.channels).toHaveLength(1);
+  expect(decoded.channels[0].length).toBe(Math.floor(left.length * (16000 / 44100)));
+});
+
+test("reduceAudio never raises the sample rate", () => {
+  const reduced = reduceAudio(
+    { sampleRate: 8000, channels: [sine(440, 8000, 0.1)] },
+    { sampleRate: 22050 }
+  );
+  expect(reduced).toMatchObject({ sampleRate: 8000, extension: ".wav", type: "audio/wav" });
+});
+
+test.each([
+  ["a tone", sine(440, 22050, 1)],
+  ["silence", new Float32Array(5000)],
+  ["noise", Float32Array.from({ length: 9000 }, (_, i) => Math.sin(i * i) * 0.9)],
+  ["a clipped square", Float32Array.from({ length: 4097 }, (_, i) => (i % 50 < 25 ? 1.5 : -1.5))],
+  ["a single sample", Float32Array.of(0.25)],
+])("FLAC encoding of %s is lossless at 16 bits", (_, samples) => {
+  const clipped = samples.map((s) => Math.max(-1, Math.min(32767 / 32768, s)));
+  const decoded = decodeFlac(encodeFlac([samples], 22050));
+  expect(Array.from(decoded.channels[0])).toEqual(Array.from(quantized(clipped)));
+});
+
+test("WAV encoding is lossless at 16 bits", () => {
+  const samples = sine(440, 8000, 0.2);
+  const decoded = decodeWav(encodeWav([samples], 8000).buffer);
+  expect(decoded).toMatchObject({ sampleRate: 8000, bitsPerSample: 16 });
+  expect(Array.from(decoded.channels[0])).toEqual(Array.from(quantized(samples)));
+});
+
+test.each([
+  ["Take 3.mp3", ".wav", "Take 3.wav"],
+  ["Song A_vocals.flac", ".flac", "Song A_vocals.flac"],
+  ["noextension", ".wav", "noextension.wav"],
+])("reducedFileName(%s)", (name, extension, expected) => {
+  expect(reducedFileName(name, extension)).toBe(expected);
+});
@@ -0,0 +1,15 @@
+// Reduces one file per message; see workerClient for the protocol
+import { decodeNativeAudioFile } from "./decode";
+import { reduceAudio } from "./reduce";
+
+const ctx = globalThis;
+
+ctx.onmessage = async ({ data }) => {
+  const { id, file, decoded, options } = data;
+  try {
+    const reduced = reduceAudio(decoded || (await decodeNativeAudioFile(file)), options);
+    ctx.postMessage({ id, ...reduced }, [reduced.bytes.buffer]);
+  } catch (err) {
+    ctx.postMessage({ id, error: err.message, errorName: err.name });
+  }
+};
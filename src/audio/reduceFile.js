@@ -0,0 +1,15 @@
+// Main-thread side of reduce.worker.js
+import { reducedFileName } from "./reduce";
+import { createWorkerClient, requestAudio } from "./workerClient";
+
+const client = createWorkerClient(() => new Worker(new URL("./reduce.worker.js", import.meta.url)));
+
+// Resolves with a mono File at options.sampleRate (never higher than the
+// original's) in options.format, "wav" or "flac"
+export const reduceFile = async (file, { sampleRate, format, signal } = {}) => {
+  const reduced = await requestAudio(client, file, { sampleRate, format }, { signal });
+  return new File([reduced.bytes], reducedFileName(file.name, reduced.extension), {
+    type: reduced.type,
+    lastModified: file.lastModified,
+  });
+};
@@ -0,0 +1,338 @@
+// Readers for the tags embedded in the formats we accept: ID3v2 (MP3, and the
+// "id3 " chunk some tools add to WAV), Vorbis comments (FLAC), RIFF INFO (WAV)
+// and iTunes-style MP4 atoms (M4A). Each returns the raw fields it found as
+// { title, artist, album, bpm, key } strings, leaving out what is missing;
+// trackInfo.js cleans them up and fills gaps from the filename.
+import { isFlac, readFlacMetadata } from "./flac";
+import { isWav, readWavChunks } from "./wav";
+
+const decoders = {};
+const decodeAs = (encoding) => (bytes) => {
+  if (!decoders[encoding]) decoders[encoding] = new TextDecoder(encoding);
+  return decoders[encoding].decode(bytes);
+};
+
+const latin1 = decodeAs("latin1");
+const utf8 = decodeAs("utf-8");
+const utf16be = decodeAs("utf-16be");
+const utf16le = decodeAs("utf-16le");
+
+// Without a byte order mark UTF-16 is big endian; the decoder drops the mark
+const utf16 = (bytes) => (bytes[0] === 0xff && bytes[1] === 0xfe ? utf16le : utf16be)(bytes);
+
+const readUint32BE = (bytes, offset) =>
+  ((bytes[offset] << 24) >>> 0) +
+  (bytes[offset + 1] << 16) +
+  (bytes[offset + 2] << 8) +
+  bytes[offset + 3];
+
+const readUint32LE = (bytes, offset) =>
+  ((bytes[offset + 3] << 24) >>> 0) +
+  (bytes[offset + 2] << 16) +
+  (bytes[offset + 1] << 8) +
+  bytes[offset];
+
+// Strings stop at the first NUL; extra values after it are ignored
+const firstValue = (text) => text.split("\0")[0].trim();
+
+const collect = (pairs) => Object.fromEntries(pairs.filter(([field, value]) => field && value));
+
+// ID3v2
+
+const ID3_FRAMES = {
+  TIT2: "title",
+  TPE1: "artist",
+  TALB: "album",
+  TBPM: "bpm",
+  TKEY: "key",
+  // ID3v2.2 uses three letter ids
+  TT2: "title",
+  TP1: "artist",
+  TAL: "album",
+  TBP: "bpm",
+  TKE: "key",
+};
+
+// Indexed by the encoding byte that starts each text frame
+const ID3_TEXT = [latin1, utf16, utf16, utf8];
+
+const syncsafe = (bytes, offset) =>
+  (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+
+// Undo unsynchronisation: a 0x00 was stuffed after every 0xFF
+const resync = (bytes) => {
+  const out = [];
+  for (let i = 0; i < bytes.length; i += 1) {
+    out.push(bytes[i]);
+    if (bytes[i] === 0xff && bytes[i + 1] === 0x00) i += 1;
+  }
+  return Uint8Array.from(out);
+};
+
+export const isId3 = (bytes) =>
+  bytes.length >= 10 && bytes[0] === 0x49 && bytes[1] === 0x44 && bytes[2] === 0x33;
+
+// The whole tag's length including its header, so callers know how much to read
+export const id3Length = (bytes) => (isId3(bytes) ? 10 + syncsafe(bytes, 6) : 0);
+
+export const readId3v2 = (bytes) => {
+  if (!isId3(bytes)) return {};
+  const version = bytes[3];
+  const flags = bytes[5];
+  const end = Math.min(bytes.length, id3Length(bytes));
+  let body = bytes.subarray(10, end);
+  if (flags & 0x80) body = resync(body);
+
+  let offset = 0;
+  if (flags & 0x40) {
+    // v2.4 counts the extended header in its size, v2.3 doesn't
+    offset = version === 4 ? syncsafe(body, 0) : readUint32BE(body, 0) + 4;
+  }
+
+  const idLength = version === 2 ? 3 : 4;
+  const headerLength = version === 2 ? 6 : 10;
+  const pairs = [];
+  while (offset + headerLength <= body.length && body[offset] !== 0) {
+    const id = latin1(body.subarray(offset, offset + idLength));
+    let size;
+    if (version === 2) size = (body[offset + 3] << 16) | (body[offset + 4] << 8) | body[offset + 5];
+    else if (version === 4) size = syncsafe(body, offset + 4);
+    else size = readUint32BE(body, offset + 4);
+    const start = offset + headerLength;
+    if (ID3_FRAMES[id] && size > 1) {
+      const frame = body.subarray(start, Math.min(start + size, body.length));
+      const decode = ID3_TEXT[frame[0]] || latin1;
+      pairs.push([ID3_FRAMES[id], firstValue(decode(frame.subarray(1)))]);
+    }
+    offset = start + size;
+  }
+  return collect(pairs);
+};
+
+// Vorbis comments (FLAC)
+
+const VORBIS_FIELDS = {
+  TITLE: "title",
+  ARTIST: "artist",
+  ALBUM: "album",
+  BPM: "bpm",
+  TEMPO: "bpm",
+  KEY: "key",
+  INITIALKEY: "key",
+};
+
+const VORBIS_COMMENT_BLOCK = 4;
+
+// The comment block's body: vendor string, then KEY=value entries, all little endian
+export const readVorbisComments = (bytes) => {
+  let offset = 4 + readUint32LE(bytes, 0);
+  const count = readUint32LE(bytes, offset);
+  offset += 4;
+  const pairs = [];
+  for (let i = 0; i < count && offset + 4 <= bytes.length; i += 1) {
+    const length = readUint32LE(bytes, offset);
+    const comment = utf8(bytes.subarray(offset + 4, offset + 4 + length));
+    const equals = comment.indexOf("=");
+    if (equals > 0) {
+      const field = VORBIS_FIELDS[comment.slice(0, equals).toUpperCase()];
+      // The first of repeated fields wins
+      if (field && !pairs.some(([seen]) => seen === field)) {
+        pairs.push([field, comment.slice(equals + 1).trim()]);
+      }
+    }
+    offset += 4 + length;
+  }
+  return collect(pairs);
+};
+
+// RIFF INFO (WAV)
+
+const INFO_FIELDS = { INAM: "title", IART: "artist", IPRD: "album", IBPM: "bpm", IKEY: "key" };
+
+// start is where the chunks begin: after the RIFF header, or 0 for a file's tail
+export const readWavTags = (bytes, start = 12) => {
+  const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length);
+  const { chunks } = readWavChunks(buffer, start);
+  const inBuffer = (chunk) => chunk.offset + chunk.size <= bytes.length;
+  const pairs = [];
+
+  chunks
+    .filter((chunk) => chunk.id === "LIST" && inBuffer(chunk))
+    .filter((chunk) => latin1(bytes.subarray(chunk.offset, chunk.offset + 4)) === "INFO")
+    .forEach((chunk) => {
+      let offset = chunk.offset + 4;
+      while (offset + 8 <= chunk.offset + chunk.size) {
+        const id = latin1(bytes.subarray(offset, offset + 4));
+        const size = readUint32LE(bytes, offset + 4);
+        pairs.push([
+          INFO_FIELDS[id],
+          firstValue(utf8(bytes.subarray(offset + 8, offset + 8 + size))),
+        ]);
+        offset += 8 + size + (size % 2);
+      }
+    });
+
+  // INFO wins over an embedded ID3 tag
+  const id3 = chunks.find((chunk) => chunk.id.toLowerCase() === "id3 " && inBuffer(chunk));
+  const fromId3 = id3 ? readId3v2(bytes.subarray(id3.offset, id3.offset + id3.size)) : {};
+  return { ...fromId3, ...collect(pairs) };
+};
+
+// MP4 atoms (M4A)
+
+const MP4_FIELDS = {
+  "©nam": "title",
+  "©ART": "artist",
+  "©alb": "album",
+  tmpo: "bpm",
+};
+
+// Freeform "----" atoms name their field in a "name" atom
+const MP4_FREEFORM_FIELDS = { initialkey: "key", key: "key", bpm: "bpm" };
+
+const MP4_TYPE_UTF8 = 1;
+const MP4_TYPE_UTF16 = 2;
+
+// { type, header, size } of the atom at offset. A size of 0 runs to `end`,
+// 1 means a 64-bit size follows the type.
+const readAtomHeader = (bytes, offset, end) => {
+  const type = latin1(bytes.subarray(offset + 4, offset + 8));
+  const size = readUint32BE(bytes, offset);
+  if (size === 1) {
+    return {
+      type,
+      header: 16,
+      size: readUint32BE(bytes, offset + 8) * 2 ** 32 + readUint32BE(bytes, offset + 12),
+    };
+  }
+  return { type, header: 8, size: size === 0 ? end - offset : size };
+};
+
+// [{ type, start, end }] for the atoms between start and end, where start and
+// end bound each atom's body
+export const readAtoms = (bytes, start = 0, end = bytes.length) => {
+  const atoms = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    const { type, header, size } = readAtomHeader(bytes, offset, end);
+    if (size < header) break;
+    atoms.push({ type, start: offset + header, end: Math.min(offset + size, end) });
+    offset += size;
+  }
+  return atoms;
+};
+
+const childAtom = (bytes, parent, type) =>
+  parent && readAtoms(bytes, parent.start, parent.end).find((atom) => atom.type === type);
+
+// A "data" atom is a 4 byte type, 4 bytes of locale, then the value
+const readDataAtom = (bytes, data) => {
+  const kind = readUint32BE(bytes, data.start) & 0xffffff;
+  const value = bytes.subarray(data.start + 8, data.end);
+  if (kind === MP4_TYPE_UTF8) return utf8(value);
+  if (kind === MP4_TYPE_UTF16) return utf16(value);
+  // Integers, as tmpo is stored
+  return value.length ? String(value.reduce((total, byte) => total * 256 + byte, 0)) : "";
+};
+
+// bytes holds the "moov" atom's body
+export const readMp4Tags = (bytes) => {
+  const moov = { start: 0, end: bytes.length };
+  const meta = childAtom(bytes, childAtom(bytes, moov, "udta"), "meta");
+  // "meta" is a full box: 4 bytes of version and flags come before its children
+  const ilst = meta && childAtom(bytes, { start: meta.start + 4, end: meta.end }, "ilst");
+  if (!ilst) return {};
+
+  const pairs = readAtoms(bytes, ilst.start, ilst.end).map((item) => {
+    const data = childAtom(bytes, item, "data");
+    if (!data) return [null, ""];
+    if (item.type === "----") {
+      const name = childAtom(bytes, item, "name");
+      // "name" is also a full box
+      const label = name ? utf8(bytes.subarray(name.start + 4, name.end)).toLowerCase() : "";
+      return [MP4_FREEFORM_FIELDS[label], firstValue(readDataAtom(bytes, data))];
+    }
+    return [MP4_FIELDS[item.type], firstValue(readDataAtom(bytes, data))];
+  });
+  return collect(pairs);
+};
+
+// Reading files
+
+// Most tags sit in the first few kilobytes; more is read when a format says so
+const HEAD_BYTES = 256 * 1024;
+// Beyond this a tag is probably cover art we don't want anyway
+const MAX_TAG_BYTES = 16 * 1024 * 1024;
+
+const readSlice = async (file, start, end) =>
+  new Uint8Array(await file.slice(start, Math.min(end, file.size)).arrayBuffer());
+
+const isMp4 = (bytes) => bytes.length >= 8 && latin1(bytes.subarray(4, 8)) === "ftyp";
+
+// Top level atoms are walked header by header, since "moov" is often at the end
+const readMp4File = async (file) => {
+  let offset = 0;
+  while (offset + 8 <= file.size) {
+    const bytes = await readSlice(file, offset, offset + 16);
+    const { type, header, size } = readAtomHeader(bytes, 0, file.size - offset);
+    if (size < header) return {};
+    if (type === "moov") {
+      if (size > MAX_TAG_BYTES) return {};
+      return readMp4Tags(await readSlice(file, offset + header, offset + size));
+    }
+    offset += size;
+  }
+  return {};
+};
+
+// FLAC metadata blocks come before the audio, but cover art can push the
+// comments past the first read
+const readFlacFile = async (file, head) => {
+  let bytes = head;
+  for (;;) {
+    const { blocks, audioOffset } = readFlacMetadata(bytes);
+    const comments = blocks.find((block) => block.type === VORBIS_COMMENT_BLOCK);
+    if (comments) {
+      const end = comments.offset + comments.length;
+      const body =
+        end <= bytes.length
+          ? bytes.subarray(comments.offset, end)
+          : await readSlice(file, comments.offset, end);
+      return readVorbisComments(body);
+    }
+    const done = audioOffset + 4 <= bytes.length || bytes.length >= file.size;
+    if (done || audioOffset > MAX_TAG_BYTES) return {};
+    bytes = await readSlice(file, 0, audioOffset + HEAD_BYTES);
+  }
+};
+
+// WAV tags may come before or after the audio; after it, they are read from
+// the end of the data chunk on
+const readWavFile = async (file, head) => {
+  const fromHead = readWavTags(head);
+  const data = readWavChunks(head.buffer).chunks.find((chunk) => chunk.id === "data");
+  if (!data) return fromHead;
+  const tailStart = data.offset + data.size + (data.size % 2);
+  if (tailStart >= file.size || file.size - tailStart > MAX_TAG_BYTES) return fromHead;
+  const tail = await readSlice(file, tailStart, file.size);
+  return { ...readWavTags(tail, 0), ...fromHead };
+};
+
+// Tags from a picked file, by its content rather than its extension. Never
+// throws: a file we can't read simply has no tags.
+export const readAudioTags = async (file) => {
+  try {
+    const head = await readSlice(file, 0, HEAD_BYTES);
+    if (isId3(head)) {
+      const length = id3Length(head);
+      if (length <= head.length) return readId3v2(head);
+      return length > MAX_TAG_BYTES ? {} : readId3v2(await readSlice(file, 0, length));
+    }
+    if (isFlac(head)) return await readFlacFile(file, head);
+    if (isWav(head)) return await readWavFile(file, head);
+    if (isMp4(head)) return await readMp4File(file);
+  } catch (err) {
+    // Damaged or unusual tags; the filename will have to do
+  }
+  return {};
+};
@@ -0,0 +1,137 @@
+import {
+  id3Length,
+  readAtoms,
+  readId3v2,
+  readMp4Tags,
+  readVorbisComments,
+  readWavTags,
+} from "./tags";
+
+// Byte builders for hand-made tags. Text is ASCII or, for utf16, UTF-16 with a BOM.
+const ascii = (text) => Array.from(text, (char) => char.charCodeAt(0));
+const utf16 = (text, littleEndian = true) => [
+  ...(littleEndian ? [0xff, 0xfe] : [0xfe, 0xff]),
+  ...Array.from(text).flatMap((char) => {
+    const code = char.charCodeAt(0);
+    return littleEndian ? [code & 0xff, code >> 8] : [code >> 8, code & 0xff];
+  }),
+];
+const uint32BE = (value) => [value >>> 24, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+const uint32LE = (value) => uint32BE(value).reverse();
+const syncsafe = (value) => [
+  (value >> 21) & 0x7f,
+  (value >> 14) & 0x7f,
+  (value >> 7) & 0x7f,
+  value & 0x7f,
+];
+
+const id3Frame = (version, id, encoding, body) => [
+  ...ascii(id),
+  ...(version === 4 ? syncsafe(body.length + 1) : uint32BE(body.length + 1)),
+  0,
+  0,
+  encoding,
+  ...body,
+];
+const id3Tag = (version, frames, padding = 16) => {
+  const body = [...frames.flat(), ...new Array(padding).fill(0)];
+  return Uint8Array.from([...ascii("ID3"), version, 0, 0, ...syncsafe(body.length), ...body]);
+};
+
+test.each([
+  [
+    "v2.3 with UTF-16 text",
+    id3Tag(3, [
+      id3Frame(3, "TIT2", 1, utf16("Héllo")),
+      id3Frame(3, "TPE1", 1, utf16("Adele", false)),
+      id3Frame(3, "TBPM", 0, ascii("120")),
+    ]),
+    { title: "Héllo", artist: "Adele", bpm: "120" },
+  ],
+  [
+    "v2.4 with latin1 text and an unknown frame",
+    id3Tag(4, [
+      id3Frame(4, "TXXX", 0, ascii("mood\0calm")),
+      id3Frame(4, "TALB", 0, ascii("25")),
+      id3Frame(4, "TKEY", 3, ascii("Fm")),
+    ]),
+    { album: "25", key: "Fm" },
+  ],
+  ["no tag", Uint8Array.from(ascii("RIFF0000WAVE")), {}],
+])("readId3v2 reads %s", (name, bytes, expected) => {
+  expect(readId3v2(bytes)).toEqual(expected);
+});
+
+test("id3Length includes the header", () => {
+  expect(id3Length(id3Tag(3, [], 22))).toBe(32);
+});
+
+test("readVorbisComments reads FLAC comments, the first of repeats winning", () => {
+  const comments = ["TITLE=Hello", "artist=Adele", "BPM=92", "TITLE=Other", "KEY=C#m"];
+  const bytes = Uint8Array.from([
+    ...uint32LE(4),
+    ...ascii("test"),
+    ...uint32LE(comments.length),
+    ...comments.flatMap((comment) => [...uint32LE(comment.length), ...ascii(comment)]),
+  ]);
+  expect(readVorbisComments(bytes)).toEqual({
+    title: "Hello",
+    artist: "Adele",
+    bpm: "92",
+    key: "C#m",
+  });
+});
+
+const riffChunk = (id, body) => [
+  ...ascii(id),
+  ...uint32LE(body.length),
+  ...body,
+  ...(body.length % 2 ? [0] : []),
+];
+
+test("readWavTags prefers LIST INFO over an embedded ID3 tag", () => {
+  const info = [
+    ...ascii("INFO"),
+    ...riffChunk("INAM", ascii("Hello\0")),
+    ...riffChunk("IBPM", ascii("120")),
+  ];
+  const id3 = id3Tag(3, [
+    id3Frame(3, "TIT2", 0, ascii("Other")),
+    id3Frame(3, "TPE1", 0, ascii("Adele")),
+  ]);
+  const bytes = Uint8Array.from([
+    ...ascii("RIFF"),
+    ...uint32LE(0),
+    ...ascii("WAVE"),
+    ...riffChunk("data", [0, 0, 0, 0]),
+    ...riffChunk("LIST", info),
+    ...riffChunk("id3 ", Array.from(id3)),
+  ]);
+  expect(readWavTags(bytes)).toEqual({ title: "Hello", artist: "Adele", bpm: "120" });
+});
+
+const atom = (type, body) => [...uint32BE(body.length + 8), ...ascii(type), ...body];
+const dataAtom = (kind, value) => atom("data", [...uint32BE(kind), 0, 0, 0, 0, ...value]);
+
+test("readMp4Tags reads the ilst items under udta/meta", () => {
+  const ilst = atom("ilst", [
+    ...atom("\xa9nam", dataAtom(1, ascii("Hello"))),
+    ...atom("\xa9ART", dataAtom(1, ascii("Adele"))),
+    ...atom("tmpo", dataAtom(21, [0, 79])),
+    ...atom("----", [
+      ...atom("mean", [0, 0, 0, 0, ...ascii("com.apple.iTunes")]),
+      ...atom("name", [0, 0, 0, 0, ...ascii("initialkey")]),
+      ...dataAtom(1, ascii("Fm")),
+    ]),
+  ]);
+  const moovBody = Uint8Array.from([
+    ...atom("mvhd", new Array(12).fill(0)),
+    ...atom("udta", atom("meta", [0, 0, 0, 0, ...atom("hdlr", new Array(8).fill(0)), ...ilst])),
+  ]);
+  expect(readAtoms(moovBody).map((found) => found.type)).toEqual(["mvhd", "udta"]);
+  expect(readMp4Tags(moovBody)).toEqual({ title: "Hello", artist: "Adele", bpm: "79", key: "Fm" });
+});
+
+test("readMp4Tags without metadata finds nothing", () => {
+  expect(readMp4Tags(Uint8Array.from(atom("mvhd", new Array(12).fill(0))))).toEqual({});
+});
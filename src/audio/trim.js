@@ -0,0 +1,105 @@
+// Regions of a song to analyze instead of the whole file, for acapellas with
+// count-ins, spoken intros or alternate takes. A region is { start, end } in
+// seconds of the original file; a trim is { regions, source_seconds }.
+
+// Anything shorter is more likely a stray click than a selection
+export const MIN_REGION_SECONDS = 0.5;
+
+// Joins are faded over this long so the cuts don't click
+const FADE_SECONDS = 0.01;
+
+// Clamped to the file, sorted, overlapping regions merged, slivers dropped
+export const normalizeRegions = (regions, duration) => {
+  const clamped = (regions || [])
+    .map(({ start, end }) => ({
+      start: Math.max(0, Math.min(start, end)),
+      end: Math.min(duration, Math.max(start, end)),
+    }))
+    .filter((region) => region.end - region.start >= MIN_REGION_SECONDS)
+    .sort((a, b) => a.start - b.start);
+
+  return clamped.reduce((merged, region) => {
+    const last = merged[merged.length - 1];
+    if (last && region.start <= last.end) {
+      last.end = Math.max(last.end, region.end);
+    } else {
+      merged.push({ ...region });
+    }
+    return merged;
+  }, []);
+};
+
+export const keptSeconds = (regions) =>
+  regions.reduce((sum, region) => sum + (region.end - region.start), 0);
+
+// decoded: { sampleRate, channels }; returns the same shape with only the regions, back to back
+export const trimAudio = ({ sampleRate, channels }, regions) => {
+  const length = channels[0] ? channels[0].length : 0;
+  const ranges = regions
+    .map((region) => [
+      Math.min(length, Math.round(region.start * sampleRate)),
+      Math.min(length, Math.round(region.end * sampleRate)),
+    ])
+    .filter(([from, to]) => to > from);
+  const total = ranges.reduce((sum, [from, to]) => sum + (to - from), 0);
+  const fade = Math.round(FADE_SECONDS * sampleRate);
+
+  const trimmed = channels.map((channel) => {
+    const out = new Float32Array(total);
+    let offset = 0;
+    ranges.forEach(([from, to]) => {
+      out.set(channel.subarray(from, to), offset);
+      const size = Math.min(fade, Math.floor((to - from) / 2));
+      for (let i = 0; i < size; i += 1) {
+        const gain = i / size;
+        out[offset + i] *= gain;
+        out[offset + to - from - 1 - i] *= gain;
+      }
+      offset += to - from;
+    });
+    return out;
+  });
+
+  return { sampleRate, channels: trimmed };
+};
+
+const formatRegionTime = (sec) => {
+  const minutes = Math.floor(sec / 60);
+  const seconds = (sec - minutes * 60).toFixed(1);
+  return `${minutes}:${seconds.padStart(4, "0")}`;
+};
+
+// "0:12.0–2:45.5, 3:00.0–3:30.0"
+export const formatRegions = (regions) =>
+  regions
+    .map((region) => `${formatRegionTime(region.start)}–${formatRegionTime(region.end)}`)
+    .join(", ");
+
+// Results of a trimmed file are cached apart from the whole file's
+export const trimmedHash = (hash, trim) => {
+  if (!hash || !trim) return hash;
+  const key = trim.regions
+    .map((region) => `${region.start.toFixed(2)}-${region.end.toFixed(2)}`)
+    .join(",");
+  return `${hash}@${key}`;
+};
+
+const parseRegionTime = (text) => {
+  const match = /^(\d+):(\d+(?:\.\d+)?)$/.exec(text.trim());
+  return match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+};
+
+// The reverse of formatRegions; null when any part doesn't read as a region
+export const parseRegions = (text) => {
+  const regions = String(text || "")
+    .split(",")
+    .filter((part) => part.trim())
+    .map((part) => {
+      const times = part.split("–").map(parseRegionTime);
+      return times.length === 2 ? { start: times[0], end: times[1] } : { start: NaN, end: NaN };
+    });
+  const valid = regions.every(
+    (region) => Number.isFinite(region.start) && Number.isFinite(region.end)
+  );
+  return regions.length && valid ? regions : null;
+};
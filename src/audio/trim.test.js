@@ -0,0 +1,131 @@
+import {
+  formatRegions,
+  keptSeconds,
+  normalizeRegions,
+  parseRegions,
+  trimAudio,
+  trimmedHash,
+} from "./trim";
+
+test.each([
+  [
+    "sorted",
+    [
+      { start: 30, end: 40 },
+      { start: 5, end: 10 },
+    ],
+    [
+      [5, 10],
+      [30, 40],
+    ],
+  ],
+  [
+    "merged when overlapping",
+    [
+      { start: 5, end: 12 },
+      { start: 10, end: 20 },
+    ],
+    [[5, 20]],
+  ],
+  [
+    "merged when touching",
+    [
+      { start: 5, end: 10 },
+      { start: 10, end: 20 },
+    ],
+    [[5, 20]],
+  ],
+  [
+    "clamped to the file",
+    [
+      { start: -3, end: 2 },
+      { start: 55, end: 90 },
+    ],
+    [
+      [0, 2],
+      [55, 60],
+    ],
+  ],
+  ["flipped when dragged backwards", [{ start: 20, end: 10 }], [[10, 20]]],
+  [
+    "without slivers",
+    [
+      { start: 5, end: 5.2 },
+      { start: 70, end: 80 },
+    ],
+    [],
+  ],
+  ["empty for none", null, []],
+])("normalizeRegions: %s", (_, regions, expected) => {
+  expect(normalizeRegions(regions, 60).map(({ start, end }) => [start, end])).toEqual(expected);
+});
+
+test("keptSeconds adds up the regions", () => {
+  expect(
+    keptSeconds([
+      { start: 5, end: 10 },
+      { start: 30, end: 40.5 },
+    ])
+  ).toBe(15.5);
+});
+
+test("trimAudio keeps the regions back to back with faded joins", () => {
+  const sampleRate = 1000;
+  const ramp = Float32Array.from({ length: 5000 }, (_, i) => i / 5000);
+  const { channels } = trimAudio({ sampleRate, channels: [ramp, ramp] }, [
+    { start: 1, end: 2 },
+    { start: 3, end: 3.5 },
+  ]);
+
+  expect(channels).toHaveLength(2);
+  expect(channels[0].length).toBe(1500);
+  // Fades last 10 ms at each edge
+  expect(channels[0][0]).toBe(0);
+  expect(channels[0][500]).toBeCloseTo(1500 / 5000, 5);
+  expect(channels[0][1000]).toBe(0);
+  expect(channels[0][1250]).toBeCloseTo(3250 / 5000, 5);
+  expect(channels[0][1499]).toBe(0);
+});
+
+test("formatRegions lists minutes, seconds and tenths", () => {
+  expect(
+    formatRegions([
+      { start: 12, end: 165.46 },
+      { start: 180, end: 210 },
+    ])
+  ).toBe("0:12.0–2:45.5, 3:00.0–3:30.0");
+});
+
+test.each([
+  [
+    "0:12.0–2:45.5, 3:00.0–3:30.0",
+    [
+      { start: 12, end: 165.5 },
+      { start: 180, end: 210 },
+    ],
+  ],
+  ["10:05.0–10:20.0", [{ start: 605, end: 620 }]],
+  ["", null],
+  ["0:12.0", null],
+  ["0:12.0–later", null],
+  ["0:12.0–0:20.0–0:30.0", null],
+])("parseRegions(%p)", (text, expected) => {
+  expect(parseRegions(text)).toEqual(expected);
+});
+
+test.each([
+  ["abc", null, "abc"],
+  [null, { regions: [{ start: 1, end: 2 }] }, null],
+  [
+    "abc",
+    {
+      regions: [
+        { start: 1, end: 2.345 },
+        { start: 5, end: 9 },
+      ],
+    },
+    "abc@1.00-2.35,5.00-9.00",
+  ],
+])("trimmedHash(%s)", (hash, trim, expected) => {
+  expect(trimmedHash(hash, trim)).toBe(expected);
+});
@@ -0,0 +1,162 @@
+// Minimal RIFF/WAVE reader for PCM and IEEE float data, and a 16-bit PCM writer.
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+// Clipped and rounded; shared with the FLAC writer
+export const toInt16 = (sample) => Math.max(-32768, Math.min(32767, Math.round(sample * 32768)));
+
+const readTag = (view, offset) =>
+  String.fromCharCode(
+    view.getUint8(offset),
+    view.getUint8(offset + 1),
+    view.getUint8(offset + 2),
+    view.getUint8(offset + 3)
+  );
+
+export const isWav = (bytes) =>
+  bytes.length >= 12 &&
+  String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]) === "RIFF" &&
+  String.fromCharCode(bytes[8], bytes[9], bytes[10], bytes[11]) === "WAVE";
+
+// Walk the chunk list and return { fmt, dataOffset, dataLength, chunks }. start
+// skips the RIFF header; pass 0 for a run of chunks read from later in a file.
+export const readWavChunks = (buffer, start = 12) => {
+  const view = new DataView(buffer);
+  const chunks = [];
+  let fmt = null;
+  let dataOffset = -1;
+  let dataLength = 0;
+  let offset = start;
+
+  while (offset + 8 <= view.byteLength) {
+    const id = readTag(view, offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+    chunks.push({ id, offset: body, size });
+
+    if (id === "fmt ") {
+      let formatTag = view.getUint16(body, true);
+      if (formatTag === WAVE_FORMAT_EXTENSIBLE && size >= 26) {
+        // The real format is the first two bytes of the sub-format GUID
+        formatTag = view.getUint16(body + 24, true);
+      }
+      fmt = {
+        formatTag,
+        numChannels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        blockAlign: view.getUint16(body + 12, true),
+        bitsPerSample: view.getUint16(body + 14, true),
+      };
+    } else if (id === "data") {
+      dataOffset = body;
+      // Streaming writers sometimes leave the size at 0 or 0xFFFFFFFF
+      dataLength = Math.min(size || view.byteLength, view.byteLength - body);
+    }
+
+    // Chunks are padded to an even number of bytes
+    offset = body + size + (size % 2);
+  }
+
+  return { fmt, dataOffset, dataLength, chunks };
+};
+
+const sampleReader = (view, formatTag, bitsPerSample) => {
+  if (formatTag === WAVE_FORMAT_IEEE_FLOAT) {
+    if (bitsPerSample === 32) return (pos) => view.getFloat32(pos, true);
+    if (bitsPerSample === 64) return (pos) => view.getFloat64(pos, true);
+  }
+  if (formatTag === WAVE_FORMAT_PCM) {
+    if (bitsPerSample === 8) return (pos) => (view.getUint8(pos) - 128) / 128;
+    if (bitsPerSample === 16) return (pos) => view.getInt16(pos, true) / 32768;
+    if (bitsPerSample === 24) {
+      return (pos) => {
+        const value =
+          view.getUint8(pos) | (view.getUint8(pos + 1) << 8) | (view.getInt8(pos + 2) << 16);
+        return value / 8388608;
+      };
+    }
+    if (bitsPerSample === 32) return (pos) => view.getInt32(pos, true) / 2147483648;
+  }
+  return null;
+};
+
+// Decode into one Float32Array per channel, optionally only the first maxSeconds
+export const decodeWav = (buffer, { maxSeconds } = {}) => {
+  const { fmt, dataOffset, dataLength } = readWavChunks(buffer);
+  if (!fmt || dataOffset < 0) {
+    throw new Error("WAV file is missing its fmt or data chunk.");
+  }
+
+  const view = new DataView(buffer);
+  const read = sampleReader(view, fmt.formatTag, fmt.bitsPerSample);
+  if (!read) {
+    throw new Error(
+      `Unsupported WAV encoding (format ${fmt.formatTag}, ${fmt.bitsPerSample}-bit).`
+    );
+  }
+
+  const bytesPerSample = fmt.bitsPerSample / 8;
+  const blockAlign = fmt.blockAlign || bytesPerSample * fmt.numChannels;
+  let frameCount = Math.floor(dataLength / blockAlign);
+  if (maxSeconds) {
+    frameCount = Math.min(frameCount, Math.floor(maxSeconds * fmt.sampleRate));
+  }
+
+  const channels = [];
+  for (let c = 0; c < fmt.numChannels; c += 1) {
+    channels.push(new Float32Array(frameCount));
+  }
+
+  for (let i = 0; i < frameCount; i += 1) {
+    const frameStart = dataOffset + i * blockAlign;
+    for (let c = 0; c < fmt.numChannels; c += 1) {
+      channels[c][i] = read(frameStart + c * bytesPerSample);
+    }
+  }
+
+  return {
+    sampleRate: fmt.sampleRate,
+    channels,
+    bitsPerSample: fmt.bitsPerSample,
+    totalDuration: Math.floor(dataLength / blockAlign) / fmt.sampleRate,
+  };
+};
+
+const writeTag = (view, offset, tag) => {
+  for (let i = 0; i < 4; i += 1) view.setUint8(offset + i, tag.charCodeAt(i));
+};
+
+// Encode float samples (-1..1, one array per channel) as 16-bit PCM
+export const encodeWav = (channels, sampleRate) => {
+  const numChannels = channels.length;
+  const frameCount = numChannels ? channels[0].length : 0;
+  const blockAlign = numChannels * 2;
+  const dataLength = frameCount * blockAlign;
+  const buffer = new ArrayBuffer(44 + dataLength);
+  const view = new DataView(buffer);
+
+  writeTag(view, 0, "RIFF");
+  view.setUint32(4, 36 + dataLength, true);
+  writeTag(view, 8, "WAVE");
+  writeTag(view, 12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, WAVE_FORMAT_PCM, true);
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, 16, true);
+  writeTag(view, 36, "data");
+  view.setUint32(40, dataLength, true);
+
+  let pos = 44;
+  for (let i = 0; i < frameCount; i += 1) {
+    for (let c = 0; c < numChannels; c += 1) {
+      view.setInt16(pos, toInt16(channels[c][i]), true);
+      pos += 2;
+    }
+  }
+  return new Uint8Array(buffer);
+};
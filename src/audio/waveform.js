@@ -0,0 +1,50 @@
+// Reduce decoded audio to min/max pairs per bucket for drawing a waveform
+export const computePeaks = ({ channels }, bucketCount = 1000) => {
+  const length = channels[0] ? channels[0].length : 0;
+  const buckets = Math.max(1, Math.min(bucketCount, length));
+  const min = new Float32Array(buckets);
+  const max = new Float32Array(buckets);
+  const bucketSize = length / buckets;
+
+  for (let b = 0; b < buckets; b += 1) {
+    const start = Math.floor(b * bucketSize);
+    const end = Math.max(start + 1, Math.floor((b + 1) * bucketSize));
+    let lo = 0;
+    let hi = 0;
+    for (let i = start; i < end && i < length; i += 1) {
+      let sample = 0;
+      for (let c = 0; c < channels.length; c += 1) sample += channels[c][i];
+      sample /= channels.length;
+      if (sample < lo) lo = sample;
+      if (sample > hi) hi = sample;
+    }
+    min[b] = lo;
+    max[b] = hi;
+  }
+
+  return { min, max };
+};
+
+// Draw peaks centered in a canvas, sized to its CSS box at device resolution
+export const drawPeaks = (canvas, peaks, color = "#9ca3af") => {
+  const ratio = window.devicePixelRatio || 1;
+  const width = Math.max(1, Math.round(canvas.clientWidth * ratio));
+  const height = Math.max(1, Math.round(canvas.clientHeight * ratio));
+  canvas.width = width;
+  canvas.height = height;
+
+  const ctx = canvas.getContext("2d");
+  if (!ctx) return;
+  ctx.clearRect(0, 0, width, height);
+  if (!peaks) return;
+
+  const mid = height / 2;
+  const count = peaks.min.length;
+  ctx.fillStyle = color;
+  for (let x = 0; x < width; x += 1) {
+    const b = Math.min(count - 1, Math.floor((x / width) * count));
+    const top = mid - peaks.max[b] * mid;
+    const bottom = mid - peaks.min[b] * mid;
+    ctx.fillRect(x, top, 1, Math.max(1, bottom - top));
+  }
+};
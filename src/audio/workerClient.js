@@ -0,0 +1,96 @@
+// Request/response over a Web Worker. Each message gets an id; the worker
+// answers with { id, ...result } or { id, error, errorName }. One worker serves every
+// request in turn; it is started on first use and again after a crash.
+import { decodeAudioFile } from "./decode";
+import { UNSUPPORTED_FLAC, isFlac } from "./flac";
+import { isWav } from "./wav";
+
+export const abortError = (message) => {
+  const err = new Error(message);
+  err.name = "AbortError";
+  return err;
+};
+
+// startWorker has to call `new Worker(new URL(..., import.meta.url))` itself,
+// so the bundler can see which file the worker is
+export const createWorkerClient = (startWorker) => {
+  let worker = null;
+  let nextRequestId = 1;
+  const pending = new Map();
+
+  const getWorker = () => {
+    if (worker) return worker;
+    if (typeof Worker === "undefined") {
+      throw new Error("This browser can't run audio processing in the background.");
+    }
+    worker = startWorker();
+    worker.onmessage = ({ data }) => {
+      const request = pending.get(data.id);
+      if (!request) return;
+      pending.delete(data.id);
+      if (data.error) {
+        const err = new Error(data.error);
+        if (data.errorName) err.name = data.errorName;
+        request.reject(err);
+      } else {
+        request.resolve(data);
+      }
+    };
+    worker.onerror = (event) => {
+      // A crashed worker takes every request with it; the next one starts afresh
+      const err = new Error(event.message || "Audio processing failed.");
+      pending.forEach((request) => request.reject(err));
+      pending.clear();
+      worker.terminate();
+      worker = null;
+    };
+    return worker;
+  };
+
+  // On abort the worker still finishes the request; its answer is dropped
+  const request = (message, { transfer = [], signal } = {}) => {
+    if (signal && signal.aborted) return Promise.reject(abortError("Cancelled"));
+    const target = getWorker();
+    const id = nextRequestId++;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject });
+      target.postMessage({ ...message, id }, transfer);
+      if (signal) {
+        signal.addEventListener("abort", () => {
+          pending.delete(id);
+          reject(abortError("Cancelled"));
+        });
+      }
+    });
+  };
+
+  return { request };
+};
+
+// What to post for a file: WAV and FLAC are decoded in the worker, anything
+// else needs Web Audio, which only the main thread has
+export const audioMessage = async (file, { inWorker = true } = {}) => {
+  const head = new Uint8Array(await file.slice(0, 12).arrayBuffer());
+  if (inWorker && (isWav(head) || isFlac(head))) return { message: { file }, transfer: [] };
+  const { sampleRate, channels } = await decodeAudioFile(file);
+  return {
+    message: { decoded: { sampleRate, channels } },
+    transfer: channels.map((channel) => channel.buffer),
+  };
+};
+
+// Posts a file with its options. A FLAC stream the worker's decoder leaves out
+// is decoded here instead, where Web Audio is, and posted again.
+export const requestAudio = async (client, file, options, { signal } = {}) => {
+  const send = async (inWorker) => {
+    const { message, transfer } = await audioMessage(file, { inWorker });
+    if (signal && signal.aborted) throw abortError("Cancelled");
+    return client.request({ ...message, options }, { transfer, signal });
+  };
+  try {
+    return await send(true);
+  } catch (err) {
+    if (err.name !== UNSUPPORTED_FLAC) throw err;
+    return send(false);
+  }
+};
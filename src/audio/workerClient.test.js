@@ -0,0 +1,38 @@
+import { decodeAudioFile } from "./decode";
+import { UNSUPPORTED_FLAC } from "./flac";
+import { requestAudio } from "./workerClient";
+
+jest.mock("./decode", () => ({ decodeAudioFile: jest.fn() }));
+
+// Just enough of a FLAC File for audioMessage
+const flacFile = {
+  slice: () => ({ arrayBuffer: async () => Uint8Array.from([0x66, 0x4c, 0x61, 0x43]).buffer }),
+};
+
+const workerError = (name, message) => Object.assign(new Error(message), { name });
+
+test("a FLAC stream the worker can't decode is decoded here and posted again", async () => {
+  const channels = [new Float32Array(4)];
+  decodeAudioFile.mockResolvedValue({ sampleRate: 8000, channels });
+  const client = {
+    request: jest
+      .fn()
+      .mockRejectedValueOnce(workerError(UNSUPPORTED_FLAC, "Escape-coded"))
+      .mockResolvedValueOnce({ result: "done" }),
+  };
+
+  await expect(requestAudio(client, flacFile, { format: "wav" })).resolves.toEqual({
+    result: "done",
+  });
+  expect(client.request.mock.calls[0][0]).toEqual({ file: flacFile, options: { format: "wav" } });
+  expect(client.request.mock.calls[1]).toEqual([
+    { decoded: { sampleRate: 8000, channels }, options: { format: "wav" } },
+    { transfer: [channels[0].buffer], signal: undefined },
+  ]);
+});
+
+test("other worker errors are not retried", async () => {
+  const client = { request: jest.fn().mockRejectedValue(workerError("Error", "Out of memory")) };
+  await expect(requestAudio(client, flacFile, {})).rejects.toThrow("Out of memory");
+  expect(client.request).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,114 @@
+// Sign-in for the analyzer backend. A session holds the ready-made
+// Authorization header, so upload code doesn't care whether it came from
+// Basic credentials or a bearer token.
+import { requestPasswordGrant } from "./apiClient";
+
+const SESSION_KEY = "lyricCoach.session";
+
+export class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AuthError";
+  }
+}
+
+// btoa only takes Latin-1, so encode the credentials as UTF-8 first
+const toBase64 = (text) =>
+  btoa(
+    encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (_, hex) =>
+      String.fromCharCode(parseInt(hex, 16))
+    )
+  );
+
+export const basicHeader = (username, password) => `Basic ${toBase64(`${username}:${password}`)}`;
+
+// Statuses meaning "there is no token endpoint here", as opposed to bad credentials
+const NO_TOKEN_ENDPOINT = [404, 405, 501];
+
+const requestToken = async (tokenUrl, username, password) => {
+  const response = await requestPasswordGrant(tokenUrl, {
+    username,
+    password,
+    header: basicHeader(username, password),
+  });
+  if (NO_TOKEN_ENDPOINT.includes(response.status)) return null;
+  if (response.status === 401 || response.status === 403) {
+    throw new AuthError("Incorrect username or password.");
+  }
+  if (!response.ok) {
+    throw new AuthError(`Sign-in failed: server responded with status ${response.status}.`);
+  }
+  const data = response.data || {};
+  if (!data.access_token) {
+    throw new AuthError("Sign-in failed: the server did not return a token.");
+  }
+  return {
+    header: `Bearer ${data.access_token}`,
+    expiresAt: data.expires_in ? Date.now() + Number(data.expires_in) * 1000 : null,
+  };
+};
+
+// { baseUrl, username, kind, header, expiresAt }
+export const signIn = async ({ baseUrl, tokenPath, mode, username, password }) => {
+  if (!password) throw new AuthError("Enter a password.");
+
+  if (mode !== "basic") {
+    let token = null;
+    try {
+      token = await requestToken(`${baseUrl}${tokenPath}`, username, password);
+    } catch (err) {
+      // In auto mode an unreachable token endpoint just means Basic auth
+      if (mode === "bearer" || err instanceof AuthError) throw err;
+    }
+    if (token) return { baseUrl, username, kind: "bearer", ...token };
+    if (mode === "bearer") {
+      throw new AuthError("This backend does not offer token sign-in.");
+    }
+  }
+
+  // In basic mode credentials aren't checked up front; a 401 on upload asks again
+  return {
+    baseUrl,
+    username,
+    kind: "basic",
+    header: basicHeader(username, password),
+    expiresAt: null,
+  };
+};
+
+const isExpired = (session) => Boolean(session.expiresAt) && session.expiresAt <= Date.now();
+
+// Only sessions the user asked to remember are stored, per backend and only
+// for this browser tab
+const sessionKey = (baseUrl) => `${SESSION_KEY}.${baseUrl}`;
+
+export const loadSession = (baseUrl) => {
+  try {
+    const session = JSON.parse(window.sessionStorage.getItem(sessionKey(baseUrl)));
+    if (!session || session.baseUrl !== baseUrl || isExpired(session)) return null;
+    return session;
+  } catch (err) {
+    return null;
+  }
+};
+
+export const saveSession = (session) => {
+  try {
+    window.sessionStorage.setItem(sessionKey(session.baseUrl), JSON.stringify(session));
+  } catch (err) {
+    // Storage unavailable; the session lasts until reload
+  }
+};
+
+// With a header, only forget the stored session if it is that one, so a
+// late 401 from an old request can't sign out a newer session
+export const clearSession = (baseUrl, header) => {
+  try {
+    const stored = loadSession(baseUrl);
+    if (!header || (stored && stored.header === header)) {
+      window.sessionStorage.removeItem(sessionKey(baseUrl));
+    }
+  } catch (err) {
+    // Nothing stored
+  }
+};
@@ -0,0 +1,92 @@
+import { AuthError, basicHeader, clearSession, loadSession, saveSession, signIn } from "./auth";
+
+const BASE = "https://analyzer.example";
+
+const respond = (status, body = {}) =>
+  Promise.resolve({ status, ok: status >= 200 && status < 300, json: () => Promise.resolve(body) });
+
+afterEach(() => {
+  delete global.fetch;
+  clearSession(BASE);
+});
+
+test.each([
+  ["singfit", "secret", "Basic c2luZ2ZpdDpzZWNyZXQ="],
+  ["singfit", "pässwörd", "Basic c2luZ2ZpdDpww6Rzc3fDtnJk"],
+])("basicHeader(%s, %s)", (username, password, expected) => {
+  expect(basicHeader(username, password)).toBe(expected);
+});
+
+test.each([
+  ["auto", 404, "basic"],
+  ["auto", 405, "basic"],
+  ["basic", 200, "basic"],
+])(
+  "signIn in %s mode with token endpoint status %i gives a %s session",
+  async (mode, status, kind) => {
+    global.fetch = jest.fn(() => respond(status, { access_token: "abc" }));
+    const session = await signIn({
+      baseUrl: BASE,
+      tokenPath: "/auth/token",
+      mode,
+      username: "u",
+      password: "p",
+    });
+    expect(session.kind).toBe(kind);
+    expect(session.header).toBe(basicHeader("u", "p"));
+  }
+);
+
+test("signIn uses the bearer token when the backend issues one", async () => {
+  global.fetch = jest.fn(() => respond(200, { access_token: "abc", expires_in: 60 }));
+  const session = await signIn({
+    baseUrl: BASE,
+    tokenPath: "/auth/token",
+    mode: "auto",
+    username: "u",
+    password: "p",
+  });
+  expect(global.fetch).toHaveBeenCalledWith(`${BASE}/auth/token`, expect.any(Object));
+  expect(session).toMatchObject({ kind: "bearer", header: "Bearer abc", username: "u" });
+  expect(session.expiresAt).toBeGreaterThan(Date.now());
+});
+
+test.each([
+  ["auto", 401],
+  ["bearer", 404],
+  ["bearer", 500],
+])("signIn in %s mode rejects on token endpoint status %i", async (mode, status) => {
+  global.fetch = jest.fn(() => respond(status));
+  await expect(
+    signIn({ baseUrl: BASE, tokenPath: "/auth/token", mode, username: "u", password: "p" })
+  ).rejects.toBeInstanceOf(AuthError);
+});
+
+test("signIn in auto mode falls back to Basic when the token request can't be made", async () => {
+  global.fetch = jest.fn(() => Promise.reject(new TypeError("Failed to fetch")));
+  const session = await signIn({
+    baseUrl: BASE,
+    tokenPath: "/auth/token",
+    mode: "auto",
+    username: "u",
+    password: "p",
+  });
+  expect(session.kind).toBe("basic");
+});
+
+test("loadSession only returns unexpired sessions for the same backend", () => {
+  saveSession({ baseUrl: BASE, header: "Bearer abc", expiresAt: Date.now() + 60000 });
+  expect(loadSession(BASE)).toMatchObject({ header: "Bearer abc" });
+  expect(loadSession("https://other.example")).toBeNull();
+
+  saveSession({ baseUrl: BASE, header: "Bearer old", expiresAt: Date.now() - 1 });
+  expect(loadSession(BASE)).toBeNull();
+});
+
+test("clearSession with a header leaves a newer session alone", () => {
+  saveSession({ baseUrl: BASE, header: "Bearer new", expiresAt: null });
+  clearSession(BASE, "Bearer old");
+  expect(loadSession(BASE)).toMatchObject({ header: "Bearer new" });
+  clearSession(BASE, "Bearer new");
+  expect(loadSession(BASE)).toBeNull();
+});
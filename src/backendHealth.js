@@ -0,0 +1,90 @@
+// Health/version ping and cold-start warm-up. Hosts that sleep when idle
+// (Render's free tier, for one) answer 502-504 or hang until the app has
+// booted, so a cold-start backend is pinged until it responds instead of
+// letting the first upload fail.
+import { fetchHealth } from "./apiClient";
+import { readJobSupport } from "./jobs";
+import { readBackendVersion } from "./resultCache";
+import { isTransientStatus, wait } from "./retry";
+
+export const HEALTH_STATE = {
+  CHECKING: "checking",
+  ONLINE: "online",
+  WAKING: "waking",
+  OFFLINE: "offline",
+};
+
+export const HEALTH_LABELS = {
+  [HEALTH_STATE.CHECKING]: "Checking…",
+  [HEALTH_STATE.ONLINE]: "Online",
+  [HEALTH_STATE.WAKING]: "Server is waking up…",
+  [HEALTH_STATE.OFFLINE]: "Unreachable",
+};
+
+const abortError = () => {
+  const err = new Error("Health check cancelled");
+  err.name = "AbortError";
+  return err;
+};
+
+// Any answer other than a gateway error means the app itself is up, even a
+// 404 from a backend without a health route
+export const pingBackend = async (url, { timeoutMs, signal } = {}) => {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  const timer = timeoutMs ? setTimeout(() => controller.abort(), timeoutMs) : null;
+  const started = Date.now();
+
+  try {
+    const response = await fetchHealth(url, { signal: controller.signal });
+    if (isTransientStatus(response.status)) {
+      return { awake: false, httpStatus: response.status };
+    }
+    const { data } = response;
+    return {
+      awake: true,
+      httpStatus: response.status,
+      version: readBackendVersion(data),
+      jobs: readJobSupport(data),
+      latencyMs: Date.now() - started,
+    };
+  } catch (err) {
+    if (signal && signal.aborted) throw abortError();
+    return { awake: false, error: controller.signal.aborted ? "Timed out" : err.message };
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener("abort", onAbort);
+  }
+};
+
+// Resolves with { state, version, latencyMs, checkedAt }; onWaking fires once
+// the first ping fails on a cold-start backend
+export const warmUpBackend = async ({
+  url,
+  coldStart,
+  signal,
+  onWaking,
+  timeoutMs,
+  maxSeconds,
+  retryDelayMs,
+}) => {
+  const deadline = Date.now() + maxSeconds * 1000;
+  let waking = false;
+
+  for (;;) {
+    const result = await pingBackend(url, { timeoutMs, signal });
+    if (result.awake || !coldStart || Date.now() >= deadline) {
+      return {
+        ...result,
+        state: result.awake ? HEALTH_STATE.ONLINE : HEALTH_STATE.OFFLINE,
+        checkedAt: Date.now(),
+      };
+    }
+    if (!waking) {
+      waking = true;
+      if (onWaking) onWaking();
+    }
+    await wait(retryDelayMs, signal);
+  }
+};
@@ -0,0 +1,61 @@
+import { HEALTH_STATE, pingBackend, warmUpBackend } from "./backendHealth";
+
+const respond = (status, body = null) =>
+  Promise.resolve({ status, ok: status >= 200 && status < 300, json: () => Promise.resolve(body) });
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test.each([
+  [200, { version: "1.4.0" }, true, "1.4.0"],
+  [404, null, true, null],
+  [401, null, true, null],
+  [502, null, false, undefined],
+  [503, null, false, undefined],
+])("pingBackend treats HTTP %i as awake=%p", async (status, body, awake, version) => {
+  global.fetch = jest.fn(() => respond(status, body));
+  const result = await pingBackend("https://api.example/health");
+  expect(result.awake).toBe(awake);
+  expect(result.version).toBe(version);
+});
+
+test("pingBackend reports network errors as not awake", async () => {
+  global.fetch = jest.fn(() => Promise.reject(new TypeError("Failed to fetch")));
+  expect(await pingBackend("https://api.example/health")).toEqual({
+    awake: false,
+    error: "Failed to fetch",
+  });
+});
+
+test("warmUpBackend keeps pinging a cold-start backend until it answers", async () => {
+  global.fetch = jest
+    .fn()
+    .mockImplementationOnce(() => respond(503))
+    .mockImplementationOnce(() => respond(502))
+    .mockImplementation(() => respond(200, { analyzer_version: "2" }));
+  const onWaking = jest.fn();
+
+  const result = await warmUpBackend({
+    url: "https://api.example/health",
+    coldStart: true,
+    onWaking,
+    maxSeconds: 10,
+    retryDelayMs: 1,
+  });
+  expect(global.fetch).toHaveBeenCalledTimes(3);
+  expect(onWaking).toHaveBeenCalledTimes(1);
+  expect(result).toMatchObject({ state: HEALTH_STATE.ONLINE, version: "2" });
+});
+
+test("warmUpBackend gives up at once on a backend without cold starts", async () => {
+  global.fetch = jest.fn(() => respond(503));
+  const result = await warmUpBackend({
+    url: "http://localhost:8000/health",
+    coldStart: false,
+    maxSeconds: 10,
+    retryDelayMs: 1,
+  });
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(result.state).toBe(HEALTH_STATE.OFFLINE);
+});
@@ -0,0 +1,57 @@
+// Summary numbers for the batch dashboard. Only successfully analyzed songs
+// count towards the distributions; failed rows are reported separately.
+import { RESULT_STATUS } from "./errorClassification";
+import { isNumber } from "./metrics";
+import { SCORE_OPTIONS } from "./scores";
+
+export const isAnalyzed = (item) => !item.status || item.status === RESULT_STATUS.OK;
+
+const scoreValue = (score) => (SCORE_OPTIONS.some((o) => o.value === score) ? score : null);
+
+export const summarizeBatch = (results) => {
+  const analyzed = results.filter(isAnalyzed);
+  const minutes = analyzed.map((item) => item.song_minutes).filter(isNumber);
+  const totalMinutes = minutes.reduce((sum, value) => sum + value, 0);
+
+  const scores = SCORE_OPTIONS.map((option) => {
+    const count = analyzed.filter((item) => scoreValue(item.score) === option.value).length;
+    return {
+      ...option,
+      count,
+      share: analyzed.length ? count / analyzed.length : 0,
+    };
+  });
+
+  return {
+    analyzedCount: analyzed.length,
+    failedCount: results.length - analyzed.length,
+    totalMinutes,
+    averageMinutes: minutes.length ? totalMinutes / minutes.length : null,
+    scores,
+  };
+};
+
+// Equal-width bins over the value range; a single distinct value gets one bin
+export const histogram = (values, binCount = 10) => {
+  const numeric = values.filter(isNumber);
+  if (!numeric.length) return { min: null, max: null, bins: [] };
+
+  const min = Math.min(...numeric);
+  const max = Math.max(...numeric);
+  if (min === max) {
+    return { min, max, bins: [{ start: min, end: max, count: numeric.length }] };
+  }
+
+  const width = (max - min) / binCount;
+  const bins = Array.from({ length: binCount }, (_, i) => ({
+    start: min + i * width,
+    end: min + (i + 1) * width,
+    count: 0,
+  }));
+  numeric.forEach((value) => {
+    // The maximum belongs in the last bin rather than one past it
+    const index = Math.min(Math.floor((value - min) / width), binCount - 1);
+    bins[index].count += 1;
+  });
+  return { min, max, bins };
+};
@@ -0,0 +1,37 @@
+import { histogram, summarizeBatch } from "./batchStats";
+
+test("summarizeBatch counts scores over analyzed songs only", () => {
+  const summary = summarizeBatch([
+    { score: 3, song_minutes: 3 },
+    { score: 3, song_minutes: 4, status: "ok" },
+    { score: 1, song_minutes: 2 },
+    { score: null },
+    { filename: "broken.wav", status: "decode_failure" },
+  ]);
+
+  expect(summary.analyzedCount).toBe(4);
+  expect(summary.failedCount).toBe(1);
+  expect(summary.totalMinutes).toBe(9);
+  expect(summary.averageMinutes).toBe(3);
+  expect(summary.scores.map(({ label, count, share }) => [label, count, share])).toEqual([
+    ["Strong", 2, 0.5],
+    ["Maybe", 0, 0],
+    ["Probably not", 1, 0.25],
+    ["Unknown", 1, 0.25],
+  ]);
+});
+
+test("summarizeBatch handles an empty batch", () => {
+  const summary = summarizeBatch([]);
+  expect(summary.averageMinutes).toBeNull();
+  expect(summary.scores.every((entry) => entry.share === 0)).toBe(true);
+});
+
+test.each([
+  [[], 4, []],
+  [[2, 2, 2], 4, [3]],
+  [[0, 1, 2, 3, 4], 4, [1, 1, 1, 2]],
+  [[0, 10, NaN, undefined, 5], 2, [1, 2]],
+])("histogram(%p, %i) counts %p", (values, bins, expected) => {
+  expect(histogram(values, bins).bins.map((bin) => bin.count)).toEqual(expected);
+});
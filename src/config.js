@@ -1,5 +1,52 @@
 const config = {
-  API_BASE_URL: process.env.REACT_APP_API_URL || "https://lyric-coach-analyzer.onrender.com"
+  // Shown in the footer and recorded in JSON exports
+  APP_VERSION: process.env.REACT_APP_VERSION || "1.0",
+  // public/config.json lists the backends to choose from at runtime. A backend
+  // set here is the default over the file's; otherwise this is the fallback
+  // for when the file is missing.
+  API_BASE_URL: process.env.REACT_APP_API_URL || "https://lyric-coach-analyzer.onrender.com",
+  API_BASE_URL_IS_SET: Boolean(process.env.REACT_APP_API_URL),
+  // Path pinged for the status shown in the header
+  HEALTH_PATH: process.env.REACT_APP_HEALTH_PATH || "/health",
+  // Cold-start backends are pinged until they answer, for at most this long
+  WARMUP_MAX_SECONDS: Number(process.env.REACT_APP_WARMUP_MAX_SECONDS) || 90,
+  WARMUP_PING_TIMEOUT_MS: 8000,
+  WARMUP_RETRY_MS: 3000,
+  // A backend not heard from for this long may have gone back to sleep
+  WARMUP_STALE_MINUTES: 10,
+  // "basic", "bearer", or "auto" (use the token endpoint when the backend has one, else Basic)
+  AUTH_MODE: process.env.REACT_APP_AUTH_MODE || "auto",
+  // Prefilled on the sign-in form; must match BASIC_AUTH_USERNAME on the server for Basic auth
+  AUTH_USERNAME: process.env.REACT_APP_AUTH_USERNAME ?? "singfit",
+  // OAuth2 password-grant style endpoint, relative to the backend URL
+  AUTH_TOKEN_PATH: process.env.REACT_APP_AUTH_TOKEN_PATH || "/auth/token",
+  // Larger files are left out when selecting, before anything is uploaded
+  MAX_UPLOAD_MB: Number(process.env.REACT_APP_MAX_UPLOAD_MB) || 200,
+  // How many files are uploaded and analyzed at the same time
+  UPLOAD_CONCURRENCY: Number(process.env.REACT_APP_UPLOAD_CONCURRENCY) || 3,
+  // Per-file limit for upload plus analysis
+  UPLOAD_TIMEOUT_SECONDS: Number(process.env.REACT_APP_UPLOAD_TIMEOUT_SECONDS) || 600,
+  // Retries for 502/503/504 and dropped connections, with exponential backoff
+  UPLOAD_MAX_RETRIES: Number(process.env.REACT_APP_UPLOAD_MAX_RETRIES ?? 3),
+  RETRY_BASE_DELAY_MS: 2000,
+  RETRY_MAX_DELAY_MS: 30000,
+  // "sync" (wait on /analyze-upload), "jobs" (submit, then poll or stream the
+  // results), or "auto" (jobs when the backend's health response lists them)
+  ANALYSIS_MODE: process.env.REACT_APP_ANALYSIS_MODE || "auto",
+  JOBS_PATH: process.env.REACT_APP_JOBS_PATH || "/jobs",
+  JOB_POLL_INTERVAL_MS: 2000,
+  // Local acapella vs full mix check before upload; only the start of each file is decoded
+  PRECHECK_ENABLED: process.env.REACT_APP_PRECHECK !== "off",
+  PRECHECK_MAX_SECONDS: Number(process.env.REACT_APP_PRECHECK_MAX_SECONDS) || 120,
+  // Optional step before upload: decode, mix down to mono, resample and send as
+  // 16-bit "wav" or "flac". This sets the toggle's initial state.
+  REDUCE_BEFORE_UPLOAD: process.env.REACT_APP_REDUCE_BEFORE_UPLOAD === "on",
+  REDUCE_SAMPLE_RATE: Number(process.env.REACT_APP_REDUCE_SAMPLE_RATE) || 22050,
+  REDUCE_FORMAT: process.env.REACT_APP_REDUCE_FORMAT || "wav",
+  // Initial state of the "analyze in this browser" toggle (a rough local estimate)
+  LOCAL_ANALYSIS: process.env.REACT_APP_LOCAL_ANALYSIS === "on",
+  // Default speaking rate for checking that spoken prompts fit their gaps
+  SPEAKING_RATE_WPM: Number(process.env.REACT_APP_SPEAKING_RATE_WPM) || 150,
 };
 
 export default config;
@@ -0,0 +1,139 @@
+// Spoken prompt cues: one cue per comfortable gap, plus the subtitle and
+// lyric formats we export them to.
+
+export const CUE_FORMAT_VERSION = 1;
+
+// Small lead-in so the prompt doesn't start on the last syllable of the phrase
+export const PROMPT_LEAD_IN_SEC = 0.2;
+
+// The speaking rates the prompt editor offers, in words per minute
+export const SPEAKING_RATE_RANGE = { min: 60, max: 300 };
+
+// The rate fit checks use: a rate outside the range is pulled into it, and an
+// empty or unreadable one counts as the slowest, so no prompt fits by accident
+export const clampSpeakingRate = (wordsPerMinute) => {
+  const rate = Number(wordsPerMinute);
+  if (!Number.isFinite(rate) || rate <= 0) return SPEAKING_RATE_RANGE.min;
+  return Math.min(Math.max(rate, SPEAKING_RATE_RANGE.min), SPEAKING_RATE_RANGE.max);
+};
+
+export const countWords = (text) => {
+  const trimmed = String(text || "").trim();
+  return trimmed ? trimmed.split(/\s+/).length : 0;
+};
+
+export const estimateSpeechSeconds = (text, wordsPerMinute) => {
+  const words = countWords(text);
+  if (!words || !wordsPerMinute) return 0;
+  return (words / wordsPerMinute) * 60;
+};
+
+// How a prompt fits its gap: needed vs available seconds
+export const checkPromptFit = (text, gap, wordsPerMinute) => {
+  const needed = estimateSpeechSeconds(text, wordsPerMinute);
+  const available = Math.max(0, gap.end - gap.start - PROMPT_LEAD_IN_SEC);
+  return { needed, available, fits: needed <= available };
+};
+
+// Turn gaps plus the prompt text typed for each (keyed by gap index) into cues.
+// Empty slots are skipped.
+export const buildCues = (gaps, prompts, wordsPerMinute) =>
+  gaps
+    .map((gap, index) => {
+      const text = String(prompts[index] || "").trim();
+      if (!text) return null;
+      const { needed, fits } = checkPromptFit(text, gap, wordsPerMinute);
+      return {
+        id: index + 1,
+        start: gap.start,
+        end: gap.end,
+        text,
+        estimated_speech_sec: Number(needed.toFixed(2)),
+        fits,
+      };
+    })
+    .filter(Boolean);
+
+const pad = (value, size = 2) => String(value).padStart(size, "0");
+
+const splitTime = (seconds) => {
+  const totalMs = Math.round(Math.max(0, seconds) * 1000);
+  return {
+    hours: Math.floor(totalMs / 3600000),
+    minutes: Math.floor((totalMs % 3600000) / 60000),
+    seconds: Math.floor((totalMs % 60000) / 1000),
+    millis: totalMs % 1000,
+  };
+};
+
+// 00:01:02.345
+export const formatVttTime = (seconds) => {
+  const t = splitTime(seconds);
+  return `${pad(t.hours)}:${pad(t.minutes)}:${pad(t.seconds)}.${pad(t.millis, 3)}`;
+};
+
+// 00:01:02,345
+export const formatSrtTime = (seconds) => formatVttTime(seconds).replace(".", ",");
+
+// [01:02.35] (LRC uses hundredths and rolls hours into minutes)
+export const formatLrcTime = (seconds) => {
+  const totalCs = Math.round(Math.max(0, seconds) * 100);
+  const minutes = Math.floor(totalCs / 6000);
+  const secs = Math.floor((totalCs % 6000) / 100);
+  return `[${pad(minutes)}:${pad(secs)}.${pad(totalCs % 100)}]`;
+};
+
+// Cue text must not contain blank lines or "-->" in subtitle formats
+const cleanCueText = (text) => text.replace(/-->/g, "→").replace(/\n\s*\n/g, "\n");
+
+export const toWebVTT = (cues) => {
+  const blocks = cues.map(
+    (cue) =>
+      `${cue.id}\n${formatVttTime(cue.start)} --> ${formatVttTime(cue.end)}\n${cleanCueText(
+        cue.text
+      )}`
+  );
+  return ["WEBVTT", ...blocks].join("\n\n") + "\n";
+};
+
+export const toSRT = (cues) =>
+  cues
+    .map(
+      (cue, index) =>
+        `${index + 1}\n${formatSrtTime(cue.start)} --> ${formatSrtTime(cue.end)}\n${cleanCueText(
+          cue.text
+        )}`
+    )
+    .join("\n\n") + "\n";
+
+// Each prompt shows at the start of its gap and a blank line clears it at the end
+export const toLRC = (cues, { title } = {}) => {
+  const lines = [];
+  if (title) lines.push(`[ti:${title}]`);
+  lines.push("[re:Lyric Coach Analyzer]");
+  cues.forEach((cue) => {
+    lines.push(`${formatLrcTime(cue.start)}${cue.text.replace(/\s*\n\s*/g, " ")}`);
+    lines.push(formatLrcTime(cue.end));
+  });
+  return lines.join("\n") + "\n";
+};
+
+export const toCueJSON = (cues, { filename, wordsPerMinute } = {}) =>
+  JSON.stringify(
+    {
+      format: "lyric-coach-cues",
+      version: CUE_FORMAT_VERSION,
+      song: filename || null,
+      speaking_rate_wpm: wordsPerMinute || null,
+      cues,
+    },
+    null,
+    2
+  );
+
+export const CUE_EXPORTS = [
+  { key: "vtt", label: "WebVTT", extension: "vtt", type: "text/vtt", build: toWebVTT },
+  { key: "srt", label: "SRT", extension: "srt", type: "application/x-subrip", build: toSRT },
+  { key: "lrc", label: "LRC", extension: "lrc", type: "text/plain", build: toLRC },
+  { key: "json", label: "JSON", extension: "cues.json", type: "application/json", build: toCueJSON },
+];
@@ -0,0 +1,98 @@
+import {
+  buildCues,
+  checkPromptFit,
+  clampSpeakingRate,
+  formatLrcTime,
+  formatSrtTime,
+  formatVttTime,
+  toCueJSON,
+  toLRC,
+  toSRT,
+  toWebVTT,
+} from "./cueSheet";
+
+const gaps = [
+  { start: 12.5, end: 15.25 },
+  { start: 40, end: 41 },
+  { start: 3725.004, end: 3728 },
+];
+
+describe("time formatting", () => {
+  test.each([
+    [0, "00:00:00.000", "00:00:00,000", "[00:00.00]"],
+    [12.5, "00:00:12.500", "00:00:12,500", "[00:12.50]"],
+    [75.126, "00:01:15.126", "00:01:15,126", "[01:15.13]"],
+    [3725.004, "01:02:05.004", "01:02:05,004", "[62:05.00]"],
+  ])("%s sec", (seconds, vtt, srt, lrc) => {
+    expect(formatVttTime(seconds)).toBe(vtt);
+    expect(formatSrtTime(seconds)).toBe(srt);
+    expect(formatLrcTime(seconds)).toBe(lrc);
+  });
+});
+
+describe("prompt fit", () => {
+  test("fits when the words can be spoken inside the gap", () => {
+    // 5 words at 150 wpm = 2 sec, gap is 2.75 sec minus lead-in
+    expect(checkPromptFit("one two three four five", gaps[0], 150).fits).toBe(true);
+  });
+
+  test("flags prompts that are too long", () => {
+    expect(checkPromptFit("one two three four five", gaps[1], 150).fits).toBe(false);
+  });
+});
+
+describe("exports", () => {
+  const cues = buildCues(gaps, { 0: "Hello there", 2: "Last one" }, 150);
+
+  test("skips empty slots and keeps gap timing", () => {
+    expect(cues.map((cue) => [cue.id, cue.start, cue.end])).toEqual([
+      [1, 12.5, 15.25],
+      [3, 3725.004, 3728],
+    ]);
+  });
+
+  test("WebVTT", () => {
+    expect(toWebVTT(cues)).toBe(
+      "WEBVTT\n\n1\n00:00:12.500 --> 00:00:15.250\nHello there\n\n3\n01:02:05.004 --> 01:02:08.000\nLast one\n"
+    );
+  });
+
+  test("SRT numbers cues sequentially", () => {
+    expect(toSRT(cues)).toBe(
+      "1\n00:00:12,500 --> 00:00:15,250\nHello there\n\n2\n01:02:05,004 --> 01:02:08,000\nLast one\n"
+    );
+  });
+
+  test("LRC clears each prompt at the end of its gap", () => {
+    expect(toLRC(cues, { title: "Song_vocals.wav" })).toBe(
+      "[ti:Song_vocals.wav]\n[re:Lyric Coach Analyzer]\n[00:12.50]Hello there\n[00:15.25]\n[62:05.00]Last one\n[62:08.00]\n"
+    );
+  });
+
+  test("JSON carries the speaking rate and fit per cue", () => {
+    const parsed = JSON.parse(toCueJSON(cues, { filename: "Song_vocals.wav", wordsPerMinute: 150 }));
+    expect(parsed.song).toBe("Song_vocals.wav");
+    expect(parsed.speaking_rate_wpm).toBe(150);
+    expect(parsed.cues[0]).toMatchObject({ text: "Hello there", fits: true });
+  });
+});
+
+test.each([
+  [150, 150],
+  ["150", 150],
+  [20, 60],
+  [900, 300],
+  [0, 60],
+  ["", 60],
+  [NaN, 60],
+  [-120, 60],
+])("clampSpeakingRate(%j) is %i", (input, expected) => {
+  expect(clampSpeakingRate(input)).toBe(expected);
+});
+
+test("at a clamped rate a long prompt no longer fits a short gap", () => {
+  const gap = { start: 10, end: 11.2 };
+  const prompt = "sing along with me now everybody";
+  expect(checkPromptFit(prompt, gap, 0).fits).toBe(true);
+  expect(checkPromptFit(prompt, gap, clampSpeakingRate(0)).fits).toBe(false);
+});
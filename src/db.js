@@ -0,0 +1,92 @@
+// Thin promise wrapper around the app's IndexedDB database. Each store is
+// created in its own upgrade step, so bump DB_VERSION and add a step when a
+// feature needs a new store.
+
+const DB_NAME = "lyric-coach-analyzer";
+const DB_VERSION = 3;
+
+const UPGRADES = [
+  // v1: saved analysis runs
+  (db) => {
+    const runs = db.createObjectStore("runs", { keyPath: "id", autoIncrement: true });
+    runs.createIndex("created_at", "created_at");
+  },
+  // v2: analysis results keyed by file content hash and backend
+  (db) => {
+    db.createObjectStore("resultCache", { keyPath: "key" });
+  },
+  // v3: clinician notes, tags and score overrides per song
+  (db) => {
+    db.createObjectStore("annotations", { keyPath: "key" });
+  },
+];
+
+export const isDatabaseAvailable = () => typeof indexedDB !== "undefined";
+
+let dbPromise = null;
+
+export const openDatabase = () => {
+  if (!isDatabaseAvailable()) {
+    return Promise.reject(new Error("Local storage (IndexedDB) is not available in this browser."));
+  }
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        for (let v = event.oldVersion; v < UPGRADES.length; v += 1) {
+          UPGRADES[v](request.result, request.transaction);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+      request.onblocked = () => {
+        dbPromise = null;
+        reject(new Error("Close other tabs of this app to finish upgrading local storage."));
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Run `work(store)` in a transaction and resolve with its result once committed
+export const withStore = async (storeName, mode, work) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    let result;
+    Promise.resolve(work(tx.objectStore(storeName), promisify))
+      .then((value) => {
+        result = value;
+      })
+      .catch((err) => {
+        tx.abort();
+        reject(err);
+      });
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Storage transaction was aborted."));
+  });
+};
+
+export const isQuotaError = (err) =>
+  Boolean(err) && (err.name === "QuotaExceededError" || err.code === 22);
+
+// { usage, quota } in bytes, or null when the browser can't tell
+export const estimateStorage = async () => {
+  if (!navigator.storage || !navigator.storage.estimate) return null;
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota };
+  } catch (err) {
+    return null;
+  }
+};
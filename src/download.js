@@ -0,0 +1,15 @@
+// Trigger a browser download for in-memory content
+export const downloadFile = (content, filename, type) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.setAttribute("download", filename);
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+// "Song Name_vocals.wav" -> "Song Name_vocals"
+export const baseName = (filename) => String(filename || "song").replace(/\.[^./\\]+$/, "");
@@ -0,0 +1,147 @@
+// Per-result status taxonomy. Every row in the results table carries one of these
+// so that one bad file no longer hides the other songs' results.
+export const RESULT_STATUS = {
+  OK: "ok",
+  FULL_TRACK: "full_track",
+  DECODE_FAILURE: "decode_failure",
+  AUTH: "auth",
+  SERVER_ERROR: "server_error",
+  TIMEOUT: "timeout",
+};
+
+export const STATUS_LABELS = {
+  [RESULT_STATUS.OK]: "OK",
+  [RESULT_STATUS.FULL_TRACK]: "Likely full track",
+  [RESULT_STATUS.DECODE_FAILURE]: "Could not decode",
+  [RESULT_STATUS.AUTH]: "Not authorized",
+  [RESULT_STATUS.SERVER_ERROR]: "Server error",
+  [RESULT_STATUS.TIMEOUT]: "Timed out",
+};
+
+export const ACAPELLA_ONLY_MESSAGE =
+  "This analyzer only supports acapella (vocal-only) files. Full songs with instrumentation will return incomplete results. Please upload an acapella stem (for example, a file ending in _vocals.wav).";
+
+// Default user-facing reason per status, used when the server gives us nothing better
+export const STATUS_MESSAGES = {
+  [RESULT_STATUS.FULL_TRACK]: ACAPELLA_ONLY_MESSAGE,
+  [RESULT_STATUS.DECODE_FAILURE]:
+    "The audio file could not be decoded. Check that it is a valid MP3, WAV, M4A or FLAC file.",
+  [RESULT_STATUS.AUTH]: "Unauthorized. Check your password and try again.",
+  [RESULT_STATUS.SERVER_ERROR]: "The server could not analyze this file.",
+  [RESULT_STATUS.TIMEOUT]: "The request timed out before the analysis finished.",
+};
+
+// Structured error codes the backend may send, either as `error.code` or `error_code`
+const ERROR_CODE_TABLE = {
+  full_track: RESULT_STATUS.FULL_TRACK,
+  full_mix: RESULT_STATUS.FULL_TRACK,
+  not_acapella: RESULT_STATUS.FULL_TRACK,
+  instrumental_detected: RESULT_STATUS.FULL_TRACK,
+  decode_error: RESULT_STATUS.DECODE_FAILURE,
+  decode_failure: RESULT_STATUS.DECODE_FAILURE,
+  unsupported_format: RESULT_STATUS.DECODE_FAILURE,
+  invalid_audio: RESULT_STATUS.DECODE_FAILURE,
+  unauthorized: RESULT_STATUS.AUTH,
+  forbidden: RESULT_STATUS.AUTH,
+  auth_required: RESULT_STATUS.AUTH,
+  timeout: RESULT_STATUS.TIMEOUT,
+  analysis_timeout: RESULT_STATUS.TIMEOUT,
+  internal_error: RESULT_STATUS.SERVER_ERROR,
+  analysis_failed: RESULT_STATUS.SERVER_ERROR,
+};
+
+const HTTP_STATUS_TABLE = {
+  401: RESULT_STATUS.AUTH,
+  403: RESULT_STATUS.AUTH,
+  408: RESULT_STATUS.TIMEOUT,
+  415: RESULT_STATUS.DECODE_FAILURE,
+  504: RESULT_STATUS.TIMEOUT,
+};
+
+// Text fallbacks, checked in order. Patterns are anchored on whole phrases so
+// that unrelated server errors mentioning e.g. "mixin" or "stereo" don't match.
+const TEXT_RULES = [
+  { status: RESULT_STATUS.FULL_TRACK, pattern: /\bfull[\s-]?(track|mix|song)s?\b/ },
+  { status: RESULT_STATUS.FULL_TRACK, pattern: /\b(instrumental|backing track)s? (detected|present|found)\b/ },
+  { status: RESULT_STATUS.FULL_TRACK, pattern: /\bnot (an? )?(acapella|a cappella)\b/ },
+  { status: RESULT_STATUS.FULL_TRACK, pattern: /\b(acapella|a cappella|vocals?) only\b/ },
+  {
+    status: RESULT_STATUS.DECODE_FAILURE,
+    pattern: /\b(could not|couldn't|cannot|failed to|unable to) (decode|read|load|open)\b/,
+  },
+  { status: RESULT_STATUS.DECODE_FAILURE, pattern: /\b(unsupported|unknown|invalid) (audio |file )?format\b/ },
+  { status: RESULT_STATUS.DECODE_FAILURE, pattern: /\bdecod(e|ing) (error|failed|failure)\b/ },
+  { status: RESULT_STATUS.AUTH, pattern: /\b(unauthori[sz]ed|forbidden|invalid credentials)\b/ },
+  { status: RESULT_STATUS.TIMEOUT, pattern: /\b(timed out|timeout)\b/ },
+];
+
+const classifyText = (text) => {
+  if (!text) return null;
+  const t = String(text).toLowerCase();
+  const rule = TEXT_RULES.find(({ pattern }) => pattern.test(t));
+  return rule ? rule.status : null;
+};
+
+// Pull a code and a message out of the shapes the backend uses for errors:
+// a plain string, `{ error: { code, message } }` or `{ error, error_code }`.
+export const readBackendError = (payload) => {
+  if (!payload) return { code: null, message: "" };
+  if (typeof payload === "string") return { code: null, message: payload };
+
+  const { error } = payload;
+  if (error && typeof error === "object") {
+    return {
+      code: error.code || payload.error_code || null,
+      message: error.message || error.detail || "",
+    };
+  }
+  return {
+    code: payload.error_code || null,
+    message: typeof error === "string" ? error : payload.detail || "",
+  };
+};
+
+// Map an error to a result status. Structured codes win over the HTTP status,
+// which wins over text matching. Anything unrecognized is a server error.
+export const classifyError = ({ code, httpStatus, message, name } = {}) => {
+  const normalizedCode = code ? String(code).toLowerCase() : null;
+  if (normalizedCode && ERROR_CODE_TABLE[normalizedCode]) {
+    return ERROR_CODE_TABLE[normalizedCode];
+  }
+  if (name === "TimeoutError") return RESULT_STATUS.TIMEOUT;
+  if (httpStatus && HTTP_STATUS_TABLE[httpStatus]) return HTTP_STATUS_TABLE[httpStatus];
+  return classifyText(message) || RESULT_STATUS.SERVER_ERROR;
+};
+
+// A user-facing reason for a failed row. Server text is kept when it adds
+// information, except for full tracks where our own guidance is clearer.
+export const describeError = (status, message) => {
+  if (status === RESULT_STATUS.FULL_TRACK || !message) return STATUS_MESSAGES[status];
+  return message;
+};
+
+const hasKeyMetrics = (item) =>
+  item.promptable_phrases_per_minute !== undefined ||
+  item.promptable_phrase_coverage !== undefined ||
+  item.comfortable_gaps_per_minute !== undefined;
+
+// Status of a single (already normalized) result item from a successful response
+export const classifyResultItem = (item) => {
+  if (item.error || item.error_code) {
+    const { code, message } = readBackendError(item);
+    const status = classifyError({ code, message });
+    return { status, status_message: describeError(status, message) };
+  }
+
+  // A missing score together with missing key metrics is what a full track upload
+  // has looked like in practice ("Unknown" with n/a everywhere)
+  const scoreIsNumeric = typeof item.score === "number" && !Number.isNaN(item.score);
+  if (!scoreIsNumeric && !hasKeyMetrics(item)) {
+    return {
+      status: RESULT_STATUS.FULL_TRACK,
+      status_message: STATUS_MESSAGES[RESULT_STATUS.FULL_TRACK],
+    };
+  }
+
+  return { status: RESULT_STATUS.OK, status_message: "" };
+};
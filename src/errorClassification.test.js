@@ -0,0 +1,97 @@
+import {
+  ACAPELLA_ONLY_MESSAGE,
+  RESULT_STATUS,
+  classifyError,
+  classifyResultItem,
+  describeError,
+  readBackendError,
+} from "./errorClassification";
+
+describe("classifyError", () => {
+  test.each([
+    // Structured codes win over everything else
+    [{ code: "full_track", message: "whatever" }, RESULT_STATUS.FULL_TRACK],
+    [{ code: "NOT_ACAPELLA" }, RESULT_STATUS.FULL_TRACK],
+    [{ code: "decode_error", httpStatus: 500 }, RESULT_STATUS.DECODE_FAILURE],
+    [{ code: "unsupported_format" }, RESULT_STATUS.DECODE_FAILURE],
+    [{ code: "unauthorized", message: "full track" }, RESULT_STATUS.AUTH],
+    [{ code: "analysis_timeout" }, RESULT_STATUS.TIMEOUT],
+    [{ code: "internal_error", message: "timed out" }, RESULT_STATUS.SERVER_ERROR],
+    // Unknown codes fall through to the HTTP status and text
+    [{ code: "something_new", httpStatus: 401 }, RESULT_STATUS.AUTH],
+    [{ code: "something_new", message: "Full mix detected" }, RESULT_STATUS.FULL_TRACK],
+    // HTTP status
+    [{ httpStatus: 401 }, RESULT_STATUS.AUTH],
+    [{ httpStatus: 403 }, RESULT_STATUS.AUTH],
+    [{ httpStatus: 408 }, RESULT_STATUS.TIMEOUT],
+    [{ httpStatus: 504 }, RESULT_STATUS.TIMEOUT],
+    [{ httpStatus: 415 }, RESULT_STATUS.DECODE_FAILURE],
+    [{ httpStatus: 500 }, RESULT_STATUS.SERVER_ERROR],
+    [{ httpStatus: 502 }, RESULT_STATUS.SERVER_ERROR],
+    // Error names
+    [{ name: "TimeoutError", message: "signal timed out" }, RESULT_STATUS.TIMEOUT],
+    // Text fallbacks
+    [{ message: "Looks like a full track" }, RESULT_STATUS.FULL_TRACK],
+    [{ message: "full-mix uploaded" }, RESULT_STATUS.FULL_TRACK],
+    [{ message: "Instrumental detected in file" }, RESULT_STATUS.FULL_TRACK],
+    [{ message: "File is not a cappella" }, RESULT_STATUS.FULL_TRACK],
+    [{ message: "Acapella only, please" }, RESULT_STATUS.FULL_TRACK],
+    [{ message: "Could not decode audio" }, RESULT_STATUS.DECODE_FAILURE],
+    [{ message: "Unsupported audio format: .ogg" }, RESULT_STATUS.DECODE_FAILURE],
+    [{ message: "Unauthorized" }, RESULT_STATUS.AUTH],
+    [{ message: "Worker timed out" }, RESULT_STATUS.TIMEOUT],
+    // Words that used to trigger false full-track positives
+    [{ message: "Mixin resolution failed in module loader" }, RESULT_STATUS.SERVER_ERROR],
+    [{ message: "Invalid stereo channel layout in cache" }, RESULT_STATUS.SERVER_ERROR],
+    [{ message: "Remix of config failed" }, RESULT_STATUS.SERVER_ERROR],
+    [{ message: "" }, RESULT_STATUS.SERVER_ERROR],
+    [{}, RESULT_STATUS.SERVER_ERROR],
+    [undefined, RESULT_STATUS.SERVER_ERROR],
+  ])("%j -> %s", (input, expected) => {
+    expect(classifyError(input)).toBe(expected);
+  });
+});
+
+describe("readBackendError", () => {
+  test.each([
+    [null, { code: null, message: "" }],
+    ["plain text", { code: null, message: "plain text" }],
+    [{ error: "Boom" }, { code: null, message: "Boom" }],
+    [{ error: "Boom", error_code: "decode_error" }, { code: "decode_error", message: "Boom" }],
+    [
+      { error: { code: "full_track", message: "Full track" } },
+      { code: "full_track", message: "Full track" },
+    ],
+    [{ detail: "Not authenticated" }, { code: null, message: "Not authenticated" }],
+  ])("%j", (payload, expected) => {
+    expect(readBackendError(payload)).toEqual(expected);
+  });
+});
+
+describe("describeError", () => {
+  test("uses the acapella guidance for full tracks", () => {
+    expect(describeError(RESULT_STATUS.FULL_TRACK, "full mix")).toBe(ACAPELLA_ONLY_MESSAGE);
+  });
+
+  test("keeps server text for other statuses", () => {
+    expect(describeError(RESULT_STATUS.SERVER_ERROR, "Disk full")).toBe("Disk full");
+  });
+
+  test("falls back to a default message", () => {
+    expect(describeError(RESULT_STATUS.TIMEOUT)).toMatch(/timed out/);
+  });
+});
+
+describe("classifyResultItem", () => {
+  test.each([
+    [{ score: 3, promptable_phrase_coverage: 0.5 }, RESULT_STATUS.OK],
+    [{ score: null, promptable_phrase_coverage: 0.5 }, RESULT_STATUS.OK],
+    [{ score: 2 }, RESULT_STATUS.OK],
+    [{ score: null }, RESULT_STATUS.FULL_TRACK],
+    [{ score: "Unknown" }, RESULT_STATUS.FULL_TRACK],
+    [{ score: 2, error: "Could not decode file" }, RESULT_STATUS.DECODE_FAILURE],
+    [{ error: { code: "analysis_timeout", message: "" } }, RESULT_STATUS.TIMEOUT],
+  ])("%j -> %s", (item, expected) => {
+    expect(classifyResultItem(item).status).toBe(expected);
+  });
+});
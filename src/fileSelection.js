@@ -0,0 +1,225 @@
+// Turns whatever was picked or dropped into the list to upload: audio files
+// only, checked for size, duplicates left out, and for songs delivered as
+// stems just the vocal stem. Everything left out is reported with a reason.
+import config from "./config";
+
+export const AUDIO_EXTENSIONS = [".mp3", ".wav", ".m4a", ".flac"];
+export const AUDIO_ACCEPT = AUDIO_EXTENSIONS.join(",");
+
+export const SKIP_KIND = {
+  INVALID: "invalid",
+  DUPLICATE: "duplicate",
+  STEM: "stem",
+};
+
+// Stem names as they end a file name: "Song_vocals.wav", "Song - Drums.flac",
+// "Song (Instrumental).mp3" or just "vocals.wav" inside a song folder. Among
+// vocal stems a lower rank wins.
+const VOCAL_STEMS = {
+  vocals: 0,
+  vocal: 0,
+  vox: 0,
+  acapella: 0,
+  acappella: 0,
+  a_cappella: 0,
+  lead_vocals: 1,
+  lead_vocal: 1,
+  lead_vox: 1,
+};
+const OTHER_STEMS = [
+  "instrumental",
+  "inst",
+  "drums",
+  "drum",
+  "bass",
+  "guitar",
+  "guitars",
+  "piano",
+  "keys",
+  "synth",
+  "strings",
+  "other",
+  "music",
+  "accompaniment",
+  "karaoke",
+  "backing",
+  "backing_vocals",
+  "bgv",
+  "no_vocals",
+  "click",
+  "fx",
+];
+// Longest first, so "backing_vocals" isn't read as "vocals"
+const KNOWN_STEMS = [...Object.keys(VOCAL_STEMS), ...OTHER_STEMS].sort(
+  (a, b) => b.length - a.length
+);
+
+const extensionOf = (name) => {
+  const dot = name.lastIndexOf(".");
+  return dot > 0 ? name.slice(dot).toLowerCase() : "";
+};
+
+export const isAudioFile = (name) => AUDIO_EXTENSIONS.includes(extensionOf(name));
+
+const baseName = (name) => {
+  const dot = name.lastIndexOf(".");
+  return dot > 0 ? name.slice(0, dot) : name;
+};
+
+const folderOf = (path) => {
+  const slash = path.lastIndexOf("/");
+  return slash === -1 ? "" : path.slice(0, slash);
+};
+
+const stemLabel = (stem) => {
+  const words = stem.replace(/_/g, " ");
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+// { songKey, stem, isVocal, rank }; stem is null for a file without a stem marker
+export const stemInfo = (name) => {
+  const normalized = baseName(name)
+    .toLowerCase()
+    .replace(/[\s\-.()[\]]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+  const stem = KNOWN_STEMS.find(
+    (candidate) => normalized === candidate || normalized.endsWith(`_${candidate}`)
+  );
+  if (!stem) return { songKey: normalized, stem: null, isVocal: false, rank: 0 };
+
+  const songKey = normalized.slice(0, normalized.length - stem.length).replace(/_+$/, "");
+  const isVocal = stem in VOCAL_STEMS;
+  return { songKey, stem, isVocal, rank: isVocal ? VOCAL_STEMS[stem] : 0 };
+};
+
+// A stem named only "vocals.wav" takes its song folder's name, so results
+// from different songs can be told apart
+const uploadNameFor = (file, path, songKey) => {
+  const folder = folderOf(path);
+  if (songKey || !folder) return file.name;
+  return `${folder.slice(folder.lastIndexOf("/") + 1)}_${file.name}`;
+};
+
+// entries: [{ file, path }] where path is relative to what was picked or dropped.
+// Returns { files: [{ file, path, uploadName, stem }], skipped: [{ file, path, kind, reason }] }
+export const planSelection = (entries, { maxBytes = config.MAX_UPLOAD_MB * 1024 * 1024 } = {}) => {
+  const skipped = [];
+  const accepted = [];
+  const seen = new Map();
+
+  entries.forEach(({ file, path = file.name }, index) => {
+    // Finder and Explorer metadata (.DS_Store and the like) isn't worth reporting
+    if (file.name.startsWith(".")) return;
+    const skip = (kind, reason) => skipped.push({ file, path, kind, reason });
+
+    if (!isAudioFile(file.name)) {
+      skip(SKIP_KIND.INVALID, "Not a supported audio file");
+      return;
+    }
+    if (!file.size) {
+      skip(SKIP_KIND.INVALID, "Empty file");
+      return;
+    }
+    if (file.size > maxBytes) {
+      skip(SKIP_KIND.INVALID, `Larger than ${Math.round(maxBytes / (1024 * 1024))} MB`);
+      return;
+    }
+    // The same file picked twice, or copied into two folders
+    const key = `${file.name}|${file.size}|${file.lastModified}`;
+    if (seen.has(key)) {
+      skip(SKIP_KIND.DUPLICATE, `Duplicate of ${seen.get(key)}`);
+      return;
+    }
+    seen.set(key, path);
+    accepted.push({ file, path, index, ...stemInfo(file.name) });
+  });
+
+  const songs = new Map();
+  accepted.forEach((entry) => {
+    const key = `${folderOf(entry.path)}|${entry.songKey}`;
+    songs.set(key, [...(songs.get(key) || []), entry]);
+  });
+
+  const picked = [];
+  songs.forEach((members) => {
+    const vocals = members.filter((entry) => entry.isVocal).sort((a, b) => a.rank - b.rank);
+    const keep = vocals.length ? [vocals[0]] : members.filter((entry) => !entry.stem);
+    picked.push(...keep);
+
+    members
+      .filter((entry) => !keep.includes(entry))
+      .forEach((entry) => {
+        let reason;
+        if (vocals.length && entry.isVocal) {
+          reason = `Another vocal stem was picked: ${vocals[0].path}`;
+        } else if (vocals.length) {
+          const what = entry.stem ? `${stemLabel(entry.stem)} stem` : "Probably the full mix";
+          reason = `${what}; ${vocals[0].path} is used for this song`;
+        } else {
+          reason = `${stemLabel(entry.stem)} stem, and no vocal stem was found for this song`;
+        }
+        skipped.push({ file: entry.file, path: entry.path, kind: SKIP_KIND.STEM, reason });
+      });
+  });
+
+  const files = picked
+    .sort((a, b) => a.index - b.index)
+    .map(({ file, path, songKey, stem }) => ({
+      file,
+      path,
+      stem,
+      uploadName: uploadNameFor(file, path, songKey),
+    }));
+  return { files, skipped };
+};
+
+// The file as the backend should see it, renamed when uploadName says so
+export const fileForUpload = ({ file, uploadName }) =>
+  !uploadName || uploadName === file.name
+    ? file
+    : new File([file], uploadName, { type: file.type, lastModified: file.lastModified });
+
+export const entriesFromFileList = (files) =>
+  Array.from(files || [], (file) => ({ file, path: file.webkitRelativePath || file.name }));
+
+// Dropped folders are walked recursively. readEntries hands out entries in
+// batches, so it is called until it returns none.
+const readAllEntries = (reader) =>
+  new Promise((resolve, reject) => {
+    const all = [];
+    const next = () =>
+      reader.readEntries((batch) => {
+        if (!batch.length) {
+          resolve(all);
+          return;
+        }
+        all.push(...batch);
+        next();
+      }, reject);
+    next();
+  });
+
+const entryFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+
+const walkEntry = async (entry, out) => {
+  if (entry.isFile) {
+    out.push({ file: await entryFile(entry), path: entry.fullPath.replace(/^\//, "") });
+    return;
+  }
+  if (entry.isDirectory) {
+    const children = await readAllEntries(entry.createReader());
+    for (const child of children) await walkEntry(child, out);
+  }
+};
+
+export const collectDroppedFiles = async (dataTransfer) => {
+  // Entries have to be taken before the first await; the drop data is gone after that
+  const entries = Array.from(dataTransfer.items || [])
+    .map((item) => (item.kind === "file" && item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+    .filter(Boolean);
+  if (!entries.length) return entriesFromFileList(dataTransfer.files);
+
+  const out = [];
+  for (const entry of entries) await walkEntry(entry, out);
+  return out;
+};
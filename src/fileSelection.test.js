@@ -0,0 +1,96 @@
+import { SKIP_KIND, fileForUpload, planSelection, stemInfo } from "./fileSelection";
+
+const audio = (path, size = 1000) => {
+  const name = path.slice(path.lastIndexOf("/") + 1);
+  return { file: new File(["x".repeat(size)], name, { lastModified: 1 }), path };
+};
+
+const plan = (entries, options) => {
+  const { files, skipped } = planSelection(entries, options);
+  return {
+    files: files.map((entry) => entry.path),
+    skipped: skipped.map((entry) => [entry.path, entry.kind]),
+  };
+};
+
+test.each([
+  ["Morning Light_vocals.wav", "morning_light", "vocals", true],
+  ["Morning Light - Drums.flac", "morning_light", "drums", false],
+  ["Morning Light (Instrumental).mp3", "morning_light", "instrumental", false],
+  ["Morning Light_backing vocals.wav", "morning_light", "backing_vocals", false],
+  ["Morning Light_lead_vocals.wav", "morning_light", "lead_vocals", true],
+  ["vocals.wav", "", "vocals", true],
+  ["Morning Light.wav", "morning_light", null, false],
+])("stemInfo(%s)", (name, songKey, stem, isVocal) => {
+  expect(stemInfo(name)).toMatchObject({ songKey, stem, isVocal });
+});
+
+test("picks the vocal stem per song folder and reports the rest", () => {
+  expect(
+    plan([
+      audio("Song A/Song A_vocals.wav"),
+      audio("Song A/Song A_drums.wav"),
+      audio("Song A/Song A_instrumental.wav"),
+      audio("Song B/vocals.wav"),
+      audio("Song B/bass.wav"),
+    ])
+  ).toEqual({
+    files: ["Song A/Song A_vocals.wav", "Song B/vocals.wav"],
+    skipped: [
+      ["Song A/Song A_drums.wav", SKIP_KIND.STEM],
+      ["Song A/Song A_instrumental.wav", SKIP_KIND.STEM],
+      ["Song B/bass.wav", SKIP_KIND.STEM],
+    ],
+  });
+});
+
+test("prefers the plain vocal stem over a lead vocal and the full mix", () => {
+  expect(
+    plan([audio("Hymn.wav"), audio("Hymn_lead_vocals.wav"), audio("Hymn_vocals.wav")])
+  ).toEqual({
+    files: ["Hymn_vocals.wav"],
+    skipped: [
+      ["Hymn.wav", SKIP_KIND.STEM],
+      ["Hymn_lead_vocals.wav", SKIP_KIND.STEM],
+    ],
+  });
+});
+
+test("keeps plain files, and songs without a vocal stem lose their other stems", () => {
+  expect(plan([audio("One.mp3"), audio("Two.mp3"), audio("Three_drums.mp3")])).toEqual({
+    files: ["One.mp3", "Two.mp3"],
+    skipped: [["Three_drums.mp3", SKIP_KIND.STEM]],
+  });
+});
+
+test("validates type and size and drops duplicates up front", () => {
+  expect(
+    plan(
+      [
+        audio("a/Song.wav"),
+        audio("b/Song.wav"),
+        audio("notes.txt"),
+        audio("Huge.wav", 5000),
+        audio("Empty.wav", 0),
+        audio(".DS_Store"),
+      ],
+      { maxBytes: 2000 }
+    )
+  ).toEqual({
+    files: ["a/Song.wav"],
+    skipped: [
+      ["b/Song.wav", SKIP_KIND.DUPLICATE],
+      ["notes.txt", SKIP_KIND.INVALID],
+      ["Huge.wav", SKIP_KIND.INVALID],
+      ["Empty.wav", SKIP_KIND.INVALID],
+    ],
+  });
+});
+
+test("a stem named only by its kind is sent with the song folder's name", () => {
+  const [entry] = planSelection([audio("Stems/Song C/vocals.wav")]).files;
+  expect(entry.uploadName).toBe("Song C_vocals.wav");
+  const file = fileForUpload(entry);
+  expect(file.name).toBe("Song C_vocals.wav");
+  expect(file.size).toBe(entry.file.size);
+});
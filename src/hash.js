@@ -0,0 +1,10 @@
+// SHA-256 of a file's bytes as lowercase hex, or null where Web Crypto is
+// unavailable (it requires a secure context: https or localhost).
+export const sha256File = async (file) => {
+  const subtle = window.crypto && window.crypto.subtle;
+  if (!subtle) return null;
+  const digest = await subtle.digest("SHA-256", await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+};
@@ -0,0 +1,66 @@
+import { isAnalyzed } from "./batchStats";
+import { withStore } from "./db";
+
+const STORE = "runs";
+
+// Drop fields that only make sense in the live session
+export const storableResult = (result) => {
+  const { upload_id: uploadId, ...rest } = result;
+  return rest;
+};
+
+export const defaultRunName = (createdAt, fileCount) =>
+  `${new Date(createdAt).toLocaleString()} · ${fileCount} file(s)`;
+
+// Insert a new run, or overwrite an existing one when `run.id` is set
+export const saveRun = (run) =>
+  withStore(STORE, "readwrite", (store, request) =>
+    request(store.put({ ...run, results: run.results.map(storableResult) }))
+  );
+
+// Newest first. Results are included since runs are small (metrics only).
+export const listRuns = () =>
+  withStore(STORE, "readonly", async (store, request) => {
+    const runs = await request(store.getAll());
+    return runs.sort((a, b) => (a.created_at < b.created_at ? 1 : -1));
+  });
+
+export const renameRun = (id, name) =>
+  withStore(STORE, "readwrite", async (store, request) => {
+    const run = await request(store.get(id));
+    if (!run) throw new Error("That run no longer exists.");
+    await request(store.put({ ...run, name }));
+  });
+
+export const deleteRuns = (ids) =>
+  withStore(STORE, "readwrite", (store, request) =>
+    Promise.all(ids.map((id) => request(store.delete(id))))
+  );
+
+// Files of a run without a successful result, e.g. because the tab was closed
+// mid-batch or uploads were cancelled. Resuming re-sends only these.
+export const pendingRunFiles = (run) => {
+  const analyzed = new Set(run.results.filter(isAnalyzed).map((result) => result.filename));
+  return run.files.filter((file) => !analyzed.has(file.name));
+};
+
+export const fileMatches = (file, entry) => file.name === entry.name && file.size === entry.size;
+
+export const runMatchesQuery = (run, query) => {
+  const q = query.trim().toLowerCase();
+  if (!q) return true;
+  const name = String(run.name || "").toLowerCase();
+  return name.includes(q) || run.files.some((file) => file.name.toLowerCase().includes(q));
+};
+
+export const exportRunsJSON = (runs) =>
+  JSON.stringify(
+    {
+      format: "lyric-coach-history",
+      version: 1,
+      exported_at: new Date().toISOString(),
+      runs,
+    },
+    null,
+    2
+  );
@@ -0,0 +1,54 @@
+import { RESULT_STATUS } from "./errorClassification";
+import { fileMatches, pendingRunFiles, runMatchesQuery, storableResult } from "./historyStore";
+
+const run = {
+  name: "Friday group",
+  files: [
+    { name: "Hello.wav", size: 100 },
+    { name: "River.mp3", size: 200 },
+    { name: "Storm.wav", size: 300 },
+  ],
+  results: [
+    { filename: "Hello.wav", score: 3, status: RESULT_STATUS.OK },
+    { filename: "River.mp3", status: RESULT_STATUS.SERVER_ERROR },
+  ],
+};
+
+test("pending files are the ones without a successful result", () => {
+  expect(pendingRunFiles(run).map((file) => file.name)).toEqual(["River.mp3", "Storm.wav"]);
+  expect(pendingRunFiles({ ...run, results: [] })).toEqual(run.files);
+});
+
+test("results from before statuses existed count as analyzed", () => {
+  const legacy = { ...run, results: [{ filename: "Storm.wav", score: 1 }] };
+  expect(pendingRunFiles(legacy).map((file) => file.name)).toEqual(["Hello.wav", "River.mp3"]);
+});
+
+test.each([
+  [{ name: "Hello.wav", size: 100 }, true],
+  [{ name: "Hello.wav", size: 101 }, false],
+  [{ name: "hello.wav", size: 100 }, false],
+])("fileMatches(%j)", (file, matches) => {
+  expect(fileMatches(file, run.files[0])).toBe(matches);
+});
+
+test.each([
+  ["", true],
+  ["   ", true],
+  ["friday", true],
+  [" GROUP ", true],
+  ["storm", true],
+  ["monday", false],
+])("runMatchesQuery(%j)", (query, matches) => {
+  expect(runMatchesQuery(run, query)).toBe(matches);
+});
+
+test("a run without a name still matches on its files", () => {
+  expect(runMatchesQuery({ files: run.files }, "river")).toBe(true);
+});
+
+test("stored results drop the live upload id", () => {
+  expect(storableResult({ filename: "A.wav", upload_id: "upload-1" })).toEqual({
+    filename: "A.wav",
+  });
+});
@@ -0,0 +1,86 @@
+// Named insight rule sets, kept in this browser. The built-in profile is
+// DEFAULT_RULE_SET and can't be changed; the others start as copies of a
+// profile or come from an exported file.
+import { DEFAULT_RULE_SET, RULE_SET_VERSION, validateRuleSet } from "./insights";
+
+const PROFILES_KEY = "lyricCoach.insightProfiles";
+
+export const RULES_FORMAT = "lyric-coach-insight-rules";
+
+export const DEFAULT_PROFILE = {
+  id: "default",
+  name: "Default",
+  rules: DEFAULT_RULE_SET,
+  builtIn: true,
+};
+
+export const createProfileId = () =>
+  `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+// { activeId, profiles } with the built-in profile first. Stored profiles that
+// no longer validate are left out rather than breaking the modal.
+export const loadInsightProfiles = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(PROFILES_KEY));
+    if (stored && Array.isArray(stored.profiles)) {
+      const profiles = stored.profiles.filter(
+        (profile) =>
+          profile &&
+          typeof profile.id === "string" &&
+          profile.id !== DEFAULT_PROFILE.id &&
+          !validateRuleSet(profile.rules).length
+      );
+      const activeId = profiles.some((profile) => profile.id === stored.activeId)
+        ? stored.activeId
+        : DEFAULT_PROFILE.id;
+      return { activeId, profiles: [DEFAULT_PROFILE, ...profiles] };
+    }
+  } catch (err) {
+    // Fall through to the built-in profile
+  }
+  return { activeId: DEFAULT_PROFILE.id, profiles: [DEFAULT_PROFILE] };
+};
+
+export const saveInsightProfiles = ({ activeId, profiles }) => {
+  try {
+    window.localStorage.setItem(
+      PROFILES_KEY,
+      JSON.stringify({ activeId, profiles: profiles.filter((profile) => !profile.builtIn) })
+    );
+  } catch (err) {
+    // Profiles just won't persist
+  }
+};
+
+export const activeInsightProfile = ({ activeId, profiles }) =>
+  profiles.find((profile) => profile.id === activeId) || DEFAULT_PROFILE;
+
+export const exportProfileJSON = (profile) =>
+  JSON.stringify(
+    {
+      format: RULES_FORMAT,
+      version: RULE_SET_VERSION,
+      exported_at: new Date().toISOString(),
+      name: profile.name,
+      rules: profile.rules,
+    },
+    null,
+    2
+  );
+
+// { name, rules } from an exported file; throws listing what is wrong with it
+export const readProfileFile = (text, fallbackName) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error("It isn't valid JSON.");
+  }
+  if (!data || data.format !== RULES_FORMAT) {
+    throw new Error("It isn't a Lyric Coach insight rules export.");
+  }
+  const errors = validateRuleSet(data.rules);
+  if (errors.length) throw new Error(errors.join(" "));
+  const name = typeof data.name === "string" && data.name.trim() ? data.name.trim() : fallbackName;
+  return { name, rules: data.rules };
+};
@@ -0,0 +1,51 @@
+import { DEFAULT_RULE_SET } from "./insights";
+import {
+  DEFAULT_PROFILE,
+  activeInsightProfile,
+  exportProfileJSON,
+  loadInsightProfiles,
+  readProfileFile,
+  saveInsightProfiles,
+} from "./insightProfiles";
+
+const tuned = {
+  ...DEFAULT_RULE_SET,
+  rules: DEFAULT_RULE_SET.rules.map((rule) => ({ ...rule, target: rule.target * 2 })),
+};
+
+afterEach(() => {
+  window.localStorage.clear();
+});
+
+test("profiles are saved without the built-in one and loaded back", () => {
+  const profile = { id: "profile-1", name: "Program B", rules: tuned };
+  saveInsightProfiles({ activeId: "profile-1", profiles: [DEFAULT_PROFILE, profile] });
+  const loaded = loadInsightProfiles();
+  expect(loaded.profiles).toEqual([DEFAULT_PROFILE, profile]);
+  expect(activeInsightProfile(loaded)).toEqual(profile);
+});
+
+test("invalid stored profiles fall back to the built-in one", () => {
+  window.localStorage.setItem(
+    "lyricCoach.insightProfiles",
+    JSON.stringify({ activeId: "broken", profiles: [{ id: "broken", rules: { rules: [] } }] })
+  );
+  expect(loadInsightProfiles()).toEqual({ activeId: "default", profiles: [DEFAULT_PROFILE] });
+});
+
+test("an exported profile reads back", () => {
+  const text = exportProfileJSON({ name: "Program B", rules: tuned });
+  expect(readProfileFile(text, "fallback")).toEqual({ name: "Program B", rules: tuned });
+});
+
+test.each([
+  ["not JSON", "{", /valid JSON/],
+  ["another export", '{"format": "lyric-coach-results"}', /insight rules export/],
+  [
+    "invalid rules",
+    JSON.stringify({ format: "lyric-coach-insight-rules", rules: { max_bullets: 0, rules: [] } }),
+    /Bullets shown must be a whole number/,
+  ],
+])("readProfileFile rejects %s", (name, text, message) => {
+  expect(() => readProfileFile(text, "fallback")).toThrow(message);
+});
@@ -0,0 +1,212 @@
+import { METRICS_BY_KEY, isNumber } from "./metrics";
+
+// The wording and thresholds behind the modal's insight bullets and deciding
+// factor, kept as data so programs can tune them (see insightProfiles.js).
+//
+// A rule set is { version, max_bullets, rules }. Each rule covers one metric:
+//   target      the value a typical good candidate sits around
+//   digits      decimals of {value} and {target} in messages
+//   bands       bullets from the highest band down; the first band whose `min`
+//               the value reaches is used, and the last one takes everything below
+//   above       the deciding factor when the value is at or above target
+//   below       the deciding factor when it is under
+// Messages may use {value}, {percent} (the value as a whole percentage) and {target}.
+export const RULE_SET_VERSION = 1;
+
+export const TEMPLATE_FIELDS = ["value", "percent", "target"];
+
+export const DEFAULT_RULE_SET = {
+  version: RULE_SET_VERSION,
+  max_bullets: 3,
+  rules: [
+    {
+      metric: "promptable_phrase_coverage",
+      target: 0.45,
+      digits: 2,
+      bands: [
+        {
+          min: 0.55,
+          message: "Promptable phrase coverage is high at about {percent} percent of the song.",
+        },
+        {
+          min: 0.35,
+          message: "Promptable phrase coverage is moderate at around {percent} percent.",
+        },
+        { message: "Promptable phrase coverage is relatively low at about {percent} percent." },
+      ],
+      above:
+        "strong promptable phrase coverage at about {percent} percent of the song, " +
+        "which supports this score.",
+      below:
+        "lower promptable phrase coverage at about {percent} percent of the song, " +
+        "which limits how high this song can score.",
+    },
+    {
+      metric: "comfortable_gaps_per_minute",
+      target: 1.2,
+      digits: 1,
+      bands: [
+        {
+          min: 1.6,
+          message: "Comfortable gaps appear fairly often at roughly {value} per minute.",
+        },
+        {
+          min: 0.8,
+          message: "Comfortable gaps are present but not frequent at about {value} per minute.",
+        },
+        { message: "Comfortable gaps are scarce at roughly {value} per minute." },
+      ],
+      above:
+        "a relatively high rate of comfortable gaps at about {value} per minute, " +
+        "which creates more workable moments.",
+      below:
+        "a relatively low rate of comfortable gaps at about {value} per minute, " +
+        "which limits the number of workable moments.",
+    },
+    {
+      metric: "promptable_phrases_per_minute",
+      target: 5.0,
+      digits: 1,
+      bands: [
+        {
+          min: 6,
+          message:
+            "Promptable phrases per minute are high at about {value}, which increases opportunity.",
+        },
+        {
+          min: 3,
+          message: "Promptable phrases per minute are in a middle range at about {value}.",
+        },
+        { message: "Promptable phrases per minute are on the low side at about {value}." },
+      ],
+      above:
+        "a higher than usual number of promptable phrases per minute at about {value}, " +
+        "which supports this score.",
+      below:
+        "a lower than usual number of promptable phrases per minute at about {value}, " +
+        "which limits how high this song can score.",
+    },
+    {
+      metric: "usable_density",
+      target: 0.7,
+      digits: 2,
+      bands: [
+        {
+          min: 0.75,
+          message: "Usable density is strong, indicating a good balance of phrases and gaps.",
+        },
+        { min: 0.5, message: "Usable density is moderate, which can support some prompting." },
+        { message: "Usable density is relatively low, which limits how often prompts can fit." },
+      ],
+      above: "strong usable density around {value}, indicating many workable spots for prompts.",
+      below:
+        "lower usable density around {value}, which reduces how often prompts can comfortably fit.",
+    },
+  ],
+};
+
+// Reference values a typical good candidate sits around, as { metric, target }
+export const targetsFromRules = (ruleSet) =>
+  ruleSet.rules.map(({ metric, target }) => ({ metric, target }));
+
+export const REFERENCE_TARGETS = targetsFromRules(DEFAULT_RULE_SET);
+
+// Unknown placeholders are left as they are, so a typo shows up in the preview
+export const fillTemplate = (template, rule, value) => {
+  const values = {
+    value: value.toFixed(rule.digits),
+    percent: (value * 100).toFixed(0),
+    target: rule.target.toFixed(rule.digits),
+  };
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    values[name] === undefined ? match : values[name]
+  );
+};
+
+// Song specific insight bullets, one per rule whose metric the song has
+export const generateInsightBullets = (song, ruleSet = DEFAULT_RULE_SET) => {
+  if (!song) return [];
+  const bullets = ruleSet.rules
+    .filter((rule) => isNumber(song[rule.metric]))
+    .map((rule) => {
+      const value = song[rule.metric];
+      const last = rule.bands.length - 1;
+      const band = rule.bands.find((entry, index) => index === last || value >= entry.min);
+      return fillTemplate(band.message, rule, value);
+    });
+
+  // Keep it concise
+  return bullets.slice(0, ruleSet.max_bullets);
+};
+
+// Pick one metric as the deciding factor: the one furthest from its reference target
+export const getDecidingFactor = (song, ruleSet = DEFAULT_RULE_SET) => {
+  if (!song) return null;
+
+  const candidates = ruleSet.rules.filter((rule) => isNumber(song[rule.metric]));
+  if (!candidates.length) return null;
+
+  const distance = (rule) => Math.abs(song[rule.metric] - rule.target);
+  const best = candidates.reduce((pick, rule) => (distance(rule) > distance(pick) ? rule : pick));
+  const value = song[best.metric];
+  return fillTemplate(value >= best.target ? best.above : best.below, best, value);
+};
+
+const isText = (value) => typeof value === "string" && value.trim() !== "";
+
+// Problems with a rule set as it would be saved, one line each; [] when it can be used
+export const validateRuleSet = (ruleSet) => {
+  if (!ruleSet || typeof ruleSet !== "object" || !Array.isArray(ruleSet.rules)) {
+    return ["The rule set needs a list of rules."];
+  }
+  const errors = [];
+  if (!Number.isInteger(ruleSet.max_bullets) || ruleSet.max_bullets < 1) {
+    errors.push("Bullets shown must be a whole number of at least 1.");
+  }
+  if (!ruleSet.rules.length) errors.push("Add at least one rule.");
+
+  const checkTemplate = (where, template) => {
+    if (!isText(template)) {
+      errors.push(`${where} is empty.`);
+      return;
+    }
+    const unknown = [...template.matchAll(/\{(\w+)\}/g)]
+      .map((match) => match[1])
+      .filter((name) => !TEMPLATE_FIELDS.includes(name));
+    if (unknown.length) errors.push(`${where} uses unknown placeholder(s): ${unknown.join(", ")}.`);
+  };
+
+  const seen = new Set();
+  ruleSet.rules.forEach((rule, index) => {
+    const metric = rule && METRICS_BY_KEY[rule.metric];
+    const name = metric ? metric.label : `Rule ${index + 1}`;
+    if (!metric) {
+      errors.push(`${name}: choose a metric.`);
+      return;
+    }
+    if (seen.has(rule.metric)) errors.push(`${name}: there is already a rule for this metric.`);
+    seen.add(rule.metric);
+    if (!isNumber(rule.target)) errors.push(`${name}: the target must be a number.`);
+    if (!Number.isInteger(rule.digits) || rule.digits < 0 || rule.digits > 6) {
+      errors.push(`${name}: decimals must be a whole number from 0 to 6.`);
+    }
+
+    const bands = Array.isArray(rule.bands) ? rule.bands.map((band) => band || {}) : [];
+    if (!bands.length) errors.push(`${name}: add at least one band.`);
+    bands.forEach((band, bandIndex) => {
+      const last = bandIndex === bands.length - 1;
+      if (!last && !isNumber(band.min)) {
+        errors.push(
+          `${name}: band ${bandIndex + 1} needs a minimum (only the last band has none).`
+        );
+      }
+      if (!last && bandIndex > 0 && isNumber(band.min) && band.min >= bands[bandIndex - 1].min) {
+        errors.push(`${name}: band minimums must go from highest to lowest.`);
+      }
+      checkTemplate(`${name}: band ${bandIndex + 1} message`, band.message);
+    });
+    checkTemplate(`${name}: the "above target" text`, rule.above);
+    checkTemplate(`${name}: the "below target" text`, rule.below);
+  });
+  return errors;
+};
@@ -0,0 +1,113 @@
+import {
+  DEFAULT_RULE_SET,
+  REFERENCE_TARGETS,
+  fillTemplate,
+  generateInsightBullets,
+  getDecidingFactor,
+  validateRuleSet,
+} from "./insights";
+
+const onTarget = Object.fromEntries(
+  REFERENCE_TARGETS.map(({ metric, target }) => [metric, target])
+);
+
+test.each([
+  [{ promptable_phrase_coverage: 0.9 }, /strong promptable phrase coverage at about 90 percent/],
+  [{ promptable_phrase_coverage: 0.1 }, /lower promptable phrase coverage/],
+  [{ comfortable_gaps_per_minute: 3 }, /high rate of comfortable gaps at about 3.0/],
+  [{ usable_density: 0.2 }, /lower usable density around 0.20/],
+  [{ promptable_phrases_per_minute: 1 }, /lower than usual number of promptable phrases/],
+])("getDecidingFactor picks the metric furthest from target (%p)", (overrides, expected) => {
+  expect(getDecidingFactor({ ...onTarget, ...overrides })).toMatch(expected);
+});
+
+test("getDecidingFactor skips missing metrics", () => {
+  expect(getDecidingFactor({})).toBeNull();
+  expect(getDecidingFactor(null)).toBeNull();
+  expect(getDecidingFactor({ usable_density: NaN, promptable_phrase_coverage: 0.3 })).toMatch(
+    /promptable phrase coverage/
+  );
+});
+
+test("generateInsightBullets keeps at most three bullets", () => {
+  expect(generateInsightBullets({ ...onTarget })).toHaveLength(3);
+  expect(generateInsightBullets({})).toEqual([]);
+});
+
+test("generateInsightBullets picks the band the value reaches", () => {
+  expect(generateInsightBullets({ promptable_phrase_coverage: 0.4 })).toEqual([
+    "Promptable phrase coverage is moderate at around 40 percent.",
+  ]);
+  expect(generateInsightBullets({ usable_density: 0.1 })).toEqual([
+    "Usable density is relatively low, which limits how often prompts can fit.",
+  ]);
+});
+
+const customRules = {
+  version: 1,
+  max_bullets: 1,
+  rules: [
+    {
+      metric: "total_phrases",
+      target: 40,
+      digits: 0,
+      bands: [{ min: 30, message: "{value} phrases." }, { message: "Few phrases ({value})." }],
+      above: "plenty of phrases ({value}, target {target}).",
+      below: "too few phrases ({value}, target {target}).",
+    },
+  ],
+};
+
+test("a custom rule set changes thresholds, targets and wording", () => {
+  const song = { total_phrases: 12, usable_density: 0.9 };
+  expect(generateInsightBullets(song, customRules)).toEqual(["Few phrases (12)."]);
+  expect(getDecidingFactor(song, customRules)).toBe("too few phrases (12, target 40).");
+});
+
+test.each([
+  ["{value} of {target}", 0.456, "0.46 of 0.45"],
+  ["{percent} percent", 0.456, "46 percent"],
+  ["kept {unknown}", 1, "kept {unknown}"],
+])("fillTemplate(%p)", (template, value, expected) => {
+  expect(fillTemplate(template, { digits: 2, target: 0.45 }, value)).toBe(expected);
+});
+
+const withRule = (changes) => ({
+  ...customRules,
+  rules: [{ ...customRules.rules[0], ...changes }],
+});
+
+test.each([
+  ["the default rules", DEFAULT_RULE_SET, []],
+  ["no rules", { max_bullets: 3, rules: [] }, ["Add at least one rule."]],
+  ["no rule list", null, ["The rule set needs a list of rules."]],
+  ["an unknown metric", withRule({ metric: "loudness" }), ["Rule 1: choose a metric."]],
+  ["a missing target", withRule({ target: null }), ["Total phrases: the target must be a number."]],
+  [
+    "bands out of order",
+    withRule({ bands: [{ min: 1, message: "a" }, { min: 5, message: "b" }, { message: "c" }] }),
+    ["Total phrases: band minimums must go from highest to lowest."],
+  ],
+  [
+    "a band without a minimum",
+    withRule({ bands: [{ message: "a" }, { message: "b" }] }),
+    ["Total phrases: band 1 needs a minimum (only the last band has none)."],
+  ],
+  [
+    "an unknown placeholder",
+    withRule({ above: "{valu}" }),
+    ['Total phrases: the "above target" text uses unknown placeholder(s): valu.'],
+  ],
+  [
+    "an empty message",
+    withRule({ below: " " }),
+    ['Total phrases: the "below target" text is empty.'],
+  ],
+  [
+    "a duplicate metric",
+    { ...customRules, rules: [customRules.rules[0], customRules.rules[0]] },
+    ["Total phrases: there is already a rule for this metric."],
+  ],
+])("validateRuleSet flags %s", (name, ruleSet, expected) => {
+  expect(validateRuleSet(ruleSet)).toEqual(expected);
+});
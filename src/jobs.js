@@ -0,0 +1,239 @@
+// Client for the asynchronous analysis protocol. A backend that lists "jobs" in
+// the `features` of its health response takes the same multipart upload at
+// POST /jobs and answers 202 { job_id } once the file is stored. Then:
+//   GET    /jobs/{id}         { job_id, status, total, results, error }
+//   GET    /jobs/{id}/events  text/event-stream of `result` and `end` events
+//                             (only with the "job_events" feature)
+//   DELETE /jobs/{id}         cancels the job
+// Results have the shape of `/analyze-upload`'s `results`, plus `file_index`.
+import { readBackendError } from "./errorClassification";
+import { wait, withRetry } from "./retry";
+
+export const JOB_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  DONE: "done",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+const FINISHED_STATUSES = [JOB_STATUS.DONE, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+export const isJobFinished = (status) => FINISHED_STATUSES.includes(status);
+
+export class JobError extends Error {
+  constructor(message, { httpStatus, code } = {}) {
+    super(message);
+    this.name = "JobError";
+    this.httpStatus = httpStatus;
+    this.code = code;
+  }
+}
+
+// What the backend advertises in its health response
+export const readJobSupport = (data) => {
+  const features = data && Array.isArray(data.features) ? data.features : [];
+  return { jobs: features.includes("jobs"), events: features.includes("job_events") };
+};
+
+// mode is "sync", "jobs" or "auto" (jobs when the backend advertises them)
+export const shouldUseJobs = (mode, support) => {
+  if (mode === "jobs") return true;
+  if (mode === "sync") return false;
+  return Boolean(support && support.jobs);
+};
+
+// Split a text/event-stream buffer into complete events. The unfinished tail
+// is returned as `rest` to be prepended to the next chunk.
+export const parseEventStream = (buffer) => {
+  const blocks = buffer.replace(/\r\n?/g, "\n").split("\n\n");
+  const rest = blocks.pop();
+  const events = [];
+  blocks.forEach((block) => {
+    let event = "message";
+    const data = [];
+    block.split("\n").forEach((line) => {
+      if (!line || line.startsWith(":")) return;
+      const colon = line.indexOf(":");
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? "" : line.slice(colon + 1).replace(/^ /, "");
+      if (field === "event") event = value;
+      if (field === "data") data.push(value);
+    });
+    // Keep-alive comments and events without data are not dispatched
+    if (data.length) events.push({ event, data: data.join("\n") });
+  });
+  return { events, rest };
+};
+
+const networkError = () => {
+  const err = new Error("Network error while checking on the analysis");
+  err.name = "NetworkError";
+  return err;
+};
+
+const requestJob = async (url, { headers, signal }) => {
+  let response;
+  try {
+    response = await fetch(url, { headers, signal, cache: "no-store" });
+  } catch (err) {
+    if (err.name === "AbortError") throw err;
+    throw networkError();
+  }
+  const data = await response.json().catch(() => null);
+  return { status: response.status, ok: response.ok, data };
+};
+
+const errorFromResponse = ({ status, data }) => {
+  const { code, message } = readBackendError(data);
+  return new JobError(message || `Server responded with status ${status}`, {
+    httpStatus: status,
+    code,
+  });
+};
+
+export const fetchJob = async (url, { headers, signal, retry }) => {
+  const response = await withRetry(() => requestJob(url, { headers, signal }), {
+    ...retry,
+    signal,
+  });
+  if (!response.ok) throw errorFromResponse(response);
+  if (!response.data || !response.data.status) {
+    throw new JobError("Unexpected response format from server.");
+  }
+  return response.data;
+};
+
+// fetch rather than EventSource, which can't send an Authorization header.
+// Resolves once onEvent returns true or the server closes the stream.
+const streamEvents = async (url, { headers, signal, onEvent }) => {
+  const response = await fetch(url, {
+    headers: { ...headers, Accept: "text/event-stream" },
+    signal,
+    cache: "no-store",
+  });
+  if (!response.ok) {
+    throw new JobError(`Server responded with status ${response.status}`, {
+      httpStatus: response.status,
+    });
+  }
+  if (!response.body || typeof TextDecoder === "undefined") {
+    throw new JobError("This browser can't read event streams.");
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    const parsed = parseEventStream(buffer + decoder.decode(value, { stream: true }));
+    buffer = parsed.rest;
+    if (parsed.events.some(onEvent)) {
+      reader.cancel().catch(() => {});
+      return;
+    }
+  }
+};
+
+// Results are told apart by file_index or filename; failing both, by their place
+// in the job's results, which for streamed events is the order they arrived in
+const resultKey = (result, position) => result.file_index ?? result.filename ?? position;
+
+// Follow a job until it finishes and resolve with its final state. Events are
+// used when the backend has them; polling is the fallback and also picks up
+// where a dropped stream left off. onResult sees each result once.
+export const watchJob = async ({
+  url,
+  headers,
+  signal,
+  events,
+  pollIntervalMs,
+  retry,
+  onResult,
+}) => {
+  const seen = new Set();
+  let streamed = 0;
+  const report = (results = [], start = 0) => {
+    results.forEach((result, index) => {
+      const key = resultKey(result, start + index);
+      if (seen.has(key)) return;
+      seen.add(key);
+      if (onResult) onResult(result);
+    });
+  };
+
+  if (events) {
+    let finalJob = null;
+    try {
+      await streamEvents(`${url}/events`, {
+        headers,
+        signal,
+        onEvent: ({ event, data }) => {
+          const payload = JSON.parse(data);
+          if (event === "result") {
+            report([payload], streamed);
+            streamed += 1;
+          }
+          if (event === "end") finalJob = payload;
+          return Boolean(finalJob);
+        },
+      });
+    } catch (err) {
+      if (signal && signal.aborted) throw err;
+      // An auth failure would fail the polling too; anything else is worth polling for
+      if (err.httpStatus === 401 || err.httpStatus === 403) throw err;
+    }
+    if (finalJob && isJobFinished(finalJob.status)) {
+      report(finalJob.results);
+      return finalJob;
+    }
+  }
+
+  for (;;) {
+    const job = await fetchJob(url, { headers, signal, retry });
+    report(job.results);
+    if (isJobFinished(job.status)) return job;
+    await wait(pollIntervalMs, signal);
+  }
+};
+
+// Best effort; the job is abandoned either way
+export const cancelJob = (url, { headers }) =>
+  fetch(url, { method: "DELETE", headers }).catch(() => {});
+
+// Jobs still running on the server, so a reloaded page can pick them up again
+const PENDING_JOBS_KEY = "lyricCoach.pendingJobs";
+
+const readPendingJobs = () => {
+  try {
+    const jobs = JSON.parse(window.localStorage.getItem(PENDING_JOBS_KEY));
+    return Array.isArray(jobs) ? jobs : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+const writePendingJobs = (jobs) => {
+  try {
+    if (jobs.length) {
+      window.localStorage.setItem(PENDING_JOBS_KEY, JSON.stringify(jobs));
+    } else {
+      window.localStorage.removeItem(PENDING_JOBS_KEY);
+    }
+  } catch (err) {
+    // Storage disabled; jobs just can't be resumed after a reload
+  }
+};
+
+export const loadPendingJobs = (baseUrl) =>
+  readPendingJobs().filter((job) => job.baseUrl === baseUrl);
+
+// job: { baseUrl, jobId, filename, size, hash, runId }
+export const rememberJob = (job) => {
+  writePendingJobs([...readPendingJobs().filter((entry) => entry.jobId !== job.jobId), job]);
+};
+
+export const forgetJob = (jobId) => {
+  writePendingJobs(readPendingJobs().filter((entry) => entry.jobId !== jobId));
+};
@@ -0,0 +1,128 @@
+import {
+  forgetJob,
+  loadPendingJobs,
+  parseEventStream,
+  readJobSupport,
+  rememberJob,
+  shouldUseJobs,
+  watchJob,
+} from "./jobs";
+
+const retry = { retries: 0, baseDelayMs: 0, maxDelayMs: 0 };
+
+const respond = (status, body) =>
+  Promise.resolve({ status, ok: status >= 200 && status < 300, json: () => Promise.resolve(body) });
+
+afterEach(() => {
+  delete global.fetch;
+  window.localStorage.clear();
+});
+
+test.each([
+  ["auto", { jobs: true, events: false }, true],
+  ["auto", { jobs: false, events: false }, false],
+  ["auto", undefined, false],
+  ["jobs", undefined, true],
+  ["sync", { jobs: true, events: true }, false],
+])("shouldUseJobs(%s, %p) is %p", (mode, support, expected) => {
+  expect(shouldUseJobs(mode, support)).toBe(expected);
+});
+
+test.each([
+  [{ features: ["jobs", "job_events"] }, { jobs: true, events: true }],
+  [{ features: ["jobs"] }, { jobs: true, events: false }],
+  [{ status: "ok" }, { jobs: false, events: false }],
+  [null, { jobs: false, events: false }],
+])("readJobSupport(%p)", (data, expected) => {
+  expect(readJobSupport(data)).toEqual(expected);
+});
+
+test.each([
+  ['event: result\ndata: {"a":1}\n\n', [{ event: "result", data: '{"a":1}' }], ""],
+  ["data: one\ndata: two\n\ndata: par", [{ event: "message", data: "one\ntwo" }], "data: par"],
+  [": keep-alive\n\nevent: end\r\ndata:{}\r\n\r\n", [{ event: "end", data: "{}" }], ""],
+  ["event: ping\n\n", [], ""],
+])("parseEventStream(%p)", (buffer, events, rest) => {
+  expect(parseEventStream(buffer)).toEqual({ events, rest });
+});
+
+test("watchJob polls until the job finishes and reports each result once", async () => {
+  const first = { filename: "a.wav", file_index: 0 };
+  const second = { filename: "b.wav", file_index: 1 };
+  global.fetch = jest
+    .fn()
+    .mockImplementationOnce(() => respond(200, { status: "running", results: [first] }))
+    .mockImplementationOnce(() => respond(200, { status: "running", results: [first] }))
+    .mockImplementation(() => respond(200, { status: "done", results: [first, second] }));
+  const onResult = jest.fn();
+
+  const job = await watchJob({ url: "/jobs/1", pollIntervalMs: 0, retry, onResult });
+
+  expect(job.status).toBe("done");
+  expect(global.fetch).toHaveBeenCalledTimes(3);
+  expect(onResult.mock.calls.map(([result]) => result.filename)).toEqual(["a.wav", "b.wav"]);
+});
+
+// An event stream response that delivers `text` in one chunk
+const streamOf = (text) => {
+  const chunks = [Uint8Array.from(Buffer.from(text))];
+  return Promise.resolve({
+    status: 200,
+    ok: true,
+    body: {
+      getReader: () => ({
+        read: () => Promise.resolve(chunks.length ? { value: chunks.shift() } : { done: true }),
+        cancel: () => Promise.resolve(),
+      }),
+    },
+  });
+};
+
+test("watchJob reports streamed results without a file index or filename one by one", async () => {
+  const events = [
+    'event: result\ndata: {"score":1}\n\n',
+    'event: result\ndata: {"score":2}\n\n',
+    'event: end\ndata: {"status":"done","results":[{"score":1},{"score":2}]}\n\n',
+  ];
+  global.fetch = jest.fn(() => streamOf(events.join("")));
+  const onResult = jest.fn();
+
+  const job = await watchJob({ url: "/jobs/1", events: true, pollIntervalMs: 0, retry, onResult });
+
+  expect(job.status).toBe("done");
+  expect(onResult.mock.calls.map(([result]) => result.score)).toEqual([1, 2]);
+});
+
+test("watchJob falls back to polling when the event stream is unavailable", async () => {
+  global.fetch = jest.fn((url) =>
+    url.endsWith("/events") ? respond(404, null) : respond(200, { status: "done", results: [] })
+  );
+  const job = await watchJob({ url: "/jobs/1", events: true, pollIntervalMs: 0, retry });
+  expect(job.status).toBe("done");
+  expect(global.fetch.mock.calls.map(([url]) => url)).toEqual(["/jobs/1/events", "/jobs/1"]);
+});
+
+test.each([401, 404])(
+  "watchJob rejects with the HTTP status of a failed poll (%i)",
+  async (status) => {
+    global.fetch = jest.fn(() => respond(status, { error: "nope" }));
+    await expect(watchJob({ url: "/jobs/1", pollIntervalMs: 0, retry })).rejects.toMatchObject({
+      name: "JobError",
+      httpStatus: status,
+      message: "nope",
+    });
+  }
+);
+
+test("pending jobs are kept per backend until forgotten", () => {
+  rememberJob({ baseUrl: "https://a", jobId: "1", filename: "a.wav" });
+  rememberJob({ baseUrl: "https://b", jobId: "2", filename: "b.wav" });
+  rememberJob({ baseUrl: "https://a", jobId: "1", filename: "a2.wav" });
+
+  expect(loadPendingJobs("https://a")).toEqual([
+    { baseUrl: "https://a", jobId: "1", filename: "a2.wav" },
+  ]);
+  forgetJob("1");
+  expect(loadPendingJobs("https://a")).toEqual([]);
+  expect(loadPendingJobs("https://b")).toHaveLength(1);
+});
@@ -0,0 +1,137 @@
+// Every per-song metric the analyzer reports, in CSV column order. The results
+// table, its column picker, the comparison view and the CSV export all read
+// from this list. `higherIsBetter` marks metrics where more means a better fit.
+
+export const isNumber = (value) => typeof value === "number" && !Number.isNaN(value);
+
+export const formatSeconds = (sec) => {
+  if (sec === null || sec === undefined || Number.isNaN(sec)) return "";
+  const total = Number(sec);
+  const minutes = Math.floor(total / 60);
+  const seconds = Math.round(total - minutes * 60);
+  const padded = String(seconds).padStart(2, "0");
+  return `${minutes}:${padded}`;
+};
+
+export const formatCoveragePercent = (value) => {
+  if (value === null || value === undefined || Number.isNaN(value)) {
+    return "n/a";
+  }
+  return `${(Number(value) * 100).toFixed(0)}%`;
+};
+
+const fixed = (digits) => (value) => value.toFixed(digits);
+const count = (value) => String(value);
+
+export const METRICS = [
+  {
+    key: "song_minutes",
+    label: "Song minutes",
+    csvDigits: 3,
+    format: fixed(2),
+  },
+  {
+    key: "duration_seconds",
+    label: "Duration seconds",
+    shortLabel: "Duration",
+    csvDigits: 3,
+    format: formatSeconds,
+  },
+  { key: "total_phrases", label: "Total phrases", format: count },
+  {
+    key: "num_promptable_phrases",
+    label: "Promptable phrase count",
+    format: count,
+    higherIsBetter: true,
+  },
+  {
+    key: "near_promptable_phrases",
+    label: "Near promptable phrase count",
+    format: count,
+    higherIsBetter: true,
+  },
+  {
+    key: "promptable_phrases_per_minute",
+    label: "Promptable phrases per min",
+    csvDigits: 4,
+    format: fixed(2),
+    higherIsBetter: true,
+  },
+  {
+    key: "near_promptable_phrases_per_minute",
+    label: "Near promptable phrases per min",
+    csvDigits: 4,
+    format: fixed(2),
+    higherIsBetter: true,
+  },
+  {
+    key: "promptable_phrase_coverage",
+    label: "Promptable phrase coverage",
+    csvDigits: 4,
+    format: formatCoveragePercent,
+    isRatio: true,
+    higherIsBetter: true,
+  },
+  {
+    key: "comfortable_gaps_per_minute",
+    label: "Comfortable gaps per min",
+    csvDigits: 4,
+    format: fixed(2),
+    higherIsBetter: true,
+  },
+  {
+    key: "comfortable_gap_coverage",
+    label: "Comfortable gap coverage",
+    csvDigits: 4,
+    format: formatCoveragePercent,
+    isRatio: true,
+    higherIsBetter: true,
+  },
+  {
+    key: "total_gaps_per_minute",
+    label: "Total gaps per min",
+    csvDigits: 4,
+    format: fixed(2),
+  },
+  {
+    key: "avg_phrase_duration_sec",
+    label: "Avg phrase duration sec",
+    csvDigits: 4,
+    format: fixed(2),
+  },
+  {
+    key: "usable_density",
+    label: "Usable density",
+    csvDigits: 4,
+    format: fixed(2),
+    higherIsBetter: true,
+  },
+];
+
+export const METRICS_BY_KEY = Object.fromEntries(METRICS.map((metric) => [metric.key, metric]));
+
+// The three columns the table has always shown
+export const DEFAULT_TABLE_METRICS = [
+  "promptable_phrases_per_minute",
+  "promptable_phrase_coverage",
+  "comfortable_gaps_per_minute",
+];
+
+export const formatMetricCell = (metric, value) => (isNumber(value) ? metric.format(value) : "n/a");
+
+// CSV keeps full precision for rates and raw values for counts
+export const formatMetricCSV = (metric, value) => {
+  if (value === null || value === undefined) return "";
+  if (metric.csvDigits !== undefined && isNumber(value)) return value.toFixed(metric.csvDigits);
+  return value;
+};
+
+// Indexes holding the best of several values, or none when there is nothing to pick between
+export const bestIndexes = (values, higherIsBetter) => {
+  if (!higherIsBetter) return [];
+  const numeric = values.filter(isNumber);
+  if (numeric.length < 2) return [];
+  const best = Math.max(...numeric);
+  if (numeric.every((value) => value === best)) return [];
+  return values.reduce((acc, value, index) => (value === best ? [...acc, index] : acc), []);
+};
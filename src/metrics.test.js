@@ -0,0 +1,40 @@
+import { METRICS, METRICS_BY_KEY, bestIndexes, formatMetricCSV, formatMetricCell } from "./metrics";
+
+test("every metric has a unique key and a CSV label", () => {
+  const keys = METRICS.map((metric) => metric.key);
+  expect(new Set(keys).size).toBe(keys.length);
+  METRICS.forEach((metric) => expect(metric.label).toBeTruthy());
+});
+
+test.each([
+  ["promptable_phrases_per_minute", 3.14159, "3.14"],
+  ["promptable_phrase_coverage", 0.456, "46%"],
+  ["duration_seconds", 185.4, "3:05"],
+  ["total_phrases", 42, "42"],
+  ["usable_density", undefined, "n/a"],
+  ["usable_density", null, "n/a"],
+  ["usable_density", NaN, "n/a"],
+])("formatMetricCell(%s, %p) is %p", (key, value, expected) => {
+  expect(formatMetricCell(METRICS_BY_KEY[key], value)).toBe(expected);
+});
+
+test.each([
+  ["song_minutes", 3.5, "3.500"],
+  ["promptable_phrase_coverage", 0.456, "0.4560"],
+  ["total_phrases", 42, 42],
+  ["usable_density", undefined, ""],
+  ["usable_density", null, ""],
+])("formatMetricCSV(%s, %p) is %p", (key, value, expected) => {
+  expect(formatMetricCSV(METRICS_BY_KEY[key], value)).toBe(expected);
+});
+
+test.each([
+  [[1, 3, 2], true, [1]],
+  [[3, 1, 3], true, [0, 2]],
+  [[2, 2], true, []],
+  [[2, undefined], true, []],
+  [[1, 3], false, []],
+  [[null, 1, 0.5], true, [1]],
+])("bestIndexes(%p, %p) is %p", (values, higherIsBetter, expected) => {
+  expect(bestIndexes(values, higherIsBetter)).toEqual(expected);
+});
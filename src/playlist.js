@@ -0,0 +1,204 @@
+// Session playlists built from analyzed songs: running totals, checks against
+// the limits a clinician sets ("30 minutes, only Maybe or better"), a suggested
+// set that fits them, and the CSV, JSON and M3U exports.
+//
+// Functions that look at scores take scoreOf, so a clinician's override can
+// count instead of the analyzer's score.
+import { baseName } from "./download";
+import { RESULT_STATUS } from "./errorClassification";
+import { METRICS_BY_KEY, formatMetricCSV, formatSeconds, isNumber } from "./metrics";
+import { escapeCSV } from "./resultsFile";
+import { scoreToLabel } from "./scores";
+
+export const PLAYLIST_FORMAT = "lyric-coach-playlist";
+export const PLAYLIST_FORMAT_VERSION = 1;
+
+// maxMinutes and minScore are null when not set
+export const EMPTY_PLAYLIST = {
+  name: "Session playlist",
+  keys: [],
+  maxMinutes: null,
+  minScore: null,
+};
+
+const analyzerScore = (song) => song.score;
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+// Failed rows have nothing to play
+export const isPlaylistCandidate = (song) => (song.status || RESULT_STATUS.OK) === RESULT_STATUS.OK;
+
+// The songs behind `keys`, in order; keys whose song is gone are skipped
+export const playlistSongs = (keys, songs, keyOf) =>
+  keys.map((key) => songs.find((song) => keyOf(song) === key)).filter(Boolean);
+
+// A copy of list with the item at `from` moved to index `to`
+export const moveItem = (list, from, to) => {
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(Math.max(0, Math.min(to, next.length)), 0, item);
+  return next;
+};
+
+// Running totals. Coverage is weighted by duration, so it is the share of the
+// set's playing time that sits inside promptable phrases.
+export const playlistStats = (songs, scoreOf = analyzerScore) => {
+  const timed = songs.filter((song) => isNumber(song.duration_seconds));
+  const scores = songs.map(scoreOf).filter(isNumber);
+  const covered = timed.filter((song) => isNumber(song.promptable_phrase_coverage));
+  const coveredSeconds = sum(covered.map((song) => song.duration_seconds));
+  return {
+    count: songs.length,
+    totalSeconds: sum(timed.map((song) => song.duration_seconds)),
+    missingDurations: songs.length - timed.length,
+    averageScore: scores.length ? sum(scores) / scores.length : null,
+    coverage: coveredSeconds
+      ? sum(covered.map((song) => song.promptable_phrase_coverage * song.duration_seconds)) /
+        coveredSeconds
+      : null,
+  };
+};
+
+const meetsScore = (song, minScore, scoreOf) =>
+  !isNumber(minScore) || (isNumber(scoreOf(song)) && scoreOf(song) >= minScore);
+
+// What keeps a set from fitting its limits, one sentence each; [] when it fits
+export const checkPlaylist = (songs, { maxMinutes, minScore }, scoreOf = analyzerScore) => {
+  const problems = [];
+  const stats = playlistStats(songs, scoreOf);
+  if (isNumber(maxMinutes) && stats.totalSeconds > maxMinutes * 60) {
+    problems.push(
+      `It runs ${formatSeconds(stats.totalSeconds)}, over the ${maxMinutes} minute limit.`
+    );
+  }
+  if (isNumber(maxMinutes) && stats.missingDurations) {
+    problems.push(`${stats.missingDurations} song(s) have no duration, so the total is short.`);
+  }
+  const low = songs.filter((song) => !meetsScore(song, minScore, scoreOf)).length;
+  if (low) problems.push(`${low} song(s) score below ${scoreToLabel(minScore)}.`);
+  return problems;
+};
+
+// A set that fits the limits, starting from the songs in `keep` that meet the
+// score. The rest of the time is filled as closely as it can be without going
+// over; among equally long fills the higher scoring one wins. With no time
+// limit every song that meets the score is used, best first.
+export const suggestPlaylist = (
+  candidates,
+  { maxMinutes, minScore },
+  { keep = [], scoreOf = analyzerScore } = {}
+) => {
+  const kept = keep.filter((song) => meetsScore(song, minScore, scoreOf));
+  const eligible = candidates
+    .filter(
+      (song) =>
+        !keep.includes(song) &&
+        isPlaylistCandidate(song) &&
+        isNumber(song.duration_seconds) &&
+        meetsScore(song, minScore, scoreOf)
+    )
+    .sort((a, b) => (scoreOf(b) ?? 0) - (scoreOf(a) ?? 0));
+  if (!isNumber(maxMinutes)) return [...kept, ...eligible];
+
+  // 0/1 knapsack over whole seconds, rounding durations up so the set never runs over
+  const keptSeconds = playlistStats(kept).totalSeconds;
+  const budget = Math.max(0, Math.floor(maxMinutes * 60 - keptSeconds));
+  const weights = eligible.map((song) => Math.max(1, Math.ceil(song.duration_seconds)));
+  const best = new Float64Array(budget + 1).fill(-1);
+  best[0] = 0;
+  const taken = eligible.map((song, index) => {
+    const weight = weights[index];
+    const value = scoreOf(song) ?? 0;
+    const take = new Uint8Array(budget + 1);
+    for (let seconds = budget; seconds >= weight; seconds -= 1) {
+      const from = best[seconds - weight];
+      if (from >= 0 && from + value > best[seconds]) {
+        best[seconds] = from + value;
+        take[seconds] = 1;
+      }
+    }
+    return take;
+  });
+
+  let seconds = budget;
+  while (best[seconds] < 0) seconds -= 1;
+  const chosen = [];
+  for (let index = eligible.length - 1; index >= 0; index -= 1) {
+    if (taken[index][seconds]) {
+      chosen.unshift(eligible[index]);
+      seconds -= weights[index];
+    }
+  }
+  return [...kept, ...chosen];
+};
+
+const COVERAGE = METRICS_BY_KEY.promptable_phrase_coverage;
+
+const PLAYLIST_COLUMNS = [
+  { header: "Position", write: (song, index) => index + 1 },
+  { header: "Filename", write: (song) => song.filename },
+  { header: "Duration", write: (song) => formatSeconds(song.duration_seconds) },
+  {
+    header: "Duration seconds",
+    write: (song) => (isNumber(song.duration_seconds) ? song.duration_seconds.toFixed(1) : ""),
+  },
+  { header: "Score", write: (song, index, scoreOf) => scoreOf(song) ?? "" },
+  { header: "Score label", write: (song, index, scoreOf) => scoreToLabel(scoreOf(song)) },
+  { header: "Analyzer score", write: (song) => song.score ?? "" },
+  {
+    header: COVERAGE.label,
+    write: (song) => formatMetricCSV(COVERAGE, song.promptable_phrase_coverage),
+  },
+];
+
+export const buildPlaylistCSV = (songs, scoreOf = analyzerScore) => {
+  const header = PLAYLIST_COLUMNS.map((column) => escapeCSV(column.header)).join(",");
+  const rows = songs.map((song, index) =>
+    PLAYLIST_COLUMNS.map((column) => escapeCSV(column.write(song, index, scoreOf))).join(",")
+  );
+  return [header, ...rows].join("\r\n");
+};
+
+export const buildPlaylistJSON = (songs, playlist, scoreOf = analyzerScore) => {
+  const stats = playlistStats(songs, scoreOf);
+  return JSON.stringify(
+    {
+      format: PLAYLIST_FORMAT,
+      version: PLAYLIST_FORMAT_VERSION,
+      exported_at: new Date().toISOString(),
+      name: playlist.name,
+      constraints: { max_minutes: playlist.maxMinutes, min_score: playlist.minScore },
+      summary: {
+        songs: stats.count,
+        total_seconds: stats.totalSeconds,
+        average_score: stats.averageScore,
+        promptable_phrase_coverage: stats.coverage,
+      },
+      songs: songs.map((song, index) => ({
+        position: index + 1,
+        filename: song.filename,
+        duration_seconds: isNumber(song.duration_seconds) ? song.duration_seconds : null,
+        score: scoreOf(song) ?? null,
+        analyzer_score: song.score ?? null,
+        promptable_phrase_coverage: isNumber(song.promptable_phrase_coverage)
+          ? song.promptable_phrase_coverage
+          : null,
+      })),
+    },
+    null,
+    2
+  );
+};
+
+// Extended M3U naming each file as it was picked, so the playlist plays when
+// saved where the songs were picked from. The upload name can differ (folder
+// stems are sent as "Song_vocals.wav"), so source_path wins when the result
+// has one. -1 is M3U for an unknown length.
+export const buildPlaylistM3U = (songs, playlist) => {
+  const lines = ["#EXTM3U", `#PLAYLIST:${playlist.name.replace(/\s+/g, " ")}`];
+  songs.forEach((song) => {
+    const seconds = isNumber(song.duration_seconds) ? Math.round(song.duration_seconds) : -1;
+    lines.push(`#EXTINF:${seconds},${baseName(song.filename)}`, song.source_path || song.filename);
+  });
+  return lines.join("\r\n") + "\r\n";
+};
@@ -0,0 +1,164 @@
+import {
+  EMPTY_PLAYLIST,
+  PLAYLIST_FORMAT,
+  buildPlaylistCSV,
+  buildPlaylistJSON,
+  buildPlaylistM3U,
+  checkPlaylist,
+  moveItem,
+  playlistSongs,
+  playlistStats,
+  suggestPlaylist,
+} from "./playlist";
+
+const song = (filename, score, minutes, coverage = 0.5) => ({
+  filename,
+  score,
+  duration_seconds: minutes * 60,
+  promptable_phrase_coverage: coverage,
+  status: "ok",
+});
+
+const hello = song("Hello.wav", 3, 4, 0.6);
+const river = song("River.mp3", 2, 6, 0.3);
+const storm = song("Storm.wav", 1, 5);
+const broken = { filename: "Broken.wav", status: "server_error" };
+const untimed = { filename: "Untimed.wav", score: 3, status: "ok" };
+
+const filenames = (songs) => songs.map((entry) => entry.filename);
+
+test.each([
+  [["a", "b", "c"], 0, 2, ["b", "c", "a"]],
+  [["a", "b", "c"], 2, 0, ["c", "a", "b"]],
+  [["a", "b", "c"], 1, 9, ["a", "c", "b"]],
+])("moveItem(%j, %i, %i)", (list, from, to, expected) => {
+  expect(moveItem(list, from, to)).toEqual(expected);
+});
+
+test("playlist songs follow the key order and skip songs that are gone", () => {
+  const songs = playlistSongs(
+    ["River.mp3", "Gone.wav", "Hello.wav"],
+    [hello, river],
+    (entry) => entry.filename
+  );
+  expect(filenames(songs)).toEqual(["River.mp3", "Hello.wav"]);
+});
+
+test("stats total the duration and weight coverage by it", () => {
+  expect(playlistStats([hello, river, untimed])).toEqual({
+    count: 3,
+    totalSeconds: 600,
+    missingDurations: 1,
+    averageScore: (3 + 2 + 3) / 3,
+    coverage: (0.6 * 240 + 0.3 * 360) / 600,
+  });
+  expect(playlistStats([])).toMatchObject({ totalSeconds: 0, averageScore: null, coverage: null });
+});
+
+test.each([
+  ["no limits", [hello, storm], {}, []],
+  ["a set that fits", [hello, river], { maxMinutes: 10, minScore: 2 }, []],
+  ["a set that runs over", [hello, river], { maxMinutes: 9 }, [/10:00, over the 9 minute/]],
+  ["a low score", [hello, storm], { minScore: 2 }, [/1 song\(s\) score below Maybe/]],
+  ["an unknown length", [hello, untimed], { maxMinutes: 30 }, [/1 song\(s\) have no duration/]],
+])("checkPlaylist with %s", (name, songs, limits, problems) => {
+  const found = checkPlaylist(songs, { ...EMPTY_PLAYLIST, ...limits });
+  expect(found).toHaveLength(problems.length);
+  problems.forEach((problem, index) => expect(found[index]).toMatch(problem));
+});
+
+test("a clinician's score can count instead of the analyzer's", () => {
+  const scoreOf = (entry) => (entry === storm ? 3 : entry.score);
+  expect(checkPlaylist([storm], { maxMinutes: null, minScore: 2 }, scoreOf)).toEqual([]);
+  expect(playlistStats([storm], scoreOf).averageScore).toBe(3);
+});
+
+const library = [
+  hello,
+  river,
+  storm,
+  broken,
+  untimed,
+  song("Lullaby.wav", 3, 3),
+  song("March.wav", 2, 7),
+  song("Waltz.wav", 3, 8),
+];
+
+test.each([
+  // The Strong songs run 4 + 3 + 8 minutes, so all of them fit
+  ["16 minutes of Strong songs", { maxMinutes: 16, minScore: 3 }, 15 * 60],
+  // Every Maybe or better song together only runs 28 minutes
+  ["30 minutes of Maybe or better", { maxMinutes: 30, minScore: 2 }, 28 * 60],
+  ["10 minutes of anything", { maxMinutes: 10, minScore: null }, 10 * 60],
+])("suggestPlaylist fits %s", (name, limits, seconds) => {
+  const suggested = suggestPlaylist(library, limits);
+  expect(checkPlaylist(suggested, limits)).toEqual([]);
+  expect(playlistStats(suggested).totalSeconds).toBe(seconds);
+  expect(suggested).not.toContain(broken);
+  expect(suggested).not.toContain(untimed);
+});
+
+test("suggestPlaylist prefers higher scores when lengths tie", () => {
+  // Both fill the 5 minutes exactly
+  const suggested = suggestPlaylist([storm, song("Calm.wav", 3, 5)], { maxMinutes: 5 });
+  expect(filenames(suggested)).toEqual(["Calm.wav"]);
+});
+
+test("suggestPlaylist keeps songs already in the set that meet the score", () => {
+  const limits = { maxMinutes: 12, minScore: 2 };
+  const suggested = suggestPlaylist(library, limits, { keep: [river, storm] });
+  expect(suggested[0]).toBe(river);
+  expect(suggested).not.toContain(storm);
+  expect(playlistStats(suggested).totalSeconds).toBeLessThanOrEqual(12 * 60);
+});
+
+test("without a time limit every song that meets the score is suggested, best first", () => {
+  const suggested = suggestPlaylist([storm, river, hello], { maxMinutes: null, minScore: 2 });
+  expect(filenames(suggested)).toEqual(["Hello.wav", "River.mp3"]);
+});
+
+test("the set exports as CSV, JSON and M3U", () => {
+  const playlist = { ...EMPTY_PLAYLIST, name: "Tuesday group", maxMinutes: 30, minScore: 2 };
+  const songs = [hello, { ...untimed, filename: 'Odd, "name".wav' }];
+
+  expect(buildPlaylistCSV(songs).split("\r\n")).toEqual([
+    "Position,Filename,Duration,Duration seconds,Score,Score label,Analyzer score," +
+      "Promptable phrase coverage",
+    "1,Hello.wav,4:00,240.0,3,Strong,3,0.6000",
+    '2,"Odd, ""name"".wav",,,3,Strong,3,',
+  ]);
+
+  expect(JSON.parse(buildPlaylistJSON(songs, playlist))).toMatchObject({
+    format: PLAYLIST_FORMAT,
+    name: "Tuesday group",
+    constraints: { max_minutes: 30, min_score: 2 },
+    summary: { songs: 2, total_seconds: 240, average_score: 3 },
+    songs: [
+      { position: 1, filename: "Hello.wav", duration_seconds: 240 },
+      { position: 2, filename: 'Odd, "name".wav', duration_seconds: null },
+    ],
+  });
+
+  expect(buildPlaylistM3U(songs, playlist)).toBe(
+    [
+      "#EXTM3U",
+      "#PLAYLIST:Tuesday group",
+      "#EXTINF:240,Hello",
+      "Hello.wav",
+      '#EXTINF:-1,Odd, "name"',
+      'Odd, "name".wav',
+      "",
+    ].join("\r\n")
+  );
+});
+
+test("M3U entries point at folder stems where they were picked, not at their upload name", () => {
+  const stem = { ...hello, filename: "Song_vocals.wav", source_path: "Song/vocals.wav" };
+  expect(buildPlaylistM3U([stem], { ...EMPTY_PLAYLIST, name: "Stems" }).split("\r\n")).toEqual([
+    "#EXTM3U",
+    "#PLAYLIST:Stems",
+    "#EXTINF:240,Song_vocals",
+    "Song/vocals.wav",
+    "",
+  ]);
+});
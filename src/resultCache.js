@@ -0,0 +1,67 @@
+import { trimmedHash } from "./audio/trim";
+import { isDatabaseAvailable, withStore } from "./db";
+
+const STORE = "resultCache";
+const VERSION_KEY_PREFIX = "lyricCoach.backendVersion.";
+
+// Results are only reusable for the same backend and analyzer version
+export const cacheNamespace = (baseUrl, version) => (version ? `${baseUrl}@${version}` : baseUrl);
+
+const cacheKey = (hash, namespace) => `${hash}|${namespace}`;
+
+// A result is only reused for a file sent the same way: the same trimmed
+// regions, and reduced with the same { sampleRate, format } or not at all
+export const resultCacheHash = (hash, { trim = null, reduce = null } = {}) => {
+  const trimmed = trimmedHash(hash, trim);
+  return trimmed && reduce ? `${trimmed}~${reduce.format}@${reduce.sampleRate}` : trimmed;
+};
+
+// Fields that belong to one upload, not to the file's analysis
+const storableResult = (result) => {
+  const { upload_id: uploadId, filename, cached, ...rest } = result;
+  return rest;
+};
+
+export const getCachedResult = async (hash, namespace) => {
+  if (!hash || !isDatabaseAvailable()) return null;
+  const entry = await withStore(STORE, "readonly", (store, request) =>
+    request(store.get(cacheKey(hash, namespace)))
+  );
+  return entry ? entry.result : null;
+};
+
+export const putCachedResult = async (hash, namespace, result) => {
+  if (!hash || !isDatabaseAvailable()) return;
+  await withStore(STORE, "readwrite", (store, request) =>
+    request(
+      store.put({
+        key: cacheKey(hash, namespace),
+        hash,
+        namespace,
+        cached_at: new Date().toISOString(),
+        result: storableResult(result),
+      })
+    )
+  );
+};
+
+// The analyzer version is only known from responses, so remember the last one per backend
+export const knownBackendVersion = (baseUrl) => {
+  try {
+    return window.localStorage.getItem(VERSION_KEY_PREFIX + baseUrl) || null;
+  } catch (err) {
+    return null;
+  }
+};
+
+export const rememberBackendVersion = (baseUrl, version) => {
+  try {
+    window.localStorage.setItem(VERSION_KEY_PREFIX + baseUrl, version);
+  } catch (err) {
+    // Storage disabled; the cache falls back to keying on the URL alone
+  }
+};
+
+// Version string from a response, wherever the backend put it
+export const readBackendVersion = (data) =>
+  (data && (data.analyzer_version || data.backend_version || data.version)) || null;
@@ -0,0 +1,79 @@
+import {
+  cacheNamespace,
+  getCachedResult,
+  putCachedResult,
+  readBackendVersion,
+  resultCacheHash,
+} from "./resultCache";
+
+// An in-memory stand-in for the IndexedDB store
+jest.mock("./db", () => {
+  const entries = new Map();
+  const store = {
+    get: (key) => entries.get(key),
+    put: (entry) => entries.set(entry.key, entry),
+    clear: () => entries.clear(),
+  };
+  return {
+    isDatabaseAvailable: () => true,
+    withStore: async (name, mode, work) => work(store, async (value) => value),
+    memoryStore: store,
+  };
+});
+
+const { memoryStore } = jest.requireMock("./db");
+
+beforeEach(() => memoryStore.clear());
+
+const trim = { regions: [{ start: 1, end: 2.5 }], source_seconds: 10 };
+const reduce = { sampleRate: 22050, format: "flac" };
+const production = cacheNamespace("https://api.test", "2.0");
+
+test.each([
+  ["the whole file", {}, "abc"],
+  ["a trimmed file", { trim }, "abc@1.00-2.50"],
+  ["a reduced copy", { reduce }, "abc~flac@22050"],
+  ["a trimmed, reduced copy", { trim, reduce }, "abc@1.00-2.50~flac@22050"],
+])("resultCacheHash for %s", (name, options, expected) => {
+  expect(resultCacheHash("abc", options)).toBe(expected);
+});
+
+test("without a hash nothing is cached", () => {
+  expect(resultCacheHash(null, { reduce })).toBeNull();
+});
+
+test("a stored result comes back without the upload's own fields", async () => {
+  await putCachedResult("abc", production, {
+    filename: "Hello.wav",
+    upload_id: "upload-1",
+    cached: false,
+    score: 3,
+  });
+  expect(await getCachedResult("abc", production)).toEqual({ score: 3 });
+});
+
+test.each([
+  ["another file", "def", production],
+  ["another analyzer version", "abc", cacheNamespace("https://api.test", "2.1")],
+  ["another backend", "abc", cacheNamespace("https://staging.test", "2.0")],
+  ["a reduced copy of the same file", resultCacheHash("abc", { reduce }), production],
+  ["the original of a reduced copy", "abc", production, resultCacheHash("abc", { reduce })],
+])("a result isn't served for %s", async (name, hash, namespace, storedHash = "abc") => {
+  await putCachedResult(storedHash, production, { score: 3 });
+  expect(await getCachedResult(hash, namespace)).toBeNull();
+});
+
+test("putting a result again replaces the old one", async () => {
+  await putCachedResult("abc", production, { score: 1 });
+  await putCachedResult("abc", production, { score: 2 });
+  expect(await getCachedResult("abc", production)).toEqual({ score: 2 });
+});
+
+test.each([
+  [{ analyzer_version: "2.0", version: "x" }, "2.0"],
+  [{ backend_version: "1.4" }, "1.4"],
+  [{ results: [] }, null],
+  [null, null],
+])("readBackendVersion(%j)", (data, expected) => {
+  expect(readBackendVersion(data)).toBe(expected);
+});
@@ -0,0 +1,138 @@
+// Declared shape of analysis responses, and the one place raw results become
+// the objects the UI works with. Version 2 (current) nests the numbers under
+// `metrics`; version 1 put them on the result itself, which is also how demo,
+// cached and saved results look. Responses without `schema_version` are told
+// apart by shape.
+//
+// A normalized result has:
+//   filename, explanation   string ("" when missing)
+//   score                   1, 2, 3 or null
+//   <metric key>            a finite number or undefined, for every METRICS key
+//   status, status_message  from classifyResultItem
+//   schema_issues           what had to be coerced or dropped, one line per field
+// plus any fields the schema doesn't know about (segments, for one), unchanged.
+import { classifyResultItem } from "./errorClassification";
+import { METRICS } from "./metrics";
+import { readBackendVersion } from "./resultCache";
+
+export const SCHEMA_VERSION = 2;
+
+// duration_seconds is derived, never sent
+const METRIC_FIELDS = METRICS.map((metric) => metric.key).filter(
+  (key) => key !== "duration_seconds"
+);
+
+const describe = (value) => {
+  if (Array.isArray(value)) return "a list";
+  if (typeof value === "string") return `"${value.length > 20 ? `${value.slice(0, 20)}…` : value}"`;
+  return typeof value === "object" ? "an object" : String(value);
+};
+
+// Each coercer returns { value } or { value, issue }. null and undefined are
+// simply missing, which is not an issue.
+const coerceNumber = (value) => {
+  if (value === null || value === undefined) return { value: undefined };
+  if (typeof value === "number" && Number.isFinite(value)) return { value };
+  if (typeof value === "string" && value.trim() !== "" && Number.isFinite(Number(value))) {
+    return { value: Number(value), issue: `expected a number, got ${describe(value)} (converted)` };
+  }
+  return { value: undefined, issue: `expected a number, got ${describe(value)}` };
+};
+
+const coerceScore = (value) => {
+  if (value === null || value === undefined) return { value: null };
+  const { value: number } = coerceNumber(value);
+  if ([1, 2, 3].includes(number)) {
+    return typeof value === "number"
+      ? { value: number }
+      : { value: number, issue: `expected a score of 1 to 3, got ${describe(value)} (converted)` };
+  }
+  return { value: null, issue: `expected a score of 1 to 3, got ${describe(value)}` };
+};
+
+const coerceString = (value) => {
+  if (value === null || value === undefined) return { value: "" };
+  if (typeof value === "string") return { value };
+  if (typeof value === "number") return { value: String(value) };
+  return { value: "", issue: `expected text, got ${describe(value)}` };
+};
+
+const RESULT_FIELDS = {
+  filename: coerceString,
+  explanation: coerceString,
+  score: coerceScore,
+  ...Object.fromEntries(METRIC_FIELDS.map((key) => [key, coerceNumber])),
+};
+
+export const detectSchemaVersion = (data) => {
+  if (data && Number.isInteger(data.schema_version)) return data.schema_version;
+  const results = data && Array.isArray(data.results) ? data.results : [];
+  return results.some((item) => item && item.metrics && typeof item.metrics === "object") ? 2 : 1;
+};
+
+export const normalizeResultItem = (raw) => {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    const issue = `result: expected an object, got ${describe(raw)}`;
+    return {
+      ...classifyResultItem({ error: "The server sent an unreadable result." }),
+      filename: "",
+      explanation: "",
+      score: null,
+      schema_issues: [issue],
+    };
+  }
+
+  // Nested metrics win over same-named fields on the result, as they always have
+  const { metrics, ...item } = raw;
+  const nested = metrics && typeof metrics === "object" && !Array.isArray(metrics) ? metrics : {};
+  const source = { ...item, ...nested };
+  const issues = [];
+  if (metrics !== undefined && metrics !== null && metrics !== nested) {
+    issues.push(`metrics: expected an object, got ${describe(metrics)}`);
+  }
+
+  const normalized = { ...source };
+  Object.entries(RESULT_FIELDS).forEach(([key, coerce]) => {
+    const { value, issue } = coerce(source[key]);
+    normalized[key] = value;
+    if (issue) issues.push(`${key}: ${issue}`);
+  });
+
+  // Older responses and saved demo rows carry seconds instead of minutes
+  const { value: seconds } = coerceNumber(source.duration_seconds);
+  if (normalized.song_minutes === undefined && seconds !== undefined) {
+    normalized.song_minutes = seconds / 60;
+  }
+  normalized.duration_seconds =
+    normalized.song_minutes === undefined ? undefined : normalized.song_minutes * 60;
+
+  return {
+    ...normalized,
+    ...classifyResultItem(normalized),
+    schema_issues: issues,
+  };
+};
+
+// Throws when there is nothing to show; otherwise every item comes back
+// normalized, and response-level problems are listed in `issues`
+export const parseAnalysisResponse = (data) => {
+  if (!data || typeof data !== "object" || !Array.isArray(data.results) || !data.results.length) {
+    throw new Error("Unexpected response format from server.");
+  }
+
+  const schemaVersion = detectSchemaVersion(data);
+  const issues = [];
+  if (schemaVersion > SCHEMA_VERSION) {
+    issues.push(
+      `Response schema version ${schemaVersion} is newer than this app understands ` +
+        `(${SCHEMA_VERSION}); some fields may be missing.`
+    );
+  }
+
+  return {
+    schemaVersion,
+    analyzerVersion: readBackendVersion(data),
+    results: data.results.map(normalizeResultItem),
+    issues,
+  };
+};
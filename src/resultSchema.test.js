@@ -0,0 +1,94 @@
+import malformed from "./__fixtures__/analysis-malformed.json";
+import legacyFlat from "./__fixtures__/analysis-v1-flat.json";
+import current from "./__fixtures__/analysis-v2.json";
+import future from "./__fixtures__/analysis-v3.json";
+import { detectSchemaVersion, normalizeResultItem, parseAnalysisResponse } from "./resultSchema";
+
+test.each([
+  ["current", current, 2, "2.3.0", ["ok", "full_track"]],
+  ["legacy flat", legacyFlat, 1, "1.0.4", ["ok", "full_track"]],
+  ["malformed", malformed, 2, "2.3.0", ["ok", "full_track", "server_error"]],
+  ["newer", future, 3, null, ["ok"]],
+])("parses the %s response shape", (name, data, version, analyzerVersion, statuses) => {
+  const parsed = parseAnalysisResponse(data);
+  expect(parsed.schemaVersion).toBe(version);
+  expect(parsed.analyzerVersion).toBe(analyzerVersion);
+  expect(parsed.results.map((result) => result.status)).toEqual(statuses);
+});
+
+test("current results are flattened without issues", () => {
+  const [song] = parseAnalysisResponse(current).results;
+  expect(song).toMatchObject({
+    filename: "Morning Light_vocals.wav",
+    score: 3,
+    song_minutes: 3.25,
+    duration_seconds: 195,
+    promptable_phrase_coverage: 0.52,
+    schema_issues: [],
+  });
+  expect(song).not.toHaveProperty("metrics");
+});
+
+test("legacy results derive song minutes from seconds", () => {
+  const [song, unknown] = parseAnalysisResponse(legacyFlat).results;
+  expect(song.song_minutes).toBe(2.5);
+  expect(song.duration_seconds).toBe(150);
+  expect(unknown.score).toBeNull();
+  expect(unknown.schema_issues).toEqual([]);
+});
+
+test("malformed fields are coerced or dropped and reported", () => {
+  const [strings, wrongTypes, notAnObject] = parseAnalysisResponse(malformed).results;
+
+  expect(strings).toMatchObject({
+    score: 3,
+    explanation: "",
+    song_minutes: 3.5,
+    duration_seconds: 210,
+    promptable_phrases_per_minute: undefined,
+    promptable_phrase_coverage: undefined,
+    usable_density: undefined,
+  });
+  expect(strings.schema_issues).toEqual([
+    'score: expected a score of 1 to 3, got "3" (converted)',
+    'song_minutes: expected a number, got "3.5" (converted)',
+    'promptable_phrases_per_minute: expected a number, got "n/a"',
+    "usable_density: expected a number, got an object",
+  ]);
+
+  expect(wrongTypes.filename).toBe("42");
+  expect(wrongTypes.score).toBeNull();
+  expect(wrongTypes.schema_issues).toEqual([
+    'metrics: expected an object, got "unavailable"',
+    "score: expected a score of 1 to 3, got 7",
+  ]);
+
+  expect(notAnObject.schema_issues).toEqual(['result: expected an object, got "not a result"']);
+});
+
+test("a newer schema version is reported but still parsed", () => {
+  const parsed = parseAnalysisResponse(future);
+  expect(parsed.issues).toHaveLength(1);
+  expect(parsed.results[0].promptable_phrases_per_minute).toBe(5);
+  expect(parsed.results[0].coverage).toEqual({ promptable: 0.4 });
+});
+
+test.each([[null], [{}], [{ results: [] }], [{ results: "none" }]])(
+  "rejects a response without results (%p)",
+  (data) => {
+    expect(() => parseAnalysisResponse(data)).toThrow("Unexpected response format from server.");
+  }
+);
+
+test.each([
+  [{ schema_version: 1, results: [{ metrics: {} }] }, 1],
+  [{ results: [{ metrics: null }] }, 1],
+  [{ results: [{ score: 2 }, { metrics: {} }] }, 2],
+])("detectSchemaVersion(%p) is %i", (data, expected) => {
+  expect(detectSchemaVersion(data)).toBe(expected);
+});
+
+test("normalizing a normalized result changes nothing", () => {
+  const once = normalizeResultItem(current.results[0]);
+  expect(normalizeResultItem(once)).toEqual(once);
+});
@@ -0,0 +1,298 @@
+// Results as files: the CSV and JSON exports, and reading either back in so a
+// colleague can open a batch without the audio. The CSV columns are declared
+// once so the export and the import can't drift apart.
+import { normalizeAnnotation } from "./annotations";
+import { formatRegions, parseRegions } from "./audio/trim";
+import { isLocalEstimate } from "./audio/localAnalysis";
+import { RESULT_STATUS } from "./errorClassification";
+import { storableResult } from "./historyStore";
+import { METRICS, formatMetricCSV } from "./metrics";
+import { normalizeResultItem } from "./resultSchema";
+import { SCORE_OPTIONS, scoreToLabel } from "./scores";
+import { TRACK_FIELDS, formatTrackField, normalizeTrackInfo } from "./trackInfo";
+
+export const RESULTS_FORMAT = "lyric-coach-results";
+export const RESULTS_FORMAT_VERSION = 1;
+
+const LOCAL_SOURCE_LABEL = "local estimate";
+
+// Numbers as numbers; anything else is left for normalizeResultItem to report
+const readNumber = (text) => {
+  if (text.trim() === "") return undefined;
+  return Number.isFinite(Number(text)) ? Number(text) : text;
+};
+
+const override = (item) => (item.annotation && item.annotation.override) || null;
+
+const scoreFromLabel = (label) => {
+  const option = SCORE_OPTIONS.find((entry) => entry.label === label);
+  return option ? option.value : undefined;
+};
+
+// Each column writes a cell from a result and reads a cell back into fields.
+// Annotations (see annotations.js) travel as item.annotation, tags read from
+// the file (see trackInfo.js) as item.track_info.
+const CSV_COLUMNS = [
+  {
+    header: "Filename",
+    write: (item) => item.filename,
+    read: (text) => ({ filename: text }),
+  },
+  ...TRACK_FIELDS.map((field) => ({
+    header: field.label,
+    write: (item) => formatTrackField(item.track_info, field.key),
+    read: (text) => ({ [`track_${field.key}`]: text }),
+  })),
+  {
+    header: "Score",
+    write: (item) => item.score,
+    read: (text) => ({ score: readNumber(text) }),
+  },
+  {
+    header: "Score label",
+    write: (item) => scoreToLabel(item.score),
+    read: (text) => ({ score_label: text }),
+  },
+  {
+    header: "Explanation",
+    write: (item) => item.explanation ?? "",
+    read: (text) => ({ explanation: text }),
+  },
+  {
+    header: "Analyzed regions",
+    write: (item) => (item.trim ? formatRegions(item.trim.regions) : ""),
+    read: (text) => {
+      const regions = parseRegions(text);
+      return regions ? { trim: { regions, source_seconds: null } } : {};
+    },
+  },
+  ...METRICS.map((metric) => ({
+    header: metric.label,
+    write: (item) => formatMetricCSV(metric, item[metric.key]),
+    read: (text) => ({ [metric.key]: readNumber(text) }),
+  })),
+  {
+    header: "Status",
+    write: (item) => item.status || RESULT_STATUS.OK,
+    read: (text) => ({ status: text }),
+  },
+  {
+    header: "Status detail",
+    write: (item) => item.status_message ?? "",
+    read: (text) => ({ status_message: text }),
+  },
+  {
+    header: "Analysis source",
+    write: (item) => (isLocalEstimate(item) ? LOCAL_SOURCE_LABEL : "analyzer"),
+    read: (text) => (text === LOCAL_SOURCE_LABEL ? { analysis_source: "local" } : {}),
+  },
+  {
+    header: "Override score",
+    write: (item) => (override(item) ? override(item).score : ""),
+    read: (text) => ({ override_score: readNumber(text) }),
+  },
+  {
+    header: "Override label",
+    write: (item) => (override(item) ? scoreToLabel(override(item).score) : ""),
+    read: (text) => ({ override_label: text }),
+  },
+  {
+    header: "Override reason",
+    write: (item) => (override(item) ? override(item).reason : ""),
+    read: (text) => ({ override_reason: text }),
+  },
+  {
+    header: "Tags",
+    write: (item) => (item.annotation ? item.annotation.tags.join(", ") : ""),
+    read: (text) => ({ tags: text }),
+  },
+  {
+    header: "Notes",
+    write: (item) => (item.annotation ? item.annotation.notes : ""),
+    read: (text) => ({ notes: text }),
+  },
+];
+
+export const escapeCSV = (value) => {
+  if (value === null || value === undefined) return "";
+  const str = String(value);
+  const escaped = str.replace(/"/g, '""');
+  const needsQuotes = /[",\n\r]/.test(escaped);
+  return needsQuotes ? `"${escaped}"` : escaped;
+};
+
+export const buildResultsCSV = (results) =>
+  [
+    CSV_COLUMNS.map((column) => column.header),
+    ...results.map((item) => CSV_COLUMNS.map((column) => column.write(item))),
+  ]
+    .map((row) => row.map(escapeCSV).join(","))
+    .join("\r\n");
+
+// Every field of every result, plus where and with what they were produced
+export const buildResultsJSON = (results, { run, appVersion, backend, backendVersion } = {}) =>
+  JSON.stringify(
+    {
+      format: RESULTS_FORMAT,
+      version: RESULTS_FORMAT_VERSION,
+      exported_at: new Date().toISOString(),
+      app_version: appVersion || null,
+      backend: {
+        label: backend ? backend.label : null,
+        url: backend ? backend.url : null,
+        version: backendVersion || null,
+      },
+      run: run ? { id: run.id ?? null, name: run.name, created_at: run.created_at } : null,
+      results: results.map(storableResult),
+    },
+    null,
+    2
+  );
+
+// Rows of cells. Quoted cells may hold commas, quotes and line breaks.
+export const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((value) => value !== ""));
+};
+
+const KNOWN_STATUSES = Object.values(RESULT_STATUS);
+
+// A saved row normalized like a fresh response. The saved status wins over the
+// one the fields suggest, since an upload failure can't be told from the fields.
+const restoreResult = (raw) => {
+  const normalized = normalizeResultItem(raw);
+  const saved = raw && KNOWN_STATUSES.includes(raw.status);
+  const savedIssues = raw && Array.isArray(raw.schema_issues) ? raw.schema_issues : [];
+  const { annotation: rawAnnotation, track_info: rawTrackInfo, ...rest } = normalized;
+  const annotation = normalizeAnnotation(rawAnnotation);
+  const trackInfo = normalizeTrackInfo(rawTrackInfo);
+  return {
+    ...rest,
+    ...(annotation ? { annotation } : {}),
+    ...(trackInfo ? { track_info: trackInfo } : {}),
+    status: saved ? raw.status : normalized.status,
+    status_message: saved ? raw.status_message || "" : normalized.status_message,
+    schema_issues: [...new Set([...savedIssues, ...normalized.schema_issues])],
+  };
+};
+
+const readCSVResults = (text) => {
+  const [headers, ...rows] = parseCSV(text);
+  if (!headers || !headers.includes("Filename")) {
+    throw new Error("It has no Filename column, so it isn't a results CSV.");
+  }
+  const columns = headers.map((header) => CSV_COLUMNS.find((column) => column.header === header));
+  const ignored = headers.filter((header, index) => !columns[index]);
+
+  const results = rows.map((cells) => {
+    const raw = columns.reduce(
+      (fields, column, index) =>
+        column ? { ...fields, ...column.read(cells[index] ?? "") } : fields,
+      {}
+    );
+    const {
+      score_label: label,
+      override_score: overrideScore,
+      override_label: overrideLabel,
+      override_reason: overrideReason,
+      tags,
+      notes,
+      ...fields
+    } = raw;
+    // Labels stand in for scores that were left blank
+    if (fields.score === undefined) fields.score = scoreFromLabel(label);
+    const trackInfo = {};
+    TRACK_FIELDS.forEach(({ key }) => {
+      trackInfo[key] = fields[`track_${key}`];
+      delete fields[`track_${key}`];
+    });
+    return restoreResult({
+      ...fields,
+      track_info: trackInfo,
+      annotation: {
+        notes,
+        tags,
+        override: { score: overrideScore ?? scoreFromLabel(overrideLabel), reason: overrideReason },
+      },
+    });
+  });
+
+  return {
+    results,
+    run: null,
+    appVersion: null,
+    backendVersion: null,
+    issues: ignored.length ? [`Ignored unknown column(s): ${ignored.join(", ")}.`] : [],
+  };
+};
+
+const readJSONResults = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error("It isn't valid JSON.");
+  }
+  if (!data || data.format !== RESULTS_FORMAT || !Array.isArray(data.results)) {
+    throw new Error("It isn't a Lyric Coach results export.");
+  }
+
+  const issues = [];
+  if (data.version > RESULTS_FORMAT_VERSION) {
+    issues.push(
+      `The file is format version ${data.version}, newer than this app understands ` +
+        `(${RESULTS_FORMAT_VERSION}); some fields may be missing.`
+    );
+  }
+  return {
+    results: data.results.map(restoreResult),
+    run: data.run || null,
+    appVersion: data.app_version || null,
+    backendVersion: (data.backend && data.backend.version) || null,
+    issues,
+  };
+};
+
+// Either export, told apart by content rather than the file name.
+// Returns { results, run, appVersion, backendVersion, issues }; throws when
+// there is nothing to show.
+export const readResultsFile = (text) => {
+  const content = String(text || "").replace(/^\uFEFF/, "");
+  const trimmed = content.trim();
+  const imported = /^[[{]/.test(trimmed) ? readJSONResults(trimmed) : readCSVResults(content);
+  if (!imported.results.length) throw new Error("It has no results in it.");
+  return imported;
+};
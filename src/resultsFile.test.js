@@ -0,0 +1,161 @@
+import legacyFlat from "./__fixtures__/analysis-v1-flat.json";
+import { RESULT_STATUS } from "./errorClassification";
+import { parseAnalysisResponse } from "./resultSchema";
+import {
+  RESULTS_FORMAT,
+  buildResultsCSV,
+  buildResultsJSON,
+  parseCSV,
+  readResultsFile,
+} from "./resultsFile";
+
+// What the table holds after a live batch: analyzed, unknown, failed, local and trimmed rows
+const [analyzed, unknown] = parseAnalysisResponse(legacyFlat).results;
+const liveResults = [
+  analyzed,
+  unknown,
+  {
+    filename: 'Broken, "quoted".mp3',
+    status: RESULT_STATUS.SERVER_ERROR,
+    status_message: "The server failed.\nTry again later.",
+  },
+  {
+    ...analyzed,
+    filename: "Bedroom take.wav",
+    score: 1,
+    explanation: "Local estimate from loudness alone.",
+    analysis_source: "local",
+    trim: {
+      regions: [
+        { start: 12, end: 45.5 },
+        { start: 60, end: 90 },
+      ],
+      source_seconds: null,
+    },
+  },
+];
+
+const tableFields = (result) => ({
+  filename: result.filename,
+  score: result.score ?? null,
+  explanation: result.explanation ?? "",
+  status: result.status,
+  status_message: result.status_message,
+  song_minutes: result.song_minutes,
+  usable_density: result.usable_density,
+  analysis_source: result.analysis_source,
+  trim: result.trim,
+});
+
+test.each([
+  [
+    "plain",
+    "a,b\r\nc,d",
+    [
+      ["a", "b"],
+      ["c", "d"],
+    ],
+  ],
+  ["quoted", 'a,"b, ""c"""\n', [["a", 'b, "c"']]],
+  ["line break in quotes", '"one\r\ntwo",x', [["one\r\ntwo", "x"]]],
+  ["blank lines", "a\n\n\nb\n", [["a"], ["b"]]],
+  ["empty cells", "a,,\n", [["a", "", ""]]],
+])("parseCSV reads %s rows", (name, text, expected) => {
+  expect(parseCSV(text)).toEqual(expected);
+});
+
+test("a CSV export reads back into the same table rows", () => {
+  const { results, issues } = readResultsFile(buildResultsCSV(liveResults));
+  expect(issues).toEqual([]);
+  expect(results.map(tableFields)).toEqual(liveResults.map(tableFields));
+  expect(results.every((result) => result.schema_issues.length === 0)).toBe(true);
+  expect(typeof results[0].total_phrases).toBe("number");
+});
+
+test("a JSON export keeps every field and the run it came from", () => {
+  const live = [{ ...liveResults[3], upload_id: "upload-4", phrases: [{ start: 12, end: 14 }] }];
+  const json = buildResultsJSON(live, {
+    run: { id: 7, name: "Friday batch", created_at: "2025-01-01T00:00:00.000Z" },
+    appVersion: "1.0",
+    backend: { label: "Production", url: "https://example.test" },
+    backendVersion: "2.3.0",
+  });
+  expect(JSON.parse(json)).toMatchObject({
+    format: RESULTS_FORMAT,
+    backend: { label: "Production", url: "https://example.test", version: "2.3.0" },
+  });
+
+  const imported = readResultsFile(json);
+  expect(imported).toMatchObject({
+    run: { name: "Friday batch" },
+    appVersion: "1.0",
+    backendVersion: "2.3.0",
+  });
+  const { upload_id: uploadId, ...expected } = live[0];
+  expect(imported.results).toEqual([{ ...expected, schema_issues: [] }]);
+});
+
+test("CSV files from elsewhere restore what they can", () => {
+  const csv = [
+    "\uFEFFFilename,Score label,Usable density,Reviewer",
+    "Edited.wav,Maybe,0.5,checked",
+    "Odd.wav,Strong,lots,",
+  ].join("\n");
+  const { results, issues } = readResultsFile(csv);
+  expect(issues).toEqual(["Ignored unknown column(s): Reviewer."]);
+  expect(results.map((result) => [result.filename, result.score, result.usable_density])).toEqual([
+    ["Edited.wav", 2, 0.5],
+    ["Odd.wav", 3, undefined],
+  ]);
+  expect(results[1].schema_issues).toEqual(['usable_density: expected a number, got "lots"']);
+});
+
+test("clinician annotations round trip through CSV and JSON", () => {
+  const annotation = {
+    notes: "Chorus lands well.\nVerse two drags.",
+    tags: ["tempo too fast", "good for dementia group"],
+    override: { score: 3, reason: "Group sang along every week" },
+    updated_at: "2024-05-01T10:00:00.000Z",
+  };
+  const annotated = [{ ...analyzed, annotation }, unknown];
+
+  const [fromCSV, plain] = readResultsFile(buildResultsCSV(annotated)).results;
+  expect(fromCSV.annotation).toEqual({ ...annotation, updated_at: null });
+  expect(fromCSV.score).toBe(analyzed.score);
+  expect(plain.annotation).toBeUndefined();
+
+  const [fromJSON] = readResultsFile(buildResultsJSON(annotated, {})).results;
+  expect(fromJSON.annotation).toEqual(annotation);
+});
+
+test("track info round trips through CSV and JSON", () => {
+  const trackInfo = { title: "Hello", artist: "Adele", bpm: 120, key: "Fm", guessed: ["key"] };
+  const tracked = [{ ...analyzed, track_info: trackInfo }, unknown];
+
+  const [fromCSV, plain] = readResultsFile(buildResultsCSV(tracked)).results;
+  // A CSV can't tell tags from filename guesses
+  expect(fromCSV.track_info).toEqual({ ...trackInfo, guessed: [] });
+  expect(plain.track_info).toBeUndefined();
+
+  const [fromJSON] = readResultsFile(buildResultsJSON(tracked, {})).results;
+  expect(fromJSON.track_info).toEqual(trackInfo);
+});
+
+test("an override label stands in for a missing override score", () => {
+  const csv = "Filename,Score,Override label,Override reason\nA.wav,1,Strong,Heard live";
+  expect(readResultsFile(csv).results[0].annotation).toEqual({
+    notes: "",
+    tags: [],
+    override: { score: 3, reason: "Heard live" },
+    updated_at: null,
+  });
+});
+
+test.each([
+  ["not JSON", "{ nope", /valid JSON/],
+  ["another JSON file", '{"format": "lyric-coach-history", "runs": []}', /results export/],
+  ["a CSV without filenames", "Score,Status\n3,ok", /Filename column/],
+  ["an empty export", "Filename,Score\r\n", /no results/],
+])("rejects %s", (name, text, message) => {
+  expect(() => readResultsFile(text)).toThrow(message);
+});
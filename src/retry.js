@@ -0,0 +1,62 @@
+// Retries with exponential backoff for failures that are likely to pass on
+// their own: gateway errors from a sleeping or overloaded host and dropped
+// connections. Auth failures and other 4xx responses are never retried.
+
+const TRANSIENT_STATUSES = [502, 503, 504];
+
+export const isTransientStatus = (status) => TRANSIENT_STATUSES.includes(status);
+
+export const isTransientError = (err) => Boolean(err) && err.name === "NetworkError";
+
+// Full delay doubles per attempt up to maxDelayMs; jitter spreads parallel
+// uploads out so they don't all hit a recovering server at once
+export const backoffDelay = (attempt, { baseDelayMs, maxDelayMs, random = Math.random }) => {
+  const full = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(full * (0.5 + random() / 2));
+};
+
+export const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const cancelled = () => {
+      const err = new Error("Cancelled");
+      err.name = "AbortError";
+      return err;
+    };
+    if (signal && signal.aborted) {
+      reject(cancelled());
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener(
+        "abort",
+        () => {
+          clearTimeout(timer);
+          reject(cancelled());
+        },
+        { once: true }
+      );
+    }
+  });
+
+// `send(attempt)` resolves with a response that has a numeric `status`.
+// onRetry({ attempt, retries, delayMs, reason }) fires before each wait.
+export const withRetry = async (
+  send,
+  { retries, baseDelayMs, maxDelayMs, signal, onRetry, random }
+) => {
+  for (let attempt = 0; ; attempt += 1) {
+    let reason;
+    try {
+      const response = await send(attempt);
+      if (attempt >= retries || !isTransientStatus(response.status)) return response;
+      reason = `HTTP ${response.status}`;
+    } catch (err) {
+      if (attempt >= retries || !isTransientError(err)) throw err;
+      reason = err.message;
+    }
+    const delayMs = backoffDelay(attempt, { baseDelayMs, maxDelayMs, random });
+    if (onRetry) onRetry({ attempt: attempt + 1, retries, delayMs, reason });
+    await wait(delayMs, signal);
+  }
+};
@@ -0,0 +1,89 @@
+import { backoffDelay, isTransientStatus, withRetry } from "./retry";
+
+const options = { retries: 2, baseDelayMs: 0, maxDelayMs: 0 };
+
+const networkError = () => {
+  const err = new Error("Network error while uploading");
+  err.name = "NetworkError";
+  return err;
+};
+
+test.each([
+  [0, 0, 1000],
+  [1, 0, 2000],
+  [2, 1, 8000],
+  [5, 1, 30000],
+])("backoffDelay(%i) with random=%p is %i ms", (attempt, random, expected) => {
+  const delay = backoffDelay(attempt, {
+    baseDelayMs: 2000,
+    maxDelayMs: 30000,
+    random: () => random,
+  });
+  expect(delay).toBe(expected);
+});
+
+test.each([
+  [502, true],
+  [503, true],
+  [504, true],
+  [500, false],
+  [401, false],
+  [429, false],
+])("isTransientStatus(%i) is %p", (status, expected) => {
+  expect(isTransientStatus(status)).toBe(expected);
+});
+
+test("withRetry retries gateway errors and reports each attempt", async () => {
+  const send = jest
+    .fn()
+    .mockResolvedValueOnce({ status: 503 })
+    .mockResolvedValueOnce({ status: 502 })
+    .mockResolvedValue({ status: 200 });
+  const onRetry = jest.fn();
+
+  const response = await withRetry(send, { ...options, onRetry });
+
+  expect(response.status).toBe(200);
+  expect(send).toHaveBeenCalledTimes(3);
+  expect(onRetry.mock.calls.map(([info]) => info.reason)).toEqual(["HTTP 503", "HTTP 502"]);
+});
+
+test("withRetry returns the last response once retries run out", async () => {
+  const send = jest.fn().mockResolvedValue({ status: 504 });
+  const response = await withRetry(send, options);
+  expect(response.status).toBe(504);
+  expect(send).toHaveBeenCalledTimes(3);
+});
+
+test("withRetry never retries auth failures", async () => {
+  const send = jest.fn().mockResolvedValue({ status: 401 });
+  const response = await withRetry(send, options);
+  expect(response.status).toBe(401);
+  expect(send).toHaveBeenCalledTimes(1);
+});
+
+test("withRetry retries network errors but not timeouts", async () => {
+  const send = jest.fn().mockRejectedValueOnce(networkError()).mockResolvedValue({ status: 200 });
+  expect((await withRetry(send, options)).status).toBe(200);
+
+  const timeout = new Error("timed out");
+  timeout.name = "TimeoutError";
+  const failing = jest.fn().mockRejectedValue(timeout);
+  await expect(withRetry(failing, options)).rejects.toBe(timeout);
+  expect(failing).toHaveBeenCalledTimes(1);
+});
+
+test("withRetry stops waiting when cancelled", async () => {
+  const controller = new AbortController();
+  const send = jest.fn().mockResolvedValue({ status: 503 });
+  const pending = withRetry(send, {
+    retries: 3,
+    baseDelayMs: 60000,
+    maxDelayMs: 60000,
+    signal: controller.signal,
+  });
+  await Promise.resolve();
+  controller.abort();
+  await expect(pending).rejects.toMatchObject({ name: "AbortError" });
+  expect(send).toHaveBeenCalledTimes(1);
+});
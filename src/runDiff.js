@@ -0,0 +1,150 @@
+// Two result sets matched by filename, for signing off on a new analyzer
+// release: which songs changed score label, how far each metric moved, and
+// which songs are only in one of the sets. "Before" is the baseline.
+import { RESULT_STATUS } from "./errorClassification";
+import { METRICS, formatMetricCSV, isNumber } from "./metrics";
+import { escapeCSV } from "./resultsFile";
+import { scoreToLabel } from "./scores";
+
+export const DIFF_KIND = {
+  SCORE_CHANGED: "score_changed",
+  MOVED: "moved",
+  UNCHANGED: "unchanged",
+  ADDED: "added",
+  DROPPED: "dropped",
+};
+
+export const DIFF_LABELS = {
+  [DIFF_KIND.SCORE_CHANGED]: "Score changed",
+  [DIFF_KIND.MOVED]: "Metrics moved",
+  [DIFF_KIND.UNCHANGED]: "Unchanged",
+  [DIFF_KIND.ADDED]: "Added",
+  [DIFF_KIND.DROPPED]: "Dropped",
+};
+
+// Rows are listed in this order, most interesting first
+const KIND_ORDER = Object.values(DIFF_KIND);
+
+// duration_seconds only restates song_minutes
+export const DIFF_METRICS = METRICS.filter((metric) => metric.key !== "duration_seconds");
+
+// A CSV export rounds rates to csvDigits, so smaller moves are only rounding
+const tolerance = (metric) => (metric.csvDigits === undefined ? 0 : 0.5 * 10 ** -metric.csvDigits);
+
+export const metricDelta = (metric, before, after) => {
+  if (!isNumber(before) || !isNumber(after)) return null;
+  const delta = after - before;
+  return Math.abs(delta) > tolerance(metric) ? delta : 0;
+};
+
+// A song analyzed more than once in a set counts with its last result
+const byFilename = (results) => new Map(results.map((result) => [result.filename, result]));
+
+const compareSong = (filename, before, after) => {
+  if (!before) return { filename, kind: DIFF_KIND.ADDED, before: null, after, deltas: {} };
+  if (!after) return { filename, kind: DIFF_KIND.DROPPED, before, after: null, deltas: {} };
+
+  const deltas = Object.fromEntries(
+    DIFF_METRICS.map((metric) => [
+      metric.key,
+      metricDelta(metric, before[metric.key], after[metric.key]),
+    ])
+  );
+  const scoreChanged =
+    scoreToLabel(before.score) !== scoreToLabel(after.score) ||
+    (before.status || RESULT_STATUS.OK) !== (after.status || RESULT_STATUS.OK);
+  const moved = Object.values(deltas).some((delta) => delta !== null && delta !== 0);
+  let kind = DIFF_KIND.UNCHANGED;
+  if (scoreChanged) kind = DIFF_KIND.SCORE_CHANGED;
+  else if (moved) kind = DIFF_KIND.MOVED;
+
+  return { filename, kind, before, after, deltas };
+};
+
+// Returns { songs, counts, metrics }: one entry per filename in either set,
+// how many songs fell in each DIFF_KIND, and per metric how many songs moved,
+// by how much on average and at most
+export const diffResultSets = (baseline, candidate) => {
+  const before = byFilename(baseline);
+  const after = byFilename(candidate);
+  const filenames = [...new Set([...before.keys(), ...after.keys()])];
+
+  const songs = filenames
+    .map((filename) => compareSong(filename, before.get(filename), after.get(filename)))
+    .sort(
+      (a, b) =>
+        KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind) ||
+        a.filename.localeCompare(b.filename)
+    );
+
+  const counts = Object.fromEntries(
+    KIND_ORDER.map((kind) => [kind, songs.filter((song) => song.kind === kind).length])
+  );
+
+  const metrics = DIFF_METRICS.map((metric) => {
+    const deltas = songs.map((song) => song.deltas[metric.key]).filter(isNumber);
+    const moved = deltas.filter((delta) => delta !== 0);
+    const largest = moved.reduce(
+      (max, delta) => (Math.abs(delta) > Math.abs(max) ? delta : max),
+      0
+    );
+    return {
+      metric,
+      compared: deltas.length,
+      moved: moved.length,
+      meanDelta: deltas.length
+        ? deltas.reduce((sum, delta) => sum + delta, 0) / deltas.length
+        : null,
+      largestDelta: moved.length ? largest : null,
+    };
+  });
+
+  return { songs, counts, metrics };
+};
+
+// "+0.12", "-3", "+4.0 pts" for ratios; "" when there is nothing to compare
+export const formatMetricDelta = (metric, delta) => {
+  if (!isNumber(delta)) return "";
+  const sign = delta > 0 ? "+" : "";
+  if (metric.isRatio) return `${sign}${(delta * 100).toFixed(1)} pts`;
+  if (metric.csvDigits === undefined) return `${sign}${delta}`;
+  return `${sign}${delta.toFixed(2)}`;
+};
+
+// One row per song with the before and after values and the change of each metric
+export const buildDiffReportCSV = (diff) => {
+  const headers = [
+    "Filename",
+    "Change",
+    "Score before",
+    "Score after",
+    "Score label before",
+    "Score label after",
+    "Status before",
+    "Status after",
+    ...DIFF_METRICS.flatMap((metric) => [
+      `${metric.label} before`,
+      `${metric.label} after`,
+      `${metric.label} change`,
+    ]),
+  ];
+
+  const side = (result, read) => (result ? read(result) : "");
+  const rows = diff.songs.map(({ filename, kind, before, after, deltas }) => [
+    filename,
+    DIFF_LABELS[kind],
+    side(before, (result) => result.score),
+    side(after, (result) => result.score),
+    side(before, (result) => scoreToLabel(result.score)),
+    side(after, (result) => scoreToLabel(result.score)),
+    side(before, (result) => result.status || RESULT_STATUS.OK),
+    side(after, (result) => result.status || RESULT_STATUS.OK),
+    ...DIFF_METRICS.flatMap((metric) => [
+      side(before, (result) => formatMetricCSV(metric, result[metric.key])),
+      side(after, (result) => formatMetricCSV(metric, result[metric.key])),
+      isNumber(deltas[metric.key]) ? formatMetricCSV(metric, deltas[metric.key]) : "",
+    ]),
+  ]);
+
+  return [headers, ...rows].map((row) => row.map(escapeCSV).join(",")).join("\r\n");
+};
@@ -0,0 +1,97 @@
+import { METRICS_BY_KEY } from "./metrics";
+import { parseCSV } from "./resultsFile";
+import {
+  DIFF_KIND,
+  buildDiffReportCSV,
+  diffResultSets,
+  formatMetricDelta,
+  metricDelta,
+} from "./runDiff";
+
+const song = (filename, score, overrides = {}) => ({
+  filename,
+  score,
+  status: "ok",
+  usable_density: 0.5,
+  total_phrases: 40,
+  promptable_phrases_per_minute: 3,
+  ...overrides,
+});
+
+const baseline = [
+  song("Same.wav", 3),
+  song("Up.wav", 2),
+  song("Nudged.wav", 2, { usable_density: 0.45 }),
+  song("Rounded.wav", 1, { promptable_phrases_per_minute: 3.123456 }),
+  song("Gone.wav", 1),
+];
+const candidate = [
+  song("Same.wav", 3),
+  song("Up.wav", 3, { total_phrases: 44 }),
+  song("Nudged.wav", 2, { usable_density: 0.55 }),
+  song("Rounded.wav", 1, { promptable_phrases_per_minute: 3.1235 }),
+  song("New.wav", 2),
+];
+
+test("diffResultSets sorts songs by kind of change", () => {
+  const { songs, counts } = diffResultSets(baseline, candidate);
+  expect(songs.map((entry) => [entry.filename, entry.kind])).toEqual([
+    ["Up.wav", DIFF_KIND.SCORE_CHANGED],
+    ["Nudged.wav", DIFF_KIND.MOVED],
+    ["Rounded.wav", DIFF_KIND.UNCHANGED],
+    ["Same.wav", DIFF_KIND.UNCHANGED],
+    ["New.wav", DIFF_KIND.ADDED],
+    ["Gone.wav", DIFF_KIND.DROPPED],
+  ]);
+  expect(counts).toEqual({
+    score_changed: 1,
+    moved: 1,
+    unchanged: 2,
+    added: 1,
+    dropped: 1,
+  });
+});
+
+test("diffResultSets summarizes each metric over the matched songs", () => {
+  const { metrics } = diffResultSets(baseline, candidate);
+  const density = metrics.find((entry) => entry.metric.key === "usable_density");
+  expect(density).toMatchObject({ compared: 4, moved: 1 });
+  expect(density.largestDelta).toBeCloseTo(0.1);
+  expect(density.meanDelta).toBeCloseTo(0.025);
+  const phrases = metrics.find((entry) => entry.metric.key === "total_phrases");
+  expect(phrases).toMatchObject({ compared: 4, moved: 1, largestDelta: 4, meanDelta: 1 });
+  const minutes = metrics.find((entry) => entry.metric.key === "song_minutes");
+  expect(minutes).toMatchObject({ compared: 0, moved: 0, meanDelta: null, largestDelta: null });
+});
+
+test.each([
+  ["total_phrases", 40, 44, 4],
+  ["total_phrases", 40, undefined, null],
+  ["promptable_phrases_per_minute", 3.12344, 3.12346, 0],
+  ["promptable_phrases_per_minute", 3, 3.25, 0.25],
+])("metricDelta(%s, %p, %p)", (key, before, after, expected) => {
+  expect(metricDelta(METRICS_BY_KEY[key], before, after)).toBe(expected);
+});
+
+test.each([
+  ["total_phrases", 4, "+4"],
+  ["total_phrases", -2, "-2"],
+  ["usable_density", 0.125, "+0.13"],
+  ["promptable_phrase_coverage", -0.04, "-4.0 pts"],
+  ["usable_density", null, ""],
+])("formatMetricDelta(%s, %p)", (key, delta, expected) => {
+  expect(formatMetricDelta(METRICS_BY_KEY[key], delta)).toBe(expected);
+});
+
+test("the delta report has before, after and change per metric", () => {
+  const [headers, ...rows] = parseCSV(buildDiffReportCSV(diffResultSets(baseline, candidate)));
+  const cell = (row, header) => row[headers.indexOf(header)];
+  const up = rows.find((row) => row[0] === "Up.wav");
+  expect(cell(up, "Change")).toBe("Score changed");
+  expect(cell(up, "Score label before")).toBe("Maybe");
+  expect(cell(up, "Score label after")).toBe("Strong");
+  expect(cell(up, "Total phrases change")).toBe("4");
+  const gone = rows.find((row) => row[0] === "Gone.wav");
+  expect(cell(gone, "Score after")).toBe("");
+  expect(cell(gone, "Usable density before")).toBe("0.5000");
+});
@@ -0,0 +1,91 @@
+// Backend profiles loaded at runtime from config.json next to the app, so the
+// same build can talk to local, staging or production. The build-time
+// API_BASE_URL is kept as a fallback profile when the file is missing, and is
+// the default ahead of the file's when REACT_APP_API_URL sets it.
+import config from "./config";
+
+const SELECTED_KEY = "lyricCoach.backend";
+
+export const FALLBACK_PROFILE = {
+  id: "default",
+  label: "Default",
+  url: config.API_BASE_URL,
+  coldStart: /onrender\.com/.test(config.API_BASE_URL),
+};
+
+const trimSlash = (url) => String(url || "").replace(/\/+$/, "");
+
+// Drop malformed or duplicate entries rather than failing the whole file
+export const normalizeProfiles = (raw) => {
+  const list = raw && Array.isArray(raw.backends) ? raw.backends : [];
+  const profiles = [];
+  list.forEach((entry) => {
+    if (!entry || typeof entry.id !== "string" || typeof entry.url !== "string") return;
+    if (profiles.some((profile) => profile.id === entry.id)) return;
+    profiles.push({
+      id: entry.id,
+      label: entry.label || entry.id,
+      // An empty url means same origin, i.e. the dev server proxy in package.json
+      url: trimSlash(entry.url),
+      coldStart: Boolean(entry.coldStart),
+    });
+  });
+  return profiles;
+};
+
+// { profiles, defaultId, healthPath }
+export const loadRuntimeConfig = async () => {
+  try {
+    const response = await fetch(`${process.env.PUBLIC_URL}/config.json`, { cache: "no-cache" });
+    if (!response.ok) throw new Error(`status ${response.status}`);
+    const raw = await response.json();
+    const profiles = normalizeProfiles(raw);
+    if (!profiles.length) throw new Error("no backends listed");
+    const healthPath = raw.healthPath || config.HEALTH_PATH;
+    if (config.API_BASE_URL_IS_SET) {
+      const fallbackUrl = trimSlash(FALLBACK_PROFILE.url);
+      return {
+        profiles: [
+          FALLBACK_PROFILE,
+          ...profiles.filter((p) => p.id !== FALLBACK_PROFILE.id && p.url !== fallbackUrl),
+        ],
+        defaultId: FALLBACK_PROFILE.id,
+        healthPath,
+      };
+    }
+    return {
+      profiles,
+      defaultId: profiles.some((p) => p.id === raw.defaultBackend)
+        ? raw.defaultBackend
+        : profiles[0].id,
+      healthPath,
+    };
+  } catch (err) {
+    return {
+      profiles: [FALLBACK_PROFILE],
+      defaultId: FALLBACK_PROFILE.id,
+      healthPath: config.HEALTH_PATH,
+    };
+  }
+};
+
+export const loadSelectedBackendId = () => {
+  try {
+    return window.localStorage.getItem(SELECTED_KEY);
+  } catch (err) {
+    return null;
+  }
+};
+
+export const saveSelectedBackendId = (id) => {
+  try {
+    window.localStorage.setItem(SELECTED_KEY, id);
+  } catch (err) {
+    // The choice just won't survive a reload
+  }
+};
+
+export const pickProfile = (runtime, id) =>
+  runtime.profiles.find((profile) => profile.id === id) ||
+  runtime.profiles.find((profile) => profile.id === runtime.defaultId) ||
+  runtime.profiles[0];
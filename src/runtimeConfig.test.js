@@ -0,0 +1,82 @@
+import config from "./config";
+import {
+  FALLBACK_PROFILE,
+  loadRuntimeConfig,
+  normalizeProfiles,
+  pickProfile,
+} from "./runtimeConfig";
+
+afterEach(() => {
+  delete global.fetch;
+  config.API_BASE_URL_IS_SET = false;
+});
+
+test("normalizeProfiles drops malformed and duplicate entries", () => {
+  const profiles = normalizeProfiles({
+    backends: [
+      { id: "prod", label: "Production", url: "https://api.example/", coldStart: true },
+      { id: "prod", url: "https://other.example" },
+      { id: "local", url: "" },
+      { label: "No id", url: "https://x.example" },
+      null,
+    ],
+  });
+  expect(profiles).toEqual([
+    { id: "prod", label: "Production", url: "https://api.example", coldStart: true },
+    { id: "local", label: "local", url: "", coldStart: false },
+  ]);
+  expect(normalizeProfiles({})).toEqual([]);
+});
+
+test("loadRuntimeConfig reads profiles and the default backend", async () => {
+  global.fetch = jest.fn(() =>
+    Promise.resolve({
+      ok: true,
+      json: () =>
+        Promise.resolve({
+          defaultBackend: "local",
+          backends: [
+            { id: "prod", url: "https://api.example" },
+            { id: "local", url: "" },
+          ],
+        }),
+    })
+  );
+  const runtime = await loadRuntimeConfig();
+  expect(runtime.defaultId).toBe("local");
+  expect(runtime.profiles).toHaveLength(2);
+  expect(pickProfile(runtime, "prod").url).toBe("https://api.example");
+  expect(pickProfile(runtime, "missing").id).toBe("local");
+});
+
+test("a backend set with REACT_APP_API_URL is the default over the file's", async () => {
+  config.API_BASE_URL_IS_SET = true;
+  global.fetch = jest.fn(() =>
+    Promise.resolve({
+      ok: true,
+      json: () =>
+        Promise.resolve({
+          defaultBackend: "prod",
+          backends: [
+            { id: "prod", url: `${FALLBACK_PROFILE.url}/` },
+            { id: "local", url: "" },
+          ],
+        }),
+    })
+  );
+  const runtime = await loadRuntimeConfig();
+  expect(runtime.defaultId).toBe(FALLBACK_PROFILE.id);
+  expect(runtime.profiles.map((profile) => profile.id)).toEqual([FALLBACK_PROFILE.id, "local"]);
+  expect(pickProfile(runtime, null)).toBe(FALLBACK_PROFILE);
+});
+
+test.each([
+  ["a missing file", () => Promise.resolve({ ok: false, status: 404 })],
+  ["a network error", () => Promise.reject(new TypeError("Failed to fetch"))],
+  ["an empty list", () => Promise.resolve({ ok: true, json: () => Promise.resolve({}) })],
+])("loadRuntimeConfig falls back to the build-time backend on %s", async (_, fetchImpl) => {
+  global.fetch = jest.fn(fetchImpl);
+  const runtime = await loadRuntimeConfig();
+  expect(runtime.profiles).toEqual([FALLBACK_PROFILE]);
+  expect(pickProfile(runtime, null)).toBe(FALLBACK_PROFILE);
+});
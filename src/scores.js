@@ -0,0 +1,28 @@
+// Shorter labels to keep the table visually balanced
+export const scoreToLabel = (score) => {
+  if (score === 3) return "Strong";
+  if (score === 2) return "Maybe";
+  if (score === 1) return "Probably not";
+  return "Unknown";
+};
+
+export const scoreToClass = (score) => {
+  if (score === 3) return "score-badge score-strong";
+  if (score === 2) return "score-badge score-maybe";
+  if (score === 1) return "score-badge score-weak";
+  return "score-badge";
+};
+
+export const scoreNumberClass = (score) => {
+  if (score === 3) return "score-number-badge score-number-strong";
+  if (score === 2) return "score-number-badge score-number-maybe";
+  if (score === 1) return "score-number-badge score-number-weak";
+  return "score-number-badge";
+};
+
+export const SCORE_OPTIONS = [
+  { value: 3, label: "Strong" },
+  { value: 2, label: "Maybe" },
+  { value: 1, label: "Probably not" },
+  { value: null, label: "Unknown" },
+];
@@ -0,0 +1,88 @@
+// Per-segment timestamps are optional in the backend response. Older versions
+// only send aggregate metrics; newer ones may send `phrases` and `gaps` lists,
+// or a single `segments` list with a `type` per entry.
+
+export const SEGMENT_KIND = {
+  PHRASE: "phrase",
+  PROMPTABLE: "promptable",
+  NEAR_PROMPTABLE: "near_promptable",
+  GAP: "gap",
+  COMFORTABLE_GAP: "comfortable_gap",
+};
+
+export const SEGMENT_LABELS = {
+  [SEGMENT_KIND.PHRASE]: "Phrase",
+  [SEGMENT_KIND.PROMPTABLE]: "Promptable phrase",
+  [SEGMENT_KIND.NEAR_PROMPTABLE]: "Near promptable phrase",
+  [SEGMENT_KIND.GAP]: "Gap",
+  [SEGMENT_KIND.COMFORTABLE_GAP]: "Comfortable gap",
+};
+
+const TYPE_ALIASES = {
+  phrase: SEGMENT_KIND.PHRASE,
+  promptable: SEGMENT_KIND.PROMPTABLE,
+  promptable_phrase: SEGMENT_KIND.PROMPTABLE,
+  near_promptable: SEGMENT_KIND.NEAR_PROMPTABLE,
+  near_promptable_phrase: SEGMENT_KIND.NEAR_PROMPTABLE,
+  gap: SEGMENT_KIND.GAP,
+  comfortable_gap: SEGMENT_KIND.COMFORTABLE_GAP,
+};
+
+// Accept { start, end }, { start_sec, end_sec } or [start, end]
+const readRange = (entry) => {
+  if (Array.isArray(entry)) return { start: Number(entry[0]), end: Number(entry[1]) };
+  if (!entry || typeof entry !== "object") return null;
+  return {
+    start: Number(entry.start ?? entry.start_sec ?? entry.start_seconds),
+    end: Number(entry.end ?? entry.end_sec ?? entry.end_seconds),
+  };
+};
+
+const toSegment = (entry, kind) => {
+  const range = readRange(entry);
+  if (!range || !Number.isFinite(range.start) || !Number.isFinite(range.end)) return null;
+  if (range.end <= range.start) return null;
+  return { ...range, kind };
+};
+
+const phraseKind = (entry) => {
+  if (!entry) return SEGMENT_KIND.PHRASE;
+  if (entry.promptable || entry.is_promptable) return SEGMENT_KIND.PROMPTABLE;
+  if (entry.near_promptable || entry.is_near_promptable) return SEGMENT_KIND.NEAR_PROMPTABLE;
+  return TYPE_ALIASES[entry.type] || SEGMENT_KIND.PHRASE;
+};
+
+const gapKind = (entry) =>
+  entry && (entry.comfortable || entry.is_comfortable || entry.type === "comfortable_gap")
+    ? SEGMENT_KIND.COMFORTABLE_GAP
+    : SEGMENT_KIND.GAP;
+
+// Returns segments sorted by start time, or an empty list when the song has none
+export const getSongSegments = (song) => {
+  if (!song) return [];
+  const segments = [];
+
+  if (Array.isArray(song.segments)) {
+    song.segments.forEach((entry) => {
+      const kind = TYPE_ALIASES[entry && entry.type];
+      if (kind) segments.push(toSegment(entry, kind));
+    });
+  }
+
+  if (Array.isArray(song.phrases)) {
+    song.phrases.forEach((entry) => {
+      segments.push(toSegment(entry, Array.isArray(entry) ? SEGMENT_KIND.PHRASE : phraseKind(entry)));
+    });
+  }
+
+  if (Array.isArray(song.gaps)) {
+    song.gaps.forEach((entry) => {
+      segments.push(toSegment(entry, Array.isArray(entry) ? SEGMENT_KIND.GAP : gapKind(entry)));
+    });
+  }
+
+  return segments.filter(Boolean).sort((a, b) => a.start - b.start);
+};
+
+export const isGapSegment = (segment) =>
+  segment.kind === SEGMENT_KIND.GAP || segment.kind === SEGMENT_KIND.COMFORTABLE_GAP;
@@ -0,0 +1,94 @@
+import { SEGMENT_KIND, getSongSegments, isGapSegment } from "./segments";
+
+const { PHRASE, PROMPTABLE, NEAR_PROMPTABLE, GAP, COMFORTABLE_GAP } = SEGMENT_KIND;
+
+const summary = (song) => getSongSegments(song).map(({ start, end, kind }) => [start, end, kind]);
+
+test.each([
+  [
+    "a typed segments list",
+    {
+      segments: [
+        { type: "promptable_phrase", start: 4, end: 6 },
+        { type: "phrase", start: 0, end: 2 },
+        { type: "comfortable_gap", start: 2, end: 4 },
+        { type: "near_promptable", start: 6, end: 7 },
+      ],
+    },
+    [
+      [0, 2, PHRASE],
+      [2, 4, COMFORTABLE_GAP],
+      [4, 6, PROMPTABLE],
+      [6, 7, NEAR_PROMPTABLE],
+    ],
+  ],
+  [
+    "phrase and gap objects with flags",
+    {
+      phrases: [
+        { start: 0, end: 2, promptable: true },
+        { start_sec: 3, end_sec: 4, is_near_promptable: true },
+        { start_seconds: 5, end_seconds: 6 },
+      ],
+      gaps: [
+        { start: 2, end: 3, is_comfortable: true },
+        { start: 4, end: 5 },
+      ],
+    },
+    [
+      [0, 2, PROMPTABLE],
+      [2, 3, COMFORTABLE_GAP],
+      [3, 4, NEAR_PROMPTABLE],
+      [4, 5, GAP],
+      [5, 6, PHRASE],
+    ],
+  ],
+  [
+    "[start, end] pairs",
+    {
+      phrases: [
+        [0, 1.5],
+        ["2", "3"],
+      ],
+      gaps: [[1.5, 2]],
+    },
+    [
+      [0, 1.5, PHRASE],
+      [1.5, 2, GAP],
+      [2, 3, PHRASE],
+    ],
+  ],
+])("getSongSegments reads %s", (name, song, expected) => {
+  expect(summary(song)).toEqual(expected);
+});
+
+test.each([
+  ["no song", null],
+  ["aggregate metrics only", { filename: "A.wav", usable_density: 0.5 }],
+  ["empty lists", { segments: [], phrases: [], gaps: [] }],
+  ["lists that aren't arrays", { segments: "none", phrases: {}, gaps: 3 }],
+])("getSongSegments finds nothing in %s", (name, song) => {
+  expect(getSongSegments(song)).toEqual([]);
+});
+
+test("malformed entries are skipped and the rest kept", () => {
+  const song = {
+    segments: [null, { type: "chorus", start: 0, end: 1 }, { type: "gap", start: 9, end: 10 }],
+    phrases: [null, "1-2", [3], { start: "soon", end: 4 }, { start: 5, end: 5 }, [6, 5], [1, 2]],
+    gaps: [undefined, { end: 8 }, [7, 8]],
+  };
+  expect(summary(song)).toEqual([
+    [1, 2, PHRASE],
+    [7, 8, GAP],
+    [9, 10, GAP],
+  ]);
+});
+
+test.each([
+  [GAP, true],
+  [COMFORTABLE_GAP, true],
+  [PHRASE, false],
+  [PROMPTABLE, false],
+])("isGapSegment for %s", (kind, expected) => {
+  expect(isGapSegment({ start: 0, end: 1, kind })).toBe(expected);
+});
@@ -3,3 +3,8 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom has no TextDecoder; Node's implements the same API
+import { TextDecoder } from 'util';
+
+if (!global.TextDecoder) global.TextDecoder = TextDecoder;
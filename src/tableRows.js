@@ -0,0 +1,80 @@
+// Searching, filtering and sorting the rows of the results table. Rows are
+// { item, index } where index is the result's place in the unsorted list, so
+// ties keep that order.
+import { RESULT_STATUS } from "./errorClassification";
+import { METRICS_BY_KEY, isNumber } from "./metrics";
+import { TRACK_FIELDS_BY_KEY, formatTrackField } from "./trackInfo";
+
+export const isFailed = (item) => Boolean(item.status) && item.status !== RESULT_STATUS.OK;
+
+// Identifies a result across renders. An upload can return several results,
+// which all carry its upload_id, so they are told apart by file_index or
+// filename; results reopened from history have no upload_id.
+export const resultKey = (item) =>
+  [item.upload_id, item.file_index ?? item.filename].filter((part) => part != null).join(":");
+
+const filenameOf = (item) => String(item.filename || "").toLowerCase();
+
+// Search looks at the filename and the title, artist and album
+const searchTextOf = (item) =>
+  [
+    item.filename,
+    ...["title", "artist", "album"].map((key) => formatTrackField(item.track_info, key)),
+  ]
+    .join("\n")
+    .toLowerCase();
+
+export const matchesSearch = (item, query) => !query || searchTextOf(item).includes(query);
+
+// Text columns sort A to Z first, numbers highest first
+export const sortsAscendingFirst = (key) =>
+  key === "filename" || (TRACK_FIELDS_BY_KEY[key] && key !== "bpm");
+
+const sortValue = (item, key) => {
+  if (key === "filename") return filenameOf(item);
+  if (TRACK_FIELDS_BY_KEY[key]) {
+    const value = item.track_info ? item.track_info[key] : undefined;
+    if (value === undefined) return null;
+    return typeof value === "string" ? value.toLowerCase() : value;
+  }
+  const value = item[key];
+  return isNumber(value) ? value : null;
+};
+
+// Failed rows and missing values always sink to the bottom, whatever the direction
+export const compareRows = (sort) => (a, b) => {
+  const failedDiff = Number(isFailed(a.item)) - Number(isFailed(b.item));
+  if (failedDiff) return failedDiff;
+  if (!sort) return a.index - b.index;
+
+  const va = sortValue(a.item, sort.key);
+  const vb = sortValue(b.item, sort.key);
+  if (va === null && vb === null) return a.index - b.index;
+  if (va === null) return 1;
+  if (vb === null) return -1;
+  const diff = va < vb ? -1 : va > vb ? 1 : 0;
+  return (sort.direction === "desc" ? -diff : diff) || a.index - b.index;
+};
+
+const parseBound = (text) => {
+  if (text === "" || text === undefined) return null;
+  const value = Number(text);
+  return Number.isFinite(value) ? value : null;
+};
+
+// Ratio metrics are shown and filtered as percentages
+const toFilterUnits = (metric, value) => (metric.isRatio ? value * 100 : value);
+
+// ranges is { [metric key]: { min, max } } as typed, in the units the table shows.
+// Bounds are inclusive; a blank or unreadable bound is no bound, and a row
+// without the value fails any metric that has one.
+export const matchesRanges = (item, ranges) =>
+  Object.entries(ranges).every(([key, range]) => {
+    const min = parseBound(range.min);
+    const max = parseBound(range.max);
+    if (min === null && max === null) return true;
+    const value = item[key];
+    if (!isNumber(value)) return false;
+    const shown = toFilterUnits(METRICS_BY_KEY[key], value);
+    return (min === null || shown >= min) && (max === null || shown <= max);
+  });
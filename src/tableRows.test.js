@@ -0,0 +1,121 @@
+import { RESULT_STATUS } from "./errorClassification";
+import {
+  compareRows,
+  matchesRanges,
+  matchesSearch,
+  resultKey,
+  sortsAscendingFirst,
+} from "./tableRows";
+
+const failed = { filename: "Broken.wav", status: RESULT_STATUS.SERVER_ERROR };
+const results = [
+  { filename: "b.wav", score: 2, song_minutes: 3 },
+  failed,
+  { filename: "A.wav", score: null, song_minutes: 5 },
+  { filename: "c.wav", score: 3 },
+  { filename: "d.wav", score: 2, song_minutes: 4 },
+];
+
+const sorted = (sort) =>
+  results
+    .map((item, index) => ({ item, index }))
+    .sort(compareRows(sort))
+    .map(({ item }) => item.filename);
+
+test.each([
+  ["no sort", null, ["b.wav", "A.wav", "c.wav", "d.wav", "Broken.wav"]],
+  [
+    "score high to low",
+    { key: "score", direction: "desc" },
+    ["c.wav", "b.wav", "d.wav", "A.wav", "Broken.wav"],
+  ],
+  [
+    "score low to high",
+    { key: "score", direction: "asc" },
+    ["b.wav", "d.wav", "c.wav", "A.wav", "Broken.wav"],
+  ],
+  [
+    "minutes, with a missing value",
+    { key: "song_minutes", direction: "asc" },
+    ["b.wav", "d.wav", "A.wav", "c.wav", "Broken.wav"],
+  ],
+  [
+    "filename, ignoring case",
+    { key: "filename", direction: "asc" },
+    ["A.wav", "b.wav", "c.wav", "d.wav", "Broken.wav"],
+  ],
+])("compareRows keeps failed rows and n/a values last: %s", (name, sort, expected) => {
+  expect(sorted(sort)).toEqual(expected);
+});
+
+test("track fields sort as text, BPM as a number, missing ones last", () => {
+  const tracks = [
+    { filename: "1.wav", track_info: { title: "river", bpm: 100, guessed: [] } },
+    { filename: "2.wav" },
+    { filename: "3.wav", track_info: { title: "Hello", bpm: 92, guessed: [] } },
+  ];
+  const order = (sort) =>
+    tracks
+      .map((item, index) => ({ item, index }))
+      .sort(compareRows(sort))
+      .map(({ item }) => item.filename);
+  expect(order({ key: "title", direction: "asc" })).toEqual(["3.wav", "1.wav", "2.wav"]);
+  expect(order({ key: "bpm", direction: "desc" })).toEqual(["1.wav", "3.wav", "2.wav"]);
+});
+
+test.each([
+  ["filename", true],
+  ["title", true],
+  ["bpm", false],
+  ["score", false],
+])("sortsAscendingFirst(%j)", (key, expected) => {
+  expect(Boolean(sortsAscendingFirst(key))).toBe(expected);
+});
+
+const song = { song_minutes: 3, promptable_phrase_coverage: 0.25 };
+
+test.each([
+  ["no ranges", {}, true],
+  ["blank bounds", { song_minutes: { min: "", max: "" } }, true],
+  ["an unreadable bound", { song_minutes: { min: "abc", max: "" } }, true],
+  ["a min at the value", { song_minutes: { min: "3", max: "" } }, true],
+  ["a max at the value", { song_minutes: { min: "", max: "3" } }, true],
+  ["a min above", { song_minutes: { min: "3.01", max: "" } }, false],
+  ["a max below", { song_minutes: { min: "", max: "2.99" } }, false],
+  ["a ratio in percent", { promptable_phrase_coverage: { min: "25", max: "30" } }, true],
+  ["a ratio as a fraction", { promptable_phrase_coverage: { min: "", max: "0.3" } }, false],
+  ["a metric the row lacks", { usable_density: { min: "0", max: "" } }, false],
+  [
+    "every range at once",
+    { song_minutes: { min: "1", max: "" }, promptable_phrase_coverage: { min: "50", max: "" } },
+    false,
+  ],
+])("matchesRanges with %s", (name, ranges, expected) => {
+  expect(matchesRanges(song, ranges)).toBe(expected);
+});
+
+test.each([
+  ["", true],
+  ["hello", true],
+  ["adele", true],
+  ["vocals", true],
+  ["river", false],
+])("matchesSearch(%j)", (query, expected) => {
+  const item = {
+    filename: "hello_vocals.wav",
+    track_info: { title: "Hello", artist: "Adele", guessed: [] },
+  };
+  expect(matchesSearch(item, query)).toBe(expected);
+});
+
+test("results of one upload get keys of their own", () => {
+  const keys = [
+    { upload_id: "upload-1", filename: "Song/vocals.wav", file_index: 0 },
+    { upload_id: "upload-1", filename: "Song/other.wav", file_index: 1 },
+    { upload_id: "upload-1", filename: "a.wav" },
+    { upload_id: "upload-1", filename: "b.wav" },
+    { filename: "a.wav" },
+  ].map(resultKey);
+  expect(keys).toEqual(["upload-1:0", "upload-1:1", "upload-1:a.wav", "upload-1:b.wav", "a.wav"]);
+  expect(resultKey({})).toBe("");
+});
@@ -0,0 +1,152 @@
+// Title, artist, album, tempo and key for a song, shown next to its filename.
+// They come from the tags embedded in the file (see audio/tags.js); whatever
+// the tags leave out is guessed from the filename, e.g.
+// "Adele - Hello_120bpm_Fm_vocals_v2.wav" -> Adele, Hello, 120 BPM, Fm.
+//
+// A result's track_info is { title, artist, album, bpm, key, guessed } with
+// missing fields left out and guessed listing the fields taken from the filename.
+import { isNumber } from "./metrics";
+import { stemInfo } from "./fileSelection";
+
+export const TRACK_FIELDS = [
+  { key: "title", label: "Title" },
+  { key: "artist", label: "Artist" },
+  { key: "album", label: "Album" },
+  { key: "bpm", label: "BPM" },
+  { key: "key", label: "Key" },
+];
+
+export const TRACK_FIELDS_BY_KEY = Object.fromEntries(
+  TRACK_FIELDS.map((field) => [field.key, field])
+);
+
+// Shown in the results table until the columns are changed
+export const DEFAULT_TABLE_TRACK_FIELDS = ["title", "artist"];
+
+const MAX_TEXT = 200;
+const MIN_BPM = 20;
+const MAX_BPM = 300;
+
+const readBpm = (value) => {
+  const bpm = typeof value === "number" ? value : parseFloat(String(value || ""));
+  return isNumber(bpm) && bpm >= MIN_BPM && bpm <= MAX_BPM ? Math.round(bpm * 10) / 10 : null;
+};
+
+const readText = (value) => {
+  const text = typeof value === "string" ? value.trim() : "";
+  return text ? text.slice(0, MAX_TEXT) : null;
+};
+
+// Raw tag or imported values, cleaned; fields that don't hold up are left out
+const cleanFields = (raw) => {
+  const fields = {};
+  TRACK_FIELDS.forEach(({ key }) => {
+    const value = key === "bpm" ? readBpm(raw[key]) : readText(raw[key]);
+    if (value !== null) fields[key] = value;
+  });
+  return fields;
+};
+
+const VERSION_TOKEN = /^(v|ver|version|take|tk)\d+$|^final$/i;
+const TRACK_NUMBER_TOKEN = /^(track|trk|tr)?\d{1,3}$/i;
+const BPM_TOKEN = /^(\d{2,3}(\.\d)?)bpm$|^bpm(\d{2,3})$/i;
+// "Fm", "C#", "Ebmin", "Amaj"; a bare letter is too likely to be a word
+const KEY_TOKEN = /^([A-G])([#b]?)(m|min|maj)?$/;
+const KEY_QUALITY = /^(major|minor|maj|min)$/i;
+
+const keyName = (letter, accidental, quality) =>
+  `${letter}${accidental}${/^m(in(or)?)?$/i.test(quality || "") ? "m" : ""}`;
+
+// Drops a stem name ("vocals", "lead vocals", "(Instrumental)") from the end of the tokens
+const withoutStem = (tokens) => {
+  for (let count = Math.min(3, tokens.length); count > 0; count -= 1) {
+    const tail = tokens
+      .slice(-count)
+      .join("_")
+      .toLowerCase()
+      .replace(/[()[\]]/g, "");
+    if (stemInfo(`${tail}.wav`).stem === tail) return tokens.slice(0, -count);
+  }
+  return tokens;
+};
+
+// One " - " separated part of a filename: the words kept for the title or
+// artist, and any tempo or key markers found among them
+const readPart = (tokens, isFirst) => {
+  const kept = [];
+  const found = {};
+  for (let index = 0; index < tokens.length; index += 1) {
+    const token = tokens[index];
+    const next = tokens[index + 1] || "";
+    const bpm = token.match(BPM_TOKEN);
+    // Only after another word, so "Am I Blue" keeps its first word
+    const key = kept.length ? token.match(KEY_TOKEN) : null;
+    if (bpm) {
+      found.bpm = bpm[1] || bpm[3];
+    } else if (/^\d{2,3}$/.test(token) && /^bpm$/i.test(next)) {
+      found.bpm = token;
+      index += 1;
+    } else if (key && !key[3] && KEY_QUALITY.test(next)) {
+      found.key = keyName(key[1], key[2], next);
+      index += 1;
+    } else if (key && (key[2] || key[3])) {
+      found.key = keyName(key[1], key[2], key[3]);
+    } else if (
+      !VERSION_TOKEN.test(token) &&
+      !(isFirst && index === 0 && TRACK_NUMBER_TOKEN.test(token))
+    ) {
+      kept.push(token);
+    }
+  }
+  return { kept, found };
+};
+
+// What a filename says about the song: "Artist - Title" split at the first spaced dash,
+// a leading track number, "120bpm" and key markers, with stem and version
+// markers dropped. Missing fields are left out.
+export const parseTrackFilename = (filename) => {
+  const base = String(filename || "").replace(/\.[^./\\]+$/, "");
+  const parts = base
+    .split(/\s+-\s+/)
+    .map((part, index) => readPart(part.split(/[\s_]+/).filter(Boolean), index === 0));
+  const found = Object.assign({}, ...parts.map((part) => part.found));
+
+  const words = parts.map((part) => part.kept);
+  words[words.length - 1] = withoutStem(words[words.length - 1]);
+  const named = words.map((tokens) => tokens.join(" ")).filter(Boolean);
+  if (named.length > 1) found.artist = named.shift();
+  if (named.length) found.title = named.join(" - ");
+  return cleanFields(found);
+};
+
+// Tags first, then the filename for whatever the tags don't have; null when
+// neither says anything
+export const buildTrackInfo = (tags, filename) => {
+  const fromTags = cleanFields(tags || {});
+  const fromName = parseTrackFilename(filename);
+  const guessed = Object.keys(fromName).filter((key) => !(key in fromTags));
+  const info = { ...fromName, ...fromTags };
+  return Object.keys(info).length ? { ...info, guessed } : null;
+};
+
+// track_info from an imported or stored result, checked field by field
+export const normalizeTrackInfo = (raw) => {
+  if (!raw || typeof raw !== "object") return null;
+  const fields = cleanFields(raw);
+  if (!Object.keys(fields).length) return null;
+  const guessed = Array.isArray(raw.guessed) ? raw.guessed.filter((key) => key in fields) : [];
+  return { ...fields, guessed };
+};
+
+export const formatTrackField = (info, key) => {
+  if (!info || info[key] === undefined) return "";
+  return key === "bpm" ? String(info.bpm) : info[key];
+};
+
+// "Hello · Adele · 25 · 120 BPM · Fm" for the modal header
+export const describeTrack = (info) =>
+  info
+    ? TRACK_FIELDS.filter(({ key }) => info[key] !== undefined)
+        .map(({ key }) => (key === "bpm" ? `${info.bpm} BPM` : info[key]))
+        .join(" · ")
+    : "";
@@ -0,0 +1,62 @@
+import {
+  buildTrackInfo,
+  describeTrack,
+  formatTrackField,
+  normalizeTrackInfo,
+  parseTrackFilename,
+} from "./trackInfo";
+
+test.each([
+  [
+    "Adele - Hello_120bpm_Fm_vocals_v2.wav",
+    { artist: "Adele", title: "Hello", bpm: 120, key: "Fm" },
+  ],
+  ["03 - Am I Blue.mp3", { title: "Am I Blue" }],
+  ["Song - Drums.flac", { title: "Song" }],
+  ["Hey Jude (Instrumental).wav", { title: "Hey Jude" }],
+  ["The Beatles - Let It Be - Live.m4a", { artist: "The Beatles", title: "Let It Be - Live" }],
+  ["River 92 bpm C# minor take3.wav", { title: "River", bpm: 92, key: "C#m" }],
+  ["track07_vocals_v2.wav", {}],
+  ["Storm_999bpm.wav", { title: "Storm" }],
+])("parseTrackFilename(%j)", (filename, expected) => {
+  expect(parseTrackFilename(filename)).toEqual(expected);
+});
+
+test("tags win over the filename, which fills the gaps", () => {
+  const info = buildTrackInfo({ title: " Hello ", bpm: "119.96", album: "" }, "Adele - Hi_Fm.wav");
+  expect(info).toEqual({
+    title: "Hello",
+    artist: "Adele",
+    bpm: 120,
+    key: "Fm",
+    guessed: ["artist", "key"],
+  });
+});
+
+test("nothing from the tags or the filename builds no track info", () => {
+  expect(buildTrackInfo({}, "track07_vocals.wav")).toBeNull();
+});
+
+test.each([
+  [null, null],
+  [{ bpm: "fast", title: "" }, null],
+  [
+    { title: "Hello", bpm: 120, guessed: ["bpm", "key", "title"], extra: "x" },
+    { title: "Hello", bpm: 120, guessed: ["bpm", "title"] },
+  ],
+  [
+    { artist: "Adele", guessed: "artist" },
+    { artist: "Adele", guessed: [] },
+  ],
+])("normalizeTrackInfo(%j)", (raw, expected) => {
+  expect(normalizeTrackInfo(raw)).toEqual(expected);
+});
+
+test("track info formats for the table and the modal header", () => {
+  const info = { title: "Hello", artist: "Adele", bpm: 120, key: "Fm", guessed: [] };
+  expect(formatTrackField(info, "bpm")).toBe("120");
+  expect(formatTrackField(info, "album")).toBe("");
+  expect(formatTrackField(null, "title")).toBe("");
+  expect(describeTrack(info)).toBe("Hello · Adele · 120 BPM · Fm");
+  expect(describeTrack(null)).toBe("");
+});
@@ -0,0 +1,77 @@
+// Single-file upload helper built on XMLHttpRequest, since fetch
+// does not report upload progress.
+// timeoutMs covers the whole request, analysis included.
+export const uploadFile = ({
+  url,
+  file,
+  headers = {},
+  signal,
+  timeoutMs,
+  onProgress,
+  onUploaded,
+}) =>
+  new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open("POST", url);
+    if (timeoutMs) xhr.timeout = timeoutMs;
+
+    Object.entries(headers).forEach(([name, value]) => {
+      if (value) xhr.setRequestHeader(name, value);
+    });
+
+    xhr.upload.onprogress = (event) => {
+      if (onProgress && event.lengthComputable) {
+        onProgress(event.loaded, event.total);
+      }
+    };
+
+    // All bytes are sent; the server is now analyzing the file
+    xhr.upload.onload = () => {
+      if (onUploaded) onUploaded();
+    };
+
+    xhr.onload = () => {
+      resolve({
+        ok: xhr.status >= 200 && xhr.status < 300,
+        status: xhr.status,
+        text: xhr.responseText,
+      });
+    };
+
+    xhr.onerror = () => {
+      const err = new Error("Network error while uploading");
+      err.name = "NetworkError";
+      reject(err);
+    };
+
+    xhr.ontimeout = () => {
+      const err = new Error("The request timed out before the analysis finished.");
+      err.name = "TimeoutError";
+      reject(err);
+    };
+
+    xhr.onabort = () => {
+      const err = new Error("Upload cancelled");
+      err.name = "AbortError";
+      reject(err);
+    };
+
+    if (signal) {
+      if (signal.aborted) {
+        xhr.onabort();
+        return;
+      }
+      signal.addEventListener("abort", () => xhr.abort(), { once: true });
+    }
+
+    const formData = new FormData();
+    formData.append("files", file);
+    xhr.send(formData);
+  });
+
+export const formatBytes = (bytes) => {
+  if (bytes === null || bytes === undefined || Number.isNaN(bytes)) return "";
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
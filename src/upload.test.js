@@ -0,0 +1,180 @@
+import { isActiveStatus, itemsToStart } from "./UploadQueueList";
+import { formatBytes, uploadFile } from "./upload";
+
+// Records each request and lets the test drive its events
+class FakeXHR {
+  static requests = [];
+
+  constructor() {
+    this.upload = {};
+    this.headers = {};
+    FakeXHR.requests.push(this);
+  }
+
+  open(method, url) {
+    this.method = method;
+    this.url = url;
+  }
+
+  setRequestHeader(name, value) {
+    this.headers[name] = value;
+  }
+
+  send(body) {
+    this.body = body;
+  }
+
+  abort() {
+    this.aborted = true;
+    this.onabort();
+  }
+
+  progress(loaded, total) {
+    this.upload.onprogress({ lengthComputable: true, loaded, total });
+  }
+
+  respond(status, text) {
+    this.status = status;
+    this.responseText = text;
+    this.onload();
+  }
+}
+
+const realXHR = global.XMLHttpRequest;
+beforeEach(() => {
+  FakeXHR.requests = [];
+  global.XMLHttpRequest = FakeXHR;
+});
+afterAll(() => {
+  global.XMLHttpRequest = realXHR;
+});
+
+const file = (name) => new File(["RIFF"], name, { type: "audio/wav" });
+
+test("the file is posted as form data with the non-empty headers", async () => {
+  const done = uploadFile({
+    url: "https://api.test/analyze",
+    file: file("a.wav"),
+    headers: { Authorization: "Bearer abc", "X-Empty": "" },
+    timeoutMs: 5000,
+  });
+  const [xhr] = FakeXHR.requests;
+  expect(xhr).toMatchObject({ method: "POST", url: "https://api.test/analyze", timeout: 5000 });
+  expect(xhr.headers).toEqual({ Authorization: "Bearer abc" });
+  expect(xhr.body.get("files").name).toBe("a.wav");
+
+  xhr.respond(200, '{"results":[]}');
+  await expect(done).resolves.toEqual({ ok: true, status: 200, text: '{"results":[]}' });
+});
+
+test("each upload reports its own progress, then when the bytes are all sent", async () => {
+  const events = [];
+  const start = (name) =>
+    uploadFile({
+      url: "/analyze",
+      file: file(name),
+      onProgress: (loaded, total) => events.push([name, loaded, total]),
+      onUploaded: () => events.push([name, "uploaded"]),
+    });
+  const first = start("a.wav");
+  const second = start("b.wav");
+  const [a, b] = FakeXHR.requests;
+
+  a.progress(10, 100);
+  b.progress(50, 200);
+  a.upload.onprogress({ lengthComputable: false, loaded: 70, total: 0 });
+  a.progress(100, 100);
+  a.upload.onload();
+  a.respond(200, "{}");
+  b.respond(500, "boom");
+
+  expect(events).toEqual([
+    ["a.wav", 10, 100],
+    ["b.wav", 50, 200],
+    ["a.wav", 100, 100],
+    ["a.wav", "uploaded"],
+  ]);
+  await expect(first).resolves.toMatchObject({ ok: true });
+  await expect(second).resolves.toEqual({ ok: false, status: 500, text: "boom" });
+});
+
+test.each([
+  ["a network error", (xhr) => xhr.onerror(), "NetworkError"],
+  ["a timeout", (xhr) => xhr.ontimeout(), "TimeoutError"],
+])("%s rejects with its own error name", async (name, fail, errorName) => {
+  const done = uploadFile({ url: "/analyze", file: file("a.wav") });
+  fail(FakeXHR.requests[0]);
+  await expect(done).rejects.toMatchObject({ name: errorName });
+});
+
+test("cancelling mid-upload aborts the request", async () => {
+  const controller = new AbortController();
+  const done = uploadFile({ url: "/analyze", file: file("a.wav"), signal: controller.signal });
+  controller.abort();
+  await expect(done).rejects.toMatchObject({ name: "AbortError" });
+  expect(FakeXHR.requests[0].aborted).toBe(true);
+});
+
+test("an upload cancelled before it starts never sends", async () => {
+  const controller = new AbortController();
+  controller.abort();
+  const done = uploadFile({ url: "/analyze", file: file("a.wav"), signal: controller.signal });
+  await expect(done).rejects.toMatchObject({ name: "AbortError" });
+  expect(FakeXHR.requests[0].body).toBeUndefined();
+});
+
+const item = (id, status, local = false) => ({ id, status, local });
+const ids = (items) => items.map((entry) => entry.id);
+
+test.each([
+  [
+    "fills free slots in order",
+    [item(1, "queued"), item(2, "queued"), item(3, "queued")],
+    2,
+    [1, 2],
+  ],
+  [
+    "counts uploads already running",
+    [item(1, "uploading"), item(2, "queued"), item(3, "queued")],
+    2,
+    [2],
+  ],
+  [
+    "waits while every slot is busy",
+    [item(1, "analyzing"), item(2, "retrying"), item(3, "queued")],
+    2,
+    [],
+  ],
+  [
+    "skips finished and cancelled items",
+    [item(1, "done"), item(2, "cancelled"), item(3, "queued")],
+    1,
+    [3],
+  ],
+  ["treats a concurrency below one as one", [item(1, "queued"), item(2, "queued")], 0, [1]],
+])("itemsToStart %s", (name, queue, concurrency, expected) => {
+  expect(ids(itemsToStart(queue, { concurrency, canUpload: true }))).toEqual(expected);
+});
+
+test("without a session only local analysis starts", () => {
+  const queue = [item(1, "queued"), item(2, "queued", true)];
+  expect(ids(itemsToStart(queue, { concurrency: 2, canUpload: false }))).toEqual([2]);
+});
+
+test.each([
+  ["uploading", true],
+  ["trimming", true],
+  ["queued", false],
+  ["cancelled", false],
+])("isActiveStatus(%j)", (status, expected) => {
+  expect(isActiveStatus(status)).toBe(expected);
+});
+
+test.each([
+  [undefined, ""],
+  [512, "512 B"],
+  [2048, "2 KB"],
+  [5 * 1024 * 1024, "5.0 MB"],
+])("formatBytes(%j)", (bytes, expected) => {
+  expect(formatBytes(bytes)).toBe(expected);
+});